@@ -3,6 +3,10 @@
  * 
  * A* combines Dijkstra's algorithm with a heuristic to guide its search.
  * It prioritizes nodes that appear to be closer to the goal based on a heuristic estimate.
+ * 
+ * With the epsilon option above 1 it becomes weighted A* (f = g + ε·h): the inflated
+ * heuristic makes the search greedier, so it expands fewer nodes but the path may cost
+ * up to ε times the optimal cost.
  */
 class AStarAlgorithm extends Algorithm {
     //=============================================================================
@@ -15,6 +19,9 @@ class AStarAlgorithm extends Algorithm {
      */
     constructor(grid) {
         super(grid);
+        
+        // Start with the heuristic that fits the grid's movement model
+        this.options.heuristic = Heuristics.getDefaultKey(grid ? grid.movementModel : 'cardinal');
     }
     
     /**
@@ -29,7 +36,7 @@ class AStarAlgorithm extends Algorithm {
 
         // Set start node properties
         this.grid.startNode.gScore = 0;
-        this.grid.startNode.fScore = this.calculateHeuristic(this.grid.startNode, this.grid.endNode);
+        this.grid.startNode.fScore = this.calculateFScore(0, this.grid.startNode);
         
         return true;
     }
@@ -80,8 +87,9 @@ class AStarAlgorithm extends Algorithm {
             // Mark as visited
             this.markNodeAsVisited(currentNode);
             
-            // If we've reached the end node
-            if (currentNode === this.grid.endNode) {
+            // If we've reached a goal (the first one settled is the nearest)
+            if (this.isGoal(currentNode)) {
+                this.reachedGoal = currentNode;
                 pathFound = true;
                 break; // Early termination - we found the shortest path
             }
@@ -92,7 +100,7 @@ class AStarAlgorithm extends Algorithm {
         
         // Get the final path if a path was found
         if (pathFound) {
-            this.pathNodesInOrder = PathUtils.getShortestPath(this.grid.endNode);
+            this.pathNodesInOrder = PathUtils.getShortestPath(this.reachedGoal);
         }
         
         this.isRunning = false;
@@ -119,14 +127,14 @@ class AStarAlgorithm extends Algorithm {
             }
             
             // Calculate tentative gScore (distance from start through current node)
-            const tentativeGScore = node.gScore + neighbor.weight;
+            const tentativeGScore = node.gScore + this.grid.getMoveCost(node, neighbor);
             
             // If we found a better path to this neighbor
             if (tentativeGScore < neighbor.gScore) {
                 // Update neighbor with new best path
                 neighbor.previousNode = node;
                 neighbor.gScore = tentativeGScore;
-                neighbor.fScore = tentativeGScore + this.calculateHeuristic(neighbor, this.grid.endNode);
+                neighbor.fScore = this.calculateFScore(tentativeGScore, neighbor);
                 
                 // Add to open set if not already there
                 if (!neighbor.inOpenSet) {
@@ -157,25 +165,78 @@ class AStarAlgorithm extends Algorithm {
             
             // If fScores are equal, break tie by preferring lower hScore
             // This helps create straighter paths and avoids the "diagonal shimmy" effect
-            return this.calculateHeuristic(a, this.grid.endNode) - 
-                  this.calculateHeuristic(b, this.grid.endNode);
+            return this.calculateGoalHeuristic(a) - 
+                  this.calculateGoalHeuristic(b);
         });
     }
 
     /**
      * Calculate the heuristic distance from a node to the end node
      * 
-     * Uses Manhattan distance (sum of horizontal and vertical distances)
-     * which is admissible (never overestimates) for grid movement where
-     * diagonal movement is not allowed or costs more than cardinal movement.
+     * Uses the heuristic selected in the 'heuristic' option (Manhattan by default).
+     * Manhattan distance is admissible (never overestimates) for grid movement where
+     * diagonal movement is not allowed; see Heuristics for the other estimates.
      * 
      * @param {Node} node - Current node
      * @param {Node} endNode - Target node
      * @returns {number} Heuristic value
      */
     calculateHeuristic(node, endNode) {
-        // Manhattan distance: optimal for 4-directional grids
-        return Math.abs(node.row - endNode.row) + Math.abs(node.col - endNode.col);
+        return Heuristics.calculate(this.getOption('heuristic'), node, endNode);
+    }
+
+    /**
+     * Estimate the distance from a node to the nearest goal tile
+     * The smallest of admissible estimates never overestimates either, so the nearest goal
+     * is still found first
+     * @param {Node} node - Current node
+     * @returns {number} The lowest heuristic value over all goals
+     */
+    calculateGoalHeuristic(node) {
+        return Math.min(...this.grid.getEndNodes().map(goal => this.calculateHeuristic(node, goal)));
+    }
+
+    /**
+     * Calculate the priority of a node: f = g + ε·h
+     * @param {number} gScore - Cost from the start to the node
+     * @param {Node} node - The node
+     * @returns {number} The node's fScore
+     */
+    calculateFScore(gScore, node) {
+        return gScore + this.getOption('epsilon') * this.calculateGoalHeuristic(node);
+    }
+
+    /**
+     * Report whether the selected heuristic is admissible for the grid's movement model
+     * @returns {Object[]} Badge describing the heuristic's admissibility
+     */
+    getOptionBadges() {
+        const movementModel = this.grid ? this.grid.movementModel : 'cardinal';
+        const hasNegativeWeights = Boolean(this.grid) && this.grid.hasNegativeWeights();
+        const heuristic = this.getOption('heuristic');
+        const epsilon = this.getOption('epsilon');
+        
+        // An inflated admissible heuristic still bounds how far from optimal the path can be
+        if (epsilon > 1 && Heuristics.isAdmissible(heuristic, movementModel, hasNegativeWeights)) {
+            return [{
+                text: `Within ${epsilon}\u00d7 optimal`,
+                type: 'warning',
+                title: `The heuristic is admissible, but weighting it by \u03b5 = ${epsilon} lets the path cost up to ${epsilon} times the shortest one`
+            }];
+        }
+        
+        return [Heuristics.getAdmissibilityBadge(heuristic, movementModel, hasNegativeWeights)];
+    }
+
+    /**
+     * Warn when bonus tiles make some moves cost less than nothing, which A* (and Theta*, built on it) can't handle
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        if (this.grid && this.grid.hasNegativeWeights()) {
+            return ["The path isn't guaranteed to be the cheapest on grids with negative bonus tiles: the heuristic assumes every step costs at least 1 and closed cells are never reopened, so cheaper routes through later bonus tiles are missed. Use Bellman-Ford instead."];
+        }
+        return [];
     }
 
     //=============================================================================
@@ -197,4 +258,33 @@ class AStarAlgorithm extends Algorithm {
     static getDescription() {
         return "A* is an informed search algorithm that uses a heuristic to guide its search. It finds the shortest path while typically exploring fewer nodes than Dijkstra's algorithm.";
     }
-} 
\ No newline at end of file
+
+    /**
+     * Get the options users can change for A*
+     * @returns {Object[]} Option definitions (the heuristic and the epsilon weight applied to it)
+     */
+    static getOptionDefinitions() {
+        return [{
+            key: 'heuristic',
+            label: 'Heuristic',
+            type: 'select',
+            choices: Heuristics.list().map(({ key, name, description }) => ({
+                value: key,
+                label: name,
+                title: description
+            })),
+            defaultValue: Heuristics.DEFAULT_KEY
+        }, {
+            key: 'epsilon',
+            label: '\u03b5',
+            title: 'Heuristic weight: above 1 trades path optimality for speed (f = g + \u03b5\u00b7h)',
+            type: 'range',
+            min: 1,
+            max: 5,
+            step: 0.1,
+            defaultValue: 1
+        }];
+    }
+} 
+
+AlgorithmRegistry.register('astar', AStarAlgorithm);
@@ -14,6 +14,13 @@ class Algorithm {
         this.isRunning = false;
         this.shouldStop = false;
         this.visitedNodes = new Set(); // For efficiently checking if a node has been visited
+        this.reachedGoal = null; // The goal tile the latest run's path ends at
+        
+        // Start every option at the default declared by the subclass
+        this.options = {};
+        this.constructor.getOptionDefinitions().forEach(definition => {
+            this.options[definition.key] = definition.defaultValue;
+        });
     }
 
     /**
@@ -29,6 +36,7 @@ class Algorithm {
         this.visitedNodesInOrder = [];
         this.pathNodesInOrder = [];
         this.visitedNodes.clear();
+        this.reachedGoal = null;
         this.isRunning = false;
         this.shouldStop = false;
         
@@ -90,14 +98,24 @@ class Algorithm {
         this.visitedNodes.add(node.getPositionString());
     }
 
+    /**
+     * Check if a node is one of the grid's goal tiles
+     * Searches stop at the first goal they settle, which is the nearest one
+     * @param {Node} node - The node to check
+     * @returns {boolean} True if the search may end at the node
+     */
+    isGoal(node) {
+        return node.isEnd;
+    }
+
     // Path and results methods
 
     /**
-     * Get the path from start to end
+     * Get the path from start to the goal that was reached
      * @returns {Node[]} Array of nodes in the path
      */
     getPath() {
-        return PathUtils.getShortestPath(this.grid.endNode);
+        return PathUtils.getShortestPath(this.reachedGoal || this.grid.endNode);
     }
 
     /**
@@ -108,6 +126,106 @@ class Algorithm {
         return this.visitedNodesInOrder;
     }
 
+    /**
+     * Get warnings about how the algorithm treats the current grid
+     * Panels show these next to the results, e.g. when the algorithm ignores monster weights
+     * @returns {string[]} Warning messages, empty if there is nothing to warn about
+     */
+    getWarnings() {
+        return [];
+    }
+
+    /**
+     * Explain why the algorithm can't run on the current grid, e.g. when it needs a uniform-cost grid
+     * Panels show the reason instead of running the algorithm
+     * @returns {string|null} The reason, or null if the algorithm can run
+     */
+    getUnsupportedReason() {
+        return null;
+    }
+
+    /**
+     * Explain why the latest run found no path when it isn't simply because the end is unreachable,
+     * e.g. when Bellman-Ford found a negative cycle
+     * @returns {string|null} The reason, or null for the usual "no path" message
+     */
+    getNoPathReason() {
+        return null;
+    }
+
+    /**
+     * Get lines to draw over the grid, for algorithms whose moves span several cells
+     * @returns {Object|null} { visitedSegments, pathVertices, cycleVertices } where visitedSegments maps
+     *     each visited node, in visiting order, to the node its line starts from (null for no line),
+     *     pathVertices lists the corners of the path's polyline, and the optional cycleVertices the corners
+     *     of a closed loop to highlight; null if the algorithm draws no lines
+     */
+    getOverlay() {
+        return null;
+    }
+
+    /**
+     * Get the cost of a path this algorithm found
+     * Any-angle algorithms override this, since their moves aren't single steps between cells
+     * @param {Node[]} path - Nodes of the path, from start to end
+     * @returns {number} Total cost of the path
+     */
+    getPathCost(path) {
+        return PathUtils.calculatePathDistance(path);
+    }
+
+    // Options
+
+    /**
+     * Get the current value of an option
+     * @param {string} key - Option key from getOptionDefinitions()
+     * @returns {*} The option value
+     */
+    getOption(key) {
+        return this.options[key];
+    }
+
+    /**
+     * Change an option declared by getOptionDefinitions()
+     * @param {string} key - Option key
+     * @param {*} value - New value
+     * @returns {boolean} True if the value was valid and applied
+     */
+    setOption(key, value) {
+        const definition = this.constructor.getOptionDefinitions().find(option => option.key === key);
+        if (!definition) {
+            console.error(`${this.constructor.getName()}: Unknown option "${key}"`);
+            return false;
+        }
+        
+        if (definition.type === 'select' && !definition.choices.some(choice => choice.value === value)) {
+            console.error(`${this.constructor.getName()}: Invalid value "${value}" for option "${key}"`);
+            return false;
+        }
+        
+        if (definition.type === 'range') {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                console.error(`${this.constructor.getName()}: Invalid value "${value}" for option "${key}"`);
+                return false;
+            }
+            
+            // Keep numbers within the slider's bounds
+            value = Math.min(definition.max, Math.max(definition.min, number));
+        }
+        
+        this.options[key] = value;
+        return true;
+    }
+
+    /**
+     * Get short status badges describing the current options, shown next to the option controls
+     * @returns {Object[]} Array of { text, type, title } objects, type being 'success' or 'warning'
+     */
+    getOptionBadges() {
+        return [];
+    }
+
     // Visualization methods
 
     /**
@@ -137,4 +255,33 @@ class Algorithm {
     updateStep(currentStep) {
         this.updateProgress(currentStep);
     }
+
+    // Static information
+
+    /**
+     * Get the algorithm name - should be overridden by subclasses
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Algorithm";
+    }
+
+    /**
+     * Get a description of the algorithm - should be overridden by subclasses
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "";
+    }
+
+    /**
+     * Get the options users can change for this algorithm - can be overridden by subclasses
+     * Each option is { key, label, type, defaultValue } plus type-specific fields
+     * (a 'select' option lists its choices as { value, label, title } objects,
+     * a 'range' option has numeric min, max and step)
+     * @returns {Object[]} Option definitions
+     */
+    static getOptionDefinitions() {
+        return [];
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * AlgorithmRegistry.js
+ * Central registry of the pathfinding algorithms available to the comparison panels
+ *
+ * Each Algorithm subclass registers itself under a short key once its script is loaded.
+ * Panels look algorithms up by key, so adding a new algorithm only requires a new
+ * subclass file and its script tag - the bootstrap code never needs to change.
+ */
+
+//=============================================================================
+// ALGORITHM REGISTRY
+//=============================================================================
+
+class AlgorithmRegistry {
+    //=============================================================================
+    // STATIC PROPERTIES
+    //=============================================================================
+
+    // Registered algorithm classes keyed by their identifier, in registration order
+    static algorithms = new Map();
+
+    //=============================================================================
+    // REGISTRATION
+    //=============================================================================
+
+    /**
+     * Register an algorithm class under a key
+     * @param {string} key - Unique identifier for the algorithm (e.g. 'dijkstra')
+     * @param {Function} AlgorithmClass - Subclass of Algorithm to register
+     */
+    static register(key, AlgorithmClass) {
+        if (!key || typeof AlgorithmClass !== 'function' || !(AlgorithmClass.prototype instanceof Algorithm)) {
+            console.error(`AlgorithmRegistry: "${key}" must be registered with a subclass of Algorithm`);
+            return;
+        }
+
+        AlgorithmRegistry.algorithms.set(key, AlgorithmClass);
+    }
+
+    //=============================================================================
+    // LOOKUP
+    //=============================================================================
+
+    /**
+     * Check if an algorithm is registered under a key
+     * @param {string} key - Algorithm identifier
+     * @returns {boolean} True if the key is registered
+     */
+    static has(key) {
+        return AlgorithmRegistry.algorithms.has(key);
+    }
+
+    /**
+     * Get the algorithm class registered under a key
+     * @param {string} key - Algorithm identifier
+     * @returns {Function|null} The algorithm class or null if not registered
+     */
+    static get(key) {
+        return AlgorithmRegistry.algorithms.get(key) || null;
+    }
+
+    /**
+     * Create a new algorithm instance for a grid
+     * @param {string} key - Algorithm identifier
+     * @param {Grid} grid - The grid the algorithm will run on
+     * @returns {Algorithm|null} New algorithm instance or null if the key is unknown
+     */
+    static create(key, grid) {
+        const AlgorithmClass = AlgorithmRegistry.get(key);
+        if (!AlgorithmClass) {
+            console.error(`AlgorithmRegistry: Unknown algorithm "${key}"`);
+            return null;
+        }
+
+        return new AlgorithmClass(grid);
+    }
+
+    /**
+     * Find the key an algorithm instance was registered under
+     * @param {Algorithm} algorithm - Algorithm instance
+     * @returns {string|null} The registered key or null if not found
+     */
+    static getKey(algorithm) {
+        if (!algorithm) return null;
+
+        for (const [key, AlgorithmClass] of AlgorithmRegistry.algorithms) {
+            if (algorithm.constructor === AlgorithmClass) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * List all registered algorithms with their display information
+     * @returns {Object[]} Array of { key, name, description } objects in registration order
+     */
+    static list() {
+        return Array.from(AlgorithmRegistry.algorithms, ([key, AlgorithmClass]) => ({
+            key,
+            name: AlgorithmClass.getName(),
+            description: AlgorithmClass.getDescription()
+        }));
+    }
+}
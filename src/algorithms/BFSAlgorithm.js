@@ -0,0 +1,140 @@
+/**
+ * Implementation of Breadth-First Search for pathfinding
+ * 
+ * BFS explores the grid in waves, visiting every node one step away from the start
+ * before any node two steps away. It ignores node weights, so it finds the path with
+ * the fewest steps - which is only the cheapest path when every node costs the same.
+ */
+class BFSAlgorithm extends Algorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+    
+    /**
+     * Create a new BFS algorithm instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run breadth-first search to find the path with the fewest steps
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing visited nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        // Initialize algorithm
+        if (!this.initialize()) {
+            return { 
+                visited: [], 
+                path: [], 
+                pathFound: false 
+            };
+        }
+
+        this.isRunning = true;
+        
+        // FIFO queue of discovered nodes (head index avoids costly shift() calls)
+        const queue = [this.grid.startNode];
+        let head = 0;
+        this.grid.startNode.inOpenSet = true;
+        
+        let pathFound = false;
+        
+        // Continue until queue is empty, end node is found, or algorithm is stopped
+        while (head < queue.length && !this.shouldStop) {
+            const currentNode = queue[head++];
+            currentNode.inOpenSet = false;
+            
+            // Mark as visited
+            this.markNodeAsVisited(currentNode);
+            
+            // Check if we've reached a goal
+            if (this.isGoal(currentNode)) {
+                this.reachedGoal = currentNode;
+                pathFound = true;
+                break;
+            }
+            
+            // Queue the undiscovered neighbors
+            this.updateNeighbors(currentNode, queue);
+        }
+        
+        // Reconstruct the path if found
+        if (pathFound) {
+            this.pathNodesInOrder = PathUtils.getShortestPath(this.reachedGoal);
+        }
+        
+        this.isRunning = false;
+        
+        return {
+            visited: visualize ? this.visitedNodesInOrder : [],
+            path: this.pathNodesInOrder,
+            pathFound
+        };
+    }
+
+    /**
+     * Add the undiscovered neighbors of a node to the queue
+     * @param {Node} node - The current node
+     * @param {Node[]} queue - Queue of discovered nodes
+     */
+    updateNeighbors(node, queue) {
+        const neighbors = this.grid.getNeighbors(node);
+        
+        for (const neighbor of neighbors) {
+            // Skip nodes that were already visited or queued
+            if (neighbor.inOpenSet || this.hasNodeBeenVisited(neighbor)) {
+                continue;
+            }
+            
+            // Every step counts as 1, regardless of the node's weight
+            neighbor.distance = node.distance + 1;
+            neighbor.previousNode = node;
+            neighbor.inOpenSet = true;
+            queue.push(neighbor);
+        }
+    }
+
+    /**
+     * Warn when the grid has monster weights or diagonal moves that BFS does not take into account
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        const warnings = [];
+        if (this.grid && this.grid.hasWeightedNodes()) {
+            warnings.push('BFS ignores monster weights: its path has the fewest steps, not the lowest cost.');
+        }
+        if (this.grid && this.grid.movementModel === 'diagonal') {
+            warnings.push('BFS counts a diagonal step the same as a straight one.');
+        }
+        return warnings;
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+    
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Breadth-First Search";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Breadth-first search explores the grid in waves of equal step count. It finds the path with the fewest steps, which is only the shortest path when monster weights are ignored.";
+    }
+} 
+
+AlgorithmRegistry.register('bfs', BFSAlgorithm);
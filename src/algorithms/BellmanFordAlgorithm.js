@@ -0,0 +1,249 @@
+/**
+ * Implementation of the Bellman-Ford algorithm for pathfinding
+ *
+ * Bellman-Ford doesn't pick nodes in order of distance like Dijkstra. It works in rounds:
+ * each round relaxes every move of the grid once, lowering a node's distance whenever a
+ * cheaper way to reach it is found. Because it never settles a node for good, it still finds
+ * the cheapest path when bonus tiles make some moves cost less than nothing.
+ *
+ * If distances keep dropping round after round, the grid has a negative cycle: a loop of
+ * moves that costs less than zero, so walking it again and again makes any path cheaper and
+ * no shortest path exists. Bellman-Ford reports that cycle instead of a path.
+ */
+class BellmanFordAlgorithm extends Algorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new Bellman-Ford instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+        this.rounds = []; // Nodes whose distance dropped, one list per round
+        this.negativeCycle = null; // Nodes of the negative cycle found by the latest run, in walking order
+    }
+
+    /**
+     * Initialize the algorithm before running
+     * @returns {boolean} True if initialization was successful
+     */
+    initialize() {
+        if (!super.initialize()) {
+            return false;
+        }
+
+        this.rounds = [];
+        this.negativeCycle = null;
+
+        return true;
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run Bellman-Ford to find the cheapest path, or a negative cycle that rules one out
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing relaxed nodes (round by round), path nodes and whether path was found
+     */
+    run(visualize = true) {
+        // Initialize algorithm
+        if (!this.initialize()) {
+            return {
+                visited: [],
+                path: [],
+                pathFound: false
+            };
+        }
+
+        this.isRunning = true;
+
+        this.markNodeAsVisited(this.grid.startNode);
+
+        // Without negative cycles every distance is final after one round per node
+        const maxRounds = this.grid.rows * this.grid.cols;
+        for (let round = 0; round < maxRounds && !this.shouldStop; round++) {
+            const relaxed = this.relaxAllMoves();
+            if (relaxed.length === 0) break;
+
+            this.rounds.push(relaxed);
+            relaxed.forEach(node => this.markNodeAsVisited(node));
+
+            // A loop in the previousNode links can only come from a negative cycle
+            this.negativeCycle = this.findCycle(relaxed);
+            if (this.negativeCycle) break;
+        }
+
+        // Every distance is known at the end, so the nearest goal is simply the cheapest one
+        const nearestGoal = this.grid.getEndNodes().reduce((best, goal) => (goal.distance < best.distance ? goal : best));
+        const pathFound = !this.shouldStop && !this.negativeCycle && nearestGoal.distance !== Infinity;
+        if (pathFound) {
+            this.reachedGoal = nearestGoal;
+            this.pathNodesInOrder = PathUtils.getShortestPath(nearestGoal);
+        }
+
+        this.isRunning = false;
+
+        return {
+            visited: visualize ? this.visitedNodesInOrder : [],
+            path: this.pathNodesInOrder,
+            pathFound
+        };
+    }
+
+    /**
+     * Relax every move of the grid once, in row order
+     * @returns {Node[]} The nodes whose distance dropped, each listed once
+     */
+    relaxAllMoves() {
+        const relaxed = new Set();
+
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                if (node.isWall || node.distance === Infinity) continue;
+
+                for (const neighbor of this.grid.getNeighbors(node)) {
+                    const newDistance = node.distance + this.grid.getMoveCost(node, neighbor);
+
+                    // Diagonal costs add up to slightly different floats along different routes;
+                    // only a real drop counts, or a zero-cost loop would look like a negative one
+                    if (newDistance < neighbor.distance - 1e-9) {
+                        neighbor.distance = newDistance;
+                        neighbor.previousNode = node;
+                        relaxed.add(neighbor);
+                    }
+                }
+            }
+        }
+
+        return [...relaxed];
+    }
+
+    /**
+     * Look for a loop in the previousNode links of the nodes relaxed in the last round
+     * @param {Node[]} relaxed - Nodes whose distance just dropped
+     * @returns {Node[]|null} Nodes of the cycle in walking order, or null if there is none
+     */
+    findCycle(relaxed) {
+        const checked = new Set();
+
+        for (const startNode of relaxed) {
+            // Follow the links back, remembering the nodes seen on this walk
+            const onWalk = new Set();
+            let node = startNode;
+            while (node && !checked.has(node) && !onWalk.has(node)) {
+                onWalk.add(node);
+                node = node.previousNode;
+            }
+
+            if (node && onWalk.has(node)) {
+                // The walk came back to one of its own nodes: collect the loop
+                const cycle = [node];
+                for (let current = node.previousNode; current !== node; current = current.previousNode) {
+                    cycle.push(current);
+                }
+                return cycle.reverse();
+            }
+
+            onWalk.forEach(visitedNode => checked.add(visitedNode));
+        }
+
+        return null;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Show visits up to the current step, shading nodes that were already relaxed in an earlier round
+     * @param {number} currentStep - Current step index
+     */
+    updateProgress(currentStep) {
+        super.updateProgress(currentStep);
+
+        const seen = new Set();
+        for (let i = 0; i <= currentStep && i < this.visitedNodesInOrder.length; i++) {
+            const node = this.visitedNodesInOrder[i];
+            if (seen.has(node)) {
+                node.isRelaxedAgain = true;
+            }
+            seen.add(node);
+        }
+    }
+
+    /**
+     * Get the cost of walking once around the negative cycle
+     * @returns {number} Total cost of the cycle's moves (below zero)
+     */
+    getCycleCost() {
+        return this.negativeCycle.reduce((cost, node, i) => {
+            const next = this.negativeCycle[(i + 1) % this.negativeCycle.length];
+            return cost + this.grid.getMoveCost(node, next);
+        }, 0);
+    }
+
+    /**
+     * Explain that no cheapest path exists when a negative cycle was found
+     * @returns {string|null} Description of the cycle, or null if there is none
+     */
+    getNoPathReason() {
+        if (!this.negativeCycle) {
+            return null;
+        }
+
+        const lapCost = Math.round(-this.getCycleCost() * 100) / 100;
+        return `Negative cycle found after ${this.rounds.length} rounds: each lap around the ${this.negativeCycle.length} highlighted tiles lowers the cost by ${lapCost}, so there is no cheapest path.`;
+    }
+
+    /**
+     * Report the negative cycle found by the latest run
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        const reason = this.getNoPathReason();
+        return reason ? [reason] : [];
+    }
+
+    /**
+     * Draw the negative cycle as a closed loop over the grid
+     * @returns {Object|null} Overlay lines for the grid view, or null if there is no cycle
+     */
+    getOverlay() {
+        if (!this.negativeCycle) {
+            return null;
+        }
+
+        return {
+            visitedSegments: new Map(),
+            pathVertices: [],
+            cycleVertices: [...this.negativeCycle, this.negativeCycle[0]]
+        };
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Bellman-Ford";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Bellman-Ford relaxes every move of the grid in rounds until no distance drops. It is slower than Dijkstra but handles negative-cost bonus tiles, and it spots negative cycles where no cheapest path exists.";
+    }
+}
+
+AlgorithmRegistry.register('bellman-ford', BellmanFordAlgorithm);
@@ -0,0 +1,93 @@
+/**
+ * Implementation of Bidirectional A* for pathfinding
+ *
+ * Same two-frontier search as Bidirectional Dijkstra, but each side is ordered by
+ * f = g + h, with h estimating the distance to the nearest node the other search started from.
+ * Each frontier is pulled towards the other, so they meet with even fewer cells explored.
+ */
+class BidirectionalAStarAlgorithm extends BidirectionalDijkstraAlgorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new Bidirectional A* instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+
+        // Start with the heuristic that fits the grid's movement model
+        this.options.heuristic = Heuristics.getDefaultKey(grid ? grid.movementModel : 'cardinal');
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Check if no unexplored node can still lead to a path cheaper than the best one
+     * With an admissible heuristic, any cheaper path would need a node whose f is below
+     * the best cost in both frontiers, so one frontier reaching the best cost is enough
+     * @param {Object} forward - The search from the start node
+     * @param {Object} backward - The search from the goals
+     * @returns {boolean} True if the best path found so far is the shortest
+     */
+    canStop(forward, backward) {
+        return Math.max(this.getTopKey(forward), this.getTopKey(backward)) >= this.bestCost;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Estimate the remaining cost from a node to the nearest of a search's targets with the selected heuristic
+     * @param {Node} node - Current node
+     * @param {Node[]} targets - Nodes the search grows towards
+     * @returns {number} Lowest heuristic value over the targets
+     */
+    estimate(node, targets) {
+        return Math.min(...targets.map(target => Heuristics.calculate(this.getOption('heuristic'), node, target)));
+    }
+
+    /**
+     * Report whether the selected heuristic is admissible for the grid's movement model
+     * @returns {Object[]} Badge describing the heuristic's admissibility
+     */
+    getOptionBadges() {
+        const movementModel = this.grid ? this.grid.movementModel : 'cardinal';
+        const hasNegativeWeights = Boolean(this.grid) && this.grid.hasNegativeWeights();
+        return [Heuristics.getAdmissibilityBadge(this.getOption('heuristic'), movementModel, hasNegativeWeights)];
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Bidirectional A*";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Bidirectional A* runs an A* search from each end, every one guided towards the other's starting point, and stops once they meet on the shortest path.";
+    }
+
+    /**
+     * Get the options users can change for bidirectional A*
+     * @returns {Object[]} Option definitions (the heuristic shared by both searches)
+     */
+    static getOptionDefinitions() {
+        return AStarAlgorithm.getOptionDefinitions().filter(definition => definition.key === 'heuristic');
+    }
+}
+
+AlgorithmRegistry.register('bidirectional-astar', BidirectionalAStarAlgorithm);
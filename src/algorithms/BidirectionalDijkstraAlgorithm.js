@@ -0,0 +1,285 @@
+/**
+ * Implementation of Bidirectional Dijkstra for pathfinding
+ *
+ * Runs two Dijkstra searches at once: a forward one growing from the start node and a
+ * backward one growing from every goal tile together. Every time a frontier reaches a node the other
+ * search already knows, the best start-to-end cost through that node is recorded. The search
+ * stops once neither frontier can still lead to a cheaper path, which usually happens after
+ * each side has covered about half the distance - two small circles instead of one big one.
+ */
+class BidirectionalDijkstraAlgorithm extends Algorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new Bidirectional Dijkstra instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+        this.visitedDirectionsInOrder = []; // 'forward' or 'backward' for each visited node
+        this.meetingNode = null;
+        this.bestCost = Infinity; // Cost of the best path through a node both searches reached
+    }
+
+    /**
+     * Initialize the algorithm before running
+     * @returns {boolean} True if initialization was successful
+     */
+    initialize() {
+        if (!super.initialize()) {
+            return false;
+        }
+
+        this.visitedDirectionsInOrder = [];
+        this.meetingNode = null;
+        this.bestCost = Infinity;
+
+        return true;
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run both searches until they meet on the shortest path
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing visited nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        // Initialize algorithm
+        if (!this.initialize()) {
+            return {
+                visited: [],
+                path: [],
+                pathFound: false
+            };
+        }
+
+        this.isRunning = true;
+
+        const goals = this.grid.getEndNodes();
+        const forward = this.createFrontier('forward', [this.grid.startNode], goals);
+        const backward = this.createFrontier('backward', goals, [this.grid.startNode]);
+
+        // Take turns so both frontiers grow at the same pace
+        let current = forward;
+        let other = backward;
+
+        while (!forward.queue.isEmpty() && !backward.queue.isEmpty() && !this.shouldStop) {
+            if (this.canStop(forward, backward)) {
+                break;
+            }
+
+            this.expandFrontier(current, other);
+            [current, other] = [other, current];
+        }
+
+        const pathFound = this.meetingNode !== null;
+        if (pathFound) {
+            this.pathNodesInOrder = this.buildPath(forward, backward);
+            this.reachedGoal = this.pathNodesInOrder[this.pathNodesInOrder.length - 1];
+            this.meetingNode.isMeeting = true;
+        }
+
+        this.isRunning = false;
+
+        return {
+            visited: visualize ? this.visitedNodesInOrder : [],
+            path: this.pathNodesInOrder,
+            pathFound
+        };
+    }
+
+    /**
+     * Visit the best node of one frontier and relax its neighbors
+     * @param {Object} frontier - The search being advanced
+     * @param {Object} other - The search growing from the opposite end
+     */
+    expandFrontier(frontier, other) {
+        const node = frontier.queue.dequeue();
+        frontier.closed.add(node);
+
+        // Record the node once, under the direction that reached it first
+        if (!this.hasNodeBeenVisited(node)) {
+            this.markNodeAsVisited(node);
+            this.visitedDirectionsInOrder.push(frontier.direction);
+            node.visitedDirection = frontier.direction;
+        }
+
+        const nodeCost = frontier.gScores.get(node);
+
+        // The backward search walks the moves in reverse, which one-way tiles make differ from the forward ones
+        const neighbors = frontier.direction === 'forward'
+            ? this.grid.getNeighbors(node)
+            : this.grid.getPredecessors(node);
+
+        for (const neighbor of neighbors) {
+            if (frontier.closed.has(neighbor)) {
+                continue;
+            }
+
+            // The backward search walks the moves in reverse, so it pays for entering the current node
+            const stepCost = frontier.direction === 'forward'
+                ? this.grid.getMoveCost(node, neighbor)
+                : this.grid.getMoveCost(neighbor, node);
+            const tentativeCost = nodeCost + stepCost;
+
+            if (tentativeCost < (frontier.gScores.has(neighbor) ? frontier.gScores.get(neighbor) : Infinity)) {
+                frontier.gScores.set(neighbor, tentativeCost);
+                frontier.parents.set(neighbor, node);
+                frontier.fScores.set(neighbor, tentativeCost + this.estimate(neighbor, frontier.targets));
+                frontier.queue.enqueue(neighbor);
+
+                // The frontiers touch: remember the cheapest start-to-end path seen so far
+                if (other.gScores.has(neighbor)) {
+                    const totalCost = tentativeCost + other.gScores.get(neighbor);
+                    if (totalCost < this.bestCost) {
+                        this.bestCost = totalCost;
+                        this.meetingNode = neighbor;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Check if no unexplored node can still lead to a path cheaper than the best one
+     * For Dijkstra this holds once the two smallest distances add up to the best cost
+     * @param {Object} forward - The search from the start node
+     * @param {Object} backward - The search from the goals
+     * @returns {boolean} True if the best path found so far is the shortest
+     */
+    canStop(forward, backward) {
+        return this.getTopKey(forward) + this.getTopKey(backward) >= this.bestCost;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Create the state of one search direction
+     * Costs live in maps rather than on the nodes, since each node has a cost in both directions
+     * @param {string} direction - 'forward' or 'backward'
+     * @param {Node[]} sources - Nodes the search grows from (the backward search starts at every goal)
+     * @param {Node[]} targets - Nodes the search grows towards
+     * @returns {Object} Frontier with its queue, costs, parents and closed set
+     */
+    createFrontier(direction, sources, targets) {
+        const frontier = {
+            direction,
+            targets,
+            gScores: new Map(sources.map(source => [source, 0])),
+            fScores: new Map(sources.map(source => [source, this.estimate(source, targets)])),
+            parents: new Map(),
+            closed: new Set()
+        };
+
+        frontier.queue = new PriorityQueue((a, b) => frontier.fScores.get(a) - frontier.fScores.get(b));
+        sources.forEach(source => frontier.queue.enqueue(source));
+
+        return frontier;
+    }
+
+    /**
+     * Estimate the remaining cost from a node to the nearest of a search's targets
+     * Plain Dijkstra has no estimate; bidirectional A* overrides this with its heuristic
+     * @param {Node} node - Current node
+     * @param {Node[]} targets - Nodes the search grows towards
+     * @returns {number} Estimated remaining cost
+     */
+    estimate(node, targets) {
+        return 0;
+    }
+
+    /**
+     * Get the smallest priority waiting in a frontier
+     * @param {Object} frontier - One search direction
+     * @returns {number} The smallest priority, or Infinity if the frontier is empty
+     */
+    getTopKey(frontier) {
+        const top = frontier.queue.peek();
+        return top ? frontier.fScores.get(top) : Infinity;
+    }
+
+    /**
+     * Warn when bonus tiles make some moves cost less than nothing, which neither frontier can handle
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        if (this.grid && this.grid.hasNegativeWeights()) {
+            return ["The path isn't guaranteed to be the cheapest on grids with negative bonus tiles: each frontier closes cells for good and the search stops once the frontiers can't beat the best meeting, so cheaper routes through later bonus tiles are missed. Use Bellman-Ford instead."];
+        }
+        return [];
+    }
+
+    /**
+     * Join the two half paths at the meeting node
+     * @param {Object} forward - The search from the start node
+     * @param {Object} backward - The search from the goals
+     * @returns {Node[]} Array of nodes from start to the goal the backward half came from
+     */
+    buildPath(forward, backward) {
+        const path = [];
+
+        for (let node = this.meetingNode; node; node = forward.parents.get(node)) {
+            path.unshift(node);
+        }
+        for (let node = backward.parents.get(this.meetingNode); node; node = backward.parents.get(node)) {
+            path.push(node);
+        }
+
+        // Link the nodes like a one-directional search would, so getPath() works as usual
+        for (let i = 1; i < path.length; i++) {
+            path[i].previousNode = path[i - 1];
+        }
+
+        return path;
+    }
+
+    //=============================================================================
+    // VISUALIZATION
+    //=============================================================================
+
+    /**
+     * Update visualization for step-by-step mode
+     * Restores which frontier visited each node, and marks the meeting node once it is reached
+     * @param {number} currentStep - Current step index
+     */
+    updateProgress(currentStep) {
+        super.updateProgress(currentStep);
+
+        for (let i = 0; i <= currentStep && i < this.visitedNodesInOrder.length; i++) {
+            this.visitedNodesInOrder[i].visitedDirection = this.visitedDirectionsInOrder[i];
+        }
+
+        if (this.meetingNode && (this.meetingNode.isVisited || currentStep >= this.visitedNodesInOrder.length - 1)) {
+            this.meetingNode.isMeeting = true;
+        }
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Bidirectional Dijkstra";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Bidirectional Dijkstra grows one search from the start and one from the end, stopping once they meet on the shortest path. Two half-size searches usually explore far fewer cells than one full search.";
+    }
+}
+
+AlgorithmRegistry.register('bidirectional-dijkstra', BidirectionalDijkstraAlgorithm);
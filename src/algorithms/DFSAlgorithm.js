@@ -0,0 +1,140 @@
+/**
+ * Implementation of Depth-First Search for pathfinding
+ * 
+ * DFS follows one direction as far as it can and only backtracks at dead ends.
+ * It ignores node weights and stops at the first path it stumbles upon,
+ * so the path it returns is usually far from the shortest one.
+ */
+class DFSAlgorithm extends Algorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+    
+    /**
+     * Create a new DFS algorithm instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run depth-first search to find a path
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing visited nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        // Initialize algorithm
+        if (!this.initialize()) {
+            return { 
+                visited: [], 
+                path: [], 
+                pathFound: false 
+            };
+        }
+
+        this.isRunning = true;
+        
+        // LIFO stack of nodes paired with the node they were reached from
+        const stack = [{ node: this.grid.startNode, previousNode: null }];
+        
+        let pathFound = false;
+        
+        // Continue until stack is empty, end node is found, or algorithm is stopped
+        while (stack.length > 0 && !this.shouldStop) {
+            const { node: currentNode, previousNode } = stack.pop();
+            
+            // A node can be pushed several times before it is visited
+            if (this.hasNodeBeenVisited(currentNode)) {
+                continue;
+            }
+            
+            // The first visit decides how the node is reached
+            currentNode.previousNode = previousNode;
+            currentNode.distance = previousNode ? previousNode.distance + 1 : 0;
+            
+            // Mark as visited
+            this.markNodeAsVisited(currentNode);
+            
+            // Check if we've reached a goal
+            if (this.isGoal(currentNode)) {
+                this.reachedGoal = currentNode;
+                pathFound = true;
+                break;
+            }
+            
+            // Push the unvisited neighbors
+            this.updateNeighbors(currentNode, stack);
+        }
+        
+        // Reconstruct the path if found
+        if (pathFound) {
+            this.pathNodesInOrder = PathUtils.getShortestPath(this.reachedGoal);
+        }
+        
+        this.isRunning = false;
+        
+        return {
+            visited: visualize ? this.visitedNodesInOrder : [],
+            path: this.pathNodesInOrder,
+            pathFound
+        };
+    }
+
+    /**
+     * Push the unvisited neighbors of a node onto the stack
+     * @param {Node} node - The current node
+     * @param {Object[]} stack - Stack of { node, previousNode } entries
+     */
+    updateNeighbors(node, stack) {
+        const neighbors = this.grid.getNeighbors(node);
+        
+        // Push in reverse so the first neighbor (up, then right, down, left) is explored first
+        for (let i = neighbors.length - 1; i >= 0; i--) {
+            const neighbor = neighbors[i];
+            if (!this.hasNodeBeenVisited(neighbor)) {
+                stack.push({ node: neighbor, previousNode: node });
+            }
+        }
+    }
+
+    /**
+     * Remind users that DFS paths are not optimal, and warn about ignored monster weights
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        const warnings = ['DFS returns the first path it finds, which is usually not the shortest.'];
+        
+        if (this.grid && this.grid.hasWeightedNodes()) {
+            warnings.push('DFS ignores monster weights.');
+        }
+        
+        return warnings;
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+    
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Depth-First Search";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Depth-first search follows one direction as far as possible before backtracking. It ignores monster weights and does not guarantee the shortest path.";
+    }
+} 
+
+AlgorithmRegistry.register('dfs', DFSAlgorithm);
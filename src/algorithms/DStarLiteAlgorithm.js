@@ -0,0 +1,421 @@
+/**
+ * Implementation of D* Lite for incremental pathfinding
+ *
+ * D* Lite searches backwards from the goal tiles, keeping for every node its distance to the
+ * nearest goal (g) and a one-step lookahead of it (rhs). It keeps that search between runs: when walls
+ * or weights change, only the nodes around the changed cells are made inconsistent again, and
+ * the next run repairs them instead of starting over. Each run only visits the nodes it had
+ * to re-expand, which is usually a small fraction of a full search.
+ *
+ * Moving the start node is also repaired incrementally (through the km offset on the keys);
+ * moving or adding goals, resizing the grid or changing the movement model starts a new search.
+ */
+class DStarLiteAlgorithm extends Algorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new D* Lite instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+        this.search = null; // Search state kept between runs, see createSearch()
+        this.lastRun = null; // { incremental, changedCells, expanded } describing the latest run
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Find the shortest path, repairing the previous search if the grid only changed a little
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing re-expanded nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        // Initialize algorithm
+        if (!this.initialize()) {
+            return {
+                visited: [],
+                path: [],
+                pathFound: false
+            };
+        }
+
+        this.isRunning = true;
+
+        let changedCells = [];
+        const incremental = this.getOption('replanning') === 'incremental' && this.canRepair();
+
+        if (incremental) {
+            changedCells = this.applyChanges();
+        } else {
+            this.search = this.createSearch();
+        }
+
+        this.computeShortestPath();
+
+        // A finite distance only counts once the cheapest moves really lead down to a goal
+        if (!this.shouldStop && this.getG(this.grid.startNode) !== Infinity) {
+            this.pathNodesInOrder = this.buildPath();
+        }
+        const pathFound = this.pathNodesInOrder.length > 0 && this.search.goals.has(this.pathNodesInOrder[this.pathNodesInOrder.length - 1]);
+        this.reachedGoal = pathFound ? this.pathNodesInOrder[this.pathNodesInOrder.length - 1] : null;
+
+        this.lastRun = {
+            incremental,
+            changedCells: changedCells.length,
+            expanded: this.visitedNodesInOrder.length
+        };
+        this.isRunning = false;
+
+        return {
+            visited: visualize ? this.visitedNodesInOrder : [],
+            path: this.pathNodesInOrder,
+            pathFound
+        };
+    }
+
+    /**
+     * Expand inconsistent nodes until the start node's distance is correct
+     */
+    computeShortestPath() {
+        const search = this.search;
+        const start = this.grid.startNode;
+
+        while (!search.queue.isEmpty() && !this.shouldStop &&
+               (this.compareKeys(search.keys.get(search.queue.peek()), this.calculateKey(start)) < 0 ||
+                this.getRhs(start) !== this.getG(start))) {
+            const node = search.queue.peek();
+            const oldKey = search.keys.get(node);
+            const newKey = this.calculateKey(node);
+
+            // The start node moved since this key was computed: re-queue with the fresh key
+            if (this.compareKeys(oldKey, newKey) < 0) {
+                this.enqueue(node, newKey);
+                continue;
+            }
+
+            search.queue.dequeue();
+            search.keys.delete(node);
+
+            if (!this.hasNodeBeenVisited(node)) {
+                this.markNodeAsVisited(node);
+            }
+
+            if (this.getG(node) > this.getRhs(node)) {
+                // Overconsistent: the node got cheaper, settle it and tell the nodes that move to it
+                search.g.set(node, this.getRhs(node));
+                this.grid.getPredecessors(node).forEach(predecessor => this.updateVertex(predecessor));
+            } else {
+                // Underconsistent: the node got more expensive, reset it and recompute around it
+                search.g.set(node, Infinity);
+                this.updateVertex(node);
+                this.grid.getPredecessors(node).forEach(predecessor => this.updateVertex(predecessor));
+            }
+        }
+    }
+
+    /**
+     * Recompute a node's lookahead distance and queue it if it is inconsistent
+     * @param {Node} node - The node to update
+     */
+    updateVertex(node) {
+        const search = this.search;
+
+        if (!search.goals.has(node)) {
+            let rhs = Infinity;
+            if (!node.isWall) {
+                for (const neighbor of this.grid.getNeighbors(node)) {
+                    rhs = Math.min(rhs, this.grid.getMoveCost(node, neighbor) + this.getG(neighbor));
+                }
+            }
+            search.rhs.set(node, rhs);
+        }
+
+        search.queue.remove(node.getPositionString());
+        search.keys.delete(node);
+
+        if (this.getG(node) !== this.getRhs(node)) {
+            this.enqueue(node, this.calculateKey(node));
+        }
+    }
+
+    //=============================================================================
+    // INCREMENTAL REPAIR
+    //=============================================================================
+
+    /**
+     * Check if the previous search still describes this grid closely enough to be repaired
+     * @returns {boolean} True if the search can be repaired instead of restarted
+     */
+    canRepair() {
+        const search = this.search;
+        if (!search) return false;
+
+        const goals = this.grid.getEndNodes();
+
+        return goals.length === search.goals.size &&
+            goals.every(goal => search.goals.has(goal)) &&
+            search.rows === this.grid.rows &&
+            search.cols === this.grid.cols &&
+            search.nodes === this.grid.nodes &&
+            search.movementModel === this.grid.movementModel &&
+            search.allowCornerCutting === this.grid.allowCornerCutting;
+    }
+
+    /**
+     * Bring the kept search up to date with walls, weights and the start node changed since the last run
+     * @returns {Node[]} The cells whose wall, weight, door or arrow changed
+     */
+    applyChanges() {
+        const search = this.search;
+        const start = this.grid.startNode;
+
+        // Keys already queued were computed from the old start; km makes up the difference
+        if (search.lastStart !== start) {
+            search.km += this.calculateHeuristic(search.lastStart, start);
+            search.lastStart = start;
+        }
+
+        const changedCells = [];
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                const signature = this.getCellSignature(node);
+                if (search.cells[row][col] !== signature) {
+                    search.cells[row][col] = signature;
+                    changedCells.push(node);
+                }
+            }
+        }
+
+        // A changed cell alters its own moves, the moves into it and any diagonal move squeezing past it
+        const affected = new Set();
+        for (const cell of changedCells) {
+            for (let dRow = -1; dRow <= 1; dRow++) {
+                for (let dCol = -1; dCol <= 1; dCol++) {
+                    const node = this.grid.getNode(cell.row + dRow, cell.col + dCol);
+                    if (node) affected.add(node);
+                }
+            }
+        }
+        affected.forEach(node => this.updateVertex(node));
+
+        return changedCells;
+    }
+
+    /**
+     * Start a new search from the goal tiles
+     * @returns {Object} Search state: distances, lookaheads, queue and a snapshot of the grid it was built on
+     */
+    createSearch() {
+        const search = {
+            g: new Map(),
+            rhs: new Map(),
+            keys: new Map(),
+            km: 0,
+            goals: new Set(this.grid.getEndNodes()),
+            lastStart: this.grid.startNode,
+            nodes: this.grid.nodes,
+            rows: this.grid.rows,
+            cols: this.grid.cols,
+            movementModel: this.grid.movementModel,
+            allowCornerCutting: this.grid.allowCornerCutting,
+            cells: this.grid.nodes.map(row => row.map(node => this.getCellSignature(node)))
+        };
+
+        search.queue = new PriorityQueue((a, b) => this.compareKeys(search.keys.get(a), search.keys.get(b)));
+        this.search = search;
+
+        search.goals.forEach(goal => {
+            search.rhs.set(goal, 0);
+            this.enqueue(goal, this.calculateKey(goal));
+        });
+
+        return search;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Get a node's distance to the nearest goal
+     * @param {Node} node - The node
+     * @returns {number} The distance, Infinity if unknown
+     */
+    getG(node) {
+        return this.search.g.has(node) ? this.search.g.get(node) : Infinity;
+    }
+
+    /**
+     * Get a node's one-step lookahead distance to the nearest goal
+     * @param {Node} node - The node
+     * @returns {number} The lookahead distance, Infinity if unknown
+     */
+    getRhs(node) {
+        return this.search.rhs.has(node) ? this.search.rhs.get(node) : Infinity;
+    }
+
+    /**
+     * Calculate the priority of a node: [min(g, rhs) + h + km, min(g, rhs)]
+     * @param {Node} node - The node
+     * @returns {number[]} The key, compared lexicographically
+     */
+    calculateKey(node) {
+        const distance = Math.min(this.getG(node), this.getRhs(node));
+        return [distance + this.calculateHeuristic(this.grid.startNode, node) + this.search.km, distance];
+    }
+
+    /**
+     * Compare two keys lexicographically
+     * Diagonal costs add up to slightly different floats along different routes, so values
+     * closer than a tiny tolerance count as equal; otherwise the search could stop one node early
+     * @param {number[]} a - First key
+     * @param {number[]} b - Second key
+     * @returns {number} Negative if a comes first, positive if b does, 0 if equal
+     */
+    compareKeys(a, b) {
+        for (let i = 0; i < 2; i++) {
+            if (Math.abs(a[i] - b[i]) > 1e-9) return a[i] < b[i] ? -1 : 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Queue a node with a key, replacing any key it had
+     * @param {Node} node - The node
+     * @param {number[]} key - Its key
+     */
+    enqueue(node, key) {
+        this.search.queue.remove(node.getPositionString());
+        this.search.keys.set(node, key);
+        this.search.queue.enqueue(node);
+    }
+
+    /**
+     * Estimate the distance between two nodes with the default heuristic of the movement model
+     * @param {Node} fromNode - First node
+     * @param {Node} toNode - Second node
+     * @returns {number} Heuristic value
+     */
+    calculateHeuristic(fromNode, toNode) {
+        return Heuristics.calculate(Heuristics.getDefaultKey(this.grid.movementModel), fromNode, toNode);
+    }
+
+    /**
+     * Describe what a cell costs to walk through, to spot cells that changed between runs
+     * @param {Node} node - The cell
+     * @returns {string} 'wall', or the cell's weight followed by its door and the arrow of a one-way tile
+     */
+    getCellSignature(node) {
+        if (node.isWall) return 'wall';
+        return [node.weight, node.door, node.oneWay].filter(part => part !== null).join('-');
+    }
+
+    /**
+     * Follow the cheapest moves from the start node down to the nearest goal
+     * @returns {Node[]} Array of nodes from start to the goal, linked through previousNode
+     */
+    buildPath() {
+        const path = [this.grid.startNode];
+        const maxLength = this.grid.rows * this.grid.cols;
+        let node = this.grid.startNode;
+
+        while (!this.search.goals.has(node) && path.length <= maxLength) {
+            let next = null;
+            let nextCost = Infinity;
+            for (const neighbor of this.grid.getNeighbors(node)) {
+                const cost = this.grid.getMoveCost(node, neighbor) + this.getG(neighbor);
+                if (cost < nextCost) {
+                    next = neighbor;
+                    nextCost = cost;
+                }
+            }
+
+            if (!next) return [];
+
+            next.previousNode = node;
+            path.push(next);
+            node = next;
+        }
+
+        return this.search.goals.has(node) ? path : [];
+    }
+
+    /**
+     * D* Lite keeps distances between runs and can't settle them when moves cost less than nothing
+     * @returns {string|null} Why D* Lite can't run on the current grid, or null if it can
+     */
+    getUnsupportedReason() {
+        if (this.grid && this.grid.hasNegativeWeights()) {
+            return 'D* Lite needs every move to cost something. Remove the negative bonus tiles or pick Bellman-Ford.';
+        }
+        return null;
+    }
+
+    /**
+     * Describe how much work the latest run had to do
+     * @returns {Object[]} Badge with the number of re-expanded cells
+     */
+    getOptionBadges() {
+        if (!this.lastRun) return [];
+
+        const { incremental, changedCells, expanded } = this.lastRun;
+        if (!incremental) {
+            return [{
+                text: `Full search: ${expanded} expanded`,
+                type: 'warning',
+                title: 'The search started from scratch. Edit walls or weights and run again to see it repaired.'
+            }];
+        }
+
+        return [{
+            text: `Repaired: ${expanded} re-expanded`,
+            type: 'success',
+            title: `${changedCells} cell${changedCells === 1 ? '' : 's'} changed since the last run; only the cells shown were expanded again`
+        }];
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "D* Lite";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "D* Lite keeps its search between runs. After walls or weights change it only re-expands the cells affected by the change, the way robots and game characters replan on the fly.";
+    }
+
+    /**
+     * Get the options users can change for D* Lite
+     * @returns {Object[]} Option definitions (whether to repair the previous search)
+     */
+    static getOptionDefinitions() {
+        return [{
+            key: 'replanning',
+            label: 'Replanning',
+            type: 'select',
+            choices: [
+                { value: 'incremental', label: 'Repair last search', title: 'Keep the search between runs and only re-expand cells affected by edits' },
+                { value: 'scratch', label: 'From scratch', title: 'Start a new search on every run, for comparison' }
+            ],
+            defaultValue: 'incremental'
+        }];
+    }
+}
+
+AlgorithmRegistry.register('dstar-lite', DStarLiteAlgorithm);
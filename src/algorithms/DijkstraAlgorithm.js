@@ -69,8 +69,9 @@ class DijkstraAlgorithm extends Algorithm {
             // Mark as visited
             this.markNodeAsVisited(currentNode);
             
-            // Check if we've reached the end
-            if (currentNode === this.grid.endNode) {
+            // Check if we've reached a goal
+            if (this.isGoal(currentNode)) {
+                this.reachedGoal = currentNode;
                 pathFound = true;
                 break; // Early termination - we found the shortest path
             }
@@ -81,7 +82,7 @@ class DijkstraAlgorithm extends Algorithm {
         
         // Reconstruct the path if found
         if (pathFound) {
-            this.pathNodesInOrder = PathUtils.getShortestPath(this.grid.endNode);
+            this.pathNodesInOrder = PathUtils.getShortestPath(this.reachedGoal);
         }
         
         this.isRunning = false;
@@ -108,7 +109,7 @@ class DijkstraAlgorithm extends Algorithm {
             }
             
             // Calculate the new potential distance through current node
-            const newDistance = node.distance + neighbor.weight;
+            const newDistance = node.distance + this.grid.getMoveCost(node, neighbor);
             
             // Update if new distance is shorter
             if (newDistance < neighbor.distance) {
@@ -131,6 +132,17 @@ class DijkstraAlgorithm extends Algorithm {
     // HELPER METHODS
     //=============================================================================
     
+    /**
+     * Warn when bonus tiles make some moves cost less than nothing, which Dijkstra can't handle
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        if (this.grid && this.grid.hasNegativeWeights()) {
+            return ["Dijkstra's result isn't valid on grids with negative bonus tiles: it never revisits a settled cell, so cheaper routes through later bonus tiles are missed. Use Bellman-Ford instead."];
+        }
+        return [];
+    }
+    
     /**
      * Creates a priority queue for Dijkstra's algorithm
      * Nodes are sorted by their distance from the start node
@@ -161,4 +173,6 @@ class DijkstraAlgorithm extends Algorithm {
     static getDescription() {
         return "Dijkstra's algorithm is a weighted graph algorithm that guarantees the shortest path. It works by visiting the node with the smallest known distance first, then updating distances to its neighbors.";
     }
-} 
\ No newline at end of file
+} 
+
+AlgorithmRegistry.register('dijkstra', DijkstraAlgorithm);
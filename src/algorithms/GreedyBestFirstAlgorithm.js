@@ -0,0 +1,140 @@
+/**
+ * Implementation of Greedy Best-First Search for pathfinding
+ * 
+ * Greedy best-first search uses the same heuristic as A*, but orders its open set
+ * by the heuristic alone. Without the g-term it has no notion of the cost already
+ * travelled, so it rushes towards the goal and can be led astray by walls and
+ * weighted monster tiles.
+ */
+class GreedyBestFirstAlgorithm extends AStarAlgorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+    
+    /**
+     * Create a new Greedy Best-First Search instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+    }
+    
+    /**
+     * Initialize the algorithm before running
+     * Stores the start node's heuristic as its priority
+     * @returns {boolean} True if initialization was successful
+     */
+    initialize() {
+        if (!super.initialize()) {
+            return false;
+        }
+        
+        this.grid.startNode.hScore = this.calculateGoalHeuristic(this.grid.startNode);
+        
+        return true;
+    }
+    
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Update neighbors of a node
+     * Each node is queued once, with the first node that discovers it as its parent
+     * @param {Node} node - The current node
+     * @param {PriorityQueue} openSet - Priority queue of nodes to visit
+     */
+    updateNeighbors(node, openSet) {
+        const neighbors = this.grid.getNeighbors(node);
+        
+        for (const neighbor of neighbors) {
+            // Skip if already visited or already waiting in the open set
+            if (this.hasNodeBeenVisited(neighbor) || neighbor.inOpenSet) {
+                continue;
+            }
+            
+            neighbor.previousNode = node;
+            
+            // Keep track of the cost travelled, even though it never affects the order
+            neighbor.gScore = node.gScore + this.grid.getMoveCost(node, neighbor);
+            neighbor.hScore = this.calculateGoalHeuristic(neighbor);
+            neighbor.fScore = neighbor.hScore;
+            
+            neighbor.inOpenSet = true;
+            openSet.enqueue(neighbor);
+        }
+    }
+    
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+    
+    /**
+     * Creates a priority queue ordered purely by the A* heuristic
+     * @returns {PriorityQueue} Configured priority queue
+     */
+    createPriorityQueue() {
+        return new PriorityQueue((a, b) => a.hScore - b.hScore);
+    }
+
+    /**
+     * The greedy priority is the heuristic alone: f = h
+     * @param {number} gScore - Cost from the start to the node (ignored)
+     * @param {Node} node - The node
+     * @returns {number} The node's fScore
+     */
+    calculateFScore(gScore, node) {
+        return this.calculateGoalHeuristic(node);
+    }
+
+    /**
+     * Admissibility doesn't matter here: without the g-term no heuristic makes the search optimal
+     * @returns {Object[]} No badges
+     */
+    getOptionBadges() {
+        return [];
+    }
+
+    /**
+     * Remind users that the greedy path is not guaranteed to be the shortest
+     * @returns {string[]} Warning messages
+     */
+    getWarnings() {
+        const warnings = ['Greedy best-first ignores the cost travelled so far, including monster weights, so its path is not guaranteed to be the shortest.'];
+        if (this.grid && this.grid.hasNegativeWeights()) {
+            warnings.push("Greedy best-first never revisits a cell, so on grids with negative bonus tiles it misses cheaper routes through them. Use Bellman-Ford instead.");
+        }
+        return warnings;
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+    
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Greedy Best-First Search";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Greedy best-first search always expands the node the A* heuristic rates closest to the goal, ignoring the cost travelled so far. It is fast on open grids but can take long detours around walls and weighted nodes.";
+    }
+
+    /**
+     * Get the options users can change for greedy best-first search
+     * The epsilon weight is left out: scaling h alone never changes the greedy order
+     * @returns {Object[]} Option definitions (only the heuristic)
+     */
+    static getOptionDefinitions() {
+        return super.getOptionDefinitions().filter(definition => definition.key !== 'epsilon');
+    }
+} 
+
+AlgorithmRegistry.register('greedy', GreedyBestFirstAlgorithm);
@@ -0,0 +1,375 @@
+/**
+ * Implementation of Jump Point Search (JPS) for pathfinding
+ *
+ * JPS is A* for uniform-cost grids with 8-way movement. Instead of adding every neighbor
+ * to the open set, it "jumps" in a straight or diagonal line until it reaches a node where
+ * the shortest paths can branch (a jump point): the end node, or a node next to a wall
+ * corner that creates a forced neighbor. Only jump points are expanded, so far fewer nodes
+ * enter the open set while the path stays optimal.
+ *
+ * It follows the grid's corner-cutting rule, and refuses to run on 4-way or weighted grids or on one-way tiles.
+ */
+class JumpPointSearchAlgorithm extends AStarAlgorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new Jump Point Search instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+        this.jumpParents = new Map(); // Each expanded jump point and the jump point it was reached from
+        this.jumpPath = []; // Jump points on the path, before filling in the cells between them
+    }
+
+    /**
+     * Initialize the algorithm before running
+     * @returns {boolean} True if initialization was successful
+     */
+    initialize() {
+        if (!super.initialize()) {
+            return false;
+        }
+
+        this.jumpParents = new Map();
+        this.jumpPath = [];
+
+        return true;
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run Jump Point Search to find the shortest path
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing visited (jump point) nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        const result = super.run(visualize);
+
+        if (result.pathFound) {
+            // A* linked the jump points; fill in the cells each jump passes over
+            this.jumpPath = result.path;
+            this.pathNodesInOrder = this.expandJumpPath(this.jumpPath);
+            result.path = this.pathNodesInOrder;
+        }
+
+        return result;
+    }
+
+    /**
+     * Record where each expanded jump point was jumped to from, for the overlay lines
+     * @param {Node} node - The jump point being expanded
+     */
+    markNodeAsVisited(node) {
+        super.markNodeAsVisited(node);
+        this.jumpParents.set(node, node.previousNode);
+    }
+
+    /**
+     * Add the jump points reachable from a node to the open set
+     * @param {Node} node - The current jump point
+     * @param {PriorityQueue} openSet - Priority queue of nodes to visit
+     */
+    updateNeighbors(node, openSet) {
+        for (const { row, col } of this.getPrunedDirections(node)) {
+            const jumpPoint = this.jump(node.row + row, node.col + col, row, col);
+
+            if (!jumpPoint || this.hasNodeBeenVisited(jumpPoint)) {
+                continue;
+            }
+
+            const tentativeGScore = node.gScore + this.calculateHeuristic(node, jumpPoint);
+
+            if (tentativeGScore < jumpPoint.gScore) {
+                jumpPoint.previousNode = node;
+                jumpPoint.gScore = tentativeGScore;
+                jumpPoint.fScore = this.calculateFScore(tentativeGScore, jumpPoint);
+
+                if (!jumpPoint.inOpenSet) {
+                    jumpPoint.inOpenSet = true;
+                    openSet.enqueue(jumpPoint);
+                } else {
+                    openSet.update(jumpPoint);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move from a node in one direction until a jump point is found
+     * @param {number} row - Row of the node to check
+     * @param {number} col - Column of the node to check
+     * @param {number} dRow - Row direction of the jump (-1, 0 or 1)
+     * @param {number} dCol - Column direction of the jump (-1, 0 or 1)
+     * @returns {Node|null} The jump point, or null if the jump hits a wall or the grid edge
+     */
+    jump(row, col, dRow, dCol) {
+        while (this.isWalkable(row, col)) {
+            const node = this.grid.getNode(row, col);
+
+            if (this.isGoal(node) || this.hasForcedNeighbor(row, col, dRow, dCol)) {
+                return node;
+            }
+
+            // A diagonal jump stops wherever one of its straight jumps finds something
+            if (dRow !== 0 && dCol !== 0 &&
+                (this.jump(row + dRow, col, dRow, 0) || this.jump(row, col + dCol, 0, dCol))) {
+                return node;
+            }
+
+            if (!this.canStep(row, col, dRow, dCol)) {
+                return null;
+            }
+
+            row += dRow;
+            col += dCol;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a node reached by moving in a direction has a neighbor that can only be
+     * reached optimally through it, because a wall blocks the way around
+     * @param {number} row - Row of the node
+     * @param {number} col - Column of the node
+     * @param {number} dRow - Row direction of the move (-1, 0 or 1)
+     * @param {number} dCol - Column direction of the move (-1, 0 or 1)
+     * @returns {boolean} True if the node has a forced neighbor
+     */
+    hasForcedNeighbor(row, col, dRow, dCol) {
+        const open = (r, c) => this.isWalkable(r, c);
+
+        if (this.grid.allowCornerCutting) {
+            if (dRow !== 0 && dCol !== 0) {
+                return (open(row + dRow, col - dCol) && !open(row, col - dCol)) ||
+                       (open(row - dRow, col + dCol) && !open(row - dRow, col));
+            }
+            if (dCol !== 0) {
+                return (open(row + 1, col + dCol) && !open(row + 1, col)) ||
+                       (open(row - 1, col + dCol) && !open(row - 1, col));
+            }
+            return (open(row + dRow, col + 1) && !open(row, col + 1)) ||
+                   (open(row + dRow, col - 1) && !open(row, col - 1));
+        }
+
+        // Without corner cutting only straight moves can have forced neighbors: a wall behind
+        // the move on one side means the cell beside it can't be reached diagonally from behind
+        if (dRow !== 0 && dCol !== 0) {
+            return false;
+        }
+        if (dCol !== 0) {
+            return (open(row + 1, col) && !open(row + 1, col - dCol)) ||
+                   (open(row - 1, col) && !open(row - 1, col - dCol));
+        }
+        return (open(row, col + 1) && !open(row - dRow, col + 1)) ||
+               (open(row, col - 1) && !open(row - dRow, col - 1));
+    }
+
+    /**
+     * Get the directions worth jumping in from a jump point
+     * The start node looks everywhere; other jump points keep going the way they were reached
+     * plus the directions of their forced neighbors
+     * @param {Node} node - The current jump point
+     * @returns {Object[]} Directions as { row, col }
+     */
+    getPrunedDirections(node) {
+        const parent = node.previousNode;
+        if (!parent) {
+            return this.grid.getNeighbors(node).map(neighbor => ({
+                row: neighbor.row - node.row,
+                col: neighbor.col - node.col
+            }));
+        }
+
+        const dRow = Math.sign(node.row - parent.row);
+        const dCol = Math.sign(node.col - parent.col);
+        const { row, col } = node;
+        const open = (r, c) => this.isWalkable(r, c);
+        const directions = [];
+
+        if (dRow !== 0 && dCol !== 0) {
+            // Diagonal: continue diagonally and along both of its straight components
+            directions.push({ row: dRow, col: 0 }, { row: 0, col: dCol }, { row: dRow, col: dCol });
+
+            if (this.grid.allowCornerCutting) {
+                if (!open(row, col - dCol)) directions.push({ row: dRow, col: -dCol });
+                if (!open(row - dRow, col)) directions.push({ row: -dRow, col: dCol });
+            }
+        } else if (this.grid.allowCornerCutting) {
+            // Straight: continue, and turn diagonally around walls beside the node
+            directions.push({ row: dRow, col: dCol });
+
+            if (dCol !== 0) {
+                if (!open(row + 1, col)) directions.push({ row: 1, col: dCol });
+                if (!open(row - 1, col)) directions.push({ row: -1, col: dCol });
+            } else {
+                if (!open(row, col + 1)) directions.push({ row: dRow, col: 1 });
+                if (!open(row, col - 1)) directions.push({ row: dRow, col: -1 });
+            }
+        } else {
+            // Straight without corner cutting: continue, turn sideways, and cut ahead diagonally
+            directions.push({ row: dRow, col: dCol });
+
+            const sides = dCol !== 0 ? [{ row: 1, col: 0 }, { row: -1, col: 0 }] : [{ row: 0, col: 1 }, { row: 0, col: -1 }];
+            for (const side of sides) {
+                directions.push(side);
+                directions.push({ row: dRow + side.row, col: dCol + side.col });
+            }
+        }
+
+        // Only keep moves the grid actually allows from this node
+        return directions.filter(direction => this.canStep(row, col, direction.row, direction.col));
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Check if a cell exists and isn't a wall
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the cell can be walked on
+     */
+    isWalkable(row, col) {
+        const node = this.grid.getNode(row, col);
+        return Boolean(node) && !node.isWall;
+    }
+
+    /**
+     * Check if a single move from a cell is allowed by the grid's movement rules
+     * @param {number} row - Row of the cell the move starts from
+     * @param {number} col - Column of the cell the move starts from
+     * @param {number} dRow - Row direction of the move
+     * @param {number} dCol - Column direction of the move
+     * @returns {boolean} True if the move is allowed
+     */
+    canStep(row, col, dRow, dCol) {
+        if (!this.isWalkable(row + dRow, col + dCol)) {
+            return false;
+        }
+
+        return this.grid.canMoveBetween(this.grid.getNode(row, col), this.grid.getNode(row + dRow, col + dCol));
+    }
+
+    /**
+     * Fill in the cells between consecutive jump points
+     * @param {Node[]} jumpPoints - Jump points on the path, from start to end
+     * @returns {Node[]} Every node on the path, linked through previousNode
+     */
+    expandJumpPath(jumpPoints) {
+        const path = jumpPoints.length > 0 ? [jumpPoints[0]] : [];
+
+        for (let i = 1; i < jumpPoints.length; i++) {
+            const from = jumpPoints[i - 1];
+            const to = jumpPoints[i];
+            const dRow = Math.sign(to.row - from.row);
+            const dCol = Math.sign(to.col - from.col);
+
+            let node = from;
+            while (node !== to) {
+                const next = this.grid.getNode(node.row + dRow, node.col + dCol);
+                next.previousNode = node;
+                path.push(next);
+                node = next;
+            }
+        }
+
+        return path;
+    }
+
+    /**
+     * JPS always uses the octile distance, which is also the exact length of a jump
+     * @param {Node} node - Current node
+     * @param {Node} endNode - Target node
+     * @returns {number} Octile distance between the nodes
+     */
+    calculateHeuristic(node, endNode) {
+        return Heuristics.calculate('octile', node, endNode);
+    }
+
+    /**
+     * Calculate the priority of a node: f = g + h
+     * @param {number} gScore - Cost from the start to the node
+     * @param {Node} node - The node
+     * @returns {number} The node's fScore
+     */
+    calculateFScore(gScore, node) {
+        return gScore + this.calculateGoalHeuristic(node);
+    }
+
+    /**
+     * JPS has no options, so there is nothing to describe
+     * @returns {Object[]} No badges
+     */
+    getOptionBadges() {
+        return [];
+    }
+
+    /**
+     * JPS only works on uniform-cost grids with 8-way movement and no one-way tiles
+     * @returns {string|null} Why JPS can't run on the current grid, or null if it can
+     */
+    getUnsupportedReason() {
+        if (!this.grid) {
+            return null;
+        }
+        if (this.grid.movementModel !== 'diagonal') {
+            return 'Jump Point Search needs 8-way movement. Switch Moves to 8-way to run it.';
+        }
+        if (this.grid.hasWeightedNodes()) {
+            return 'Jump Point Search only works when every tile costs the same. Remove the monster tiles or pick another algorithm.';
+        }
+        if (this.grid.hasOneWayTiles()) {
+            return 'Jump Point Search prunes moves assuming each one can be made in reverse. Remove the one-way tiles or pick another algorithm.';
+        }
+        return null;
+    }
+
+    /**
+     * Draw the jumps between expanded jump points, and the path through its jump points
+     * @returns {Object} Overlay lines for the grid view
+     */
+    getOverlay() {
+        return {
+            visitedSegments: this.jumpParents,
+            pathVertices: this.jumpPath
+        };
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Jump Point Search";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Jump Point Search speeds up A* on uniform-cost 8-way grids by jumping along straight and diagonal lines and only expanding the jump points where paths can branch. It still finds the shortest path.";
+    }
+
+    /**
+     * JPS has no options: its heuristic is fixed to the octile distance
+     * @returns {Object[]} No option definitions
+     */
+    static getOptionDefinitions() {
+        return [];
+    }
+}
+
+AlgorithmRegistry.register('jps', JumpPointSearchAlgorithm);
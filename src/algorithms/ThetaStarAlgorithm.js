@@ -0,0 +1,230 @@
+/**
+ * Implementation of Theta* for any-angle pathfinding
+ *
+ * Theta* is A* where a node may take its parent's parent as its own parent whenever the two
+ * can see each other. Paths are then made of straight segments at any angle instead of
+ * single-cell steps, so they look like a character walking straight across open ground.
+ *
+ * A segment costs its Euclidean length. Shortcuts only cross plain cells: a monster tile is
+ * still entered with a normal step that pays its weight, and a one-way tile with a step along its arrow.
+ */
+class ThetaStarAlgorithm extends AStarAlgorithm {
+    //=============================================================================
+    // INITIALIZATION
+    //=============================================================================
+
+    /**
+     * Create a new Theta* instance
+     * @param {Grid} grid - The grid to run the algorithm on
+     */
+    constructor(grid) {
+        super(grid);
+        this.segmentParents = new Map(); // Each visited node and the node its segment starts from
+        this.pathVertices = []; // Corners of the any-angle path
+    }
+
+    /**
+     * Initialize the algorithm before running
+     * @returns {boolean} True if initialization was successful
+     */
+    initialize() {
+        if (!super.initialize()) {
+            return false;
+        }
+
+        this.segmentParents = new Map();
+        this.pathVertices = [];
+
+        return true;
+    }
+
+    //=============================================================================
+    // ALGORITHM EXECUTION
+    //=============================================================================
+
+    /**
+     * Run Theta* to find an any-angle path
+     * @param {boolean} visualize - Whether to return visited nodes for visualization
+     * @returns {Object} Object containing visited nodes, path nodes and whether path was found
+     */
+    run(visualize = true) {
+        const result = super.run(visualize);
+
+        if (result.pathFound) {
+            // The parent links skip over cells; list the cells each segment crosses for the animation
+            this.pathVertices = result.path;
+            this.pathNodesInOrder = this.expandSegments(this.pathVertices);
+            result.path = this.pathNodesInOrder;
+        }
+
+        return result;
+    }
+
+    /**
+     * Record the segment that led to each visited node, for the overlay lines
+     * @param {Node} node - The node being visited
+     */
+    markNodeAsVisited(node) {
+        super.markNodeAsVisited(node);
+        this.segmentParents.set(node, node.previousNode);
+    }
+
+    /**
+     * Update neighbors of a node, connecting them straight to the node's parent when it can see them
+     * @param {Node} node - The current node
+     * @param {PriorityQueue} openSet - Priority queue of nodes to visit
+     */
+    updateNeighbors(node, openSet) {
+        const parent = node.previousNode;
+
+        for (const neighbor of this.grid.getNeighbors(node)) {
+            if (this.hasNodeBeenVisited(neighbor)) {
+                continue;
+            }
+
+            // Path 2: straight from the parent; path 1: the usual step from the current node
+            const shortcut = parent && this.canShortcut(parent, neighbor);
+            const from = shortcut ? parent : node;
+            const tentativeGScore = shortcut
+                ? parent.gScore + this.getSegmentLength(parent, neighbor)
+                : node.gScore + this.grid.getMoveCost(node, neighbor);
+
+            if (tentativeGScore < neighbor.gScore) {
+                neighbor.previousNode = from;
+                neighbor.gScore = tentativeGScore;
+                neighbor.fScore = this.calculateFScore(tentativeGScore, neighbor);
+
+                if (!neighbor.inOpenSet) {
+                    neighbor.inOpenSet = true;
+                    openSet.enqueue(neighbor);
+                } else {
+                    openSet.update(neighbor);
+                }
+            }
+        }
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Check if a node can be reached in one straight segment from another
+     * The line must clear every wall, and only leave and cross cells without monsters or arrows
+     * @param {Node} fromNode - Node the segment starts at
+     * @param {Node} toNode - Node the segment ends at
+     * @returns {boolean} True if the segment can be used
+     */
+    canShortcut(fromNode, toNode) {
+        if (fromNode.oneWay) return false;
+
+        const cells = this.grid.getCellsOnLine(fromNode, toNode);
+        return cells !== null && cells.every(cell => !cell.isWeighted && !cell.oneWay);
+    }
+
+    /**
+     * Get the length of a straight segment between two node centres
+     * @param {Node} fromNode - Node the segment starts at
+     * @param {Node} toNode - Node the segment ends at
+     * @returns {number} Euclidean distance between the nodes
+     */
+    getSegmentLength(fromNode, toNode) {
+        return Math.hypot(toNode.row - fromNode.row, toNode.col - fromNode.col);
+    }
+
+    /**
+     * List every cell the path's segments pass through
+     * @param {Node[]} vertices - Corners of the any-angle path, from start to end
+     * @returns {Node[]} The cells crossed, from start to end, linked through previousNode
+     */
+    expandSegments(vertices) {
+        const path = vertices.length > 0 ? [vertices[0]] : [];
+
+        for (let i = 1; i < vertices.length; i++) {
+            for (const cell of this.grid.getCellsOnLine(vertices[i - 1], vertices[i])) {
+                cell.previousNode = path[path.length - 1];
+                path.push(cell);
+            }
+        }
+
+        return path;
+    }
+
+    /**
+     * Theta* measures segments in straight lines, so it estimates with the Euclidean distance
+     * @param {Node} node - Current node
+     * @param {Node} endNode - Target node
+     * @returns {number} Euclidean distance between the nodes
+     */
+    calculateHeuristic(node, endNode) {
+        return Heuristics.calculate('euclidean', node, endNode);
+    }
+
+    /**
+     * Calculate the priority of a node: f = g + h
+     * @param {number} gScore - Cost from the start to the node
+     * @param {Node} node - The node
+     * @returns {number} The node's fScore
+     */
+    calculateFScore(gScore, node) {
+        return gScore + this.calculateGoalHeuristic(node);
+    }
+
+    /**
+     * Theta* has no options, so there is nothing to describe
+     * @returns {Object[]} No badges
+     */
+    getOptionBadges() {
+        return [];
+    }
+
+    /**
+     * The cost of an any-angle path is the cost Theta* found for the end node
+     * @param {Node[]} path - Nodes of the path, from start to end
+     * @returns {number} Total cost of the path's segments
+     */
+    getPathCost(path) {
+        return path.length > 0 ? path[path.length - 1].gScore : 0;
+    }
+
+    /**
+     * Draw the segment that reached each visited node, and the any-angle path itself
+     * @returns {Object} Overlay lines for the grid view
+     */
+    getOverlay() {
+        return {
+            visitedSegments: this.segmentParents,
+            pathVertices: this.pathVertices
+        };
+    }
+
+    //=============================================================================
+    // STATIC INFORMATION
+    //=============================================================================
+
+    /**
+     * Get the algorithm name
+     * @returns {string} The name of the algorithm
+     */
+    static getName() {
+        return "Theta*";
+    }
+
+    /**
+     * Get a description of the algorithm
+     * @returns {string} Description of the algorithm
+     */
+    static getDescription() {
+        return "Theta* is an any-angle version of A*: whenever a cell can see its parent's parent, it links to it directly. The path is made of straight segments that cut across open ground, like a character walking naturally.";
+    }
+
+    /**
+     * Theta* has no options: its heuristic is fixed to the Euclidean distance
+     * @returns {Object[]} No option definitions
+     */
+    static getOptionDefinitions() {
+        return [];
+    }
+}
+
+AlgorithmRegistry.register('theta-star', ThetaStarAlgorithm);
@@ -15,6 +15,100 @@ class GameController {
         this.visualizationControllers = Array.isArray(visualizationControllers) 
             ? visualizationControllers 
             : [visualizationControllers];
+        
+        // Tell each grid view which panel it belongs to
+        this._updateGridIndices();
+    }
+
+    //=============================================================================
+    // PANEL MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Add a comparison panel and copy the current layout of the first grid into it
+     * @param {Grid} grid - Grid model of the new panel
+     * @param {GridView} gridView - Grid view of the new panel
+     * @param {VisualizationController} visualizationController - Visualization controller of the new panel
+     * @returns {number} Index of the new panel
+     */
+    addPanel(grid, gridView, visualizationController) {
+        const sourceGrid = this.grids[0];
+        
+        // Start every panel from a clean slate so they stay comparable
+        this.resetVisualizationState();
+        
+        if (sourceGrid) {
+            // Match the size of the existing grids
+            if (grid.rows !== sourceGrid.rows || grid.cols !== sourceGrid.cols) {
+                grid.resize(sourceGrid.rows, sourceGrid.cols);
+                if (gridView) gridView.render();
+            }
+            
+            // Copy start, end, walls and weights from the first grid
+            this._synchronizeGrids([grid]);
+        }
+        
+        // New panels follow the speed, mode and drawing tool already used by the other panels
+        const referenceController = this.visualizationControllers.find(Boolean);
+        if (referenceController && visualizationController) {
+            visualizationController.mode = referenceController.mode;
+            visualizationController.currentSpeed = referenceController.currentSpeed;
+        }
+        
+        const referenceView = this.gridViews.find(Boolean);
+        if (referenceView && gridView) {
+            gridView.setCurrentTool(referenceView.currentTool);
+            gridView.setAnalysisMode(referenceView.analysisMode);
+        }
+        
+        this.grids.push(grid);
+        this.gridViews.push(gridView);
+        this.visualizationControllers.push(visualizationController);
+        this._updateGridIndices();
+        
+        if (gridView) gridView.update();
+        
+        return this.grids.length - 1;
+    }
+
+    /**
+     * Remove a comparison panel
+     * @param {number} index - Index of the panel to remove
+     * @returns {boolean} True if the panel was removed
+     */
+    removePanel(index) {
+        if (index < 0 || index >= this.grids.length) {
+            console.error(`GameController: No panel at index ${index}`);
+            return false;
+        }
+        
+        // Keep at least one panel so there is always a grid to edit
+        if (this.grids.length <= 1) {
+            console.warn("GameController: Cannot remove the last panel");
+            return false;
+        }
+        
+        // Stop the panel's visualization before dropping it
+        const visualizationController = this.visualizationControllers[index];
+        if (visualizationController) {
+            visualizationController.forceReset();
+        }
+        
+        this.grids.splice(index, 1);
+        this.gridViews.splice(index, 1);
+        this.visualizationControllers.splice(index, 1);
+        this._updateGridIndices();
+        
+        return true;
+    }
+
+    /**
+     * Find the panel index of a visualization controller
+     * @param {VisualizationController} visualizationController - Controller to look up
+     * @returns {number} Index of the panel or -1 if not found
+     */
+    getPanelIndex(visualizationController) {
+        return this.visualizationControllers.indexOf(visualizationController);
     }
 
     //=============================================================================
@@ -107,6 +201,9 @@ class GameController {
         
         // First, clear all existing start and end nodes from the DOM
         this.grids.forEach((grid, index) => {
+            // Extra goals go as well; update() below redraws their cells
+            grid.clearGoalNodes();
+            
             // Clear previous end node
             if (grid.endNode) {
                 const oldEndElement = document.getElementById(`${this.gridViews[index].gridContainerId}-node-${grid.endNode.row}-${grid.endNode.col}`);
@@ -194,10 +291,16 @@ class GameController {
             }
         });
         
-        // Clear walls, weighted nodes, and reset path for all grids
+        // Clear walls, weighted nodes, waypoints, and reset path for all grids
         this.grids.forEach((grid, index) => {
             // Clear walls
             grid.clearWalls();
+            grid.clearWaypoints();
+            grid.clearAgents();
+            grid.clearPatrols();
+            grid.clearKeysAndDoors();
+            grid.clearDanger();
+            grid.clearOneWay();
             
             // Clear weighted nodes separately
             for (let row = 0; row < grid.rows; row++) {
@@ -226,6 +329,142 @@ class GameController {
         if (prevStepBtn) prevStepBtn.disabled = true;
     }
 
+    /**
+     * Change how the agent may move on every grid
+     * @param {string} movementModel - 'cardinal' (4-way) or 'diagonal' (8-way)
+     * @param {boolean} allowCornerCutting - Whether diagonal moves may slip past the corner of a wall
+     * @returns {boolean} True if the movement model was changed
+     */
+    setMovementModel(movementModel, allowCornerCutting = false) {
+        if (movementModel !== 'cardinal' && movementModel !== 'diagonal') {
+            console.error(`Unknown movement model "${movementModel}"`);
+            return false;
+        }
+        
+        // Paths found with the old movement rules no longer apply
+        this.resetVisualizationState();
+        
+        const previousModel = this.grids[0].movementModel;
+        this.grids.forEach(grid => grid.setMovementModel(movementModel, allowCornerCutting));
+        
+        // Panels still using the old model's default heuristic switch to the new model's default
+        const previousDefault = Heuristics.getDefaultKey(previousModel);
+        this.visualizationControllers.forEach(controller => {
+            if (controller && controller.algorithm.getOption('heuristic') === previousDefault) {
+                controller.algorithm.setOption('heuristic', Heuristics.getDefaultKey(movementModel));
+            }
+        });
+        
+        this._updateAllGridViews();
+        return true;
+    }
+
+    /**
+     * Switch fog-of-war mode on every grid
+     * @param {number|null} sensorRadius - How many cells the agent sees around itself, or null to see the whole grid
+     * @returns {boolean} True if the sensor radius was changed
+     */
+    setSensorRadius(sensorRadius) {
+        if (sensorRadius !== null && !(sensorRadius > 0)) {
+            console.error(`Invalid sensor radius "${sensorRadius}"`);
+            return false;
+        }
+        
+        // Walks planned with the old view of the grid no longer apply
+        this.resetVisualizationState();
+        this.grids.forEach(grid => grid.setSensorRadius(sensorRadius));
+        
+        return true;
+    }
+
+    /**
+     * Choose the order routes visit waypoints in on every grid
+     * @param {string} waypointOrder - 'placed' (the order they were placed in) or 'tour' (the cheapest order)
+     * @returns {boolean} True if the waypoint order was changed
+     */
+    setWaypointOrder(waypointOrder) {
+        if (waypointOrder !== 'placed' && waypointOrder !== 'tour') {
+            console.error(`Unknown waypoint order "${waypointOrder}"`);
+            return false;
+        }
+        
+        // Routes planned in the old order no longer apply
+        this.resetVisualizationState();
+        this.grids.forEach(grid => grid.setWaypointOrder(waypointOrder));
+        
+        return true;
+    }
+
+    /**
+     * Choose how many of the cheapest paths every grid shows
+     * @param {number} routeCount - How many paths to show, 1 for just the algorithm's own
+     * @returns {boolean} True if the route count was changed
+     */
+    setRouteCount(routeCount) {
+        if (!Number.isInteger(routeCount) || routeCount < 1) {
+            console.error(`Invalid route count "${routeCount}"`);
+            return false;
+        }
+        
+        // Paths drawn for the old count no longer apply
+        this.resetVisualizationState();
+        this.grids.forEach(grid => grid.setRouteCount(routeCount));
+        
+        return true;
+    }
+
+    /**
+     * Choose how many rocks a path may blow up on every grid
+     * @param {number} bombCount - Bombs the agent carries, 0 for none
+     * @returns {boolean} True if the bomb count was changed
+     */
+    setBombCount(bombCount) {
+        if (!Number.isInteger(bombCount) || bombCount < 0) {
+            console.error(`Invalid bomb count "${bombCount}"`);
+            return false;
+        }
+        
+        // Paths planned with the old number of bombs no longer apply
+        this.resetVisualizationState();
+        this.grids.forEach(grid => grid.setBombCount(bombCount));
+        
+        return true;
+    }
+
+    /**
+     * Choose how much stamina monster tiles may drain from a path on every grid
+     * @param {number|null} staminaBudget - The budget, or null for no limit
+     * @returns {boolean} True if the stamina budget was changed
+     */
+    setStaminaBudget(staminaBudget) {
+        if (staminaBudget !== null && !(Number.isInteger(staminaBudget) && staminaBudget >= 0)) {
+            console.error(`Invalid stamina budget "${staminaBudget}"`);
+            return false;
+        }
+        
+        // Paths planned with the old budget no longer apply
+        this.resetVisualizationState();
+        this.grids.forEach(grid => grid.setStaminaBudget(staminaBudget));
+        
+        return true;
+    }
+
+    /**
+     * Show a distance heatmap over every grid, or hide it
+     * @param {string} mode - 'off', 'eccentricity', 'distance' (from the hovered cell) or 'diameter'
+     * @returns {string|null|false} Summary of the analysis (null when turned off), or false if the mode is invalid
+     */
+    setAnalysisMode(mode) {
+        if (!['off', 'eccentricity', 'distance', 'diameter'].includes(mode)) {
+            console.error(`Unknown analysis mode "${mode}"`);
+            return false;
+        }
+        
+        // Every grid has the same layout, so the first panel's summary describes them all
+        const summaries = this.gridViews.map(gridView => (gridView ? gridView.setAnalysisMode(mode) : null));
+        return summaries.find(summary => summary) || null;
+    }
+
     //=============================================================================
     // VISUALIZATION CONTROL
     //=============================================================================
@@ -422,10 +661,15 @@ class GameController {
         const weightPattern = [];
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
-                // Skip walls, start and end nodes
+                // Skip walls, start and end nodes, waypoints, agents, patrols, keys and doors
                 if (this.grids[0].nodes[row][col].isWall || 
                     this.grids[0].nodes[row][col].isStart || 
-                    this.grids[0].nodes[row][col].isEnd) {
+                    this.grids[0].nodes[row][col].isEnd ||
+                    this.grids[0].nodes[row][col].isWaypoint ||
+                    this.grids[0].nodes[row][col].agent ||
+                    this.grids[0].nodes[row][col].patrol ||
+                    this.grids[0].nodes[row][col].key ||
+                    this.grids[0].nodes[row][col].door) {
                     continue;
                 }
                 
@@ -482,7 +726,7 @@ class GameController {
      * @param {number} gridIndex - Index of the grid being modified
      * @param {number} row - The row of the node
      * @param {number} col - The column of the node
-     * @param {string} action - The action to perform ('wall', 'start', 'end', 'erase')
+     * @param {string} action - The action to perform ('wall', 'start', 'end', 'goal', 'waypoint', 'agent', 'patrol', 'key', 'door', 'danger', 'oneway', 'erase')
      * @param {number} customValue - Optional custom value for weighted nodes
      */
     handleNodeAction(gridIndex, row, col, action, customValue = null) {
@@ -532,9 +776,49 @@ class GameController {
                             grid.setEndNode(row, col);
                         }
                         break;
+                    case 'goal':
+                        // Toggle an extra goal tile; the last goal of a grid stays
+                        if (!grid.removeGoalNode(row, col)) {
+                            grid.addGoalNode(row, col);
+                        }
+                        break;
+                    case 'waypoint':
+                        // Toggle a waypoint; new ones are visited last
+                        if (!grid.removeWaypoint(row, col)) {
+                            grid.addWaypoint(row, col);
+                        }
+                        break;
+                    case 'agent':
+                        // Clicking an agent's cell removes the agent; otherwise place a start, then its goal
+                        if (!grid.removeAgent(row, col)) {
+                            grid.addAgentCell(row, col);
+                        }
+                        break;
+                    case 'patrol':
+                        // Clicking a patrol's cell removes the monster; otherwise place a monster, then where it turns back
+                        if (!grid.removePatrol(row, col)) {
+                            grid.addPatrolCell(row, col);
+                        }
+                        break;
+                    case 'key':
+                        // Each click turns the key to the next colour, then takes it away
+                        grid.cycleKey(row, col);
+                        break;
+                    case 'door':
+                        // Each click turns the door to the next colour, then takes it away
+                        grid.cycleDoor(row, col);
+                        break;
+                    case 'danger':
+                        // Each click raises the danger to the next level, then makes the tile safe again
+                        grid.cycleDanger(row, col);
+                        break;
+                    case 'oneway':
+                        // Each click turns the arrow clockwise from up to left, then makes the tile two-way again
+                        grid.cycleOneWay(row, col);
+                        break;
                     case 'weighted':
                         const weightedNode = grid.getNode(row, col);
-                        if (weightedNode && !weightedNode.isStart && !weightedNode.isEnd) {
+                        if (weightedNode && !weightedNode.isStart && !weightedNode.isEnd && !weightedNode.isWaypoint && !weightedNode.agent && !weightedNode.patrol && !weightedNode.key && !weightedNode.door) {
                             weightedNode.isWall = false; // Ensure it's not a wall
                             weightedNode.obstacleType = null; // Clear obstacle type
                             weightedNode.isWeighted = true; // Mark as weighted
@@ -548,12 +832,16 @@ class GameController {
                             node.obstacleType = null; // Clear obstacle type
                             node.isWeighted = false;
                             node.weight = 1;
+                            node.key = null;
+                            node.door = null;
+                            node.danger = 0;
+                            node.oneWay = null;
                         }
                         break;
                     // Add a special case for toggling walls
                     case 'toggleWall':
                         const toggleNode = grid.getNode(row, col);
-                        if (toggleNode && !toggleNode.isStart && !toggleNode.isEnd) {
+                        if (toggleNode && !toggleNode.isStart && !toggleNode.isEnd && !toggleNode.isWaypoint && !toggleNode.agent && !toggleNode.patrol && !toggleNode.key && !toggleNode.door) {
                             // If turning wall on, set type; if turning off, clear type
                             if (!toggleNode.isWall) {
                                 toggleNode.obstacleType = sharedObstacleType;
@@ -576,7 +864,7 @@ class GameController {
             }
         });
         
-        // Make sure both grid views are updated
+        // Make sure all grid views are updated
         this._updateAllGridViews();
     }
 
@@ -600,8 +888,29 @@ class GameController {
             cols: this.grids[0].cols,
             start: this.grids[0].startNode ? { row: this.grids[0].startNode.row, col: this.grids[0].startNode.col } : null,
             end: this.grids[0].endNode ? { row: this.grids[0].endNode.row, col: this.grids[0].endNode.col } : null,
+            goals: this.grids[0].goalNodes.map(node => ({ row: node.row, col: node.col })),
+            waypoints: this.grids[0].waypoints.map(node => ({ row: node.row, col: node.col })),
+            agents: this.grids[0].agents.map(agent => ({
+                start: { row: agent.start.row, col: agent.start.col },
+                goal: agent.goal ? { row: agent.goal.row, col: agent.goal.col } : null
+            })),
+            patrols: this.grids[0].patrols.map(patrol => ({
+                start: { row: patrol.start.row, col: patrol.start.col },
+                end: patrol.end ? { row: patrol.end.row, col: patrol.end.col } : null
+            })),
             walls: [],
-            weights: [] // Add array to store weighted nodes
+            weights: [], // Add array to store weighted nodes
+            keys: [],
+            doors: [],
+            dangers: [],
+            oneWays: [],
+            movementModel: this.grids[0].movementModel,
+            allowCornerCutting: this.grids[0].allowCornerCutting,
+            sensorRadius: this.grids[0].sensorRadius,
+            waypointOrder: this.grids[0].waypointOrder,
+            routeCount: this.grids[0].routeCount,
+            bombCount: this.grids[0].bombCount,
+            staminaBudget: this.grids[0].staminaBudget
         };
         
         // Save wall positions and weighted nodes
@@ -622,6 +931,18 @@ class GameController {
                         weight: node.weight
                     });
                 }
+                if (node.key) {
+                    gridData.keys.push({ row, col, color: node.key });
+                }
+                if (node.door) {
+                    gridData.doors.push({ row, col, color: node.door });
+                }
+                if (node.danger) {
+                    gridData.dangers.push({ row, col, danger: node.danger });
+                }
+                if (node.oneWay) {
+                    gridData.oneWays.push({ row, col, direction: node.oneWay });
+                }
             }
         }
         
@@ -678,6 +999,28 @@ class GameController {
                 });
             }
             
+            // Older saves have no movement model and keep the current one
+            if (gridData.movementModel) {
+                this.setMovementModel(gridData.movementModel, Boolean(gridData.allowCornerCutting));
+            }
+            
+            // Older saves have no fog-of-war setting and keep the current one
+            if (gridData.sensorRadius !== undefined) {
+                this.setSensorRadius(gridData.sensorRadius);
+            }
+            
+            // Older saves visit waypoints in the order placed
+            this.setWaypointOrder(gridData.waypointOrder || 'placed');
+            
+            // Older saves show just the algorithm's own path
+            this.setRouteCount(gridData.routeCount || 1);
+            
+            // Older saves carry no bombs
+            this.setBombCount(gridData.bombCount || 0);
+            
+            // Older saves have no stamina limit
+            this.setStaminaBudget(gridData.staminaBudget !== undefined ? gridData.staminaBudget : null);
+            
             // Set start and end nodes
             if (gridData.start) {
                 this.grids.forEach((grid, index) => {
@@ -691,6 +1034,38 @@ class GameController {
                 });
             }
             
+            // Older saves have a single goal and no waypoints, agents, patrols, keys, doors, dangerous or one-way tiles
+            (gridData.goals || []).forEach(goal => {
+                this.grids.forEach(grid => grid.addGoalNode(goal.row, goal.col));
+            });
+            (gridData.waypoints || []).forEach(waypoint => {
+                this.grids.forEach(grid => grid.addWaypoint(waypoint.row, waypoint.col));
+            });
+            (gridData.agents || []).forEach(agent => {
+                this.grids.forEach(grid => {
+                    grid.addAgentCell(agent.start.row, agent.start.col);
+                    if (agent.goal) grid.addAgentCell(agent.goal.row, agent.goal.col);
+                });
+            });
+            (gridData.patrols || []).forEach(patrol => {
+                this.grids.forEach(grid => {
+                    grid.addPatrolCell(patrol.start.row, patrol.start.col);
+                    if (patrol.end) grid.addPatrolCell(patrol.end.row, patrol.end.col);
+                });
+            });
+            (gridData.keys || []).forEach(key => {
+                this.grids.forEach(grid => grid.setKey(key.row, key.col, key.color));
+            });
+            (gridData.doors || []).forEach(door => {
+                this.grids.forEach(grid => grid.setDoor(door.row, door.col, door.color));
+            });
+            (gridData.dangers || []).forEach(tile => {
+                this.grids.forEach(grid => grid.setDanger(tile.row, tile.col, tile.danger));
+            });
+            (gridData.oneWays || []).forEach(tile => {
+                this.grids.forEach(grid => grid.setOneWay(tile.row, tile.col, tile.direction));
+            });
+            
             // Set walls with obstacle types
             for (const wall of gridData.walls) {
                 this.grids.forEach((grid, index) => {
@@ -782,39 +1157,71 @@ class GameController {
     }
 
     /**
-     * Synchronize all grids with the first grid's pattern
+     * Synchronize grids with the first grid's pattern
+     * @param {Grid[]} targetGrids - Grids to update (defaults to every grid after the first)
      * @private
      */
-    _synchronizeGrids() {
-        // Get the updated start, end, and wall positions from the first grid
-        const startRow = this.grids[0].startNode.row;
-        const startCol = this.grids[0].startNode.col;
-        const endRow = this.grids[0].endNode.row;
-        const endCol = this.grids[0].endNode.col;
-        
-        // Collect wall positions from the first grid
+    _synchronizeGrids(targetGrids = this.grids.slice(1)) {
+        const sourceGrid = this.grids[0];
+        
+        // Collect wall and weight positions from the first grid
         const wallPattern = [];
-        for (let row = 0; row < this.grids[0].rows; row++) {
-            for (let col = 0; col < this.grids[0].cols; col++) {
-                    const node = this.grids[0].getNode(row, col);
+        const weightPattern = [];
+        for (let row = 0; row < sourceGrid.rows; row++) {
+            for (let col = 0; col < sourceGrid.cols; col++) {
+                const node = sourceGrid.getNode(row, col);
                 if (node.isWall) {
-                    // Save wall position and assign a random obstacle type
-                    wallPattern.push({ 
-                        row, 
-                        col, 
-                        obstacleType: Math.random() < 0.5 ? 1 : 2 
-                    });
+                    // Pick the obstacle type once so the same rock shows in every panel
+                    if (!node.obstacleType) {
+                        node.obstacleType = Math.random() < 0.5 ? 1 : 2;
+                    }
+                    wallPattern.push({ row, col, obstacleType: node.obstacleType });
+                } else if (node.isWeighted) {
+                    weightPattern.push({ row, col, weight: node.weight });
                 }
             }
         }
         
-        // Apply the same pattern to all other grids
-        for (let i = 1; i < this.grids.length; i++) {
-            const grid = this.grids[i];
+        // Apply the same pattern to the target grids
+        targetGrids.forEach(grid => {
+            // Use the same movement rules
+            grid.setMovementModel(sourceGrid.movementModel, sourceGrid.allowCornerCutting);
+            grid.setSensorRadius(sourceGrid.sensorRadius);
+            grid.setWaypointOrder(sourceGrid.waypointOrder);
+            grid.setRouteCount(sourceGrid.routeCount);
+            grid.setBombCount(sourceGrid.bombCount);
+            grid.setStaminaBudget(sourceGrid.staminaBudget);
             
             // Set the same start and end positions
-            grid.setStartNode(startRow, startCol);
-            grid.setEndNode(endRow, endCol);
+            if (sourceGrid.startNode) {
+                grid.setStartNode(sourceGrid.startNode.row, sourceGrid.startNode.col);
+            }
+            if (sourceGrid.endNode) {
+                grid.setEndNode(sourceGrid.endNode.row, sourceGrid.endNode.col);
+            }
+            grid.clearGoalNodes();
+            sourceGrid.goalNodes.forEach(goal => grid.addGoalNode(goal.row, goal.col));
+            grid.clearWaypoints();
+            sourceGrid.waypoints.forEach(waypoint => grid.addWaypoint(waypoint.row, waypoint.col));
+            grid.clearAgents();
+            sourceGrid.agents.forEach(agent => {
+                grid.addAgentCell(agent.start.row, agent.start.col);
+                if (agent.goal) grid.addAgentCell(agent.goal.row, agent.goal.col);
+            });
+            grid.clearPatrols();
+            sourceGrid.patrols.forEach(patrol => {
+                grid.addPatrolCell(patrol.start.row, patrol.start.col);
+                if (patrol.end) grid.addPatrolCell(patrol.end.row, patrol.end.col);
+            });
+            grid.clearKeysAndDoors();
+            sourceGrid.nodes.forEach(nodes => nodes.forEach(node => {
+                if (node.key) grid.setKey(node.row, node.col, node.key);
+                if (node.door) grid.setDoor(node.row, node.col, node.door);
+                
+                // Copied as is, since the target grid may still have rocks where the source has none
+                grid.getNode(node.row, node.col).danger = node.danger;
+                grid.getNode(node.row, node.col).oneWay = node.oneWay;
+            }));
             
             // Apply walls with the same pattern
             wallPattern.forEach(wall => {
@@ -824,12 +1231,31 @@ class GameController {
                     node.obstacleType = wall.obstacleType;
                 }
             });
-        }
+            
+            // Apply weighted nodes with the same values
+            weightPattern.forEach(item => {
+                const node = grid.getNode(item.row, item.col);
+                if (node && !node.isWall && !node.isStart && !node.isEnd) {
+                    node.isWeighted = true;
+                    node.weight = item.weight;
+                }
+            });
+        });
         
         // Update all grid views
         this._updateAllGridViews();
     }
     
+    /**
+     * Keep each grid view's index in sync with its position in the panel list
+     * @private
+     */
+    _updateGridIndices() {
+        this.gridViews.forEach((gridView, index) => {
+            if (gridView) gridView.gridIndex = index;
+        });
+    }
+    
     /**
      * Save all weighted nodes from the first grid
      * @returns {Array} Array of saved weighted node information
@@ -2,6 +2,18 @@
  * Controller for visualization of pathfinding algorithms
  */
 class VisualizationController {
+    // Setups that take the search over, in the order startVisualization() gives them precedence.
+    // label describes the setup when it is in charge, ignored what happens to it when another one is
+    static SEARCH_MODES = [
+        { key: 'agents', label: 'several agents are placed', ignored: 'the extra agents are left out', isOn: grid => grid.agents.some(agent => agent.goal) },
+        { key: 'patrols', label: 'monsters patrol', ignored: 'monster patrols are ignored', isOn: grid => grid.patrols.length > 0 },
+        { key: 'fog', label: 'fog of war is on', ignored: 'the whole map is known', isOn: grid => grid.sensorRadius !== null },
+        { key: 'waypoints', label: 'waypoints are placed', ignored: 'waypoints are skipped', isOn: grid => grid.waypoints.length > 0 },
+        { key: 'keys', label: 'keys or doors are placed', ignored: 'every door stays shut', isOn: grid => grid.hasKeysOrDoors() },
+        { key: 'bombs', label: 'the path carries bombs', ignored: 'every rock stays standing', isOn: grid => grid.bombCount > 0 },
+        { key: 'stamina', label: 'a stamina budget is set', ignored: 'stamina is unlimited', isOn: grid => grid.staminaBudget !== null }
+    ];
+
     /**
      * Create a new VisualizationController
      * @param {Grid} grid - The grid model
@@ -17,7 +29,18 @@ class VisualizationController {
         this.algorithm = algorithm || new DijkstraAlgorithm(grid);
         this.elementIds = {
             visitedCountId: elementIds.visitedCountId || 'visited-count',
-            pathLengthId: elementIds.pathLengthId || 'path-length'
+            pathLengthId: elementIds.pathLengthId || 'path-length',
+            pathCostId: elementIds.pathCostId || null,
+            pathDistanceId: elementIds.pathDistanceId || null,
+            goalId: elementIds.goalId || null,
+            legsId: elementIds.legsId || null,
+            altPathId: elementIds.altPathId || null,
+            bombsId: elementIds.bombsId || null,
+            staminaId: elementIds.staminaId || null,
+            paretoId: elementIds.paretoId || null,
+            algorithmSelectId: elementIds.algorithmSelectId || null,
+            warningId: elementIds.warningId || null,
+            optionsId: elementIds.optionsId || null
         };
         
         // Visualization state
@@ -28,6 +51,28 @@ class VisualizationController {
         this.visitedNodesInOrder = [];
         this.pathNodesInOrder = [];
         this.pathFound = false;
+        this.pathCost = null; // Cost of the path found by this panel's algorithm
+        this.pathDistance = null; // Straight-line length of the path, following its any-angle segments if it has them
+        this.optimalCost = null; // Cost of the shortest path, found by Dijkstra
+        this.reachedGoal = null; // The goal tile the path ends at, when the grid has several
+        this.unsupportedReason = null; // Why the algorithm refused to run on this grid, if it did
+        this.overlay = null; // Lines the algorithm draws over the grid, if any
+        this.exploration = null; // The agent's walk when the grid is under fog of war, see FogOfWarExplorer
+        this.waypointRoute = null; // Planner of the route through the grid's waypoints, see WaypointRoute
+        this.route = null; // Legs of that route from the latest run, null without waypoints
+        this.tour = null; // Cheapest waypoint order when the grid asks for one, see WaypointTour
+        this.alternatives = null; // Cheapest paths drawn next to the found one when the grid asks for several, see KShortestPaths
+        this.agentPlan = null; // Collision-free paths of every agent when the grid has extra agents, see ConflictBasedSearch
+        this.patrolPlanner = null; // Space-time planner around the grid's monster patrols, see PatrolPlanner
+        this.patrolPlan = null; // The path around moving monsters when the grid has patrols
+        this.keyGrid = null; // (cell, keys held) states searched when the grid has keys or doors, see KeyStateGrid
+        this.keySearch = null; // The states that search expanded and walked, with the algorithm that searched them
+        this.bombGrid = null; // (cell, bombs used) states searched when the path may blow up rocks, see BombStateGrid
+        this.bombSearch = null; // Like keySearch, plus the path the algorithm finds without bombs to compare with
+        this.staminaGrid = null; // (cell, stamina drained) states searched when monsters drain a stamina budget, see StaminaStateGrid
+        this.staminaSearch = null; // Like keySearch, plus the path the algorithm finds with no budget to compare with
+        this.pareto = null; // Routes trading cost against danger when the grid has dangerous tiles, see ParetoRoutes
+        this.selectedParetoRoute = null; // Index of the route picked from the Pareto chart, null until one is
         
         // Speed configuration
         this.speed = {
@@ -76,14 +121,88 @@ class VisualizationController {
         this.isVisualizing = true;
         this.uiView.setGridInteractionsDisabled(true);
         
-        // Run algorithm to find path
-        const result = this.algorithm.run(true);
+        // Run algorithm to find path, unless it can't handle this grid
+        let result;
+        this.alternatives = null;
+        this.pareto = null;
+        this.selectedParetoRoute = null;
+        this.agentPlan = null;
+        this.patrolPlan = null;
+        this.keySearch = null;
+        this.bombSearch = null;
+        this.staminaSearch = null;
+        const mode = this.getSearchMode();
+        const modeKey = mode ? mode.key : null;
+        if (modeKey !== 'fog') {
+            this.exploration = null;
+        }
+        if (modeKey !== 'waypoints') {
+            this.route = null;
+            this.tour = null;
+        }
+        if (modeKey === 'agents') {
+            // Several agents are planned together so that none of them collide
+            result = this._runAgents();
+        } else if (modeKey === 'patrols') {
+            // Moving monsters make the search time-aware, so it plans around where they will be
+            result = this._runPatrols();
+        } else if (modeKey === 'fog') {
+            // Under fog of war the algorithm only plans; the agent walks and replans
+            result = this._runExploration();
+        } else if (modeKey === 'waypoints') {
+            // Waypoints turn the search into a chain of searches, one per leg
+            result = this._runWaypointRoute();
+        } else if (modeKey === 'keys') {
+            // Doors open only with their keys, so the search runs over (cell, keys held) states
+            result = this._runKeySearch();
+        } else if (modeKey === 'bombs') {
+            // Rocks may be blown up while bombs are left, so the search runs over (cell, bombs used) states
+            result = this._runBombSearch();
+        } else if (modeKey === 'stamina') {
+            // Monsters drain a limited budget, so the search runs over (cell, stamina drained) states
+            result = this._runStaminaSearch();
+        } else {
+            this.unsupportedReason = this.algorithm.getUnsupportedReason();
+            result = this.unsupportedReason
+                ? { visited: [], path: [], pathFound: false }
+                : this.algorithm.run(true);
+            this.overlay = this.unsupportedReason ? null : this.algorithm.getOverlay();
+            
+            // The cheapest few paths, to compare the algorithm's path with
+            if (!this.unsupportedReason && this.grid.routeCount > 1) {
+                this.alternatives = new KShortestPaths(this.grid, this.grid.routeCount);
+            }
+            
+            // The routes that trade cost against danger, to pick from in the chart
+            if (!this.unsupportedReason && this.grid.hasDanger()) {
+                this.pareto = new ParetoRoutes(this.grid);
+            }
+        }
         this.visitedNodesInOrder = result.visited;
         this.pathNodesInOrder = result.path;
         this.pathFound = result.pathFound;
+        this.pathCost = this.pathFound ? this.calculatePathCost() : null;
+        this.pathDistance = this.pathFound ? this.calculatePathDistance() : null;
+        this.optimalCost = this.pathFound ? this.calculateOptimalCost() : null;
+        this.reachedGoal = this.pathFound && !this.agentPlan ? this.pathNodesInOrder[this.pathNodesInOrder.length - 1] : null;
         
         // Update stats
-        this.updateStats(this.visitedNodesInOrder.length, this.pathNodesInOrder.length);
+        this.updateStats(this.visitedNodesInOrder.length, this.pathNodesInOrder.length, this.pathCost, this.pathDistance, this.reachedGoal);
+        this.updateLegStats();
+        this.updateRouteStats();
+        this.updateBombStats();
+        this.updateStaminaStats();
+        this.updateParetoChart();
+        
+        // Tell the user if the algorithm ignored part of the grid (e.g. monster weights)
+        this.updateWarnings();
+        
+        // Badges can describe the run itself (e.g. how much of the search D* Lite repaired)
+        this.uiView.updateAlgorithmOptionBadges(this);
+        
+        if (this.unsupportedReason && window.Toast) {
+            window.Toast.error(`${this.algorithm.constructor.getName()}: ${this.unsupportedReason}`);
+        }
         
         if (this.mode === 'auto') {
             await this._handleAutoVisualization();
@@ -98,35 +217,51 @@ class VisualizationController {
      */
     async _handleAutoVisualization() {
             // Auto mode: animate the visualization
-            await this.gridView.visualize(
-                this.visitedNodesInOrder, 
-                this.pathNodesInOrder, 
-                this.speed[this.currentSpeed]
-            );
+            if (this.agentPlan) {
+                await this.gridView.visualizeAgents(this.agentPlan.paths, this.speed[this.currentSpeed]);
+            } else if (this.patrolPlan) {
+                await this.gridView.visualizePatrols(this.patrolPlan, this.speed[this.currentSpeed]);
+            } else if (this.exploration) {
+                await this.gridView.visualizeExploration(this.exploration.timeline, this.speed[this.currentSpeed]);
+            } else {
+                await this.gridView.visualize(
+                    this.visitedNodesInOrder, 
+                    this.pathNodesInOrder, 
+                    this.speed[this.currentSpeed],
+                    this.overlay,
+                    this.route ? this.route.pathLegs : null,
+                    this.getVisitedLayers()
+                );
+                this.drawAlternativePaths();
+                this.drawParetoRoute();
+            }
             
             // After animation is complete, show the "no path found" toast if needed
-            // and if this is the Dijkstra algorithm (to avoid duplicate toasts)
-            if (!this.pathFound && window.Toast && this.algorithm instanceof DijkstraAlgorithm) {
+            // and only from the first panel that ran its algorithm (to avoid duplicate toasts)
+            const controllers = this.getPeerControllers();
+            const firstRunController = controllers.find(controller => !controller.unsupportedReason);
+            const noPathReason = this.pathFound ? null : this.getNoPathReason();
+            if (noPathReason && window.Toast) {
+                window.Toast.error(`${this.algorithm.constructor.getName()}: ${noPathReason}`);
+            } else if (!this.pathFound && window.Toast && this === firstRunController) {
                 window.Toast.error('No possible path found to destination');
             }
             
             // Mark this algorithm as done, but don't re-enable UI yet
             this.isVisualizing = false;
             
-            // Check if both algorithms have finished
-            if (window.dijkstraController && window.astarController) {
-                const bothFinished = this.checkIfBothAlgorithmsFinished();
+            // Check if all algorithms have finished
+            const allFinished = this.checkIfAllAlgorithmsFinished();
+            
+            // If not all algorithms have finished, check if we need to re-enable UI
+            if (!allFinished) {
+                const othersVisualizing = controllers.some(controller => 
+                    controller !== this && controller.isVisualizing
+                );
                 
-            // If both algorithms haven't finished, check if we need to re-enable UI
-                if (!bothFinished) {
-                    const otherController = this === window.dijkstraController 
-                        ? window.astarController 
-                        : window.dijkstraController;
-                    
-                    if (!otherController.isVisualizing) {
-                    // Both are not visualizing, so re-enable UI
-                        this.enableAllUIElements();
-                    }
+                if (!othersVisualizing) {
+                    // No panel is visualizing anymore, so re-enable UI
+                    this.enableAllUIElements();
                 }
             }
     }
@@ -138,7 +273,18 @@ class VisualizationController {
     _handleStepVisualization() {
             // Step mode: prepare for stepping
             this.currentStep = -1;
-            this.maxStep = this.visitedNodesInOrder.length - 1;
+            if (this.agentPlan) {
+                this.maxStep = this.agentPlan.makespan;
+            } else if (this.patrolPlan) {
+                // Without a path the monsters still walk one round of their patrols
+                this.maxStep = this.patrolPlan.pathFound
+                    ? this.patrolPlan.path.length - 1
+                    : Math.max(0, ...this.patrolPlan.monsterPaths.map(path => path.length - 1));
+            } else {
+                this.maxStep = this.exploration
+                    ? this.exploration.timeline.length - 1
+                    : this.visitedNodesInOrder.length - 1;
+            }
             
             // Enable step controls but disable the Previous Step button initially
             this.uiView.setStepControlsEnabled(true);
@@ -149,18 +295,13 @@ class VisualizationController {
             // Take the single step
                 this.nextStep();
             
-            // Check if both algorithms have completed
-                if (window.dijkstraController && window.astarController) {
-                    const dijkstraFinished = window.dijkstraController.currentStep >= window.dijkstraController.maxStep;
-                    const astarFinished = window.astarController.currentStep >= window.astarController.maxStep;
-                    
-                    if (dijkstraFinished && astarFinished) {
-                        this.disableNextStepButton();
-                    }
+            // Check if all algorithms have completed
+                if (this.getPeerControllers().every(controller => controller.currentStep >= controller.maxStep)) {
+                    this.disableNextStepButton();
                 }
                 
                 // If there are no steps to take, set isVisualizing to false
-                if (this.visitedNodesInOrder.length <= 1) {
+                if (this.maxStep <= 0) {
                     this.isVisualizing = false;
                 }
             } else {
@@ -172,6 +313,49 @@ class VisualizationController {
         }
     }
 
+    /**
+     * Replace the algorithm used by this panel with a registered one
+     * @param {string} key - Key the algorithm was registered under in AlgorithmRegistry
+     * @returns {boolean} True if the algorithm was changed
+     */
+    setAlgorithm(key) {
+        if (this.isVisualizing) return false;
+        
+        const algorithm = AlgorithmRegistry.create(key, this.grid);
+        if (!algorithm) return false;
+        
+        // Clear the previous algorithm's results before switching
+        this.resetPathVisualization();
+        this.algorithm = algorithm;
+        
+        return true;
+    }
+
+    /**
+     * Change one of the current algorithm's options (e.g. the A* heuristic)
+     * @param {string} key - Option key from the algorithm's getOptionDefinitions()
+     * @param {*} value - New value for the option
+     * @returns {boolean} True if the option was changed
+     */
+    setAlgorithmOption(key, value) {
+        if (this.isVisualizing) return false;
+        
+        if (!this.algorithm.setOption(key, value)) return false;
+        
+        // Results from the previous setting no longer match the algorithm
+        this.resetPathVisualization();
+        
+        return true;
+    }
+
+    /**
+     * Get the key of the algorithm currently used by this panel
+     * @returns {string|null} The registered key or null if the algorithm isn't registered
+     */
+    getAlgorithmKey() {
+        return AlgorithmRegistry.getKey(this.algorithm);
+    }
+
     /**
      * Set the visualization mode
      * @param {string} mode - The mode to set ('auto' or 'step')
@@ -185,17 +369,14 @@ class VisualizationController {
         // Reset visualizations and ensure clean state
         this.resetPathVisualization();
         
-        // Reset both controllers for consistency
-        if (window.dijkstraController && window.astarController) {
-            if (this !== window.dijkstraController) {
-                window.dijkstraController.resetPathVisualization();
+        // Reset every panel's controller for consistency
+        this.getPeerControllers().forEach(controller => {
+            if (controller !== this) {
+                controller.resetPathVisualization();
             }
-            if (this !== window.astarController) {
-                window.astarController.resetPathVisualization();
-            }
-            
-            this.enableNextStepButton();
-        }
+        });
+        
+        this.enableNextStepButton();
         
         // Show toast notification when switching to auto mode from step mode
         if (previousMode === 'step' && mode === 'auto' && window.Toast) {
@@ -232,21 +413,16 @@ class VisualizationController {
         this.algorithm.stop();
         this.isVisualizing = false;
         
-        // Check if both algorithms have finished before re-enabling UI
-        if (window.dijkstraController && window.astarController) {
-            // If the other algorithm is still visualizing, don't re-enable all UI elements yet
-            const otherController = this === window.dijkstraController 
-                ? window.astarController 
-                : window.dijkstraController;
-                
-            if (!otherController.isVisualizing) {
-                this.enableAllUIElements();
-            }
+        // If another algorithm is still visualizing, don't re-enable all UI elements yet
+        const othersVisualizing = this.getPeerControllers().some(controller => 
+            controller !== this && controller.isVisualizing
+        );
             
-            this.checkIfBothAlgorithmsFinished();
-        } else {
+        if (!othersVisualizing) {
             this.enableAllUIElements();
         }
+        
+        this.checkIfAllAlgorithmsFinished();
     }
 
     //=============================================================================
@@ -262,32 +438,20 @@ class VisualizationController {
         
         // If already at max step, don't continue
         if (this.currentStep >= this.maxStep) {
-            // Check if both algorithms are at their end
-            if (window.dijkstraController && window.astarController) {
-                const dijkstraFinished = window.dijkstraController.currentStep >= window.dijkstraController.maxStep;
-                const astarFinished = window.astarController.currentStep >= window.astarController.maxStep;
-                
-                if (dijkstraFinished && astarFinished) {
-                    this.disableNextStepButton();
-                }
+            // Check if all algorithms are at their end
+            if (this.getPeerControllers().every(controller => controller.currentStep >= controller.maxStep)) {
+                this.disableNextStepButton();
             }
             return;
         }
         
         this.currentStep++;
-        this.algorithm.updateProgress(this.currentStep);
-        
-        // Update visited nodes count in real-time
-        const visitedCountElement = document.getElementById(this.elementIds.visitedCountId);
-        if (visitedCountElement) {
-            const visitedCount = Math.min(this.currentStep + 1, this.visitedNodesInOrder.length);
-            visitedCountElement.textContent = visitedCount;
-        }
+        this._showStepProgress();
         
         // If we've reached the end node, show the path
         if (this.currentStep === this.maxStep) {
             this.showPath();
-            this.checkIfBothAlgorithmsFinished();
+            this.checkIfAllAlgorithmsFinished();
         }
         
         // After the first step, enable the Previous Step button
@@ -295,7 +459,7 @@ class VisualizationController {
             this.disablePrevStepButton(false);
         }
         
-        this.gridView.update();
+        this.renderStep();
     }
 
     /**
@@ -310,16 +474,24 @@ class VisualizationController {
             pathLengthElement.textContent = '0';
         }
         
-        this.currentStep--;
-        this.algorithm.updateProgress(this.currentStep);
+        const pathCostElement = document.getElementById(this.elementIds.pathCostId);
+        if (pathCostElement) {
+            pathCostElement.textContent = '0';
+        }
         
-        // Update visited nodes count in real-time
-        const visitedCountElement = document.getElementById(this.elementIds.visitedCountId);
-        if (visitedCountElement) {
-            const visitedCount = Math.min(this.currentStep + 1, this.visitedNodesInOrder.length);
-            visitedCountElement.textContent = visitedCount;
+        const pathDistanceElement = document.getElementById(this.elementIds.pathDistanceId);
+        if (pathDistanceElement) {
+            pathDistanceElement.textContent = '0';
         }
         
+        const goalElement = document.getElementById(this.elementIds.goalId);
+        if (goalElement) {
+            goalElement.textContent = '-';
+        }
+        
+        this.currentStep--;
+        this._showStepProgress();
+        
         // If we had the path shown, hide it now
         for (const node of this.pathNodesInOrder) {
             node.isPath = false;
@@ -331,23 +503,93 @@ class VisualizationController {
         }
         
         // Re-enable Next Step button if we're stepping back
-        if (window.dijkstraController && window.astarController) {
-            this.enableNextStepButton();
+        this.enableNextStepButton();
+        
+        this.renderStep();
+    }
+
+    /**
+     * Draw the grid as it is at the current step
+     * A fog-of-war walk is replayed up to the current event instead of drawn from node flags
+     */
+    renderStep() {
+        if (this.agentPlan) {
+            this.gridView.renderAgents(this.agentPlan.paths, this.currentStep);
+            return;
+        }
+        if (this.patrolPlan) {
+            this.gridView.renderPatrols(this.patrolPlan, this.currentStep);
+            return;
+        }
+        if (this.exploration) {
+            this.gridView.renderExploration(this.exploration.timeline, this.currentStep);
+            return;
         }
         
         this.gridView.update();
+        this.updateOverlay();
+        
+        // The cheapest paths appear with the found one, at the last step, while a route picked from
+        // the Pareto chart stays in view throughout
+        const hasAlternatives = this.alternatives && this.alternatives.paths.length > 0;
+        if (hasAlternatives || this.selectedParetoRoute !== null) {
+            if (!this.overlay) {
+                this.gridView.clearOverlay();
+            }
+            if (hasAlternatives && this.currentStep >= this.maxStep) {
+                this.drawAlternativePaths();
+            }
+            this.drawParetoRoute();
+        }
+    }
+
+    /**
+     * Mark the nodes visited up to the current step and show how many there are
+     * @private
+     */
+    _showStepProgress() {
+        let visitedCount;
+        if (this.agentPlan || this.patrolPlan) {
+            // The time steps replay a plan that was searched in full beforehand
+            visitedCount = this.visitedNodesInOrder.length;
+        } else if (this.exploration) {
+            // Count the nodes expanded by the plans made so far
+            visitedCount = this.exploration.timeline
+                .slice(0, this.currentStep + 1)
+                .reduce((count, event) => count + (event.type === 'plan' ? event.visited.length : 0), 0);
+        } else {
+            if (this.route) {
+                this.waypointRoute.updateProgress(this.route, this.currentStep);
+            } else if (this.keySearch) {
+                this.keyGrid.updateProgress(this.keySearch.visitedStates, this.currentStep);
+            } else if (this.bombSearch) {
+                this.bombGrid.updateProgress(this.bombSearch.visitedStates, this.currentStep);
+            } else if (this.staminaSearch) {
+                this.staminaGrid.updateProgress(this.staminaSearch.visitedStates, this.currentStep);
+            } else {
+                this.algorithm.updateProgress(this.currentStep);
+            }
+            visitedCount = Math.min(this.currentStep + 1, this.visitedNodesInOrder.length);
+        }
+        
+        // Update visited nodes count in real-time
+        const visitedCountElement = document.getElementById(this.elementIds.visitedCountId);
+        if (visitedCountElement) {
+            visitedCountElement.textContent = visitedCount;
+        }
     }
 
     /**
      * Show the final path in step-by-step mode
      */
     showPath() {
-        // Mark path nodes
-        for (const node of this.pathNodesInOrder) {
+        // Mark path nodes, with the leg of a waypoint route each one belongs to
+        this.pathNodesInOrder.forEach((node, i) => {
             if (!node.isStart && !node.isEnd) {
                 node.isPath = true;
+                node.pathLeg = this.route ? this.route.pathLegs[i] : null;
             }
-        }
+        });
         
         // Update path length
         const pathLengthElement = document.getElementById(this.elementIds.pathLengthId);
@@ -357,14 +599,27 @@ class VisualizationController {
             pathLengthElement.textContent = pathLength;
         }
         
-        // Check if both algorithms have completed their paths and re-enable UI if needed
-        if (window.dijkstraController && window.astarController) {
-            const dijkstraFinished = window.dijkstraController.currentStep >= window.dijkstraController.maxStep;
-            const astarFinished = window.astarController.currentStep >= window.astarController.maxStep;
-            
-            if (dijkstraFinished && astarFinished) {
-                this.enableAllUIElements();
-            }
+        // Update path cost
+        const pathCostElement = document.getElementById(this.elementIds.pathCostId);
+        if (pathCostElement) {
+            pathCostElement.textContent = this.formatPathCost(this.pathCost);
+        }
+        
+        // Update path distance
+        const pathDistanceElement = document.getElementById(this.elementIds.pathDistanceId);
+        if (pathDistanceElement) {
+            pathDistanceElement.textContent = this.formatPathDistance(this.pathDistance);
+        }
+        
+        // Update reached goal
+        const goalElement = document.getElementById(this.elementIds.goalId);
+        if (goalElement) {
+            goalElement.textContent = this.formatReachedGoal(this.reachedGoal);
+        }
+        
+        // Check if all algorithms have completed their paths and re-enable UI if needed
+        if (this.getPeerControllers().every(controller => controller.currentStep >= controller.maxStep)) {
+            this.enableAllUIElements();
         }
     }
 
@@ -384,13 +639,9 @@ class VisualizationController {
         // Reset visualization state flag
         this.isVisualizing = false;
         
-        // Check if both algorithms have finished before re-enabling UI
-        if (window.dijkstraController && window.astarController) {
-            // Only re-enable UI if both algorithms are done or being reset
-            if (!window.dijkstraController.isVisualizing && !window.astarController.isVisualizing) {
-                this.uiView.setGridInteractionsDisabled(false);
-            }
-        } else {
+        // Check if all algorithms have finished before re-enabling UI
+        // Only re-enable UI if every algorithm is done or being reset
+        if (!this.getPeerControllers().some(controller => controller.isVisualizing)) {
             this.uiView.setGridInteractionsDisabled(false);
         }
         
@@ -407,7 +658,7 @@ class VisualizationController {
                         node.isPath = false;
                         node.isCurrent = false;
                         
-                        // Clear DOM element classes for both algorithm grids
+                        // Clear DOM element classes for every panel's grid
                         this._clearNodeVisualClasses(row, col);
                     }
                 }
@@ -419,9 +670,32 @@ class VisualizationController {
         this.maxStep = -1;
         this.visitedNodesInOrder = [];
         this.pathNodesInOrder = [];
+        this.pathCost = null;
+        this.pathDistance = null;
+        this.optimalCost = null;
+        this.reachedGoal = null;
+        this.unsupportedReason = null;
+        this.overlay = null;
+        this.exploration = null;
+        this.route = null;
+        this.tour = null;
+        this.alternatives = null;
+        this.agentPlan = null;
+        this.patrolPlan = null;
+        this.keySearch = null;
+        this.bombSearch = null;
+        this.staminaSearch = null;
+        this.pareto = null;
+        this.selectedParetoRoute = null;
         
         // Reset stats display
         this.updateStats(0, 0);
+        this.updateLegStats();
+        this.updateRouteStats();
+        this.updateBombStats();
+        this.updateStaminaStats();
+        this.updateParetoChart();
+        this.clearWarnings();
         
         // Update the grid view
         if (this.gridView) {
@@ -468,6 +742,24 @@ class VisualizationController {
         this.maxStep = -1;
         this.visitedNodesInOrder = [];
         this.pathNodesInOrder = [];
+        this.pathCost = null;
+        this.pathDistance = null;
+        this.optimalCost = null;
+        this.reachedGoal = null;
+        this.unsupportedReason = null;
+        this.overlay = null;
+        this.exploration = null;
+        this.route = null;
+        this.tour = null;
+        this.alternatives = null;
+        this.agentPlan = null;
+        this.patrolPlan = null;
+        this.keySearch = null;
+        this.bombSearch = null;
+        this.staminaSearch = null;
+        this.pareto = null;
+        this.selectedParetoRoute = null;
+        this.clearWarnings();
         
         // Update the grid view
         if (this.gridView) {
@@ -491,6 +783,11 @@ class VisualizationController {
         
         // Reset statistics
         this.updateStats(0, 0);
+        this.updateLegStats();
+        this.updateRouteStats();
+        this.updateBombStats();
+        this.updateStaminaStats();
+        this.updateParetoChart();
     }
     
     /**
@@ -527,10 +824,16 @@ class VisualizationController {
      * Update statistics display
      * @param {number} visitedCount - Number of nodes visited
      * @param {number} pathLength - Length of the found path
+     * @param {number|null} pathCost - Total cost of the found path, or null if there is none
+     * @param {number|null} pathDistance - Straight-line length of the found path, or null if there is none
+     * @param {Node|null} reachedGoal - The goal tile the path ends at, or null if there is none
      */
-    updateStats(visitedCount, pathLength) {
+    updateStats(visitedCount, pathLength, pathCost = null, pathDistance = null, reachedGoal = null) {
         const visitedCountElement = document.getElementById(this.elementIds.visitedCountId);
         const pathLengthElement = document.getElementById(this.elementIds.pathLengthId);
+        const pathCostElement = document.getElementById(this.elementIds.pathCostId);
+        const pathDistanceElement = document.getElementById(this.elementIds.pathDistanceId);
+        const goalElement = document.getElementById(this.elementIds.goalId);
         
         if (visitedCountElement) {
             visitedCountElement.textContent = visitedCount;
@@ -539,47 +842,684 @@ class VisualizationController {
         if (pathLengthElement) {
             pathLengthElement.textContent = pathLength;
         }
+        
+        if (pathCostElement) {
+            pathCostElement.textContent = this.formatPathCost(pathCost);
+        }
+        
+        if (pathDistanceElement) {
+            pathDistanceElement.textContent = this.formatPathDistance(pathDistance);
+        }
+        
+        if (goalElement) {
+            goalElement.textContent = this.formatReachedGoal(reachedGoal);
+        }
     }
 
     /**
-     * Check if both algorithms have finished and disable Next Step button if so
-     * @returns {boolean} Whether both algorithms have finished
+     * Format a path cost for the stats, comparing it with the optimal cost
+     * Any-angle paths can beat the best cell-by-cell path, so they are compared with it instead
+     * @param {number|null} pathCost - Total cost of the found path, or null if there is none
+     * @returns {string} e.g. "22 (optimal)", "26 (optimal: 22)" or "20.49 (grid best: 22)"
      */
-    checkIfBothAlgorithmsFinished() {
-        // Get references to both algorithm controllers
-        const dijkstraController = window.dijkstraController;
-        const astarController = window.astarController;
+    formatPathCost(pathCost) {
+        if (pathCost === null) return '0';
         
-        // If we have both controllers and both have reached their maximum step
-        if (dijkstraController && astarController) {
-            const dijkstraFinished = dijkstraController.currentStep >= dijkstraController.maxStep && 
-                                     dijkstraController.maxStep >= 0;
-            const astarFinished = astarController.currentStep >= astarController.maxStep && 
-                                  astarController.maxStep >= 0;
-            
-            // If both algorithms have finished, update UI state
-            if (dijkstraFinished && astarFinished) {
-                // Disable the Next Step button
-                this.disableNextStepButton();
-                
-                // Show success toast
-                if (window.Toast && dijkstraController.algorithm instanceof DijkstraAlgorithm) {
-                        if (dijkstraController.pathFound && astarController.pathFound) {
-                            window.Toast.success('Both algorithms have found their paths!');
-                    }
+        const cost = Number(pathCost.toFixed(2));
+        if (this.optimalCost === null) return `${cost}`;
+        
+        const optimalCost = Number(this.optimalCost.toFixed(2));
+        if (cost < optimalCost) return `${cost} (grid best: ${optimalCost})`;
+        return cost === optimalCost ? `${cost} (optimal)` : `${cost} (optimal: ${optimalCost})`;
+    }
+
+    /**
+     * Format a path's straight-line length for the stats
+     * @param {number|null} pathDistance - Straight-line length of the path, or null if there is none
+     * @returns {string} The length rounded to two decimals
+     */
+    formatPathDistance(pathDistance) {
+        return pathDistance === null ? '0' : `${Number(pathDistance.toFixed(2))}`;
+    }
+
+    /**
+     * Format which goal tile the path reached, and for how much
+     * Goals are numbered in the order they were placed, the end node being the first
+     * @param {Node|null} goal - The goal the path ends at, or null if there is none
+     * @returns {string} e.g. "#2 of 3 at (4, 7) for 12", or "-" without a path
+     */
+    formatReachedGoal(goal) {
+        if (!goal || this.pathCost === null) {
+            return '-';
+        }
+        
+        const goals = this.grid.getEndNodes();
+        const cost = Number(this.pathCost.toFixed(2));
+        return `#${goals.indexOf(goal) + 1} of ${goals.length} at (${goal.row}, ${goal.col}) for ${cost}`;
+    }
+
+    /**
+     * Let the agent walk to the end node under fog of war, planning with a fresh copy of this panel's algorithm
+     * @returns {Object} { visited, path, pathFound } where visited lists every node the plans expanded
+     *     and path is the walk the agent took
+     * @private
+     */
+    _runExploration() {
+        const explorer = new FogOfWarExplorer(this.grid, this.grid.sensorRadius, belief => {
+            const planner = AlgorithmRegistry.create(this.getAlgorithmKey(), belief);
+            Object.assign(planner.options, this.algorithm.options);
+            return planner;
+        });
+        
+        this.exploration = explorer.run();
+        this.unsupportedReason = this.exploration.unsupportedReason;
+        this.overlay = null;
+        
+        return {
+            visited: this.exploration.expanded,
+            path: this.exploration.pathFound ? this.exploration.trail : [],
+            pathFound: this.exploration.pathFound
+        };
+    }
+
+    /**
+     * Plan collision-free paths for the start/end pair and every extra agent with Conflict-Based Search
+     * @returns {Object} { visited, path, pathFound } where visited lists every cell the space-time searches
+     *     expanded and path joins the agents' paths, without their waits
+     * @private
+     */
+    _runAgents() {
+        this.agentPlan = new ConflictBasedSearch(this.grid).run();
+        this.unsupportedReason = this.agentPlan.unsupportedReason;
+        this.overlay = null;
+        
+        return {
+            visited: this.agentPlan.expanded,
+            path: this.agentPlan.paths.flatMap(path => path.filter((node, time) => time === 0 || node !== path[time - 1])),
+            pathFound: this.agentPlan.pathFound
+        };
+    }
+
+    /**
+     * Plan the path from the start to the nearest goal around the monsters' patrols with space-time A*
+     * @returns {Object} { visited, path, pathFound } where visited lists every cell the search expanded
+     *     and path is the agent's path, without its waits
+     * @private
+     */
+    _runPatrols() {
+        this.patrolPlanner = new PatrolPlanner(this.grid);
+        this.patrolPlan = this.patrolPlanner.run();
+        this.unsupportedReason = this.patrolPlan.unsupportedReason;
+        this.overlay = null;
+        
+        const path = this.patrolPlan.path;
+        return {
+            visited: this.patrolPlan.expanded,
+            path: path.filter((node, time) => time === 0 || node !== path[time - 1]),
+            pathFound: this.patrolPlan.pathFound
+        };
+    }
+
+    /**
+     * Search the grid's (cell, keys held) states with a fresh copy of this panel's algorithm
+     * @returns {Object} { visited, path, pathFound } with the cells of the expanded states and of the path,
+     *     which may cross a cell more than once to fetch a key
+     * @private
+     */
+    _runKeySearch() {
+        this.keyGrid = new KeyStateGrid(this.grid);
+        const { search, result } = this._searchStates(this.keyGrid, 'Keys and doors need a search over (cell, keys held) states');
+        this.keySearch = search;
+        return result;
+    }
+
+    /**
+     * Search the grid's (cell, bombs used) states with a fresh copy of this panel's algorithm, and find
+     * the path it takes without bombs to compare with
+     * @returns {Object} { visited, path, pathFound } with the cells of the expanded states and of the path,
+     *     including the rocks it blows up
+     * @private
+     */
+    _runBombSearch() {
+        this.bombGrid = new BombStateGrid(this.grid, this.grid.bombCount);
+        const { search, result } = this._searchStates(this.bombGrid, 'Bombs need a search over (cell, bombs used) states');
+        this.bombSearch = search;
+        
+        // The same algorithm on a copy of the grid, where every rock stays standing
+        if (this.bombSearch) {
+            const algorithm = AlgorithmRegistry.create(this.getAlgorithmKey(), this.grid.clone());
+            Object.assign(algorithm.options, this.algorithm.options);
+            const withoutBombs = algorithm.run(false);
+            this.bombSearch.costWithoutBombs = withoutBombs.pathFound ? algorithm.getPathCost(withoutBombs.path) : null;
+        }
+        return result;
+    }
+
+    /**
+     * Search the grid's (cell, stamina drained) states with a fresh copy of this panel's algorithm, and find
+     * the path it takes with no budget to compare with
+     * @returns {Object} { visited, path, pathFound } with the cells of the expanded states and of the path
+     * @private
+     */
+    _runStaminaSearch() {
+        this.staminaGrid = new StaminaStateGrid(this.grid, this.grid.staminaBudget);
+        const { search, result } = this._searchStates(this.staminaGrid, 'A stamina budget needs a search over (cell, stamina drained) states');
+        this.staminaSearch = search;
+        
+        // The same algorithm on a copy of the grid, where monsters drain nothing that counts
+        if (this.staminaSearch) {
+            const algorithm = AlgorithmRegistry.create(this.getAlgorithmKey(), this.grid.clone());
+            Object.assign(algorithm.options, this.algorithm.options);
+            const unlimited = algorithm.run(false);
+            this.staminaSearch.costWithoutBudget = unlimited.pathFound ? algorithm.getPathCost(unlimited.path) : null;
+            this.staminaSearch.drainWithoutBudget = unlimited.pathFound
+                ? unlimited.path.slice(1).reduce((total, node) => total + this.staminaGrid.getDrain(node), 0)
+                : null;
+        }
+        return result;
+    }
+
+    /**
+     * Run a fresh copy of this panel's algorithm on a grid of states, e.g. a KeyStateGrid
+     * @param {LayeredStateGrid} stateGrid - The states to search
+     * @param {string} need - What needs the states searched, to explain why other algorithms refuse
+     * @returns {Object} { search, result } where search is { algorithm, visitedStates, pathStates }, null if
+     *     the algorithm refused, and result is { visited, path, pathFound } with the states' cells
+     * @private
+     */
+    _searchStates(stateGrid, need) {
+        const refused = { search: null, result: { visited: [], path: [], pathFound: false } };
+        this.overlay = null;
+        
+        // Algorithms that jump or look along lines read the grid's cells, which know nothing of the states
+        const key = this.getAlgorithmKey();
+        if (!stateGrid.constructor.SUPPORTED_ALGORITHMS.includes(key)) {
+            this.unsupportedReason = `${need}, which only Dijkstra, A*, Greedy Best-First, BFS and DFS can run.`;
+            return refused;
+        }
+        
+        const algorithm = AlgorithmRegistry.create(key, stateGrid);
+        Object.assign(algorithm.options, this.algorithm.options);
+        this.unsupportedReason = algorithm.getUnsupportedReason();
+        if (this.unsupportedReason) {
+            return refused;
+        }
+        
+        const result = algorithm.run(true);
+        return {
+            search: { algorithm, visitedStates: result.visited, pathStates: result.path },
+            result: {
+                visited: result.visited.map(state => state.cell),
+                path: result.path.map(state => state.cell),
+                pathFound: result.pathFound
+            }
+        };
+    }
+
+    /**
+     * Get the layer each visited node was expanded in, for searches over (cell, layer) states
+     * @returns {number[]|null} Keys held, bombs used or quarter of the stamina drained at each visited node,
+     *     null for other searches
+     */
+    getVisitedLayers() {
+        if (this.keySearch) return this.keySearch.visitedStates.map(state => this.keyGrid.getLayer(state));
+        if (this.bombSearch) return this.bombSearch.visitedStates.map(state => this.bombGrid.getLayer(state));
+        if (this.staminaSearch) return this.staminaSearch.visitedStates.map(state => this.staminaGrid.getLayer(state));
+        return null;
+    }
+
+    /**
+     * Get why the latest run found no path, from whatever planned it
+     * @returns {string|null} The reason, or null if there is none to tell
+     */
+    getNoPathReason() {
+        if (this.agentPlan) return this.agentPlan.noPathReason;
+        if (this.patrolPlan) return this.patrolPlan.noPathReason;
+        if (this.route) return this.route.noPathReason;
+        if (this.keySearch) return this.keySearch.algorithm.getNoPathReason();
+        if (this.bombSearch) return this.bombSearch.algorithm.getNoPathReason();
+        if (this.staminaSearch) return this.staminaGrid.getNoPathReason();
+        return this.algorithm.getNoPathReason();
+    }
+
+    /**
+     * Describe the multi-agent plan
+     * @returns {string} Each agent's cost, when the last one arrives and how many collisions were resolved
+     */
+    getAgentSummary() {
+        const { paths, costs, makespan, conflicts, constraintNodes, pathFound } = this.agentPlan;
+        if (!pathFound) {
+            return `Conflict-Based Search: no plan for ${this.grid.getAgents().length} agents after ${constraintNodes} constraint sets.`;
+        }
+        
+        const agentCosts = costs.map((cost, i) => `A${i + 1} ${Number(cost.toFixed(2))}`).join(', ');
+        const collisionText = `${conflicts} collision${conflicts === 1 ? '' : 's'} resolved`;
+        return `Conflict-Based Search: ${paths.length} agents (${agentCosts}) all arrive by step ${makespan}; ${collisionText}. Every panel plans agents this way, whatever its algorithm.`;
+    }
+
+    /**
+     * Describe the plan around the monsters' patrols
+     * @returns {string} How many monsters there are, how often the agent waited and when it arrived
+     */
+    getPatrolSummary() {
+        const { path, waits, monsterPaths, pathFound } = this.patrolPlan;
+        const monsterText = `${monsterPaths.length} patrolling monster${monsterPaths.length === 1 ? '' : 's'}`;
+        if (!pathFound) {
+            return `Space-time A*: no way past ${monsterText}.`;
+        }
+        
+        const waitText = `waits ${waits} step${waits === 1 ? '' : 's'}`;
+        return `Space-time A*: the agent dodges ${monsterText}, ${waitText} and arrives at step ${path.length - 1}. Every panel plans around patrols this way, whatever its algorithm.`;
+    }
+
+    /**
+     * Plan the route through the grid's waypoints, searching each leg with a fresh copy of this panel's algorithm
+     * The waypoints are visited in the order placed, or in the cheapest order when the grid asks for a tour
+     * @returns {Object} { visited, path, pathFound } where visited lists every node the legs expanded
+     *     and path joins the legs' paths
+     * @private
+     */
+    _runWaypointRoute() {
+        this.tour = this.grid.waypointOrder === 'tour' && this.grid.waypoints.length > 1 ? new WaypointTour(this.grid) : null;
+        
+        this.waypointRoute = new WaypointRoute(this.grid, legGrid => {
+            const planner = AlgorithmRegistry.create(this.getAlgorithmKey(), legGrid);
+            Object.assign(planner.options, this.algorithm.options);
+            return planner;
+        }, this.tour ? this.tour.order : this.grid.waypoints);
+        
+        this.route = this.waypointRoute.run();
+        this.unsupportedReason = this.route.unsupportedReason;
+        this.overlay = this.route.overlay;
+        
+        return {
+            visited: this.route.visited,
+            path: this.route.path,
+            pathFound: this.route.pathFound
+        };
+    }
+
+    /**
+     * Get the cost of the found path as the algorithm counts it
+     * A waypoint route costs the sum of its legs, a fog-of-war walk the moves the agent made
+     * @returns {number} Total cost of the path
+     */
+    calculatePathCost() {
+        if (this.agentPlan) {
+            return this.agentPlan.cost;
+        }
+        if (this.patrolPlan) {
+            return this.patrolPlan.cost;
+        }
+        if (this.route) {
+            return this.route.legs.reduce((total, leg) => total + leg.cost, 0);
+        }
+        if (this.bombSearch) {
+            // Blowing up a rock costs more than walking onto the cell
+            return this.bombSearch.algorithm.getPathCost(this.bombSearch.pathStates);
+        }
+        if (this.exploration) {
+            return PathUtils.calculatePathDistance(this.pathNodesInOrder);
+        }
+        return this.algorithm.getPathCost(this.pathNodesInOrder);
+    }
+
+    /**
+     * Show the cost of each leg of the waypoint route, or '-' without waypoints
+     */
+    updateLegStats() {
+        const legsElement = document.getElementById(this.elementIds.legsId);
+        if (!legsElement) return;
+        
+        if (!this.route || this.route.legs.length === 0) {
+            legsElement.textContent = '-';
+            return;
+        }
+        
+        const legs = this.route.legs.map(leg => {
+            const label = `${this.waypointRoute.getStopLabel(leg.from)}→${this.waypointRoute.getStopLabel(leg.to)}`;
+            return leg.pathFound ? `${label} ${Number(leg.cost.toFixed(2))}` : `${label} blocked`;
+        });
+        const total = this.route.pathFound ? ` = ${Number(this.pathCost.toFixed(2))}` : '';
+        legsElement.textContent = `${legs.join(', ')}${total}`;
+    }
+
+    /**
+     * Show the cost of each of the cheapest paths, or '-' when only the found path is shown
+     */
+    updateRouteStats() {
+        const routesElement = document.getElementById(this.elementIds.altPathId);
+        if (!routesElement) return;
+        
+        if (!this.alternatives || this.alternatives.unsupportedReason) {
+            routesElement.textContent = '-';
+            return;
+        }
+        
+        const { paths, count } = this.alternatives;
+        if (paths.length === 0) {
+            routesElement.textContent = 'none';
+            return;
+        }
+        
+        const costs = paths.map((path, i) => `#${i + 1} ${Number(path.cost.toFixed(2))}`).join(', ');
+        routesElement.textContent = paths.length < count ? `${costs} (only ${paths.length})` : costs;
+    }
+
+    /**
+     * Show how many bombs the path used and its cost next to the algorithm's path without bombs, or '-' without bombs
+     */
+    updateBombStats() {
+        const bombsElement = document.getElementById(this.elementIds.bombsId);
+        if (!bombsElement) return;
+        
+        if (!this.bombSearch) {
+            bombsElement.textContent = '-';
+            return;
+        }
+        
+        const { pathStates, costWithoutBombs } = this.bombSearch;
+        const withoutText = costWithoutBombs === null ? 'no path without' : `${Number(costWithoutBombs.toFixed(2))} without`;
+        if (!this.pathFound) {
+            bombsElement.textContent = `no path, ${withoutText}`;
+            return;
+        }
+        
+        const used = this.bombGrid.getBlastedRocks(pathStates).length;
+        bombsElement.textContent = `${used}/${this.grid.bombCount} used, cost ${Number(this.pathCost.toFixed(2))} vs ${withoutText}`;
+    }
+
+    /**
+     * Show the stamina the path drained and its cost next to the algorithm's path with no budget, or '-' without a budget
+     */
+    updateStaminaStats() {
+        const staminaElement = document.getElementById(this.elementIds.staminaId);
+        if (!staminaElement) return;
+        
+        if (!this.staminaSearch) {
+            staminaElement.textContent = '-';
+            return;
+        }
+        
+        const { pathStates, costWithoutBudget, drainWithoutBudget } = this.staminaSearch;
+        const unlimitedText = costWithoutBudget === null
+            ? 'no path unlimited'
+            : `${Number(costWithoutBudget.toFixed(2))} unlimited (drains ${drainWithoutBudget})`;
+        if (!this.pathFound) {
+            staminaElement.textContent = `no path, ${unlimitedText}`;
+            return;
+        }
+        
+        const used = pathStates[pathStates.length - 1].staminaUsed;
+        staminaElement.textContent = `${used}/${this.grid.staminaBudget} drained, cost ${Number(this.pathCost.toFixed(2))} vs ${unlimitedText}`;
+    }
+
+    /**
+     * Draw the cheapest paths over the grid, each in its own colour
+     */
+    drawAlternativePaths() {
+        if (!this.alternatives || !this.gridView) return;
+        this.gridView.drawRoutes(this.alternatives.paths.map(path => path.nodes));
+    }
+
+    /**
+     * Plot the routes trading cost against danger in the panel's chart, or hide it when there are none
+     */
+    updateParetoChart() {
+        if (this.uiView) {
+            this.uiView.renderParetoChart(this);
+        }
+    }
+
+    /**
+     * Highlight one of the routes trading cost against danger, picked from the chart
+     * @param {number} index - Index of the route in the front, cheapest first
+     * @returns {boolean} True if the route was highlighted
+     */
+    selectParetoRoute(index) {
+        if (!this.pareto || !this.pareto.routes[index]) return false;
+        
+        this.selectedParetoRoute = index;
+        this.drawParetoRoute();
+        this.updateParetoChart();
+        return true;
+    }
+
+    /**
+     * Draw the route picked from the Pareto chart over the grid, if one is
+     */
+    drawParetoRoute() {
+        if (!this.pareto || this.selectedParetoRoute === null || !this.gridView) return;
+        this.gridView.drawParetoRoute(this.pareto.routes[this.selectedParetoRoute].nodes);
+    }
+
+    /**
+     * Describe the agent's walk under fog of war
+     * @returns {string} How often the agent replanned and how the walk ended
+     */
+    getExplorationSummary() {
+        const { replans, trail, pathFound, gaveUp } = this.exploration;
+        const steps = trail.length - 1;
+        const replanText = `replanned ${replans} time${replans === 1 ? '' : 's'}`;
+        
+        if (pathFound) {
+            return `Fog of war: the agent ${replanText} and reached the end in ${steps} step${steps === 1 ? '' : 's'}.`;
+        }
+        if (gaveUp) {
+            return `Fog of war: the agent ${replanText} and gave up after ${steps} steps of wandering.`;
+        }
+        return `Fog of war: the agent ${replanText} and found out after ${steps} step${steps === 1 ? '' : 's'} that the end can't be reached.`;
+    }
+
+    /**
+     * Measure the found path in straight lines between cell centres, ignoring weights
+     * Follows the algorithm's any-angle segments when it draws them
+     * @returns {number} Euclidean length of the path
+     */
+    calculatePathDistance() {
+        if (this.agentPlan) {
+            return this.agentPlan.paths.reduce((total, path) => total + PathUtils.calculateEuclideanLength(path), 0);
+        }
+        
+        const vertices = this.overlay && this.overlay.pathVertices.length > 1
+            ? this.overlay.pathVertices
+            : this.pathNodesInOrder;
+        return PathUtils.calculateEuclideanLength(vertices);
+    }
+
+    /**
+     * Find the cost of the shortest path on this panel's grid by running Dijkstra on a copy of it,
+     * so suboptimal algorithms (e.g. weighted A*) can be compared against it
+     * Grids with negative bonus tiles need Bellman-Ford instead
+     * @returns {number|null} Cost of the shortest path, or null if there is none
+     */
+    calculateOptimalCost() {
+        const OptimalAlgorithm = this.grid.hasNegativeWeights() ? BellmanFordAlgorithm : DijkstraAlgorithm;
+        
+        // The algorithm's own result already is the optimal one, as are Conflict-Based Search and space-time A* plans
+        if (this.algorithm.constructor === OptimalAlgorithm || this.agentPlan || this.patrolPlan) {
+            return this.pathCost;
+        }
+        
+        // Keys and doors, bombs or a stamina budget are compared with Dijkstra over the same states, which Bellman-Ford can't search
+        if (this.keySearch || this.bombSearch || this.staminaSearch) {
+            if (this.grid.hasNegativeWeights()) return null;
+            let stateGrid;
+            if (this.keySearch) {
+                stateGrid = new KeyStateGrid(this.grid);
+            } else if (this.bombSearch) {
+                stateGrid = new BombStateGrid(this.grid, this.grid.bombCount);
+            } else {
+                stateGrid = new StaminaStateGrid(this.grid, this.grid.staminaBudget);
+            }
+            const result = new DijkstraAlgorithm(stateGrid).run(false);
+            return result.pathFound ? PathUtils.calculatePathDistance(result.path) : null;
+        }
+        
+        // A waypoint route is compared with the same legs searched optimally
+        if (this.route) {
+            const route = new WaypointRoute(this.grid, legGrid => new OptimalAlgorithm(legGrid), this.waypointRoute.waypoints).run();
+            return route.pathFound ? route.legs.reduce((total, leg) => total + leg.cost, 0) : null;
+        }
+        
+        const result = new OptimalAlgorithm(this.grid.clone()).run(false);
+        return result.pathFound ? PathUtils.calculatePathDistance(result.path) : null;
+    }
+
+    /**
+     * Get the setup that takes the search over, see SEARCH_MODES
+     * @returns {Object|null} The first mode of SEARCH_MODES the grid has on, or null for a direct search from the start
+     */
+    getSearchMode() {
+        return VisualizationController.SEARCH_MODES.find(mode => mode.isOn(this.grid)) || null;
+    }
+
+    /**
+     * Name what the grid has set up that the search in charge leaves out: the modes it takes
+     * precedence over, and danger and alternative routes, which only a direct search uses
+     * @returns {string|null} e.g. 'While waypoints are placed, every door stays shut and stamina is unlimited.',
+     *     or null if nothing is left out
+     */
+    describeIgnoredSetups() {
+        const mode = this.getSearchMode();
+        if (!mode) return null;
+
+        const { SEARCH_MODES } = VisualizationController;
+        const ignored = SEARCH_MODES.slice(SEARCH_MODES.indexOf(mode) + 1)
+            .filter(other => other.isOn(this.grid))
+            .map(other => other.ignored);
+        if (this.grid.hasDanger()) ignored.push('danger isn\'t traded against cost');
+        if (this.grid.routeCount > 1) ignored.push('no alternative routes are drawn');
+        if (ignored.length === 0) return null;
+
+        const list = ignored.length > 1 ? `${ignored.slice(0, -1).join(', ')} and ${ignored[ignored.length - 1]}` : ignored[0];
+        return `While ${mode.label}, ${list}.`;
+    }
+
+    /**
+     * Show the warnings the algorithm reports for the current grid
+     */
+    updateWarnings() {
+        const warningElement = document.getElementById(this.elementIds.warningId);
+        if (!warningElement) return;
+        
+        // An algorithm that refused to run only needs to say why; one that searched states reports on them,
+        // e.g. BFS counting a blast as a single step
+        const stateSearch = this.keySearch || this.bombSearch || this.staminaSearch;
+        const searcher = stateSearch ? stateSearch.algorithm : this.algorithm;
+        const warnings = this.unsupportedReason ? [this.unsupportedReason] : searcher.getWarnings();
+        if (this.exploration && !this.unsupportedReason) {
+            warnings.unshift(this.getExplorationSummary());
+        }
+        if (this.tour && !this.unsupportedReason) {
+            warnings.unshift(this.tour.getSummary());
+        }
+        if (this.agentPlan && !this.unsupportedReason) {
+            warnings.unshift(this.getAgentSummary());
+            if (this.grid.goalNodes.length > 0) {
+                warnings.push('Agent 1 heads straight for the end node: extra goals are ignored while several agents are placed.');
+            }
+        }
+        if (this.patrolPlan && !this.unsupportedReason) {
+            warnings.unshift(this.getPatrolSummary());
+            this.grid.patrols.forEach((patrol, monster) => {
+                if (this.patrolPlanner.isStuck(monster)) {
+                    warnings.push(`Monster M${monster + 1} can't reach the end of its patrol, so it stands guard.`);
                 }
-                
-                // Mark both algorithms as not visualizing
-                dijkstraController.isVisualizing = false;
-                astarController.isVisualizing = false;
-                
-                // Re-enable all UI elements
-                if (this.uiView) {
-                    this.enableAllUIElements();
+            });
+        }
+        if (this.keySearch) {
+            warnings.unshift(this.keyGrid.getSummary(this.keySearch.visitedStates, this.keySearch.pathStates));
+        }
+        if (this.bombSearch) {
+            warnings.unshift(this.bombGrid.getSummary(this.bombSearch.visitedStates, this.bombSearch.pathStates));
+        }
+        if (this.staminaSearch) {
+            warnings.unshift(this.staminaGrid.getSummary(this.staminaSearch.visitedStates, this.staminaSearch.pathStates));
+        }
+        if (this.pareto && !this.unsupportedReason) {
+            if (this.pareto.unsupportedReason) {
+                warnings.push(this.pareto.unsupportedReason);
+            } else {
+                warnings.unshift(this.pareto.getSummary());
+            }
+        }
+        const lastAgent = this.grid.agents[this.grid.agents.length - 1];
+        if (lastAgent && !lastAgent.goal) {
+            warnings.push(`Agent ${this.grid.getAgentNumber(lastAgent)} has no goal yet: click a cell with the Add Agents tool to place it.`);
+        }
+        if (this.alternatives && this.alternatives.unsupportedReason) {
+            warnings.push(this.alternatives.unsupportedReason);
+        }
+        const ignored = this.unsupportedReason ? null : this.describeIgnoredSetups();
+        if (ignored) {
+            warnings.push(ignored);
+        }
+        const messageElement = warningElement.querySelector('.warning-message') || warningElement;
+        messageElement.textContent = warnings.join(' ');
+        warningElement.style.display = warnings.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Draw the algorithm's overlay lines up to the current step in step-by-step mode
+     */
+    updateOverlay() {
+        if (!this.overlay || !this.gridView) return;
+        
+        const visitedCount = Math.min(this.currentStep + 1, this.visitedNodesInOrder.length);
+        const finished = this.currentStep >= this.maxStep;
+        this.gridView.renderOverlay(this.overlay, visitedCount, this.pathFound && finished, finished);
+    }
+
+    /**
+     * Hide the algorithm warnings
+     */
+    clearWarnings() {
+        const warningElement = document.getElementById(this.elementIds.warningId);
+        if (warningElement) {
+            warningElement.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check if all algorithms have finished and disable Next Step button if so
+     * @returns {boolean} Whether all algorithms have finished
+     */
+    checkIfAllAlgorithmsFinished() {
+        // Get references to the controllers of every comparison panel
+        const controllers = this.getPeerControllers();
+        
+        const allFinished = controllers.every(controller => 
+            controller.currentStep >= controller.maxStep && controller.maxStep >= 0
+        );
+        
+        // If all algorithms have finished, update UI state
+        if (allFinished) {
+            // Disable the Next Step button
+            this.disableNextStepButton();
+            
+            // Show success toast
+            if (window.Toast && controllers.every(controller => controller.pathFound)) {
+                if (controllers.length === 1) {
+                    window.Toast.success('The algorithm has found its path!');
+                } else if (controllers.length === 2) {
+                    window.Toast.success('Both algorithms have found their paths!');
+                } else {
+                    window.Toast.success(`All ${controllers.length} algorithms have found their paths!`);
                 }
-                
-                return true;
             }
+            
+            // Mark all algorithms as not visualizing
+            controllers.forEach(controller => {
+                controller.isVisualizing = false;
+            });
+            
+            // Re-enable all UI elements
+            if (this.uiView) {
+                this.enableAllUIElements();
+            }
+            
+            return true;
         }
         
         return false;
@@ -683,6 +1623,22 @@ class VisualizationController {
     // HELPER METHODS
     //=============================================================================
     
+    /**
+     * Get the visualization controllers of all comparison panels, including this one
+     * @returns {VisualizationController[]} Controllers registered with the game controller
+     */
+    getPeerControllers() {
+        const gameController = window.gameController;
+        if (gameController && Array.isArray(gameController.visualizationControllers)) {
+            const controllers = gameController.visualizationControllers.filter(Boolean);
+            if (controllers.includes(this)) {
+                return controllers;
+            }
+        }
+        
+        return [this];
+    }
+    
     /**
      * Clear visualization classes from node DOM elements
      * @param {number} row - Row of the node
@@ -690,13 +1646,13 @@ class VisualizationController {
      * @private
      */
     _clearNodeVisualClasses(row, col) {
-        const dijkstraNodeElement = document.getElementById(`dijkstra-grid-node-${row}-${col}`);
-        const astarNodeElement = document.getElementById(`astar-grid-node-${row}-${col}`);
-        
-        [dijkstraNodeElement, astarNodeElement].forEach(element => {
+        this.getPeerControllers().forEach(controller => {
+            if (!controller.gridView) return;
+            
+            const element = document.getElementById(`${controller.gridView.gridContainerId}-node-${row}-${col}`);
             if (element) {
                 // Remove visualization classes but keep structural classes
-                element.classList.remove('visited', 'path', 'current', 'animate');
+                element.classList.remove('visited', 'visited-backward', 'meeting', 'path', 'current', 'agent', 'animate');
                 // Remove any transition delay that might be set
                 element.style.transitionDelay = '0ms';
                 element.style.animationDelay = '0ms';
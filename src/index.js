@@ -27,9 +27,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const dijkstraGridView = new GridView(dijkstraGrid, 'dijkstra-grid');
     const astarGridView = new GridView(astarGrid, 'astar-grid');
     
-    // Create algorithms
-    const dijkstraAlgorithm = new DijkstraAlgorithm(dijkstraGrid);
-    const astarAlgorithm = new AStarAlgorithm(astarGrid);
+    // Create the default algorithms for each panel from the registry
+    // (each panel can switch to any registered algorithm from its dropdown)
+    const dijkstraAlgorithm = AlgorithmRegistry.create('dijkstra', dijkstraGrid);
+    const astarAlgorithm = AlgorithmRegistry.create('astar', astarGrid);
     
     // Create controllers and make gameController available globally first
     const gameController = new GameController(
@@ -51,13 +52,33 @@ document.addEventListener('DOMContentLoaded', () => {
     const dijkstraController = new VisualizationController(dijkstraGrid, dijkstraGridView, null, dijkstraAlgorithm, {
         visitedCountId: 'dijkstra-visited-count',
         pathLengthId: 'dijkstra-path-length',
-        altPathId: 'dijkstra-alt-path'
+        pathCostId: 'dijkstra-path-cost',
+        pathDistanceId: 'dijkstra-path-distance',
+        goalId: 'dijkstra-goal',
+        legsId: 'dijkstra-legs',
+        altPathId: 'dijkstra-alt-path',
+        bombsId: 'dijkstra-bombs',
+        staminaId: 'dijkstra-stamina',
+        paretoId: 'dijkstra-pareto',
+        algorithmSelectId: 'dijkstra-algorithm-select',
+        warningId: 'dijkstra-warning',
+        optionsId: 'dijkstra-options'
     });
     
     const astarController = new VisualizationController(astarGrid, astarGridView, null, astarAlgorithm, {
         visitedCountId: 'astar-visited-count',
         pathLengthId: 'astar-path-length',
-        altPathId: 'astar-alt-path'
+        pathCostId: 'astar-path-cost',
+        pathDistanceId: 'astar-path-distance',
+        goalId: 'astar-goal',
+        legsId: 'astar-legs',
+        altPathId: 'astar-alt-path',
+        bombsId: 'astar-bombs',
+        staminaId: 'astar-stamina',
+        paretoId: 'astar-pareto',
+        algorithmSelectId: 'astar-algorithm-select',
+        warningId: 'astar-warning',
+        optionsId: 'astar-options'
     });
     
     // Update visualization controllers in GameController
@@ -65,9 +86,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Create UI view
     const uiView = new UIView({
-        game: gameController,
-        dijkstra: dijkstraController,
-        astar: astarController
+        game: gameController
     });
     
     // Set controller references
@@ -88,13 +107,16 @@ document.addEventListener('DOMContentLoaded', () => {
     setupHelpModal();
     
     // Add keyboard shortcuts for common actions
-    setupKeyboardShortcuts(dijkstraController, astarController);
+    setupKeyboardShortcuts(gameController);
     
     // Support for saving and loading grids from local storage
     setupGridSaveLoad(gameController);
     
+    // Allow comparison panels to be added and removed at runtime
+    setupPanelControls(gameController, uiView);
+    
     // Expose controllers to window for debugging only in development
-    setupDebugExposure(gameController, dijkstraController, astarController, dijkstraGrid, astarGrid);
+    setupDebugExposure(gameController);
     
     // Set up tutorial button functionality if tutorial module exists
     setupTutorialButtons();
@@ -102,10 +124,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /**
  * Setup keyboard shortcuts for common actions
- * @param {Object} dijkstraController - The Dijkstra algorithm controller
- * @param {Object} astarController - The A* algorithm controller
+ * @param {Object} gameController - The game controller holding every panel's visualization controller
  */
-function setupKeyboardShortcuts(dijkstraController, astarController) {
+function setupKeyboardShortcuts(gameController) {
     document.addEventListener('keydown', (event) => {
         // Prevent shortcuts when inputs are focused
         if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT' || event.target.tagName === 'TEXTAREA') {
@@ -119,6 +140,30 @@ function setupKeyboardShortcuts(dijkstraController, astarController) {
             case 'e': // Set End
                 document.getElementById('end-node-btn')?.click();
                 break;
+            case 'g': // Add Goals
+                document.getElementById('goal-btn')?.click();
+                break;
+            case 'p': // Add Waypoints
+                document.getElementById('waypoint-btn')?.click();
+                break;
+            case 'a': // Add Agents
+                document.getElementById('agent-btn')?.click();
+                break;
+            case 'm': // Add Patrols (monsters)
+                document.getElementById('patrol-btn')?.click();
+                break;
+            case 'k': // Add Keys
+                document.getElementById('key-btn')?.click();
+                break;
+            case 'o': // Add Doors
+                document.getElementById('door-btn')?.click();
+                break;
+            case 'x': // Add Danger
+                document.getElementById('danger-btn')?.click();
+                break;
+            case 'b': // Add One-Way tiles (conveyor belts)
+                document.getElementById('oneway-btn')?.click();
+                break;
             case 'w': // Add Walls
                 document.getElementById('wall-btn')?.click();
                 break;
@@ -136,12 +181,11 @@ function setupKeyboardShortcuts(dijkstraController, astarController) {
                 event.preventDefault(); // Prevent page scrolling with space
                 break;
             case 'arrowright': // Next step
-                handleNextStepShortcut(dijkstraController, astarController);
+                handleNextStepShortcut(getVisualizationControllers(gameController));
                 event.preventDefault();
                 break;
             case 'arrowleft': // Previous step
-                dijkstraController.prevStep();
-                astarController.prevStep();
+                getVisualizationControllers(gameController).forEach(controller => controller.prevStep());
                 event.preventDefault();
                 break;
             case 'h': // Show help
@@ -157,52 +201,63 @@ function setupKeyboardShortcuts(dijkstraController, astarController) {
 
 /**
  * Handle the next step keyboard shortcut
- * @param {Object} dijkstraController - The Dijkstra algorithm controller
- * @param {Object} astarController - The A* algorithm controller 
+ * @param {Object[]} controllers - The visualization controllers of all panels
  */
-function handleNextStepShortcut(dijkstraController, astarController) {
-    // Check if both algorithms have reached their max steps
-    if (dijkstraController && astarController) {
-        const dijkstraFinished = dijkstraController.currentStep >= dijkstraController.maxStep;
-        const astarFinished = astarController.currentStep >= astarController.maxStep;
-        
-        if (dijkstraFinished && astarFinished) {
-            // Both algorithms have completed, don't proceed
-            // Make sure all next step buttons are disabled
-            const nextStepButton = document.getElementById('next-step-btn');
-            const mobileNextStepButton = document.getElementById('next-step-btn-mobile');
-            const mobileStepMenuNextButton = document.getElementById('mobile-next-step');
-            
-            if (nextStepButton) nextStepButton.disabled = true;
-            if (mobileNextStepButton) mobileNextStepButton.disabled = true;
-            if (mobileStepMenuNextButton) mobileStepMenuNextButton.disabled = true;
-            
-            return;
-        }
+function handleNextStepShortcut(controllers) {
+    // Check if all algorithms have reached their max steps
+    if (allStepsCompleted(controllers)) {
+        // All algorithms have completed, don't proceed
+        // Make sure all next step buttons are disabled
+        disableNextStepButtons();
+        return;
     }
     
     // Proceed with the next step if not completed
-    dijkstraController.nextStep();
-    astarController.nextStep();
+    controllers.forEach(controller => controller.nextStep());
     
-    // Check again after taking the step if both algorithms are now complete
-    if (dijkstraController && astarController) {
-        const dijkstraFinished = dijkstraController.currentStep >= dijkstraController.maxStep;
-        const astarFinished = astarController.currentStep >= astarController.maxStep;
-        
-        if (dijkstraFinished && astarFinished) {
-            // Both algorithms have reached their end, disable all next step buttons
-            const nextStepButton = document.getElementById('next-step-btn');
-            const mobileNextStepButton = document.getElementById('next-step-btn-mobile');
-            const mobileStepMenuNextButton = document.getElementById('mobile-next-step');
-            
-            if (nextStepButton) nextStepButton.disabled = true;
-            if (mobileNextStepButton) mobileNextStepButton.disabled = true;
-            if (mobileStepMenuNextButton) mobileStepMenuNextButton.disabled = true;
-        }
+    // Check again after taking the step if all algorithms are now complete
+    if (allStepsCompleted(controllers)) {
+        // All algorithms have reached their end, disable all next step buttons
+        disableNextStepButtons();
     }
 }
 
+/**
+ * Check if every controller has stepped through all of its visited nodes
+ * @param {Object[]} controllers - The visualization controllers of all panels
+ * @returns {boolean} True if there are controllers and all are at their last step
+ */
+function allStepsCompleted(controllers) {
+    return controllers.length > 0 &&
+        controllers.every(controller => controller.currentStep >= controller.maxStep);
+}
+
+/**
+ * Disable the desktop and mobile next step buttons
+ */
+function disableNextStepButtons() {
+    const nextStepButton = document.getElementById('next-step-btn');
+    const mobileNextStepButton = document.getElementById('next-step-btn-mobile');
+    const mobileStepMenuNextButton = document.getElementById('mobile-next-step');
+    
+    if (nextStepButton) nextStepButton.disabled = true;
+    if (mobileNextStepButton) mobileNextStepButton.disabled = true;
+    if (mobileStepMenuNextButton) mobileStepMenuNextButton.disabled = true;
+}
+
+/**
+ * Get the visualization controllers of all comparison panels
+ * @param {Object} gameController - The game controller (defaults to the global one)
+ * @returns {Object[]} Visualization controllers in panel order
+ */
+function getVisualizationControllers(gameController = window.gameController) {
+    if (!gameController || !Array.isArray(gameController.visualizationControllers)) {
+        return [];
+    }
+    
+    return gameController.visualizationControllers.filter(Boolean);
+}
+
 /**
  * Setup save and load grid functionality
  * @param {Object} gameController - The game controller
@@ -272,15 +327,194 @@ function setupTutorialButtons() {
 
 /**
  * Expose controllers to window for debugging purposes (development only)
+ * @param {Object} gameController - The game controller
  */
-function setupDebugExposure(gameController, dijkstraController, astarController, dijkstraGrid, astarGrid) {
+function setupDebugExposure(gameController) {
     // Only expose in development environment
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
         window.gameController = gameController;
-        window.dijkstraController = dijkstraController;
-        window.astarController = astarController;
-        window.dijkstraGrid = dijkstraGrid;
-        window.astarGrid = astarGrid;
+        window.visualizationControllers = gameController.visualizationControllers;
+        window.grids = gameController.grids;
+    }
+}
+
+//=============================================================================
+// COMPARISON PANELS
+//=============================================================================
+
+// Maximum number of comparison panels shown side by side
+const MAX_COMPARISON_PANELS = 6;
+
+// Accent colours for panels added at runtime (the page's own panels use the Dijkstra/A* colours)
+const EXTRA_PANEL_COLORS = ['#e67e22', '#1abc9c', '#e74c3c', '#f1c40f'];
+
+/**
+ * Set up the add panel button and the remove button of every comparison panel
+ * @param {Object} gameController - The game controller
+ * @param {Object} uiView - The UI view
+ */
+function setupPanelControls(gameController, uiView) {
+    const addPanelBtn = document.getElementById('add-panel-btn');
+    
+    if (addPanelBtn) {
+        addPanelBtn.addEventListener('click', () => {
+            if (gameController.grids.length >= MAX_COMPARISON_PANELS) {
+                uiView.showToast(`Up to ${MAX_COMPARISON_PANELS} panels can be compared at once`, 'warning');
+                return;
+            }
+            
+            const controller = createComparisonPanel(gameController, uiView, getNextAlgorithmKey(gameController));
+            if (controller) {
+                uiView.showToast(`Added a panel running ${controller.algorithm.constructor.getName()}`, 'info');
+            }
+        });
+    }
+    
+    // Add remove buttons to the panels defined in the page
+    document.querySelectorAll('.algorithm-comparison .algorithm-container').forEach(container => {
+        setupPanelRemoveButton(container, gameController, uiView);
+    });
+    
+    updateComparisonLayout(gameController);
+}
+
+/**
+ * Create a new comparison panel and register it with the game controller
+ * @param {Object} gameController - The game controller
+ * @param {Object} uiView - The UI view
+ * @param {string} algorithmKey - Registry key of the algorithm the panel starts with
+ * @returns {Object|null} The new panel's visualization controller, or null if it couldn't be created
+ */
+function createComparisonPanel(gameController, uiView, algorithmKey) {
+    const algorithmComparison = document.querySelector('.algorithm-comparison');
+    if (!algorithmComparison || !AlgorithmRegistry.has(algorithmKey)) {
+        return null;
+    }
+    
+    // Find an unused id for the panel's elements
+    let panelNumber = gameController.grids.length + 1;
+    while (document.getElementById(`panel-${panelNumber}-grid`)) {
+        panelNumber++;
+    }
+    const panelId = `panel-${panelNumber}`;
+    
+    // Build the panel with the same structure as the panels in the page
+    const container = document.createElement('article');
+    container.className = 'algorithm-container extra-panel-container';
+    container.style.setProperty('--panel-color', EXTRA_PANEL_COLORS[panelNumber % EXTRA_PANEL_COLORS.length]);
+    container.innerHTML = `
+        <div class="algorithm-header">
+            <select id="${panelId}-algorithm-select" class="algorithm-select" aria-label="Algorithm for panel ${panelNumber}"></select>
+        </div>
+        <p id="${panelId}-warning" class="algorithm-warning" role="status" style="display: none;">
+            <i class="fas fa-exclamation-triangle"></i> <span class="warning-message"></span>
+        </p>
+        <div id="${panelId}-options" class="algorithm-options" style="display: none;"></div>
+        <div class="main-content">
+            <div class="grid-container">
+                <div id="${panelId}-grid" class="grid" aria-label="Panel ${panelNumber} grid"></div>
+            </div>
+            
+            <footer class="path-info">
+                <p><i class="fas fa-search"></i> Nodes visited: <span id="${panelId}-visited-count">0</span></p>
+                <p><i class="fas fa-route"></i> Path length: <span id="${panelId}-path-length">0</span></p>
+                <p><i class="fas fa-coins"></i> Path cost: <span id="${panelId}-path-cost">0</span></p>
+                <p><i class="fas fa-ruler"></i> Distance: <span id="${panelId}-path-distance">0</span></p>
+                <p><i class="fas fa-dot-circle"></i> Goal: <span id="${panelId}-goal">-</span></p>
+                <p><i class="fas fa-map-marker-alt"></i> Legs: <span id="${panelId}-legs">-</span></p>
+                <p><i class="fas fa-route"></i> Routes: <span id="${panelId}-alt-path">-</span></p>
+                <p><i class="fas fa-bomb"></i> Bombs: <span id="${panelId}-bombs">-</span></p>
+                <p><i class="fas fa-bolt"></i> Stamina: <span id="${panelId}-stamina">-</span></p>
+            </footer>
+            <figure id="${panelId}-pareto" class="pareto-chart" style="display: none;"></figure>
+        </div>
+    `;
+    algorithmComparison.appendChild(container);
+    
+    // Create the model, view and controller of the panel
+    const grid = new Grid(gameController.grids[0].rows, gameController.grids[0].cols);
+    const gridView = new GridView(grid, `${panelId}-grid`);
+    const algorithm = AlgorithmRegistry.create(algorithmKey, grid);
+    const controller = new VisualizationController(grid, gridView, uiView, algorithm, {
+        visitedCountId: `${panelId}-visited-count`,
+        pathLengthId: `${panelId}-path-length`,
+        pathCostId: `${panelId}-path-cost`,
+        pathDistanceId: `${panelId}-path-distance`,
+        goalId: `${panelId}-goal`,
+        legsId: `${panelId}-legs`,
+        altPathId: `${panelId}-alt-path`,
+        bombsId: `${panelId}-bombs`,
+        staminaId: `${panelId}-stamina`,
+        paretoId: `${panelId}-pareto`,
+        algorithmSelectId: `${panelId}-algorithm-select`,
+        warningId: `${panelId}-warning`,
+        optionsId: `${panelId}-options`
+    });
+    
+    // Copy the current grid layout into the new panel and wire up its controls
+    gameController.addPanel(grid, gridView, controller);
+    uiView.setupAlgorithmSelect(controller);
+    setupPanelRemoveButton(container, gameController, uiView);
+    updateComparisonLayout(gameController);
+    
+    return controller;
+}
+
+/**
+ * Add a remove button to a comparison panel's header
+ * @param {HTMLElement} container - The panel's algorithm container
+ * @param {Object} gameController - The game controller
+ * @param {Object} uiView - The UI view
+ */
+function setupPanelRemoveButton(container, gameController, uiView) {
+    const header = container.querySelector('.algorithm-header');
+    const gridElement = container.querySelector('.grid');
+    if (!header || !gridElement || header.querySelector('.panel-remove-btn')) {
+        return;
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'panel-remove-btn';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.setAttribute('aria-label', 'Remove panel');
+    removeBtn.title = 'Remove panel';
+    header.appendChild(removeBtn);
+    
+    removeBtn.addEventListener('click', () => {
+        if (gameController.grids.length <= 1) {
+            uiView.showToast('At least one panel is needed', 'warning');
+            return;
+        }
+        
+        const index = gameController.gridViews.findIndex(view => view && view.gridContainerId === gridElement.id);
+        if (index !== -1 && gameController.removePanel(index)) {
+            container.remove();
+            updateComparisonLayout(gameController);
+        }
+    });
+}
+
+/**
+ * Pick the algorithm for a new panel, preferring one that no panel is running yet
+ * @param {Object} gameController - The game controller
+ * @returns {string} Registry key of the algorithm
+ */
+function getNextAlgorithmKey(gameController) {
+    const usedKeys = getVisualizationControllers(gameController).map(controller => controller.getAlgorithmKey());
+    const keys = AlgorithmRegistry.list().map(({ key }) => key);
+    
+    return keys.find(key => !usedKeys.includes(key)) || keys[0];
+}
+
+/**
+ * Update the comparison layout after panels were added or removed
+ * @param {Object} gameController - The game controller
+ */
+function updateComparisonLayout(gameController) {
+    const algorithmComparison = document.querySelector('.algorithm-comparison');
+    if (algorithmComparison) {
+        // Used by the stylesheet to adapt the layout (e.g. hide the swap button)
+        algorithmComparison.dataset.panelCount = gameController.grids.length;
     }
 }
 
@@ -530,9 +764,8 @@ function setupStepControlButtons() {
     if (mobilePrevStepBtn) {
         mobilePrevStepBtn.addEventListener('click', (event) => {
             event.stopPropagation();
-            // Trigger both algorithm's previous step functionality
-            if (window.dijkstraController) window.dijkstraController.prevStep();
-            if (window.astarController) window.astarController.prevStep();
+            // Trigger every algorithm's previous step functionality
+            getVisualizationControllers().forEach(controller => controller.prevStep());
             
             // Show visual feedback
             mobilePrevStepBtn.classList.add('touch-active');
@@ -546,47 +779,8 @@ function setupStepControlButtons() {
         mobileNextStepBtn.addEventListener('click', (event) => {
             event.stopPropagation();
             
-            // Check if both algorithms have reached their max steps before proceeding
-            if (window.dijkstraController && window.astarController) {
-                const dijkstraFinished = window.dijkstraController.currentStep >= window.dijkstraController.maxStep;
-                const astarFinished = window.astarController.currentStep >= window.astarController.maxStep;
-                
-                if (dijkstraFinished && astarFinished) {
-                    // Both algorithms have reached their end, disable the next button
-                    mobileNextStepBtn.disabled = true;
-                    
-                    // Also disable desktop and other mobile next step buttons
-                    const nextStepButton = document.getElementById('next-step-btn');
-                    const mobileStepMenuNextButton = document.getElementById('mobile-next-step');
-                    
-                    if (nextStepButton) nextStepButton.disabled = true;
-                    if (mobileStepMenuNextButton) mobileStepMenuNextButton.disabled = true;
-                    
-                    return; // Don't proceed with the next step
-                }
-            }
-            
-            // Trigger both algorithm's next step functionality
-            if (window.dijkstraController) window.dijkstraController.nextStep();
-            if (window.astarController) window.astarController.nextStep();
-            
-            // Check again after taking the step if both algorithms are now complete
-            if (window.dijkstraController && window.astarController) {
-                const dijkstraFinished = window.dijkstraController.currentStep >= window.dijkstraController.maxStep;
-                const astarFinished = window.astarController.currentStep >= window.astarController.maxStep;
-                
-                if (dijkstraFinished && astarFinished) {
-                    // Both algorithms have reached their end, disable the next button
-                    mobileNextStepBtn.disabled = true;
-                    
-                    // Also disable desktop and other mobile next step buttons
-                    const nextStepButton = document.getElementById('next-step-btn');
-                    const mobileStepMenuNextButton = document.getElementById('mobile-next-step');
-                    
-                    if (nextStepButton) nextStepButton.disabled = true;
-                    if (mobileStepMenuNextButton) mobileStepMenuNextButton.disabled = true;
-                }
-            }
+            // Step all algorithms, disabling the next buttons once every panel is done
+            handleNextStepShortcut(getVisualizationControllers());
             
             // Show visual feedback
             mobileNextStepBtn.classList.add('touch-active');
@@ -599,11 +793,10 @@ function setupStepControlButtons() {
     if (mobileStepRunBtn) {
         mobileStepRunBtn.addEventListener('click', (event) => {
             event.stopPropagation();
-            // Trigger both algorithms to run in parallel
-            Promise.all([
-                window.dijkstraController ? window.dijkstraController.startVisualization() : Promise.resolve(),
-                window.astarController ? window.astarController.startVisualization() : Promise.resolve()
-            ]);
+            // Trigger all algorithms to run in parallel
+            Promise.all(
+                getVisualizationControllers().map(controller => controller.startVisualization())
+            );
             
             // Show visual feedback
             mobileStepRunBtn.classList.add('touch-active');
@@ -844,21 +1037,16 @@ function handleAssistiveMenuAction(tool, gameController) {
     // Special handling for clear grid to make it work anytime
     if (tool === 'clear') {
         // Force stop any ongoing visualizations
-        if (window.dijkstraController) {
-            window.dijkstraController.reset();
-            window.dijkstraController.resetUI();
-            
-            // Reset step controls if in step-by-step mode
-            const nextStepBtn = document.getElementById('next-step-btn');
-            const prevStepBtn = document.getElementById('prev-step-btn');
-            if (nextStepBtn) nextStepBtn.disabled = true;
-            if (prevStepBtn) prevStepBtn.disabled = true;
-        }
+        getVisualizationControllers(gameController).forEach(controller => {
+            controller.reset();
+            controller.resetUI();
+        });
         
-        if (window.astarController) {
-            window.astarController.reset();
-            window.astarController.resetUI();
-        }
+        // Reset step controls if in step-by-step mode
+        const nextStepBtn = document.getElementById('next-step-btn');
+        const prevStepBtn = document.getElementById('prev-step-btn');
+        if (nextStepBtn) nextStepBtn.disabled = true;
+        if (prevStepBtn) prevStepBtn.disabled = true;
         
         // Clear the grid using the game controller directly
         if (gameController) {
@@ -883,6 +1071,14 @@ function handleAssistiveMenuAction(tool, gameController) {
         const buttonMap = {
             'start': 'start-node-btn',
             'end': 'end-node-btn',
+            'goal': 'goal-btn',
+            'waypoint': 'waypoint-btn',
+            'agent': 'agent-btn',
+            'patrol': 'patrol-btn',
+            'key': 'key-btn',
+            'door': 'door-btn',
+            'danger': 'danger-btn',
+            'oneway': 'oneway-btn',
             'wall': 'wall-btn',
             'weighted': 'weighted-node-btn',
             'erase': 'erase-btn'
@@ -907,21 +1103,16 @@ function handleRandomMenuAction(action, gameController) {
     // Special handling for clear grid to make it work anytime
     if (action === 'clear-grid') {
         // Force stop any ongoing visualizations
-        if (window.dijkstraController) {
-            window.dijkstraController.reset();
-            window.dijkstraController.resetUI();
-            
-            // Reset step controls if in step-by-step mode
-            const nextStepBtn = document.getElementById('next-step-btn');
-            const prevStepBtn = document.getElementById('prev-step-btn');
-            if (nextStepBtn) nextStepBtn.disabled = true;
-            if (prevStepBtn) prevStepBtn.disabled = true;
-        }
+        getVisualizationControllers(gameController).forEach(controller => {
+            controller.reset();
+            controller.resetUI();
+        });
         
-        if (window.astarController) {
-            window.astarController.reset();
-            window.astarController.resetUI();
-        }
+        // Reset step controls if in step-by-step mode
+        const nextStepBtn = document.getElementById('next-step-btn');
+        const prevStepBtn = document.getElementById('prev-step-btn');
+        if (nextStepBtn) nextStepBtn.disabled = true;
+        if (prevStepBtn) prevStepBtn.disabled = true;
         
         // Clear the grid using the game controller directly
         if (gameController) {
@@ -965,7 +1156,8 @@ function handleRandomMenuAction(action, gameController) {
         // Map the action to the corresponding button ID
         const buttonMap = {
             'random-maze': 'random-maze-btn',
-            'random-start-end': 'random-start-end-btn'
+            'random-start-end': 'random-start-end-btn',
+            'add-panel': 'add-panel-btn'
         };
         
         // Click the corresponding button if it exists
@@ -1034,9 +1226,9 @@ function setupSwapButtons() {
         const swapAlgorithms = () => {
             // Get the algorithm containers
             const containers = algorithmComparison.querySelectorAll('.algorithm-container');
-            if (containers.length !== 2) return;
+            if (containers.length < 2) return;
             
-            // Swap the containers by moving the first to the end
+            // Swap (or rotate, with more panels) the containers by moving the first to the end
             algorithmComparison.appendChild(containers[0]);
             
             // Update any active DOM elements or styles
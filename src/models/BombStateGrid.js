@@ -0,0 +1,103 @@
+/**
+ * A grid where the path may blow up a few rocks, seen as a graph over (cell, bombs used) states
+ *
+ * With K bombs a wall is just another cell to walk into, only dearer: blowing it up costs
+ * BLAST_COST, like a monster of that weight, and uses up a bomb. Whether a rock can still be blown
+ * up depends on the bombs left, so each state is a Node for one cell together with the bombs used
+ * so far in Node.bombsUsed.
+ */
+class BombStateGrid extends LayeredStateGrid {
+    static LAYER_PROPERTY = 'bombsUsed';
+    static BLAST_COST = 5;
+
+    /**
+     * Wrap a grid
+     * @param {Grid} grid - The grid holding the walls, start node and goals
+     * @param {number} bombCount - How many rocks the path may blow up
+     */
+    constructor(grid, bombCount) {
+        super(grid);
+        this.bombCount = bombCount;
+    }
+
+    //=============================================================================
+    // STATES
+    //=============================================================================
+
+    /**
+     * Get the bombs used on a cell, blowing up the rock there if it is a wall
+     * @param {Node} cell - Node of the true grid
+     * @param {number} bombsUsed - Bombs used before entering the cell
+     * @returns {number} Bombs used
+     */
+    enterCell(cell, bombsUsed) {
+        return cell.isWall ? bombsUsed + 1 : bombsUsed;
+    }
+
+    /**
+     * Get the state of standing on a cell; a rock costs BLAST_COST to walk into, like a monster of that weight
+     * @param {Node} cell - Node of the true grid
+     * @param {number} bombsUsed - Bombs used before entering the cell
+     * @returns {Node} The state, with the cell in its cell property
+     */
+    getState(cell, bombsUsed) {
+        const state = super.getState(cell, bombsUsed);
+        if (cell.isWall) {
+            state.isWeighted = true;
+            state.weight = BombStateGrid.BLAST_COST;
+        }
+        return state;
+    }
+
+    /**
+     * Get the states a state can move to: the cell's open neighbours, and its walls while bombs are left
+     * @param {Node} state - The state to move from
+     * @returns {Node[]} The neighbouring states
+     */
+    getNeighbors(state) {
+        const bombsLeft = state.bombsUsed < this.bombCount;
+        return this.grid.getNeighbors(state, bombsLeft).map(cell => this.getState(cell, state.bombsUsed));
+    }
+
+    /**
+     * Check if any move costs more than the default, counting rocks that may be blown up
+     * @returns {boolean} True if the grid contains weighted nodes or the path carries bombs
+     */
+    hasWeightedNodes() {
+        return this.grid.hasWeightedNodes() || this.bombCount > 0;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Get the rocks a path blows up
+     * @param {Node[]} pathStates - States along the path
+     * @returns {Node[]} The wall cells the path walks through, in order
+     */
+    getBlastedRocks(pathStates) {
+        return pathStates.filter(state => state.cell.isWall).map(state => state.cell);
+    }
+
+    /**
+     * Describe a search over the states for the panel's notes
+     * @param {Node[]} visitedStates - States the search expanded
+     * @param {Node[]} pathStates - States along the path found, empty if there is none
+     * @returns {string} How many states were expanded with each number of bombs used, and the rocks the path blows up
+     */
+    getSummary(visitedStates, pathStates) {
+        const counts = new Map();
+        visitedStates.forEach(state => counts.set(state.bombsUsed, (counts.get(state.bombsUsed) || 0) + 1));
+
+        const layers = [...counts.keys()].sort((a, b) => a - b).map(used => `${counts.get(used)} with ${used} used`);
+        const expanded = `Bombs: expanded ${visitedStates.length} (cell, bombs used) state${visitedStates.length === 1 ? '' : 's'}: ${layers.join(', ')}.`;
+        if (pathStates.length === 0) return expanded;
+
+        const rocks = this.getBlastedRocks(pathStates);
+        const rockText = rocks.length > 0
+            ? `blows up ${rocks.length} rock${rocks.length === 1 ? '' : 's'}, at ${rocks.map(rock => `(${rock.row}, ${rock.col})`).join(', ')}`
+            : 'blows up no rocks';
+        return `${expanded} The path ${rockText}.`;
+    }
+}
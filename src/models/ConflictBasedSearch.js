@@ -0,0 +1,319 @@
+/**
+ * Plans collision-free paths for several agents at once with Conflict-Based Search (CBS)
+ *
+ * Every agent walks from its start to its goal, one move or one wait per time step, and stays on
+ * its goal once it arrives. Two agents collide when they stand on the same cell at the same time,
+ * or swap cells in the same step.
+ *
+ * CBS works on two levels. The low level plans one agent at a time with space-time A*: a search
+ * over (cell, time) pairs that respects the constraints placed on that agent, i.e. cells it may
+ * not stand on and moves it may not make at given times. The high level searches a tree of
+ * constraint sets, cheapest total first. Its root plans every agent on its own; whenever the
+ * cheapest node's paths collide, the node is split in two, each child forbidding the collision
+ * to one of the two agents and replanning only that agent. The first node without collisions
+ * holds the cheapest collision-free plan.
+ *
+ * Moves cost the weight of the entered cell as usual, and waiting a step costs 1, like a step
+ * on open ground. Waiting on the goal after arriving for good costs nothing.
+ */
+class ConflictBasedSearch {
+    static MAX_CONSTRAINT_NODES = 1000;
+
+    /**
+     * Prepare the search
+     * @param {Grid} grid - The grid holding the agents, see Grid.getAgents()
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.agents = grid.getAgents();
+
+        // Open cells, the moves between them, and the same moves walked backwards
+        ({ cells: this.cells, indices: this.indices, moves: this.moves, reverseMoves: this.reverseMoves } = grid.getMoveGraph());
+
+        this.expanded = []; // Cells the low-level searches expanded, in order
+    }
+
+    //=============================================================================
+    // HIGH LEVEL: CONSTRAINT TREE
+    //=============================================================================
+
+    /**
+     * Plan every agent's path
+     * @returns {Object} { paths, costs, cost, makespan, pathFound, expanded, constraintNodes, conflicts,
+     *     noPathReason, unsupportedReason } where paths[i] lists agent i's cell at every time step
+     *     and conflicts counts the collisions that had to be resolved
+     */
+    run() {
+        const plan = {
+            paths: [],
+            costs: [],
+            cost: null,
+            makespan: 0,
+            pathFound: false,
+            expanded: this.expanded,
+            constraintNodes: 0,
+            conflicts: 0,
+            noPathReason: null,
+            unsupportedReason: null
+        };
+
+        // Space-time A* needs moves that cost at least nothing
+        if (this.grid.hasNegativeWeights()) {
+            plan.unsupportedReason = Grid.getNegativeWeightReason('Multi-agent planning');
+            return plan;
+        }
+
+        // Each agent's exact cost to its goal from every cell, the low level's heuristic
+        this.goalDistances = this.agents.map(agent => Grid.findMoveDistances(this.reverseMoves, [this.indices.get(agent.goal)]));
+
+        const root = { constraints: [], paths: [], costs: [] };
+        for (let agent = 0; agent < this.agents.length; agent++) {
+            const result = this.planAgent(agent, []);
+            if (!result) {
+                plan.noPathReason = `Agent ${agent + 1} can't reach its goal.`;
+                return plan;
+            }
+            root.paths.push(result.path);
+            root.costs.push(result.cost);
+        }
+        root.cost = this.sum(root.costs);
+        root.conflictCount = this.countConflicts(root.paths);
+
+        // Cheapest node first; fewer collisions breaks ties, as it is likely closer to a solution
+        const open = new PriorityQueue((a, b) => (a.cost - b.cost) || (a.conflictCount - b.conflictCount));
+        open.enqueue(root);
+
+        while (!open.isEmpty()) {
+            if (plan.constraintNodes >= ConflictBasedSearch.MAX_CONSTRAINT_NODES) {
+                plan.noPathReason = `Gave up after checking ${plan.constraintNodes} constraint sets without finding a collision-free plan.`;
+                return plan;
+            }
+
+            const node = open.dequeue();
+            plan.constraintNodes++;
+
+            const conflict = this.findConflict(node.paths);
+            if (!conflict) {
+                plan.paths = node.paths.map(path => path.map(index => this.cells[index]));
+                plan.costs = node.costs;
+                plan.cost = node.cost;
+                plan.makespan = Math.max(...node.paths.map(path => path.length - 1));
+                plan.pathFound = true;
+                return plan;
+            }
+            plan.conflicts++;
+
+            // Forbid the collision to one agent in each child and replan just that agent
+            conflict.agents.forEach((agent, side) => {
+                const constraint = this.createConstraint(conflict, agent, side);
+                const constraints = [...node.constraints, constraint];
+                const result = this.planAgent(agent, constraints.filter(existing => existing.agent === agent));
+                if (!result) return;
+
+                const paths = [...node.paths];
+                const costs = [...node.costs];
+                paths[agent] = result.path;
+                costs[agent] = result.cost;
+                open.enqueue({ constraints, paths, costs, cost: this.sum(costs), conflictCount: this.countConflicts(paths) });
+            });
+        }
+
+        plan.noPathReason = 'No collision-free plan exists: the agents block each other whichever way they go.';
+        return plan;
+    }
+
+    /**
+     * Find the first collision between the agents' paths
+     * @param {number[][]} paths - Cell index of each agent at every time step
+     * @returns {Object|null} { type: 'vertex', agents, cell, time } when two agents share a cell,
+     *     { type: 'edge', agents, from, to, time } when the first agent moves from → to while the second
+     *     moves back, or null if the paths don't collide
+     */
+    findConflict(paths) {
+        const makespan = Math.max(...paths.map(path => path.length - 1));
+
+        for (let time = 0; time <= makespan; time++) {
+            const occupied = new Map();
+            for (let agent = 0; agent < paths.length; agent++) {
+                const cell = this.getCellAt(paths[agent], time);
+                if (occupied.has(cell)) {
+                    return { type: 'vertex', agents: [occupied.get(cell), agent], cell, time };
+                }
+                occupied.set(cell, agent);
+            }
+
+            if (time === makespan) break;
+
+            for (let a = 0; a < paths.length; a++) {
+                for (let b = a + 1; b < paths.length; b++) {
+                    const from = this.getCellAt(paths[a], time);
+                    const to = this.getCellAt(paths[a], time + 1);
+                    if (from !== to && this.getCellAt(paths[b], time) === to && this.getCellAt(paths[b], time + 1) === from) {
+                        return { type: 'edge', agents: [a, b], from, to, time };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Count the collisions between the agents' paths, to rank constraint tree nodes of equal cost
+     * @param {number[][]} paths - Cell index of each agent at every time step
+     * @returns {number} Number of pairs of agents sharing a cell at some time step
+     */
+    countConflicts(paths) {
+        const makespan = Math.max(...paths.map(path => path.length - 1));
+        let count = 0;
+
+        for (let time = 0; time <= makespan; time++) {
+            const occupied = new Map();
+            paths.forEach(path => {
+                const cell = this.getCellAt(path, time);
+                occupied.set(cell, (occupied.get(cell) || 0) + 1);
+            });
+            occupied.forEach(agents => {
+                count += agents * (agents - 1) / 2;
+            });
+        }
+
+        return count;
+    }
+
+    /**
+     * Turn a collision into the constraint that forbids it to one of its two agents
+     * @param {Object} conflict - Result of findConflict()
+     * @param {number} agent - The agent to constrain
+     * @param {number} side - 0 for the conflict's first agent, 1 for its second
+     * @returns {Object} { agent, cell, time } to keep the agent off a cell, or { agent, from, to, time }
+     *     to keep it from making a move that starts at the given time
+     */
+    createConstraint(conflict, agent, side) {
+        if (conflict.type === 'vertex') {
+            return { agent, cell: conflict.cell, time: conflict.time };
+        }
+
+        // The second agent makes the same move the other way round
+        return side === 0
+            ? { agent, from: conflict.from, to: conflict.to, time: conflict.time }
+            : { agent, from: conflict.to, to: conflict.from, time: conflict.time };
+    }
+
+    //=============================================================================
+    // LOW LEVEL: SPACE-TIME A*
+    //=============================================================================
+
+    /**
+     * Find one agent's cheapest path that respects its constraints
+     * @param {number} agent - Index of the agent
+     * @param {Object[]} constraints - The agent's constraints, see createConstraint()
+     * @returns {Object|null} { path, cost } with the cell index at every time step, or null if there is no path
+     */
+    planAgent(agent, constraints) {
+        const start = this.indices.get(this.agents[agent].start);
+        const goal = this.indices.get(this.agents[agent].goal);
+        const distances = this.goalDistances[agent];
+        if (distances[start] === Infinity) return null;
+
+        const blockedCells = new Set();
+        const blockedMoves = new Set();
+        let lastGoalConstraint = -1; // The agent may only stop for good after the goal is last forbidden
+        let lastConstraint = 0;
+        constraints.forEach(constraint => {
+            if (constraint.cell !== undefined) {
+                blockedCells.add(`${constraint.cell}@${constraint.time}`);
+                if (constraint.cell === goal) {
+                    lastGoalConstraint = Math.max(lastGoalConstraint, constraint.time);
+                }
+            } else {
+                blockedMoves.add(`${constraint.from}>${constraint.to}@${constraint.time}`);
+            }
+            lastConstraint = Math.max(lastConstraint, constraint.time);
+        });
+
+        // After the last constraint, waiting around never helps, so this bounds every useful path
+        const maxTime = lastConstraint + this.cells.length + 1;
+
+        return ConflictBasedSearch.findSpaceTimePath(this.moves, {
+            start,
+            distances,
+            getKey: (cell, time) => cell * (maxTime + 1) + time,
+            isGoal: (cell, time) => cell === goal && time > lastGoalConstraint,
+            isBlocked: (from, to, time) => blockedCells.has(`${to}@${time + 1}`) || blockedMoves.has(`${from}>${to}@${time}`),
+            maxTime,
+            onExpand: cell => this.expanded.push(this.cells[cell])
+        });
+    }
+
+    /**
+     * Find a path over (cell, time) states with space-time A*, cheapest estimate first
+     * Each time step the agent takes one of the moves or waits where it is, which costs 1
+     * @param {Object[][]} moves - Moves out of each cell as { to, cost }, see Grid.getMoveGraph()
+     * @param {Object} search - { start, distances, getKey, isGoal, isBlocked, maxTime, onExpand }: the
+     *     start cell, the cost from each cell to the goal (the heuristic; Infinity rules a cell out),
+     *     the key of a (cell, time) state, so states sharing one are expanded once, whether a state
+     *     ends the search, whether the step from → to starting at a time is forbidden, the last time
+     *     a state may be expanded from, and a callback for each cell expanded
+     * @returns {Object|null} { path, cost } with the cell index at every time step, or null if there is no path
+     */
+    static findSpaceTimePath(moves, { start, distances, getKey, isGoal, isBlocked, maxTime = Infinity, onExpand }) {
+        // Queue entries are { cell, time, cost, estimate, parent } states; repeated states are skipped when dequeued
+        const open = new PriorityQueue((a, b) => (a.estimate - b.estimate) || (b.cost - a.cost));
+        const closed = new Set();
+        open.enqueue({ cell: start, time: 0, cost: 0, estimate: distances[start], parent: null });
+
+        while (!open.isEmpty()) {
+            const state = open.dequeue();
+            const key = getKey(state.cell, state.time);
+            if (closed.has(key)) continue;
+            closed.add(key);
+            onExpand(state.cell);
+
+            if (isGoal(state.cell, state.time)) {
+                const path = [];
+                for (let current = state; current; current = current.parent) {
+                    path.unshift(current.cell);
+                }
+                return { path, cost: state.cost };
+            }
+
+            if (state.time >= maxTime) continue;
+
+            const time = state.time + 1;
+            const options = [{ to: state.cell, cost: 1 }, ...moves[state.cell]];
+            for (const { to, cost } of options) {
+                if (distances[to] === Infinity || closed.has(getKey(to, time))) continue;
+                if (isBlocked(state.cell, to, state.time)) continue;
+
+                const newCost = state.cost + cost;
+                open.enqueue({ cell: to, time, cost: newCost, estimate: newCost + distances[to], parent: state });
+            }
+        }
+
+        return null;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Get where an agent stands at a time step; it stays on its goal after arriving
+     * @param {number[]} path - Cell index of the agent at every time step
+     * @param {number} time - The time step
+     * @returns {number} Index of the cell
+     */
+    getCellAt(path, time) {
+        return path[Math.min(time, path.length - 1)];
+    }
+
+    /**
+     * Add up a list of costs
+     * @param {number[]} costs - The costs
+     * @returns {number} Their sum
+     */
+    sum(costs) {
+        return costs.reduce((total, cost) => total + cost, 0);
+    }
+}
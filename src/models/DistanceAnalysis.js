@@ -0,0 +1,180 @@
+/**
+ * Distances between every pair of open cells of a grid
+ *
+ * Runs Dijkstra from every open cell, or Floyd-Warshall when bonus tiles make some moves cost
+ * less than nothing (Dijkstra can't handle those). From the distance table it derives each cell's
+ * eccentricity, the farthest any other cell is from it, and the grid's diameter, the largest
+ * eccentricity. Moves cost the weight of the entered cell, so the distance from A to B can differ
+ * from the distance from B to A.
+ *
+ * The grid's nodes are left untouched, so the analysis can run while panels show other results.
+ */
+class DistanceAnalysis {
+    /**
+     * Compute the distances between every pair of open cells
+     * @param {Grid} grid - The grid to analyse
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.signature = DistanceAnalysis.getSignature(grid);
+
+        // Open cells, indexed as in the distance table, and the moves between them, looked up once for all the searches
+        ({ cells: this.cells, indices: this.indices, moves: this.moves } = grid.getMoveGraph());
+
+        this.method = grid.hasNegativeWeights() ? 'floyd-warshall' : 'dijkstra';
+        this.distances = []; // distances[i][j]: cost from cells[i] to cells[j], Infinity if unreachable
+        this.previous = []; // previous[i][j]: index of the cell before cells[j] on the way from cells[i], -1 if none
+        this.hasNegativeCycle = false;
+
+        if (this.method === 'dijkstra') {
+            this.cells.forEach((cell, index) => this.runDijkstra(index));
+        } else {
+            this.runFloydWarshall();
+        }
+
+        this.eccentricities = this.cells.map((cell, index) => this.calculateEccentricity(index));
+    }
+
+    //=============================================================================
+    // DISTANCE TABLE
+    //=============================================================================
+
+    /**
+     * Fill one row of the distance table with Dijkstra
+     * @param {number} source - Index of the cell to measure from
+     */
+    runDijkstra(source) {
+        const previous = new Int32Array(this.cells.length);
+        this.distances[source] = Grid.findMoveDistances(this.moves, [source], previous);
+        this.previous[source] = previous;
+    }
+
+    /**
+     * Fill the whole distance table with Floyd-Warshall, which also handles negative moves
+     */
+    runFloydWarshall() {
+        const count = this.cells.length;
+        const distances = this.cells.map(() => new Float64Array(count).fill(Infinity));
+        const previous = this.cells.map(() => new Int32Array(count).fill(-1));
+
+        this.moves.forEach((moves, index) => {
+            distances[index][index] = 0;
+            for (const { to, cost } of moves) {
+                distances[index][to] = cost;
+                previous[index][to] = index;
+            }
+        });
+
+        // Allow each cell in turn as a stop on the way between every pair
+        for (let via = 0; via < count; via++) {
+            const viaDistances = distances[via];
+            for (let from = 0; from < count; from++) {
+                const toVia = distances[from][via];
+                if (toVia === Infinity) continue;
+
+                const fromDistances = distances[from];
+                for (let to = 0; to < count; to++) {
+                    const distance = toVia + viaDistances[to];
+                    if (distance < fromDistances[to] - 1e-9) {
+                        fromDistances[to] = distance;
+                        previous[from][to] = previous[via][to];
+                    }
+                }
+            }
+        }
+
+        // A cell that can reach itself for less than nothing lies on a negative cycle
+        this.hasNegativeCycle = distances.some((row, index) => row[index] < 0);
+        this.distances = distances;
+        this.previous = previous;
+    }
+
+    //=============================================================================
+    // QUERIES
+    //=============================================================================
+
+    /**
+     * Get the distance from one cell to every open cell
+     * @param {Node} node - The cell to measure from
+     * @returns {Map<Node, number>} Distance to each open cell, Infinity if unreachable
+     */
+    getDistancesFrom(node) {
+        const distances = new Map();
+        const row = this.distances[this.indices.get(node)];
+        if (!row) return distances;
+
+        this.cells.forEach((cell, index) => distances.set(cell, row[index]));
+        return distances;
+    }
+
+    /**
+     * Get every open cell's eccentricity: its distance to the farthest cell it can reach
+     * @returns {Map<Node, number>} Eccentricity of each open cell
+     */
+    getEccentricities() {
+        const eccentricities = new Map();
+        this.cells.forEach((cell, index) => eccentricities.set(cell, this.eccentricities[index]));
+        return eccentricities;
+    }
+
+    /**
+     * Find the two cells farthest apart
+     * @returns {Object|null} { from, to, distance } for the diameter, or null if no cell reaches another
+     */
+    getDiameter() {
+        let best = null;
+
+        this.cells.forEach((cell, index) => {
+            const row = this.distances[index];
+            row.forEach((distance, target) => {
+                if (distance !== Infinity && target !== index && (!best || distance > best.distance)) {
+                    best = { from: cell, to: this.cells[target], distance };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Get the cheapest path between two cells
+     * @param {Node} fromNode - First cell of the path
+     * @param {Node} toNode - Last cell of the path
+     * @returns {Node[]} Cells of the path from start to end, empty if there is none
+     */
+    getPath(fromNode, toNode) {
+        const from = this.indices.get(fromNode);
+        const previous = this.previous[from];
+        const path = [];
+
+        for (let index = this.indices.get(toNode); index !== -1 && path.length <= this.cells.length; index = previous[index]) {
+            path.unshift(this.cells[index]);
+            if (index === from) return path;
+        }
+
+        return [];
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Calculate how far the farthest reachable cell is from a cell
+     * @param {number} index - Index of the cell
+     * @returns {number} The largest finite distance from the cell, 0 if it reaches no other cell
+     */
+    calculateEccentricity(index) {
+        return this.distances[index].reduce((max, distance) => (distance !== Infinity && distance > max ? distance : max), 0);
+    }
+
+    /**
+     * Describe everything the distances depend on, to tell when a grid needs a new analysis
+     * @param {Grid} grid - The grid
+     * @returns {string} Size, movement rules, walls, weights and one-way arrows of the grid
+     */
+    static getSignature(grid) {
+        const cells = grid.nodes.map(row => row.map(node => (node.isWall ? '#' : node.weight + (node.oneWay ? node.oneWay[0] : ''))).join(',')).join(';');
+        return `${grid.rows}x${grid.cols}|${grid.movementModel}|${grid.allowCornerCutting}|${cells}`;
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Simulates an agent crossing a grid it can only partly see
+ *
+ * The agent starts at the grid's start node knowing nothing but the cells within its sensor
+ * radius. It keeps its own belief grid, where every cell it hasn't seen is assumed to be open
+ * ground, plans a path on that belief, and walks it one step at a time. Whenever the cells it
+ * sees along the way show a rock or monster on the rest of its plan, it plans again from where
+ * it stands.
+ *
+ * The run is recorded as a timeline of events that GridView can replay:
+ * - { type: 'sense', cells } - cells of the true grid the agent has just seen
+ * - { type: 'plan', visited, path } - nodes the planner expanded and the path it chose
+ * - { type: 'move', from, to } - one step of the agent
+ */
+class FogOfWarExplorer {
+    /**
+     * Create a new explorer
+     * @param {Grid} grid - The true grid the agent walks on
+     * @param {number} sensorRadius - How far the agent sees, in cells (straight-line distance)
+     * @param {Function} createPlanner - Called with the belief grid, returns the Algorithm to plan with
+     */
+    constructor(grid, sensorRadius, createPlanner) {
+        this.grid = grid;
+        this.sensorRadius = sensorRadius;
+
+        // The agent's map: same size and movement rules, but no rocks or monsters until seen
+        this.belief = new Grid(grid.rows, grid.cols);
+        this.belief.setMovementModel(grid.movementModel, grid.allowCornerCutting);
+        this.belief.setEndNode(grid.endNode.row, grid.endNode.col);
+        grid.goalNodes.forEach(goal => this.belief.addGoalNode(goal.row, goal.col));
+        this.belief.setStartNode(grid.startNode.row, grid.startNode.col);
+
+        this.planner = createPlanner(this.belief);
+        this.knownCells = new Set(); // Position strings of the cells the agent has seen
+    }
+
+    //=============================================================================
+    // EXPLORATION
+    //=============================================================================
+
+    /**
+     * Walk from the start node to the nearest goal, replanning as hidden cells are discovered
+     * @returns {Object} { timeline, trail, expanded, replans, pathFound, gaveUp, unsupportedReason }
+     *     where trail is the walked path and expanded every node the planner expanded, both on the true grid,
+     *     and gaveUp tells if the agent stopped after wandering too long
+     */
+    run() {
+        const timeline = [];
+        const trail = [this.grid.startNode];
+        const expanded = [];
+        let plans = 0;
+        let unsupportedReason = null;
+
+        let agent = this.belief.startNode;
+        timeline.push({ type: 'sense', cells: this.sense(agent).seen });
+
+        // Every cell can be entered from a handful of directions, so this bounds any sane walk
+        const maxMoves = this.grid.rows * this.grid.cols * 8;
+        let plan = null;
+        let planIndex = 0;
+
+        while (!agent.isEnd && trail.length <= maxMoves) {
+            if (!plan) {
+                unsupportedReason = this.planner.getUnsupportedReason();
+                if (unsupportedReason) break;
+
+                this.setAgent(agent);
+                const result = this.planner.run(true);
+                plans++;
+
+                const visited = result.visited.map(node => this.toGridNode(node));
+                expanded.push(...visited);
+                if (!result.pathFound) {
+                    timeline.push({ type: 'plan', visited, path: [] });
+                    break;
+                }
+
+                plan = result.path.map(node => this.toBeliefNode(node));
+                planIndex = 0;
+                timeline.push({ type: 'plan', visited, path: plan.map(node => this.toGridNode(node)) });
+            }
+
+            // Take the next step of the plan and look around
+            const next = plan[planIndex + 1];
+            timeline.push({ type: 'move', from: this.toGridNode(agent), to: this.toGridNode(next) });
+            trail.push(this.toGridNode(next));
+            agent = next;
+            planIndex++;
+
+            const { seen, changed } = this.sense(agent);
+            if (seen.length > 0) {
+                timeline.push({ type: 'sense', cells: seen });
+            }
+
+            // Replan only if what was just seen gets in the way of the rest of the plan
+            if (changed.length > 0 && !this.isPlanStillValid(plan, planIndex, new Set(changed))) {
+                plan = null;
+            }
+        }
+
+        return {
+            timeline,
+            trail,
+            expanded,
+            replans: Math.max(0, plans - 1),
+            pathFound: agent.isEnd,
+            gaveUp: !agent.isEnd && trail.length > maxMoves,
+            unsupportedReason
+        };
+    }
+
+    /**
+     * Copy every cell within the sensor radius of a node from the true grid into the belief grid
+     * The cells right next to the agent are always seen, so it never steps into a rock blindly
+     * @param {Node} center - Belief node the agent stands on
+     * @returns {Object} { seen, changed }: true-grid cells seen for the first time, and the belief
+     *     cells among them that turned out not to be open ground without doors or arrows
+     */
+    sense(center) {
+        const seen = [];
+        const changed = [];
+        const radius = Math.max(1, Math.floor(this.sensorRadius));
+
+        for (let dRow = -radius; dRow <= radius; dRow++) {
+            for (let dCol = -radius; dCol <= radius; dCol++) {
+                const isAdjacent = Math.abs(dRow) <= 1 && Math.abs(dCol) <= 1;
+                if (!isAdjacent && dRow * dRow + dCol * dCol > this.sensorRadius * this.sensorRadius) continue;
+
+                const cell = this.grid.getNode(center.row + dRow, center.col + dCol);
+                if (!cell || this.knownCells.has(cell.getPositionString())) continue;
+
+                this.knownCells.add(cell.getPositionString());
+                seen.push(cell);
+
+                const beliefCell = this.toBeliefNode(cell);
+                if (cell.isWall || cell.weight !== beliefCell.weight || cell.oneWay !== beliefCell.oneWay || cell.door !== beliefCell.door) {
+                    beliefCell.isWall = cell.isWall;
+                    beliefCell.isWeighted = cell.isWeighted;
+                    beliefCell.weight = cell.weight;
+                    beliefCell.oneWay = cell.oneWay;
+                    beliefCell.door = cell.door; // The agent holds no keys, so a door it sees stays shut
+                    changed.push(beliefCell);
+                }
+            }
+        }
+
+        return { seen, changed };
+    }
+
+    /**
+     * Check if the rest of a plan is still walkable and costs what was planned
+     * @param {Node[]} plan - Belief nodes of the plan
+     * @param {number} fromIndex - Index of the node the agent stands on
+     * @param {Set<Node>} changed - Belief cells that have just been discovered
+     * @returns {boolean} True if the agent can keep following the plan
+     */
+    isPlanStillValid(plan, fromIndex, changed) {
+        for (let i = fromIndex + 1; i < plan.length; i++) {
+            const node = plan[i];
+            if (node.isWall || changed.has(node) || !this.belief.canMoveBetween(plan[i - 1], node)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Move the belief grid's start node to where the agent stands, so the planner starts from there
+     * Unlike Grid.setStartNode this keeps what the agent knows about the cell
+     * @param {Node} node - Belief node the agent stands on
+     */
+    setAgent(node) {
+        if (this.belief.startNode) {
+            this.belief.startNode.isStart = false;
+        }
+        node.isStart = true;
+        this.belief.startNode = node;
+    }
+
+    /**
+     * Get the true-grid node at the same position as a belief node
+     * @param {Node} node - Node of the belief grid
+     * @returns {Node} Node of the true grid
+     */
+    toGridNode(node) {
+        return this.grid.getNode(node.row, node.col);
+    }
+
+    /**
+     * Get the belief node at the same position as a true-grid node
+     * @param {Node} node - Node of the true grid
+     * @returns {Node} Node of the belief grid
+     */
+    toBeliefNode(node) {
+        return this.belief.getNode(node.row, node.col);
+    }
+}
@@ -2,6 +2,20 @@
  * Grid class to manage the collection of nodes
  */
 class Grid {
+    // Colours of keys and doors; a key opens every door of its colour
+    static KEY_COLORS = ['red', 'blue', 'green'];
+
+    // Danger levels a tile can be given, counted apart from its cost when routes trade the two off
+    static DANGER_LEVELS = [1, 3, 5];
+
+    // Arrows of one-way tiles as steps, in the order the tool cycles through them
+    static ONE_WAY_DIRECTIONS = {
+        up: { row: -1, col: 0 },
+        right: { row: 0, col: 1 },
+        down: { row: 1, col: 0 },
+        left: { row: 0, col: -1 }
+    };
+
     /**
      * Create a new grid
      * @param {number} rows - Number of rows in the grid
@@ -13,6 +27,17 @@ class Grid {
         this.nodes = [];
         this.startNode = null;
         this.endNode = null;
+        this.goalNodes = []; // Extra goal tiles besides endNode; a search may finish at whichever is nearest
+        this.waypoints = []; // Cells the route must visit between start and end, in the order placed
+        this.agents = []; // Extra agents besides the start/end pair, each { start, goal } (goal null until placed)
+        this.patrols = []; // Monsters pacing between two cells, each { start, end } (end null for a monster standing guard)
+        this.waypointOrder = 'placed'; // 'placed' to visit waypoints in the order placed, 'tour' to find the cheapest order
+        this.routeCount = 1; // How many of the cheapest paths to show, 1 for just the path the algorithm finds
+        this.bombCount = 0; // How many rocks a path may blow up, 0 to keep every wall standing
+        this.staminaBudget = null; // How much stamina monster tiles may drain from a path, null for no limit
+        this.movementModel = 'cardinal'; // 'cardinal' (4-way) or 'diagonal' (8-way)
+        this.allowCornerCutting = false; // Whether diagonal moves may slip past the corner of a wall
+        this.sensorRadius = null; // How far the agent sees in fog-of-war mode, null when it knows the whole grid
         
         // Initialize the grid with nodes
         this.initGrid();
@@ -48,6 +73,10 @@ class Grid {
         this.initGrid();
         this.startNode = null;
         this.endNode = null;
+        this.goalNodes = [];
+        this.waypoints = [];
+        this.agents = [];
+        this.patrols = [];
     }
 
     /**
@@ -72,6 +101,10 @@ class Grid {
         }
         this.startNode = null;
         this.endNode = null;
+        this.goalNodes = [];
+        this.waypoints = [];
+        this.agents = [];
+        this.patrols = [];
     }
 
     //=============================================================================
@@ -93,13 +126,54 @@ class Grid {
 
     /**
      * Get all neighbors of a node
+     * Diagonal neighbors are only included with the 'diagonal' movement model
+     * Moves against the arrow of a one-way tile are left out, so the moves needn't work both ways
      * @param {Node} node - The node to get neighbors for
+     * @param {boolean} includeWalls - Whether walls count as neighbors too, for a path that may blow them up
      * @returns {Node[]} Array of neighboring nodes
      */
-    getNeighbors(node) {
+    getNeighbors(node, includeWalls = false) {
         const neighbors = [];
         const { row, col } = node;
         
+        for (const dir of this.getMoveDirections()) {
+            const neighborRow = row + dir.row;
+            const neighborCol = col + dir.col;
+            const neighbor = this.getNode(neighborRow, neighborCol);
+            
+            if (neighbor && (includeWalls || !neighbor.isWall) && this.canPassDoor(node, neighbor) && this.canMoveBetween(node, neighbor) && this.followsOneWay(node, neighbor)) {
+                neighbors.push(neighbor);
+            }
+        }
+        
+        return neighbors;
+    }
+
+    /**
+     * Get the nodes that can move to a node, the reverse of getNeighbors()
+     * One-way tiles and doors make moves one-way, so searches walking backwards from the goals need these
+     * @param {Node} node - The node to get predecessors for
+     * @returns {Node[]} Array of open nodes with a move to the node
+     */
+    getPredecessors(node) {
+        const predecessors = [];
+        
+        for (const dir of this.getMoveDirections()) {
+            const predecessor = this.getNode(node.row - dir.row, node.col - dir.col);
+            
+            if (predecessor && !predecessor.isWall && this.getNeighbors(predecessor).some(neighbor => neighbor.row === node.row && neighbor.col === node.col)) {
+                predecessors.push(predecessor);
+            }
+        }
+        
+        return predecessors;
+    }
+
+    /**
+     * Get the steps a single move can take under the current movement model
+     * @returns {Object[]} { row, col } offsets, the four cardinal ones first
+     */
+    getMoveDirections() {
         // Up, Right, Down, Left directions
         const directions = [
             { row: -1, col: 0 },
@@ -108,17 +182,225 @@ class Grid {
             { row: 0, col: -1 }
         ];
         
-        for (const dir of directions) {
-            const neighborRow = row + dir.row;
-            const neighborCol = col + dir.col;
-            const neighbor = this.getNode(neighborRow, neighborCol);
-            
-            if (neighbor && !neighbor.isWall) {
-                neighbors.push(neighbor);
+        // Up-Right, Down-Right, Down-Left, Up-Left directions
+        if (this.movementModel === 'diagonal') {
+            directions.push(
+                { row: -1, col: 1 },
+                { row: 1, col: 1 },
+                { row: 1, col: -1 },
+                { row: -1, col: -1 }
+            );
+        }
+        
+        return directions;
+    }
+
+    /**
+     * Index the open cells and list every move between them once
+     * Searches that walk these lists instead of the nodes leave the nodes untouched, so they can
+     * run after a panel's algorithm without disturbing what it drew
+     * @returns {Object} { cells, indices, moves, reverseMoves }: the open cells, the index of each
+     *     one in the lists, the moves out of each cell as { to, cost } with to a cell index, and the
+     *     same moves walked backwards, listed under the cell they enter
+     */
+    getMoveGraph() {
+        const cells = [];
+        const indices = new Map();
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (!node.isWall) {
+                    indices.set(node, cells.length);
+                    cells.push(node);
+                }
             }
         }
+
+        const moves = cells.map(node => this.getNeighbors(node).map(neighbor => ({
+            to: indices.get(neighbor),
+            cost: this.getMoveCost(node, neighbor)
+        })));
+        const reverseMoves = cells.map(() => []);
+        moves.forEach((cellMoves, from) => cellMoves.forEach(({ to, cost }) => reverseMoves[to].push({ to: from, cost })));
+
+        return { cells, indices, moves, reverseMoves };
+    }
+
+    /**
+     * Find the cheapest cost from the nearest of some cells to every cell of a move graph with Dijkstra
+     * Pass getMoveGraph()'s reverseMoves to measure the cost from every cell to the nearest source instead
+     * @param {Object[][]} moves - Moves out of each cell as { to, cost }, none costing less than nothing
+     * @param {number[]} sources - Indices of the cells to measure from
+     * @param {Int32Array} [previous] - Filled with the index of the cell before each one on its cheapest
+     *     way from a source, -1 for the sources and cells that can't be reached
+     * @returns {Float64Array} Cost to each cell, Infinity if it can't be reached
+     */
+    static findMoveDistances(moves, sources, previous = null) {
+        const distances = new Float64Array(moves.length).fill(Infinity);
+        const settled = new Uint8Array(moves.length);
+        if (previous) previous.fill(-1);
+
+        // Queue entries are { index, distance } snapshots; outdated ones are skipped when dequeued
+        const queue = new PriorityQueue();
+        sources.forEach(source => {
+            distances[source] = 0;
+            queue.enqueue({ index: source, distance: 0 });
+        });
+
+        while (!queue.isEmpty()) {
+            const { index } = queue.dequeue();
+            if (settled[index]) continue;
+            settled[index] = 1;
+
+            for (const { to, cost } of moves[index]) {
+                const distance = distances[index] + cost;
+                if (distance < distances[to]) {
+                    distances[to] = distance;
+                    if (previous) previous[to] = index;
+                    queue.enqueue({ index: to, distance });
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Get the cost of moving from a node to one of its neighbors
+     * @param {Node} fromNode - Node the move starts from
+     * @param {Node} toNode - Neighboring node the move ends on
+     * @returns {number} The weight of the entered node, times sqrt(2) for diagonal moves
+     */
+    getMoveCost(fromNode, toNode) {
+        return PathUtils.getMoveCost(fromNode, toNode);
+    }
+
+    /**
+     * Change how the agent may move between nodes
+     * @param {string} movementModel - 'cardinal' (4-way) or 'diagonal' (8-way)
+     * @param {boolean} allowCornerCutting - Whether diagonal moves may slip past the corner of a wall
+     */
+    setMovementModel(movementModel, allowCornerCutting = false) {
+        this.movementModel = movementModel;
+        this.allowCornerCutting = movementModel === 'diagonal' && allowCornerCutting;
+    }
+
+    /**
+     * Switch fog-of-war mode on or off
+     * @param {number|null} sensorRadius - How many cells the agent sees around itself, or null to see the whole grid
+     */
+    setSensorRadius(sensorRadius) {
+        this.sensorRadius = sensorRadius;
+    }
+
+    /**
+     * Choose the order the route visits waypoints in
+     * @param {string} waypointOrder - 'placed' (the order they were placed in) or 'tour' (the cheapest order, see WaypointTour)
+     */
+    setWaypointOrder(waypointOrder) {
+        this.waypointOrder = waypointOrder;
+    }
+
+    /**
+     * Choose how many of the cheapest paths to show next to the one the algorithm finds
+     * @param {number} routeCount - How many paths to show, 1 for just the algorithm's own (see KShortestPaths)
+     */
+    setRouteCount(routeCount) {
+        this.routeCount = routeCount;
+    }
+
+    /**
+     * Choose how many rocks a path may blow up on its way
+     * @param {number} bombCount - Bombs the agent carries, 0 for none (see BombStateGrid)
+     */
+    setBombCount(bombCount) {
+        this.bombCount = bombCount;
+    }
+
+    /**
+     * Choose how much stamina the monster tiles along a path may drain
+     * @param {number|null} staminaBudget - The budget, or null for no limit (see StaminaStateGrid)
+     */
+    setStaminaBudget(staminaBudget) {
+        this.staminaBudget = staminaBudget;
+    }
+
+    /**
+     * Check that a diagonal move isn't squeezing past walls
+     * Without corner cutting both cells beside the move must be open; with it, one is enough.
+     * A door the mover holds no key for is as closed as a wall
+     * @param {Node} fromNode - Node the move starts from
+     * @param {Node} toNode - Neighboring node the move ends on
+     * @returns {boolean} True if the move is allowed
+     */
+    canMoveBetween(fromNode, toNode) {
+        if (!PathUtils.isDiagonalStep(fromNode, toNode)) {
+            return true;
+        }
         
-        return neighbors;
+        const besideA = this.getNode(fromNode.row, toNode.col);
+        const besideB = this.getNode(toNode.row, fromNode.col);
+        const openA = besideA && !besideA.isWall && this.canPassDoor(fromNode, besideA);
+        const openB = besideB && !besideB.isWall && this.canPassDoor(fromNode, besideB);
+        
+        return this.allowCornerCutting ? (openA || openB) : (openA && openB);
+    }
+
+    /**
+     * Get the cells a straight line between two node centres passes through
+     * Where the line runs exactly through a cell corner it follows the same rule as a
+     * diagonal move, so it can't slip between two walls touching at that corner
+     * @param {Node} fromNode - Node the line starts at
+     * @param {Node} toNode - Node the line ends at
+     * @returns {Node[]|null} Cells along the line after fromNode, ending with toNode, or null if a wall blocks it
+     */
+    getCellsOnLine(fromNode, toNode) {
+        const rowSteps = Math.abs(toNode.row - fromNode.row);
+        const colSteps = Math.abs(toNode.col - fromNode.col);
+        const rowDir = Math.sign(toNode.row - fromNode.row);
+        const colDir = Math.sign(toNode.col - fromNode.col);
+        const cells = [];
+
+        let current = fromNode;
+        let rowsDone = 0;
+        let colsDone = 0;
+
+        while (rowsDone < rowSteps || colsDone < colSteps) {
+            // Compare where the line crosses the next row and column boundaries (scaled to integers)
+            const crossing = (1 + 2 * colsDone) * rowSteps - (1 + 2 * rowsDone) * colSteps;
+            let next;
+
+            if (crossing === 0) {
+                // Through a corner: step diagonally
+                next = this.getNode(current.row + rowDir, current.col + colDir);
+                if (!this.canMoveBetween(current, next)) return null;
+                rowsDone++;
+                colsDone++;
+            } else if (crossing < 0) {
+                next = this.getNode(current.row, current.col + colDir);
+                colsDone++;
+            } else {
+                next = this.getNode(current.row + rowDir, current.col);
+                rowsDone++;
+            }
+
+            if (!next || next.isWall) return null;
+
+            cells.push(next);
+            current = next;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Check if a straight line between two node centres stays clear of walls
+     * @param {Node} fromNode - Node the line starts at
+     * @param {Node} toNode - Node the line ends at
+     * @returns {boolean} True if nothing blocks the line
+     */
+    hasLineOfSight(fromNode, toNode) {
+        return this.getCellsOnLine(fromNode, toNode) !== null;
     }
 
     /**
@@ -127,6 +409,12 @@ class Grid {
      */
     clone() {
         const clonedGrid = new Grid(this.rows, this.cols);
+        clonedGrid.setMovementModel(this.movementModel, this.allowCornerCutting);
+        clonedGrid.setSensorRadius(this.sensorRadius);
+        clonedGrid.setWaypointOrder(this.waypointOrder);
+        clonedGrid.setRouteCount(this.routeCount);
+        clonedGrid.setBombCount(this.bombCount);
+        clonedGrid.setStaminaBudget(this.staminaBudget);
         
         for (let row = 0; row < this.rows; row++) {
             for (let col = 0; col < this.cols; col++) {
@@ -135,18 +423,37 @@ class Grid {
                 
                 clonedNode.isStart = originalNode.isStart;
                 clonedNode.isEnd = originalNode.isEnd;
+                clonedNode.isWaypoint = originalNode.isWaypoint;
                 clonedNode.isWall = originalNode.isWall;
                 clonedNode.isVisited = originalNode.isVisited;
                 clonedNode.isPath = originalNode.isPath;
                 clonedNode.isCurrent = originalNode.isCurrent;
                 clonedNode.distance = originalNode.distance;
                 clonedNode.weight = originalNode.weight;
+                clonedNode.isWeighted = originalNode.isWeighted;
+                clonedNode.key = originalNode.key;
+                clonedNode.door = originalNode.door;
+                clonedNode.danger = originalNode.danger;
+                clonedNode.oneWay = originalNode.oneWay;
                 
                 if (originalNode.isStart) clonedGrid.startNode = clonedNode;
-                if (originalNode.isEnd) clonedGrid.endNode = clonedNode;
             }
         }
         
+        if (this.endNode) {
+            clonedGrid.endNode = clonedGrid.getNode(this.endNode.row, this.endNode.col);
+        }
+        clonedGrid.goalNodes = this.goalNodes.map(node => clonedGrid.getNode(node.row, node.col));
+        clonedGrid.waypoints = this.waypoints.map(node => clonedGrid.getNode(node.row, node.col));
+        this.agents.forEach(agent => {
+            clonedGrid.addAgentCell(agent.start.row, agent.start.col);
+            if (agent.goal) clonedGrid.addAgentCell(agent.goal.row, agent.goal.col);
+        });
+        this.patrols.forEach(patrol => {
+            clonedGrid.addPatrolCell(patrol.start.row, patrol.start.col);
+            if (patrol.end) clonedGrid.addPatrolCell(patrol.end.row, patrol.end.col);
+        });
+        
         return clonedGrid;
     }
 
@@ -165,6 +472,11 @@ class Grid {
         }
         const node = this.getNode(row, col);
         if (node) {
+            this.removeWaypoint(row, col);
+            this.removeAgent(row, col);
+            this.removePatrol(row, col);
+            this.setKey(row, col, null);
+            this.setDoor(row, col, null);
             node.isStart = true;
             node.isWall = false; // Ensure start node is not a wall
             node.isWeighted = false; // Ensure start node is not weighted
@@ -172,6 +484,10 @@ class Grid {
             if (node === this.endNode) {
                 this.endNode = null; // Clear end node if it's the same as start
             }
+            if (this.goalNodes.includes(node)) {
+                node.isEnd = false;
+                this.goalNodes = this.goalNodes.filter(goal => goal !== node);
+            }
             this.startNode = node;
         }
     }
@@ -187,6 +503,11 @@ class Grid {
         }
         const node = this.getNode(row, col);
         if (node) {
+            this.removeWaypoint(row, col);
+            this.removeAgent(row, col);
+            this.removePatrol(row, col);
+            this.setKey(row, col, null);
+            this.setDoor(row, col, null);
             node.isEnd = true;
             node.isWall = false; // Ensure end node is not a wall
             node.isWeighted = false; // Ensure end node is not weighted
@@ -194,10 +515,81 @@ class Grid {
             if (node === this.startNode) {
                 this.startNode = null; // Clear start node if it's the same as end
             }
+            this.goalNodes = this.goalNodes.filter(goal => goal !== node);
             this.endNode = node;
         }
     }
 
+    /**
+     * Get every goal tile, the end node first
+     * @returns {Node[]} The end node followed by the extra goals
+     */
+    getEndNodes() {
+        return this.endNode ? [this.endNode, ...this.goalNodes] : [...this.goalNodes];
+    }
+
+    /**
+     * Add a goal tile; the first goal of a grid without an end node becomes its end node
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the goal was added
+     */
+    addGoalNode(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isStart || node.isEnd) {
+            return false;
+        }
+
+        if (!this.endNode) {
+            this.setEndNode(row, col);
+            return true;
+        }
+
+        this.removeWaypoint(row, col);
+        this.removeAgent(row, col);
+        this.removePatrol(row, col);
+        this.setKey(row, col, null);
+        this.setDoor(row, col, null);
+        node.isEnd = true;
+        node.isWall = false;
+        node.isWeighted = false;
+        node.weight = 1;
+        this.goalNodes.push(node);
+        return true;
+    }
+
+    /**
+     * Remove a goal tile; removing the end node hands its role to the next goal
+     * The last goal can't be removed, a grid always keeps one
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the goal was removed
+     */
+    removeGoalNode(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || !node.isEnd || this.goalNodes.length === 0) {
+            return false;
+        }
+
+        node.isEnd = false;
+        if (node === this.endNode) {
+            this.endNode = this.goalNodes.shift();
+        } else {
+            this.goalNodes = this.goalNodes.filter(goal => goal !== node);
+        }
+        return true;
+    }
+
+    /**
+     * Remove every goal tile except the end node
+     */
+    clearGoalNodes() {
+        this.goalNodes.forEach(node => {
+            node.isEnd = false;
+        });
+        this.goalNodes = [];
+    }
+
     /**
      * Set random start and end points
      */
@@ -205,6 +597,7 @@ class Grid {
         // Reset existing start/end
         if (this.startNode) this.startNode.isStart = false;
         if (this.endNode) this.endNode.isEnd = false;
+        this.clearGoalNodes();
         
         // Generate random positions ensuring they are different
         let startRow, startCol, endRow, endCol;
@@ -222,6 +615,451 @@ class Grid {
         this.setEndNode(endRow, endCol);
     }
 
+    //=============================================================================
+    // WAYPOINT MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Add a waypoint after the existing ones
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the waypoint was added
+     */
+    addWaypoint(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isStart || node.isEnd || node.isWaypoint || node.agent || node.patrol || node.key || node.door) {
+            return false;
+        }
+
+        node.isWaypoint = true;
+        node.isWall = false;
+        node.isWeighted = false;
+        node.weight = 1;
+        this.waypoints.push(node);
+        return true;
+    }
+
+    /**
+     * Remove a waypoint; the ones after it move up a place
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the waypoint was removed
+     */
+    removeWaypoint(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || !node.isWaypoint) {
+            return false;
+        }
+
+        node.isWaypoint = false;
+        this.waypoints = this.waypoints.filter(waypoint => waypoint !== node);
+        return true;
+    }
+
+    /**
+     * Remove every waypoint
+     */
+    clearWaypoints() {
+        this.waypoints.forEach(node => {
+            node.isWaypoint = false;
+        });
+        this.waypoints = [];
+    }
+
+    //=============================================================================
+    // AGENT MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Place the start of a new agent, or the goal of the last agent if it has none yet
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the cell was placed
+     */
+    addAgentCell(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isStart || node.isEnd || node.isWaypoint || node.agent || node.patrol || node.key || node.door) {
+            return false;
+        }
+
+        const lastAgent = this.agents[this.agents.length - 1];
+        const agent = lastAgent && !lastAgent.goal ? lastAgent : { start: null, goal: null };
+        if (agent === lastAgent) {
+            agent.goal = node;
+        } else {
+            agent.start = node;
+            this.agents.push(agent);
+        }
+
+        node.agent = agent;
+        node.isWall = false;
+        node.isWeighted = false;
+        node.weight = 1;
+        return true;
+    }
+
+    /**
+     * Remove the agent starting or ending on a cell, both its start and its goal
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if an agent was removed
+     */
+    removeAgent(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || !node.agent) {
+            return false;
+        }
+
+        const agent = node.agent;
+        agent.start.agent = null;
+        if (agent.goal) agent.goal.agent = null;
+        this.agents = this.agents.filter(other => other !== agent);
+        return true;
+    }
+
+    /**
+     * Remove every extra agent
+     */
+    clearAgents() {
+        this.agents.forEach(agent => {
+            agent.start.agent = null;
+            if (agent.goal) agent.goal.agent = null;
+        });
+        this.agents = [];
+    }
+
+    /**
+     * Get every agent with both ends placed, the start/end pair first
+     * @returns {Object[]} { start, goal } of each agent
+     */
+    getAgents() {
+        const agents = this.startNode && this.endNode ? [{ start: this.startNode, goal: this.endNode }] : [];
+        return [...agents, ...this.agents.filter(agent => agent.goal)];
+    }
+
+    /**
+     * Get the number shown on an agent's cells; the start/end pair is agent 1
+     * @param {Object} agent - One of the grid's extra agents
+     * @returns {number} 2 for the first extra agent, 3 for the next, …
+     */
+    getAgentNumber(agent) {
+        return this.agents.indexOf(agent) + 2;
+    }
+
+    //=============================================================================
+    // PATROL MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Place a new monster, or the far end of the last monster's patrol if it has none yet
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the cell was placed
+     */
+    addPatrolCell(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isStart || node.isEnd || node.isWaypoint || node.agent || node.patrol || node.key || node.door) {
+            return false;
+        }
+
+        const lastPatrol = this.patrols[this.patrols.length - 1];
+        const patrol = lastPatrol && !lastPatrol.end ? lastPatrol : { start: null, end: null };
+        if (patrol === lastPatrol) {
+            patrol.end = node;
+        } else {
+            patrol.start = node;
+            this.patrols.push(patrol);
+        }
+
+        node.patrol = patrol;
+        node.isWall = false;
+        node.isWeighted = false;
+        node.weight = 1;
+        return true;
+    }
+
+    /**
+     * Remove the monster whose patrol starts or turns back on a cell
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if a patrol was removed
+     */
+    removePatrol(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || !node.patrol) {
+            return false;
+        }
+
+        const patrol = node.patrol;
+        patrol.start.patrol = null;
+        if (patrol.end) patrol.end.patrol = null;
+        this.patrols = this.patrols.filter(other => other !== patrol);
+        return true;
+    }
+
+    /**
+     * Remove every monster patrol
+     */
+    clearPatrols() {
+        this.patrols.forEach(patrol => {
+            patrol.start.patrol = null;
+            if (patrol.end) patrol.end.patrol = null;
+        });
+        this.patrols = [];
+    }
+
+    //=============================================================================
+    // KEY AND DOOR MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Put a key on a node, or take it away
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {string|null} color - One of Grid.KEY_COLORS, or null to remove the key
+     * @returns {boolean} True if the key was placed or removed
+     */
+    setKey(row, col, color) {
+        const node = this.getNode(row, col);
+        if (!node || (color && (node.isStart || node.isEnd || node.isWaypoint || node.agent || node.patrol || node.door))) {
+            return false;
+        }
+
+        node.key = color;
+        if (color) {
+            node.isWall = false;
+            node.isWeighted = false;
+            node.weight = 1;
+        }
+        return true;
+    }
+
+    /**
+     * Put a door on a node, or take it away
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {string|null} color - One of Grid.KEY_COLORS, or null to remove the door
+     * @returns {boolean} True if the door was placed or removed
+     */
+    setDoor(row, col, color) {
+        const node = this.getNode(row, col);
+        if (!node || (color && (node.isStart || node.isEnd || node.isWaypoint || node.agent || node.patrol || node.key))) {
+            return false;
+        }
+
+        node.door = color;
+        if (color) {
+            node.isWall = false;
+            node.isWeighted = false;
+            node.weight = 1;
+        }
+        return true;
+    }
+
+    /**
+     * Step a node's key to the next colour: none, red, blue, green, then none again
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the key changed
+     */
+    cycleKey(row, col) {
+        const node = this.getNode(row, col);
+        return Boolean(node) && this.setKey(row, col, this.getNextKeyColor(node.key));
+    }
+
+    /**
+     * Step a node's door to the next colour: none, red, blue, green, then none again
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the door changed
+     */
+    cycleDoor(row, col) {
+        const node = this.getNode(row, col);
+        return Boolean(node) && this.setDoor(row, col, this.getNextKeyColor(node.door));
+    }
+
+    /**
+     * Get the colour after another in Grid.KEY_COLORS
+     * @param {string|null} color - The current colour, or null for none
+     * @returns {string|null} The next colour, or null after the last one
+     */
+    getNextKeyColor(color) {
+        const index = color ? Grid.KEY_COLORS.indexOf(color) : -1;
+        return Grid.KEY_COLORS[index + 1] || null;
+    }
+
+    /**
+     * Remove every key and door
+     */
+    clearKeysAndDoors() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.nodes[row][col].key = null;
+                this.nodes[row][col].door = null;
+            }
+        }
+    }
+
+    /**
+     * Check if any node of the grid holds a key or a door
+     * @returns {boolean} True if the grid has keys or doors
+     */
+    hasKeysOrDoors() {
+        return this.nodes.some(row => row.some(node => node.key || node.door));
+    }
+
+    /**
+     * Get the bit that stands for holding a key of a colour
+     * @param {string} color - One of Grid.KEY_COLORS
+     * @returns {number} The colour's bit in Node.keys
+     */
+    getKeyBit(color) {
+        return 1 << Grid.KEY_COLORS.indexOf(color);
+    }
+
+    /**
+     * Check whether a move may enter a node's door
+     * Plain nodes hold no keys, so every door stays shut except to a state of a key-and-door search
+     * @param {Node} fromNode - Node the move starts from
+     * @param {Node} toNode - Node the move enters
+     * @returns {boolean} True if the entered node has no door or the mover holds its key
+     */
+    canPassDoor(fromNode, toNode) {
+        return !toNode.door || (fromNode.keys & this.getKeyBit(toNode.door)) !== 0;
+    }
+
+    //=============================================================================
+    // DANGER MANAGEMENT
+    //=============================================================================
+
+    /**
+     * Set how dangerous a node is to enter, apart from what it costs
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} danger - One of Grid.DANGER_LEVELS, or 0 for a safe node
+     * @returns {boolean} True if the danger was set
+     */
+    setDanger(row, col, danger) {
+        const node = this.getNode(row, col);
+        if (!node || (danger && (node.isStart || node.isWall))) {
+            return false;
+        }
+
+        node.danger = danger;
+        return true;
+    }
+
+    /**
+     * Step a node's danger to the next level: safe, then each of Grid.DANGER_LEVELS, then safe again
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the danger changed
+     */
+    cycleDanger(row, col) {
+        const node = this.getNode(row, col);
+        if (!node) return false;
+
+        const index = Grid.DANGER_LEVELS.indexOf(node.danger);
+        return this.setDanger(row, col, Grid.DANGER_LEVELS[index + 1] || 0);
+    }
+
+    /**
+     * Make every node safe
+     */
+    clearDanger() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.nodes[row][col].danger = 0;
+            }
+        }
+    }
+
+    /**
+     * Check if any open node of the grid is dangerous
+     * @returns {boolean} True if the grid has dangerous tiles
+     */
+    hasDanger() {
+        return this.nodes.some(row => row.some(node => node.danger > 0 && !node.isWall));
+    }
+
+    //=============================================================================
+    // ONE-WAY TILES
+    //=============================================================================
+
+    /**
+     * Point a node's arrow, making it a one-way tile, or clear it
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {string|null} direction - A key of Grid.ONE_WAY_DIRECTIONS, or null for a two-way node
+     * @returns {boolean} True if the arrow was set
+     */
+    setOneWay(row, col, direction) {
+        const node = this.getNode(row, col);
+        if (!node || (direction && (node.isWall || !Grid.ONE_WAY_DIRECTIONS[direction]))) {
+            return false;
+        }
+
+        node.oneWay = direction || null;
+        return true;
+    }
+
+    /**
+     * Turn a node's arrow clockwise: two-way, then up, right, down and left, then two-way again
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {boolean} True if the arrow changed
+     */
+    cycleOneWay(row, col) {
+        const node = this.getNode(row, col);
+        if (!node) return false;
+
+        const directions = Object.keys(Grid.ONE_WAY_DIRECTIONS);
+        return this.setOneWay(row, col, directions[directions.indexOf(node.oneWay) + 1] || null);
+    }
+
+    /**
+     * Make every node two-way
+     */
+    clearOneWay() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.nodes[row][col].oneWay = null;
+            }
+        }
+    }
+
+    /**
+     * Check if any open node of the grid is a one-way tile
+     * @returns {boolean} True if some moves can't be made in reverse
+     */
+    hasOneWayTiles() {
+        return this.nodes.some(row => row.some(node => node.oneWay && !node.isWall));
+    }
+
+    /**
+     * Check whether a move goes along the arrows of the nodes it leaves and enters
+     * A one-way tile can only be entered and left moving with its arrow; a diagonal move counts
+     * when half of it does, so a right arrow takes the up-right and down-right moves too. A tile
+     * pointing into a rock or off the grid is a dead end: a search that steps onto it can't go on.
+     * The arrows are read from this grid's own nodes, so states of a layered search follow them too
+     * @param {Node} fromNode - Node the move starts from
+     * @param {Node} toNode - Neighboring node the move ends on
+     * @returns {boolean} True if neither node has an arrow the move goes against
+     */
+    followsOneWay(fromNode, toNode) {
+        const dRow = toNode.row - fromNode.row;
+        const dCol = toNode.col - fromNode.col;
+
+        return [fromNode, toNode].every(node => {
+            // A rock keeps the arrow it was drawn over, but a path blowing it up needn't follow it
+            const cell = this.nodes[node.row][node.col];
+            if (!cell.oneWay || cell.isWall) return true;
+
+            const arrow = Grid.ONE_WAY_DIRECTIONS[cell.oneWay];
+            return dRow * arrow.row + dCol * arrow.col > 0;
+        });
+    }
+
     //=============================================================================
     // WALL MANAGEMENT
     //=============================================================================
@@ -233,7 +1071,7 @@ class Grid {
      */
     toggleWall(row, col) {
         const node = this.getNode(row, col);
-        if (node && !node.isStart && !node.isEnd) {
+        if (node && !node.isStart && !node.isEnd && !node.isWaypoint && !node.agent && !node.patrol && !node.key && !node.door) {
             node.isWall = !node.isWall;
         }
     }
@@ -246,7 +1084,7 @@ class Grid {
      */
     setWall(row, col, isWall) {
         const node = this.getNode(row, col);
-        if (node && !node.isStart && !node.isEnd) {
+        if (node && !node.isStart && !node.isEnd && !node.isWaypoint && !node.agent && !node.patrol && !node.key && !node.door) {
             node.isWall = isWall;
         }
     }
@@ -262,6 +1100,47 @@ class Grid {
         }
     }
 
+    /**
+     * Check if any node of the grid is a bonus tile that costs less than nothing to enter
+     * @returns {boolean} True if the grid contains negative weights
+     */
+    hasNegativeWeights() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (node.weight < 0 && !node.isWall) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Explain why a feature built on Dijkstra-style searches refuses a grid with bonus tiles
+     * @param {string} feature - What refuses the grid, e.g. 'Alternative routes'
+     * @returns {string} The reason to show in the panel
+     */
+    static getNegativeWeightReason(feature) {
+        return `${feature}: every tile must cost at least nothing, so bonus tiles rule this out.`;
+    }
+
+    /**
+     * Check if any node of the grid has a weight other than the default cost
+     * @returns {boolean} True if the grid contains weighted nodes
+     */
+    hasWeightedNodes() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (node.isWeighted && !node.isWall) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
     //=============================================================================
     // MAZE GENERATION
     //=============================================================================
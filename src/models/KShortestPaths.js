@@ -0,0 +1,142 @@
+/**
+ * The k cheapest loopless paths from the start node to a goal, found with Yen's algorithm
+ *
+ * The cheapest path comes from Dijkstra. Each further path is found by taking every path found
+ * so far apart: for each node along the latest one (the spur node), the part of the path up to it
+ * is kept, the cells before it are closed off so the rest can't loop back through them, and every
+ * move that an earlier path with the same beginning took out of the spur node is blocked.
+ * A new Dijkstra search from the spur node then finds the cheapest way to finish that differs
+ * from every path found so far. The cheapest of all these candidates is the next path.
+ */
+class KShortestPaths {
+    /**
+     * Find up to count cheapest paths
+     * @param {Grid} grid - The grid holding the start node and goals
+     * @param {number} count - How many paths to find
+     */
+    constructor(grid, count) {
+        this.grid = grid;
+        this.count = count;
+        this.paths = []; // { nodes, cost } for each path, cheapest first
+        this.unsupportedReason = null;
+
+        // Dijkstra, and so Yen's algorithm, can't handle moves that cost less than nothing
+        if (grid.hasNegativeWeights()) {
+            this.unsupportedReason = Grid.getNegativeWeightReason('Alternative routes');
+            return;
+        }
+
+        // Open cells and the moves between them, looked up once for all the searches
+        ({ cells: this.cells, indices: this.indices, moves: this.moves } = grid.getMoveGraph());
+        this.goals = new Set(grid.getEndNodes().map(goal => this.indices.get(goal)));
+
+        this.paths = this.findPaths().map(path => ({
+            nodes: path.map(index => this.cells[index]),
+            cost: this.calculateCost(path)
+        }));
+    }
+
+    //=============================================================================
+    // YEN'S ALGORITHM
+    //=============================================================================
+
+    /**
+     * Find the cheapest paths one after another
+     * @returns {number[][]} Cell indices of each path, cheapest first
+     */
+    findPaths() {
+        const first = this.search(this.indices.get(this.grid.startNode), new Set(), new Set());
+        if (!first) return [];
+
+        const found = [first];
+        const candidates = [];
+        const seen = new Set([first.join(',')]);
+
+        while (found.length < this.count) {
+            const latest = found[found.length - 1];
+
+            for (let i = 0; i < latest.length - 1; i++) {
+                const spur = latest[i];
+                const root = latest.slice(0, i + 1);
+
+                // Block the moves out of the spur node that paths sharing this beginning already took
+                const blockedSteps = new Set();
+                found.forEach(path => {
+                    if (path.length > i + 1 && root.every((cell, j) => path[j] === cell)) {
+                        blockedSteps.add(path[i + 1]);
+                    }
+                });
+
+                // The rest of the path may not loop back through the cells before the spur node
+                const blockedCells = new Set(root.slice(0, -1));
+
+                const spurPath = this.search(spur, blockedCells, blockedSteps);
+                if (!spurPath) continue;
+
+                const path = [...root.slice(0, -1), ...spurPath];
+                const key = path.join(',');
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push({ path, cost: this.calculateCost(path) });
+                }
+            }
+
+            if (candidates.length === 0) break;
+
+            // The cheapest candidate is the next path; fewer cells breaks ties
+            let best = 0;
+            candidates.forEach((candidate, index) => {
+                const bestCandidate = candidates[best];
+                if (candidate.cost < bestCandidate.cost - 1e-9
+                    || (Math.abs(candidate.cost - bestCandidate.cost) <= 1e-9 && candidate.path.length < bestCandidate.path.length)) {
+                    best = index;
+                }
+            });
+            found.push(candidates.splice(best, 1)[0].path);
+        }
+
+        return found;
+    }
+
+    /**
+     * Find the cheapest path from a cell to the nearest goal with Dijkstra
+     * @param {number} source - Index of the cell to start from
+     * @param {Set<number>} blockedCells - Cells the path may not enter
+     * @param {Set<number>} blockedSteps - Cells the path may not step to straight from the source
+     * @returns {number[]|null} Cell indices of the path, or null if no goal can be reached
+     */
+    search(source, blockedCells, blockedSteps) {
+        const moves = this.moves.map((cellMoves, from) => cellMoves.filter(({ to }) => (
+            !blockedCells.has(to) && !(from === source && blockedSteps.has(to))
+        )));
+        const previous = new Int32Array(this.cells.length);
+        const distances = Grid.findMoveDistances(moves, [source], previous);
+
+        let nearest = -1;
+        this.goals.forEach(goal => {
+            if (distances[goal] < (nearest === -1 ? Infinity : distances[nearest])) {
+                nearest = goal;
+            }
+        });
+        if (nearest === -1) return null;
+
+        const path = [];
+        for (let current = nearest; current !== -1; current = previous[current]) {
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Calculate the cost of a path given as cell indices
+     * @param {number[]} path - Cell indices of the path
+     * @returns {number} Total cost of its moves
+     */
+    calculateCost(path) {
+        return PathUtils.calculatePathDistance(path.map(index => this.cells[index]));
+    }
+}
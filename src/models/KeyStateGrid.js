@@ -0,0 +1,67 @@
+/**
+ * A grid with keys and doors seen as a graph over (cell, keys held) states
+ *
+ * A door only opens for an agent holding the key of its colour, so where the agent may go depends
+ * on the keys it picked up on the way, not just on the cell it stands on. Each state is a Node for
+ * one cell together with the keys held, one bit per colour in Node.keys; stepping onto a key adds
+ * its bit. A search stops at the first goal state it settles, whatever keys it holds.
+ */
+class KeyStateGrid extends LayeredStateGrid {
+    static LAYER_PROPERTY = 'keys';
+
+    //=============================================================================
+    // STATES
+    //=============================================================================
+
+    /**
+     * Get the keys held on a cell, picking up the key lying there
+     * @param {Node} cell - Node of the true grid
+     * @param {number} keys - Keys held before entering the cell
+     * @returns {number} Keys held, one bit per colour
+     */
+    enterCell(cell, keys) {
+        return cell.key ? keys | this.grid.getKeyBit(cell.key) : keys;
+    }
+
+    /**
+     * Get the states a state can move to: the cell's neighbours whose doors the held keys open
+     * @param {Node} state - The state to move from
+     * @returns {Node[]} The neighbouring states
+     */
+    getNeighbors(state) {
+        return this.grid.getNeighbors(state).map(cell => this.getState(cell, state.keys));
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Name the keys held in a state
+     * @param {number} keys - Keys held, one bit per colour
+     * @returns {string} e.g. 'no keys' or 'red + blue'
+     */
+    describeKeys(keys) {
+        const colors = Grid.KEY_COLORS.filter(color => keys & this.grid.getKeyBit(color));
+        return colors.length > 0 ? colors.join(' + ') : 'no keys';
+    }
+
+    /**
+     * Describe a search over the states for the panel's notes
+     * @param {Node[]} visitedStates - States the search expanded
+     * @param {Node[]} pathStates - States along the path found, empty if there is none
+     * @returns {string} How many states were expanded with each set of keys, and the keys the path picks up
+     */
+    getSummary(visitedStates, pathStates) {
+        const counts = new Map();
+        visitedStates.forEach(state => counts.set(state.keys, (counts.get(state.keys) || 0) + 1));
+
+        const layers = [...counts.keys()].sort((a, b) => a - b).map(keys => `${counts.get(keys)} with ${this.describeKeys(keys)}`);
+        const expanded = `Keys and doors: expanded ${visitedStates.length} (cell, keys) state${visitedStates.length === 1 ? '' : 's'}: ${layers.join(', ')}.`;
+        if (pathStates.length === 0) return expanded;
+
+        // Keys in the order the path picks them up
+        const pickedUp = pathStates.filter((state, i) => i > 0 && state.keys !== pathStates[i - 1].keys).map(state => state.cell.key);
+        return `${expanded} The path picks up ${pickedUp.length > 0 ? pickedUp.join(', then ') : 'no keys'}.`;
+    }
+}
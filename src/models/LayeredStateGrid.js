@@ -0,0 +1,154 @@
+/**
+ * A grid seen as a graph over (cell, layer) states, shared by KeyStateGrid, BombStateGrid and StaminaStateGrid
+ *
+ * Where the agent may go sometimes depends on more than the cell it stands on: the keys it holds,
+ * the bombs it has used, the stamina it has drained. Each state is a Node for one cell together with
+ * that number, the layer, kept in the state property named by the subclass's LAYER_PROPERTY. The
+ * states have the usual neighbours, move costs and goal flags, so a panel's algorithm searches them
+ * unchanged and stops at the first goal state it settles, whatever its layer.
+ *
+ * Subclasses say how entering a cell changes the layer (enterCell) and which moves a state allows
+ * (getNeighbors). States are created the first time a search reaches them. Only algorithms that find
+ * their way through getNeighbors() alone can search them; the others read the grid's cells directly.
+ */
+class LayeredStateGrid {
+    static SUPPORTED_ALGORITHMS = ['dijkstra', 'astar', 'greedy', 'bfs', 'dfs'];
+    static LAYER_PROPERTY = 'layer'; // State property holding the layer, e.g. 'keys'
+
+    /**
+     * Wrap a grid
+     * @param {Grid} grid - The grid holding the start node and goals
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.rows = grid.rows;
+        this.cols = grid.cols;
+        this.movementModel = grid.movementModel;
+        this.allowCornerCutting = grid.allowCornerCutting;
+        this.states = new Map(); // Every state created so far, by position string
+
+        // The states in layer 0 stand in for the grid's nodes, e.g. when an algorithm resets them
+        this.nodes = grid.nodes.map(row => row.map(cell => this.getState(cell, 0)));
+        this.startNode = grid.startNode ? this.getState(grid.startNode, 0) : null;
+        this.endNode = grid.endNode ? this.getState(grid.endNode, 0) : null;
+    }
+
+    //=============================================================================
+    // STATES
+    //=============================================================================
+
+    /**
+     * Get the layer after entering a cell - must be implemented by subclasses
+     * @param {Node} cell - Node of the true grid
+     * @param {number} layer - Layer before entering the cell
+     * @returns {number} Layer on the cell
+     */
+    enterCell(cell, layer) {
+        throw new Error('Method enterCell() must be implemented by subclasses');
+    }
+
+    /**
+     * Get the state of standing on a cell
+     * @param {Node} cell - Node of the true grid
+     * @param {number} layer - Layer before entering the cell
+     * @returns {Node} The state, with the cell in its cell property
+     */
+    getState(cell, layer) {
+        const entered = this.enterCell(cell, layer);
+        const id = `${cell.row}-${cell.col}-${entered}`;
+
+        let state = this.states.get(id);
+        if (!state) {
+            state = new Node(cell.row, cell.col);
+            state.cell = cell;
+            state[this.constructor.LAYER_PROPERTY] = entered;
+            state.isStart = cell.isStart && entered === 0;
+            state.isEnd = cell.isEnd;
+            state.isWeighted = cell.isWeighted;
+            state.weight = cell.weight;
+            this.states.set(id, state);
+        }
+        return state;
+    }
+
+    /**
+     * Get the states a state can move to - must be implemented by subclasses
+     * @param {Node} state - The state to move from
+     * @returns {Node[]} The neighbouring states
+     */
+    getNeighbors(state) {
+        throw new Error('Method getNeighbors() must be implemented by subclasses');
+    }
+
+    /**
+     * Get the cost of moving between two states, the same as between their cells
+     * @param {Node} fromState - State the move starts from
+     * @param {Node} toState - Neighbouring state the move ends on
+     * @returns {number} The weight of the entered state, times sqrt(2) for diagonal moves
+     */
+    getMoveCost(fromState, toState) {
+        return this.grid.getMoveCost(fromState, toState);
+    }
+
+    /**
+     * Get the goal states in layer 0, for heuristics that only look at where the goals are
+     * @returns {Node[]} A state for every goal tile, the end node first
+     */
+    getEndNodes() {
+        return this.grid.getEndNodes().map(goal => this.getState(goal, 0));
+    }
+
+    /**
+     * Check if any cell is a bonus tile that costs less than nothing to enter
+     * @returns {boolean} True if the grid contains negative weights
+     */
+    hasNegativeWeights() {
+        return this.grid.hasNegativeWeights();
+    }
+
+    /**
+     * Check if any cell has a weight other than the default cost
+     * @returns {boolean} True if the grid contains weighted nodes
+     */
+    hasWeightedNodes() {
+        return this.grid.hasWeightedNodes();
+    }
+
+    /**
+     * Reset the search properties of every state created so far
+     */
+    resetPath() {
+        this.states.forEach(state => state.reset());
+    }
+
+    //=============================================================================
+    // STEP-BY-STEP VISUALIZATION
+    //=============================================================================
+
+    /**
+     * Mark the cells of the states expanded up to a step, with the layer of each cell's latest expansion
+     * @param {Node[]} visitedStates - States in the order the search expanded them
+     * @param {number} currentStep - Index into the expanded states
+     */
+    updateProgress(visitedStates, currentStep) {
+        this.grid.resetPath();
+
+        for (let i = 0; i <= currentStep && i < visitedStates.length; i++) {
+            visitedStates[i].cell.isVisited = true;
+            visitedStates[i].cell.visitedLayer = this.getLayer(visitedStates[i]);
+        }
+
+        if (currentStep < visitedStates.length) {
+            visitedStates[currentStep].cell.isCurrent = true;
+        }
+    }
+
+    /**
+     * Get the layer a state is drawn in, its LAYER_PROPERTY unless a subclass groups them
+     * @param {Node} state - A state of the search
+     * @returns {number} The layer, 0 for the states standing in for the grid's nodes
+     */
+    getLayer(state) {
+        return state[this.constructor.LAYER_PROPERTY];
+    }
+}
@@ -16,6 +16,14 @@ class Node {
         this.col = col;
         this.isStart = false;
         this.isEnd = false;
+        this.isWaypoint = false; // Numbered stop the route must pass through, see Grid.waypoints
+        this.agent = null; // The extra agent that starts or ends here, see Grid.agents
+        this.patrol = null; // The monster patrol that starts or turns back here, see Grid.patrols
+        this.key = null; // Colour of the key lying here, one of Grid.KEY_COLORS
+        this.door = null; // Colour of the door here; only an agent holding the matching key gets through
+        this.keys = 0; // Keys held as one bit per colour, when the node is a state of a key-and-door search
+        this.bombsUsed = 0; // Rocks blown up on the way, when the node is a state of a bomb search
+        this.staminaUsed = 0; // Stamina monsters drained on the way, when the node is a state of a stamina search
         this.isWall = false;
         this.isVisited = false;
         this.isPath = false;
@@ -25,11 +33,18 @@ class Node {
         this.distance = Infinity;
         this.previousNode = null;
         this.weight = 1; // Default weight for normal terrain
+        this.danger = 0; // How dangerous the node is to enter, counted apart from its weight (see ParetoRoutes)
+        this.oneWay = null; // Arrow of a one-way tile ('up', 'right', 'down' or 'left'), which moves in and out must follow
         this.fScore = Infinity; // For A* algorithm
         this.gScore = Infinity; // For A* algorithm
         this.hScore = 0; // For A* algorithm - used for tie-breaking in priority queue
         this.element = null; // DOM element reference
         this.inOpenSet = false; // Flag to track if node is in the open set
+        this.visitedDirection = null; // 'forward' or 'backward' for bidirectional searches
+        this.isMeeting = false; // Where the two frontiers of a bidirectional search met
+        this.isRelaxedAgain = false; // Bellman-Ford lowered its distance again in a later round
+        this.pathLeg = null; // Index of the waypoint leg whose path crosses the node, for colouring
+        this.visitedLayer = null; // Keys held, bombs used or share of the stamina drained when a layered search last expanded the node, for colouring
     }
 
     //=============================================================================
@@ -49,6 +64,11 @@ class Node {
         this.gScore = Infinity;
         this.hScore = 0;
         this.inOpenSet = false; // Reset open set flag
+        this.visitedDirection = null;
+        this.isMeeting = false;
+        this.isRelaxedAgain = false;
+        this.pathLeg = null;
+        this.visitedLayer = null;
     }
 
     /**
@@ -57,10 +77,17 @@ class Node {
     resetAll() {
         this.isStart = false;
         this.isEnd = false;
+        this.isWaypoint = false;
+        this.agent = null;
+        this.patrol = null;
+        this.key = null;
+        this.door = null;
         this.isWall = false;
         this.isWeighted = false;
         this.obstacleType = null;
         this.weight = 1;
+        this.danger = 0;
+        this.oneWay = null;
         this.reset();
     }
 
@@ -69,11 +96,15 @@ class Node {
     //=============================================================================
 
     /**
-     * Get the position as a string "row-col"
+     * Get the position as a string "row-col", followed by the keys held, bombs used or stamina drained for a state of a layered search
      * @returns {string} Position string
      */
     getPositionString() {
-        return `${this.row}-${this.col}`;
+        let position = `${this.row}-${this.col}`;
+        if (this.keys) position += `-k${this.keys}`;
+        if (this.bombsUsed) position += `-b${this.bombsUsed}`;
+        if (this.staminaUsed) position += `-s${this.staminaUsed}`;
+        return position;
     }
 
     /**
@@ -85,6 +116,7 @@ class Node {
         // Copy only essential properties for grid state
         clonedNode.isStart = this.isStart;
         clonedNode.isEnd = this.isEnd;
+        clonedNode.isWaypoint = this.isWaypoint;
         clonedNode.isWall = this.isWall;
         clonedNode.isVisited = this.isVisited;
         clonedNode.isPath = this.isPath;
@@ -92,6 +124,10 @@ class Node {
         clonedNode.weight = this.weight;
         clonedNode.isWeighted = this.isWeighted;
         clonedNode.obstacleType = this.obstacleType;
+        clonedNode.key = this.key;
+        clonedNode.door = this.door;
+        clonedNode.danger = this.danger;
+        clonedNode.oneWay = this.oneWay;
         return clonedNode;
     }
 
@@ -0,0 +1,133 @@
+/**
+ * The routes from the start node to a goal that trade cost against danger, found with a
+ * multi-objective label-setting search (Martins' algorithm)
+ *
+ * A route is on the Pareto front when no other route is at most as costly and at most as dangerous
+ * while beating it on one of the two. Each cell keeps labels (cost, danger) for the ways of reaching
+ * it that no other way beats. Labels are settled cheapest first, breaking ties by danger, so a new
+ * label only survives if it is safer than every label settled at its cell before it; the goals'
+ * surviving labels are the front, from the cheapest route to the safest one.
+ */
+class ParetoRoutes {
+    static EPSILON = 1e-9; // Costs closer than this count as equal, as sums of diagonal moves may differ in the last bits
+
+    /**
+     * Find the Pareto front of cost against danger
+     * @param {Grid} grid - The grid holding the start node, goals and dangerous tiles
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.routes = []; // { nodes, cost, danger } for each route on the front, cheapest (and most dangerous) first
+        this.unsupportedReason = null;
+
+        // Settling labels cheapest first only works when no move costs less than nothing
+        if (grid.hasNegativeWeights()) {
+            this.unsupportedReason = Grid.getNegativeWeightReason('Routes trading cost against danger');
+            return;
+        }
+
+        // Open cells and the moves between them; a move's danger is that of the cell it enters
+        ({ cells: this.cells, indices: this.indices, moves: this.moves } = grid.getMoveGraph());
+        this.goals = new Set(grid.getEndNodes().map(goal => this.indices.get(goal)));
+
+        this.routes = this.findFront().map(label => ({
+            nodes: this.getLabelPath(label).map(index => this.cells[index]),
+            cost: label.cost,
+            danger: label.danger
+        }));
+    }
+
+    //=============================================================================
+    // LABEL SETTING
+    //=============================================================================
+
+    /**
+     * Settle labels until no route to a goal can be safer than the safest one found so far
+     * @returns {Object[]} The goals' labels on the front, cheapest first
+     */
+    findFront() {
+        const start = this.indices.get(this.grid.startNode);
+        if (start === undefined) return [];
+
+        // Lowest danger of the labels settled at each cell; a later, costlier label must beat it
+        const safest = new Float64Array(this.cells.length).fill(Infinity);
+        const front = [];
+        let safestAtGoal = Infinity;
+
+        // Labels are { index, cost, danger, previous }, settled by cost and then danger
+        const queue = new PriorityQueue((a, b) => (a.cost - b.cost) || (a.danger - b.danger));
+        queue.enqueue({ index: start, cost: 0, danger: 0, previous: null });
+
+        while (!queue.isEmpty()) {
+            const label = queue.dequeue();
+
+            // Beaten by a label settled before it, here or at a goal, which is no more costly
+            if (label.danger >= safest[label.index] || label.danger >= safestAtGoal) continue;
+            safest[label.index] = label.danger;
+
+            // A route carries on past a goal only to reach another one, which can't make it cheaper or safer
+            if (this.goals.has(label.index)) {
+                this.addToFront(front, label);
+                safestAtGoal = label.danger;
+                continue;
+            }
+
+            for (const { to, cost } of this.moves[label.index]) {
+                const next = { index: to, cost: label.cost + cost, danger: label.danger + this.cells[to].danger, previous: label };
+                if (next.danger < safest[to] && next.danger < safestAtGoal) {
+                    queue.enqueue(next);
+                }
+            }
+        }
+
+        return front;
+    }
+
+    /**
+     * Add a goal label to the front, replacing a previous label it matches in cost but beats in danger
+     * @param {Object[]} front - Goal labels found so far, cheapest first
+     * @param {Object} label - A goal label safer than every one before it
+     */
+    addToFront(front, label) {
+        const last = front[front.length - 1];
+        if (last && label.cost - last.cost < ParetoRoutes.EPSILON) {
+            front.pop();
+        }
+        front.push(label);
+    }
+
+    /**
+     * Follow a label back to the start
+     * @param {Object} label - A settled label
+     * @returns {number[]} Cell indices of its route, from the start node
+     */
+    getLabelPath(label) {
+        const path = [];
+        for (let current = label; current; current = current.previous) {
+            path.unshift(current.index);
+        }
+        return path;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Describe the front for the panel's notes
+     * @returns {string} How many routes there are and what the extremes cost
+     */
+    getSummary() {
+        if (this.routes.length === 0) {
+            return 'Danger: no route reaches a goal, so there is nothing to trade off.';
+        }
+
+        const format = route => `cost ${Number(route.cost.toFixed(2))} with danger ${route.danger}`;
+        const cheapest = this.routes[0];
+        const safest = this.routes[this.routes.length - 1];
+        if (this.routes.length === 1) {
+            return `Danger: one route is both the cheapest and the safest, ${format(cheapest)}.`;
+        }
+        return `Danger: ${this.routes.length} routes trade cost against danger, from ${format(cheapest)} to ${format(safest)}. Click a point of the chart to see its route.`;
+    }
+}
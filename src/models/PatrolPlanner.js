@@ -0,0 +1,213 @@
+/**
+ * Plans a path around monsters that walk patrol routes, with space-time A*
+ *
+ * Each monster paces back and forth between the two ends of its patrol along the route with the
+ * fewest steps, one cell per time step, so the cells it blocks change every tick. A monster
+ * without a second end stands guard on its cell. Monsters keep clear of the start and the goals.
+ *
+ * The search runs over (cell, time) pairs: each step the agent moves to a neighbour or waits where
+ * it is, and it may neither end a step on a monster's cell nor swap cells with a monster. Moves
+ * cost the weight of the entered cell as usual and waiting a step costs 1, as in
+ * ConflictBasedSearch. The heuristic is the exact cost to the nearest goal with the monsters left
+ * out, which is never too high.
+ *
+ * A monster's walk repeats every 2 × (route length − 1) steps, so the whole scene repeats after
+ * the least common multiple of those periods. Two states on the same cell at the same moment of
+ * that cycle have the same future, so each is expanded once and the search always ends. When the
+ * cycle is longer than MAX_CYCLE, the search stops looking that many steps ahead instead.
+ */
+class PatrolPlanner {
+    static MAX_CYCLE = 1000;
+
+    /**
+     * Work out the monsters' routes
+     * @param {Grid} grid - The grid holding the start node, goals and patrols
+     */
+    constructor(grid) {
+        this.grid = grid;
+
+        // Open cells, the moves between them, and the same moves walked backwards
+        ({ cells: this.cells, indices: this.indices, moves: this.moves, reverseMoves: this.reverseMoves } = grid.getMoveGraph());
+
+        // Cell indices of each monster's route from one end of its patrol to the other
+        this.routes = grid.patrols.map(patrol => this.findRoute(patrol));
+        this.periods = this.routes.map(route => Math.max(2 * (route.length - 1), 1));
+
+        // Only whether the cycle fits matters, so it stops growing once it is too long
+        const cycle = this.periods.reduce((total, period) => Math.min(this.leastCommonMultiple(total, period), PatrolPlanner.MAX_CYCLE + 1), 1);
+        this.timeLimited = cycle > PatrolPlanner.MAX_CYCLE;
+        this.cycle = Math.min(cycle, PatrolPlanner.MAX_CYCLE);
+
+        this.expanded = []; // Cells the search expanded, in order
+        this.goalUnreachable = false;
+    }
+
+    //=============================================================================
+    // MONSTER PATROLS
+    //=============================================================================
+
+    /**
+     * Find the route with the fewest steps between the two ends of a patrol with breadth-first search
+     * The monster walks the route both ways, so it only takes moves that work both ways, e.g. not
+     * across one-way tiles
+     * @param {Object} patrol - One of the grid's patrols, { start, end }
+     * @returns {number[]} Cell indices from the start of the patrol to its end, just the start if
+     *     it has no end or can't reach it
+     */
+    findRoute(patrol) {
+        const start = this.indices.get(patrol.start);
+        const end = patrol.end ? this.indices.get(patrol.end) : undefined;
+        if (end === undefined) return [start];
+
+        // Monsters stay out of the stairwell and the holes
+        const offLimits = new Set([this.grid.startNode, ...this.grid.getEndNodes()].map(node => this.indices.get(node)));
+
+        const previous = new Map([[start, -1]]);
+        const queue = [start];
+        for (let head = 0; head < queue.length && !previous.has(end); head++) {
+            const cell = queue[head];
+            for (const { to } of this.moves[cell]) {
+                if (previous.has(to) || offLimits.has(to) || !this.moves[to].some(move => move.to === cell)) continue;
+                previous.set(to, cell);
+                queue.push(to);
+            }
+        }
+
+        if (!previous.has(end)) return [start];
+
+        const route = [];
+        for (let cell = end; cell !== -1; cell = previous.get(cell)) {
+            route.unshift(cell);
+        }
+        return route;
+    }
+
+    /**
+     * Get the cell a monster stands on at a time step
+     * @param {number} monster - Index of the monster's patrol
+     * @param {number} time - The time step
+     * @returns {number} Index of the cell
+     */
+    getMonsterCell(monster, time) {
+        const route = this.routes[monster];
+        const position = time % this.periods[monster];
+
+        // Out along the route, then back again
+        return route[position < route.length ? position : this.periods[monster] - position];
+    }
+
+    /**
+     * Check whether a move (or a wait) runs into a monster
+     * @param {number} from - Index of the cell the agent leaves
+     * @param {number} to - Index of the cell the agent enters, the same cell for a wait
+     * @param {number} time - The time step the move starts at
+     * @returns {boolean} True if a monster stands on the entered cell after the step, or swaps cells with the agent
+     */
+    isBlocked(from, to, time) {
+        return this.routes.some((route, monster) => {
+            const after = this.getMonsterCell(monster, time + 1);
+            return after === to || (after === from && this.getMonsterCell(monster, time) === to);
+        });
+    }
+
+    //=============================================================================
+    // SPACE-TIME A*
+    //=============================================================================
+
+    /**
+     * Find the cheapest path from the start to the nearest goal that never meets a monster
+     * @returns {Object} { path, monsterPaths, routes, cost, waits, pathFound, expanded, noPathReason, unsupportedReason }
+     *     where path lists the agent's cell at every time step, monsterPaths each monster's cell at the
+     *     same steps and routes each monster's route as cells
+     */
+    run() {
+        const plan = {
+            path: [],
+            monsterPaths: [],
+            routes: this.routes.map(route => route.map(index => this.cells[index])),
+            cost: null,
+            waits: 0,
+            pathFound: false,
+            expanded: this.expanded,
+            noPathReason: null,
+            unsupportedReason: null
+        };
+
+        // Space-time A* needs moves that cost at least nothing
+        if (this.grid.hasNegativeWeights()) {
+            plan.unsupportedReason = Grid.getNegativeWeightReason('Planning around monster patrols');
+            return plan;
+        }
+
+        const result = this.search();
+        if (result) {
+            plan.path = result.path.map(index => this.cells[index]);
+            plan.cost = result.cost;
+            plan.waits = result.path.filter((cell, time) => time > 0 && cell === result.path[time - 1]).length;
+            plan.pathFound = true;
+        } else if (this.goalUnreachable) {
+            plan.noPathReason = 'No goal can be reached from the start, even without the monsters.';
+        } else if (this.timeLimited) {
+            plan.noPathReason = `No way past the monsters within ${PatrolPlanner.MAX_CYCLE} steps.`;
+        } else {
+            plan.noPathReason = 'No way past the monsters: they block every way to a goal, however long the agent waits.';
+        }
+
+        // Show the monsters for as long as the agent walks, or one round of the slowest patrol without a path
+        const steps = plan.pathFound ? plan.path.length : Math.max(...this.periods) + 1;
+        plan.monsterPaths = this.routes.map((route, monster) => Array.from({ length: steps }, (_, time) => this.cells[this.getMonsterCell(monster, time)]));
+
+        return plan;
+    }
+
+    /**
+     * Search (cell, time) states with space-time A*, the monsters' moves ruling out steps
+     * @returns {Object|null} { path, cost } with the cell index at every time step, or null if there is no path
+     */
+    search() {
+        const start = this.indices.get(this.grid.startNode);
+        const goals = new Set(this.grid.getEndNodes().map(goal => this.indices.get(goal)));
+        const distances = Grid.findMoveDistances(this.reverseMoves, [...goals]);
+        this.goalUnreachable = distances[start] === Infinity;
+        if (this.goalUnreachable) return null;
+
+        // Two states on the same cell at the same moment of the cycle are the same state
+        return ConflictBasedSearch.findSpaceTimePath(this.moves, {
+            start,
+            distances,
+            getKey: (cell, time) => cell * this.cycle + time % this.cycle,
+            isGoal: cell => goals.has(cell),
+            isBlocked: (from, to, time) => this.isBlocked(from, to, time),
+            maxTime: this.timeLimited ? this.cycle - 1 : Infinity,
+            onExpand: cell => this.expanded.push(this.cells[cell])
+        });
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Check whether a patrol's monster could not reach the far end and stands guard instead
+     * @param {number} monster - Index of the monster's patrol
+     * @returns {boolean} True if the patrol has an end the monster can't walk to
+     */
+    isStuck(monster) {
+        return Boolean(this.grid.patrols[monster].end) && this.routes[monster].length === 1;
+    }
+
+    /**
+     * Find the least common multiple of two whole numbers
+     * @param {number} a - First number
+     * @param {number} b - Second number
+     * @returns {number} Smallest number both divide
+     */
+    leastCommonMultiple(a, b) {
+        let x = a;
+        let y = b;
+        while (y) {
+            [x, y] = [y, x % y];
+        }
+        return a / x * b;
+    }
+}
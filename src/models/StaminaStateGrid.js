@@ -0,0 +1,142 @@
+/**
+ * A grid where monsters drain stamina, seen as a graph over (cell, stamina drained) states
+ *
+ * Every monster tile drains as much stamina as its weight, and a route is only valid while the total
+ * drained stays within the budget. Whether a monster can still be crossed depends on the stamina
+ * left, so each state is a Node for one cell together with the stamina drained so far in
+ * Node.staminaUsed, and moves that would overdraw the budget are left out. Dijkstra then finds the
+ * cheapest route within the budget.
+ */
+class StaminaStateGrid extends LayeredStateGrid {
+    static LAYER_PROPERTY = 'staminaUsed';
+    static LAYER_COUNT = 4; // Expanded cells are tinted by the quarter of the budget drained
+    static NAMED_MONSTERS = 4; // Monsters listed when explaining that the budget is too small
+
+    /**
+     * Wrap a grid
+     * @param {Grid} grid - The grid holding the monsters, start node and goals
+     * @param {number} budget - How much stamina a route may drain
+     */
+    constructor(grid, budget) {
+        super(grid);
+        this.budget = budget;
+    }
+
+    //=============================================================================
+    // STATES
+    //=============================================================================
+
+    /**
+     * Get the stamina drained on a cell, draining what its monster takes
+     * @param {Node} cell - Node of the true grid
+     * @param {number} staminaUsed - Stamina drained before entering the cell
+     * @returns {number} Stamina drained
+     */
+    enterCell(cell, staminaUsed) {
+        return staminaUsed + this.getDrain(cell);
+    }
+
+    /**
+     * Get the states a state can move to: the cell's neighbours whose monsters the stamina left can take on
+     * @param {Node} state - The state to move from
+     * @returns {Node[]} The neighbouring states
+     */
+    getNeighbors(state) {
+        return this.grid.getNeighbors(state)
+            .filter(cell => state.staminaUsed + this.getDrain(cell) <= this.budget)
+            .map(cell => this.getState(cell, state.staminaUsed));
+    }
+
+    //=============================================================================
+    // STEP-BY-STEP VISUALIZATION
+    //=============================================================================
+
+    /**
+     * Get the layer a state is drawn in: 0 with nothing drained, then one layer per quarter of the budget
+     * @param {Node} state - A state of the search
+     * @returns {number} From 0 to LAYER_COUNT
+     */
+    getLayer(state) {
+        if (state.staminaUsed === 0) return 0;
+        return Math.max(1, Math.ceil(state.staminaUsed / this.budget * StaminaStateGrid.LAYER_COUNT));
+    }
+
+    //=============================================================================
+    // INFEASIBILITY
+    //=============================================================================
+
+    /**
+     * Find the route to the nearest goal that drains the least stamina, whatever the budget, with Dijkstra
+     * @returns {Object|null} { drain, monsters } with the stamina it drains and the monster cells it
+     *     crosses in order, or null if no route reaches a goal
+     */
+    findLeastDrainingRoute() {
+        const { startNode } = this.grid;
+        if (!startNode) return null;
+
+        // The grid's moves, each costing the stamina drained on the cell it enters
+        const { cells, indices, moves } = this.grid.getMoveGraph();
+        const drains = moves.map(cellMoves => cellMoves.map(({ to }) => ({ to, cost: this.getDrain(cells[to]) })));
+        const previous = new Int32Array(cells.length);
+        const drained = Grid.findMoveDistances(drains, [indices.get(startNode)], previous);
+
+        let nearest = -1;
+        this.grid.getEndNodes().forEach(goal => {
+            const index = indices.get(goal);
+            if (drained[index] < (nearest === -1 ? Infinity : drained[nearest])) {
+                nearest = index;
+            }
+        });
+        if (nearest === -1) return null;
+
+        const monsters = [];
+        for (let index = nearest; index !== -1; index = previous[index]) {
+            if (this.getDrain(cells[index]) > 0) monsters.unshift(cells[index]);
+        }
+        return { drain: drained[nearest], monsters };
+    }
+
+    /**
+     * Explain which constraint leaves no route: the layout of the grid, or the stamina budget
+     * @returns {string} Why the goals can't be reached
+     */
+    getNoPathReason() {
+        const route = this.findLeastDrainingRoute();
+        if (!route) {
+            return 'No route reaches a goal at all, whatever it drains: rocks, locked doors or one-way tiles cut every goal off from the start, so no stamina budget would help.';
+        }
+
+        // Name the first few monsters, which is enough to see where the budget runs out
+        const named = route.monsters.slice(0, StaminaStateGrid.NAMED_MONSTERS).map(cell => `(${cell.row}, ${cell.col}) drains ${cell.weight}`);
+        if (route.monsters.length > named.length) named.push(`${route.monsters.length - named.length} more`);
+        return `Every route drains at least ${route.drain} stamina, more than the budget of ${this.budget}; the least draining one still crosses ${named.join(', ')}.`;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Get the stamina a cell drains when entered
+     * @param {Node} cell - Node of the true grid
+     * @returns {number} The weight of a monster tile, 0 for plain ground and bonus tiles
+     */
+    getDrain(cell) {
+        return cell.isWeighted && cell.weight > 1 ? cell.weight : 0;
+    }
+
+    /**
+     * Describe a search over the states for the panel's notes
+     * @param {Node[]} visitedStates - States the search expanded
+     * @param {Node[]} pathStates - States along the path found, empty if there is none
+     * @returns {string} How many states were expanded, and the stamina the path drains or why there is no path
+     */
+    getSummary(visitedStates, pathStates) {
+        const drainLevels = new Set(visitedStates.map(state => state.staminaUsed)).size;
+        const expanded = `Stamina: expanded ${visitedStates.length} (cell, stamina drained) state${visitedStates.length === 1 ? '' : 's'} at ${drainLevels} drain level${drainLevels === 1 ? '' : 's'}.`;
+        if (pathStates.length === 0) return `${expanded} ${this.getNoPathReason()}`;
+
+        const used = pathStates[pathStates.length - 1].staminaUsed;
+        return `${expanded} The path drains ${used} of ${this.budget} stamina.`;
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Plans a route that visits the grid's waypoints in a given order
+ *
+ * The route is a chain of ordinary searches, one per leg: start → W1, W1 → W2, …, and the last
+ * waypoint → end. Each leg runs a fresh planner on a copy of the grid whose start and end are the
+ * two ends of the leg, so every algorithm works unchanged. Only the last leg keeps the extra goal
+ * tiles, so the route finishes at whichever goal is nearest the last waypoint.
+ *
+ * Results are mapped back onto the true grid's nodes. A leg may cross cells an earlier leg
+ * already searched or walked, so the same node can show up more than once.
+ */
+class WaypointRoute {
+    /**
+     * Create a new route
+     * @param {Grid} grid - The grid holding the start node, waypoints and goals
+     * @param {Function} createPlanner - Called with each leg's grid, returns the Algorithm to search it with
+     * @param {Node[]} waypoints - The grid's waypoints in visiting order, by default the order they were placed in
+     */
+    constructor(grid, createPlanner, waypoints = grid.waypoints) {
+        this.grid = grid;
+        this.createPlanner = createPlanner;
+        this.waypoints = waypoints;
+    }
+
+    //=============================================================================
+    // ROUTE PLANNING
+    //=============================================================================
+
+    /**
+     * Search every leg in turn, stopping at the first one without a path
+     * @returns {Object} { legs, visited, path, pathLegs, pathFound, overlay, noPathReason, unsupportedReason }
+     *     where each leg is { from, to, visitedCount, cost, pathFound }, pathLegs gives the leg of each
+     *     path node, and overlay joins the planners' overlays (null if they draw none)
+     */
+    run() {
+        const stops = [this.grid.startNode, ...this.waypoints];
+        const route = {
+            legs: [],
+            visited: [],
+            path: [],
+            pathLegs: [],
+            pathFound: false,
+            overlay: null,
+            noPathReason: null,
+            unsupportedReason: null
+        };
+
+        for (let i = 0; i < stops.length; i++) {
+            const from = stops[i];
+            const to = i + 1 < stops.length ? stops[i + 1] : null; // null: the nearest goal
+            const planner = this.createPlanner(this.createLegGrid(from, to));
+
+            route.unsupportedReason = planner.getUnsupportedReason();
+            if (route.unsupportedReason) {
+                return route;
+            }
+
+            const result = planner.run(true);
+            const visited = result.visited.map(node => this.toGridNode(node));
+            route.visited.push(...visited);
+
+            const leg = {
+                from,
+                to: to || this.grid.endNode,
+                visitedCount: visited.length,
+                cost: result.pathFound ? planner.getPathCost(result.path) : null,
+                pathFound: result.pathFound
+            };
+            route.legs.push(leg);
+
+            if (!result.pathFound) {
+                const reason = planner.getNoPathReason();
+                route.noPathReason = `Leg ${i + 1} (${this.getStopLabel(leg.from)} → ${this.getStopLabel(leg.to)}): ${reason || 'no path found'}`;
+                this.addOverlay(route, planner.getOverlay(), false);
+                route.path = [];
+                route.pathLegs = [];
+                return route;
+            }
+
+            // The last leg ends at whichever goal was nearest
+            const path = result.path.map(node => this.toGridNode(node));
+            leg.to = path[path.length - 1];
+
+            // Each leg starts where the previous one ended; keep that node once
+            const newNodes = route.path.length > 0 ? path.slice(1) : path;
+            route.path.push(...newNodes);
+            route.pathLegs.push(...newNodes.map(() => i));
+            this.addOverlay(route, planner.getOverlay(), true);
+        }
+
+        route.pathFound = true;
+        return route;
+    }
+
+    /**
+     * Copy the grid for one leg, with the leg's ends as its start and end
+     * @param {Node} from - Node the leg starts at
+     * @param {Node|null} to - Waypoint the leg ends at, or null to end at the nearest goal
+     * @returns {Grid} The leg's grid
+     */
+    createLegGrid(from, to) {
+        const legGrid = this.grid.clone();
+
+        // Within a leg the other waypoints are ordinary cells, and only the last leg may end at a goal
+        legGrid.clearWaypoints();
+        if (to) {
+            legGrid.clearGoalNodes();
+            legGrid.setEndNode(to.row, to.col);
+        }
+        legGrid.setStartNode(from.row, from.col);
+
+        return legGrid;
+    }
+
+    /**
+     * Add one leg's overlay lines to the route's overlay
+     * @param {Object} route - The route being built
+     * @param {Object|null} overlay - The leg planner's overlay
+     * @param {boolean} withPath - Whether the leg found a path whose vertices should be joined on
+     */
+    addOverlay(route, overlay, withPath) {
+        if (!overlay) return;
+
+        if (!route.overlay) {
+            route.overlay = { visitedSegments: new Map(), pathVertices: [] };
+        }
+
+        overlay.visitedSegments.forEach((parent, node) => {
+            route.overlay.visitedSegments.set(this.toGridNode(node), parent && this.toGridNode(parent));
+        });
+
+        if (withPath) {
+            const vertices = overlay.pathVertices.map(node => this.toGridNode(node));
+            route.overlay.pathVertices.push(...(route.overlay.pathVertices.length > 0 ? vertices.slice(1) : vertices));
+        }
+
+        if (overlay.cycleVertices) {
+            route.overlay.cycleVertices = overlay.cycleVertices.map(node => this.toGridNode(node));
+        }
+    }
+
+    //=============================================================================
+    // STEP-BY-STEP VISUALIZATION
+    //=============================================================================
+
+    /**
+     * Mark the nodes every leg visited up to a step, like Algorithm.updateProgress does for a single search
+     * @param {Object} route - Result of run()
+     * @param {number} currentStep - Index into the route's visited nodes
+     */
+    updateProgress(route, currentStep) {
+        this.grid.resetPath();
+
+        for (let i = 0; i <= currentStep && i < route.visited.length; i++) {
+            route.visited[i].isVisited = true;
+        }
+
+        if (currentStep < route.visited.length) {
+            route.visited[currentStep].isCurrent = true;
+        }
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Get the short name of a stop of the route
+     * @param {Node} node - Start node, waypoint or goal of the true grid
+     * @returns {string} 'S', 'W1', 'W2', … or 'E'
+     */
+    getStopLabel(node) {
+        if (node.isStart) return 'S';
+        if (node.isWaypoint) return `W${this.grid.waypoints.indexOf(node) + 1}`;
+        return 'E';
+    }
+
+    /**
+     * Get the true-grid node at the same position as a leg's node
+     * @param {Node} node - Node of a leg's grid
+     * @returns {Node} Node of the true grid
+     */
+    toGridNode(node) {
+        return this.grid.getNode(node.row, node.col);
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Finds the cheapest order to visit the grid's waypoints in
+ *
+ * The route starts at the start node, visits every waypoint once in any order and finishes at the
+ * goal nearest the last one: a travelling-salesman tour over the grid. The costs between stops come
+ * from one Dijkstra search over the grid's moves per stop the tour can leave from (Bellman-Ford when
+ * bonus tiles make some moves cost less than nothing), so walls and weights are taken into account.
+ *
+ * Up to EXACT_LIMIT waypoints the best order is found exactly with dynamic programming over the
+ * sets of waypoints visited so far (Held-Karp). Beyond that the number of sets grows too fast, so
+ * a nearest-neighbour tour is improved with 2-opt: reversing stretches of the order while that
+ * makes the tour cheaper. Moves cost the weight of the entered cell, so going from A to B can cost
+ * more than going back, and every candidate order is priced in full rather than by swapped edges.
+ */
+class WaypointTour {
+    static EXACT_LIMIT = 10;
+
+    /**
+     * Measure the costs between the stops and find the tour
+     * @param {Grid} grid - The grid holding the start node, waypoints and goals
+     */
+    constructor(grid) {
+        this.grid = grid;
+        this.waypoints = [...grid.waypoints];
+        this.method = this.waypoints.length <= WaypointTour.EXACT_LIMIT ? 'exact' : '2-opt';
+        this.searchCount = 0;
+
+        this.measureCosts();
+
+        this.order = this.method === 'exact' ? this.solveExactly() : this.solveWithTwoOpt();
+        this.cost = this.calculateTourCost(this.order);
+
+        // When no order reaches every waypoint, keep the order placed so the route reports the first blocked leg
+        if (this.cost === Infinity) {
+            this.order = [...this.waypoints];
+        }
+    }
+
+    //=============================================================================
+    // COSTS BETWEEN STOPS
+    //=============================================================================
+
+    /**
+     * Search once from the start and from each waypoint, and read the costs to the other stops off the results
+     */
+    measureCosts() {
+        const { indices, moves } = this.grid.getMoveGraph();
+        const hasBonusTiles = this.grid.hasNegativeWeights();
+        const measureFrom = node => {
+            this.searchCount++;
+            const source = indices.get(node);
+            return hasBonusTiles ? this.searchWithBellmanFord(moves, source) : Grid.findMoveDistances(moves, [source]);
+        };
+
+        const waypointIndices = this.waypoints.map(waypoint => indices.get(waypoint));
+        const goalIndices = this.grid.getEndNodes().map(goal => indices.get(goal));
+        const startDistances = measureFrom(this.grid.startNode);
+        const waypointDistances = this.waypoints.map(measureFrom);
+
+        // startCosts[j]: start to waypoint j, costs[i][j]: waypoint i to waypoint j, goalCosts[i]: waypoint i to the nearest goal
+        this.startCosts = waypointIndices.map(index => startDistances[index]);
+        this.costs = waypointDistances.map((distances, i) => waypointIndices.map((index, j) => (
+            i === j ? 0 : distances[index]
+        )));
+        this.goalCosts = waypointDistances.map(distances => Math.min(...goalIndices.map(index => distances[index])));
+    }
+
+    /**
+     * Find the cost from one cell to every open cell with Bellman-Ford, which also handles negative moves
+     * @param {Object[][]} moves - The grid's moves as { to, cost } lists, see Grid.getMoveGraph()
+     * @param {number} source - Index of the cell to measure from
+     * @returns {Float64Array} Cost to each open cell, Infinity if unreachable or if a negative cycle is reachable
+     */
+    searchWithBellmanFord(moves, source) {
+        const distances = new Float64Array(moves.length).fill(Infinity);
+        distances[source] = 0;
+
+        // Without negative cycles every cost is final after one round per cell
+        for (let round = 0; round < moves.length; round++) {
+            let relaxed = false;
+
+            moves.forEach((cellMoves, from) => {
+                if (distances[from] === Infinity) return;
+
+                for (const { to, cost } of cellMoves) {
+                    const distance = distances[from] + cost;
+                    if (distance < distances[to] - 1e-9) {
+                        distances[to] = distance;
+                        relaxed = true;
+                    }
+                }
+            });
+
+            if (!relaxed) return distances;
+        }
+
+        // Costs still dropping after every round: a loop cheaper than nothing is reachable, so no route has a cheapest cost
+        return distances.fill(Infinity);
+    }
+
+    //=============================================================================
+    // TOUR SEARCH
+    //=============================================================================
+
+    /**
+     * Find the cheapest order by dynamic programming over the sets of visited waypoints
+     * @returns {Node[]} Waypoints in visiting order
+     */
+    solveExactly() {
+        const count = this.waypoints.length;
+        const setCount = 1 << count;
+
+        // best[set][j]: cheapest cost from the start through exactly the waypoints in set, ending at j
+        const best = Array.from({ length: setCount }, () => new Float64Array(count).fill(Infinity));
+        const previous = Array.from({ length: setCount }, () => new Int8Array(count).fill(-1));
+
+        for (let j = 0; j < count; j++) {
+            best[1 << j][j] = this.startCosts[j];
+        }
+
+        for (let set = 1; set < setCount; set++) {
+            for (let last = 0; last < count; last++) {
+                const cost = best[set][last];
+                if (cost === Infinity) continue;
+
+                for (let next = 0; next < count; next++) {
+                    if (set & (1 << next)) continue;
+
+                    const nextSet = set | (1 << next);
+                    const nextCost = cost + this.costs[last][next];
+                    if (nextCost < best[nextSet][next]) {
+                        best[nextSet][next] = nextCost;
+                        previous[nextSet][next] = last;
+                    }
+                }
+            }
+        }
+
+        // Finish at the goal nearest the last waypoint
+        const fullSet = setCount - 1;
+        let last = -1;
+        let bestCost = Infinity;
+        for (let j = 0; j < count; j++) {
+            const cost = best[fullSet][j] + this.goalCosts[j];
+            if (cost < bestCost) {
+                bestCost = cost;
+                last = j;
+            }
+        }
+
+        if (last === -1) {
+            return [...this.waypoints];
+        }
+
+        // Follow the previous links back to the first waypoint
+        const order = [];
+        for (let set = fullSet, current = last; current !== -1;) {
+            order.unshift(this.waypoints[current]);
+            const before = previous[set][current];
+            set &= ~(1 << current);
+            current = before;
+        }
+
+        return order;
+    }
+
+    /**
+     * Find a cheap order with a nearest-neighbour tour improved by 2-opt
+     * @returns {Node[]} Waypoints in visiting order
+     */
+    solveWithTwoOpt() {
+        let order = this.buildNearestNeighbourOrder();
+        let cost = this.calculateIndexCost(order);
+
+        // Reverse every stretch of the order in turn, keeping each reversal that lowers the cost
+        let improved = true;
+        while (improved) {
+            improved = false;
+
+            for (let i = 0; i < order.length - 1; i++) {
+                for (let k = i + 1; k < order.length; k++) {
+                    const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+                    const candidateCost = this.calculateIndexCost(candidate);
+
+                    if (candidateCost < cost - 1e-9) {
+                        order = candidate;
+                        cost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return order.map(index => this.waypoints[index]);
+    }
+
+    /**
+     * Build a first order by always heading for the cheapest waypoint not visited yet
+     * @returns {number[]} Waypoint indices in visiting order
+     */
+    buildNearestNeighbourOrder() {
+        const remaining = new Set(this.waypoints.keys());
+        const order = [];
+        let costsFromCurrent = this.startCosts;
+
+        while (remaining.size > 0) {
+            // Unreachable waypoints still go in the order, after the reachable ones
+            let next = remaining.values().next().value;
+            remaining.forEach(index => {
+                if (costsFromCurrent[index] < costsFromCurrent[next]) {
+                    next = index;
+                }
+            });
+
+            order.push(next);
+            remaining.delete(next);
+            costsFromCurrent = this.costs[next];
+        }
+
+        return order;
+    }
+
+    //=============================================================================
+    // HELPER METHODS
+    //=============================================================================
+
+    /**
+     * Calculate the cost of a tour given as waypoint indices
+     * @param {number[]} order - Waypoint indices in visiting order
+     * @returns {number} Cost from the start through every waypoint to the nearest goal, Infinity if a leg is blocked
+     */
+    calculateIndexCost(order) {
+        if (order.length === 0) return Infinity;
+
+        let cost = this.startCosts[order[0]];
+        for (let i = 1; i < order.length; i++) {
+            cost += this.costs[order[i - 1]][order[i]];
+        }
+        return cost + this.goalCosts[order[order.length - 1]];
+    }
+
+    /**
+     * Calculate the cost of a tour
+     * @param {Node[]} order - Waypoints in visiting order
+     * @returns {number} Cost from the start through every waypoint to the nearest goal, Infinity if a leg is blocked
+     */
+    calculateTourCost(order) {
+        return this.calculateIndexCost(order.map(waypoint => this.waypoints.indexOf(waypoint)));
+    }
+
+    /**
+     * Describe the tour for the panel's notes
+     * @returns {string} Visiting order, cost and how the order was found
+     */
+    getSummary() {
+        const stops = ['S', ...this.order.map(waypoint => `W${this.waypoints.indexOf(waypoint) + 1}`), 'E'].join(' → ');
+        const searches = `${this.searchCount} search${this.searchCount === 1 ? '' : 'es'} from the stops`;
+
+        if (this.cost === Infinity) {
+            return `Best order: some waypoints can't be reached from the others, so they are visited in the order placed (${searches}).`;
+        }
+
+        const method = this.method === 'exact' ? 'exact' : '2-opt, may not be the cheapest';
+        return `Best order: ${stops}, cost ${Number(this.cost.toFixed(2))} (${method}; ${searches}).`;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Heuristics.js
+ * Distance estimates used by informed search algorithms such as A*
+ */
+
+//=============================================================================
+// HEURISTICS
+//=============================================================================
+
+class Heuristics {
+    //=============================================================================
+    // STATIC PROPERTIES
+    //=============================================================================
+
+    // Key of the heuristic used when none is selected
+    static DEFAULT_KEY = 'manhattan';
+
+    // Available heuristics keyed by identifier. Each one estimates the remaining cost
+    // from the absolute row and column differences, and lists the movement models
+    // ('cardinal' = 4-way, 'diagonal' = 8-way) it never overestimates on
+    static definitions = {
+        manhattan: {
+            name: 'Manhattan',
+            description: 'Sum of the row and column differences. Exact on empty 4-way grids.',
+            calculate: (dRow, dCol) => dRow + dCol,
+            admissibleFor: ['cardinal']
+        },
+        euclidean: {
+            name: 'Euclidean',
+            description: 'Straight-line distance. Never overestimates, but is loose on grids.',
+            calculate: (dRow, dCol) => Math.sqrt(dRow * dRow + dCol * dCol),
+            admissibleFor: ['cardinal', 'diagonal']
+        },
+        octile: {
+            name: 'Octile',
+            description: 'Diagonal steps cost √2, straight steps cost 1. Exact on empty 8-way grids.',
+            calculate: (dRow, dCol) => Math.max(dRow, dCol) + (Math.SQRT2 - 1) * Math.min(dRow, dCol),
+            admissibleFor: ['cardinal', 'diagonal']
+        },
+        chebyshev: {
+            name: 'Chebyshev',
+            description: 'Largest of the row and column differences, as if diagonal steps cost 1.',
+            calculate: (dRow, dCol) => Math.max(dRow, dCol),
+            admissibleFor: ['cardinal', 'diagonal']
+        },
+        zero: {
+            name: 'Zero (h = 0)',
+            description: 'No estimate at all. A* then explores exactly like Dijkstra\'s algorithm.',
+            calculate: () => 0,
+            admissibleFor: ['cardinal', 'diagonal']
+        }
+    };
+
+    //=============================================================================
+    // CALCULATION
+    //=============================================================================
+
+    /**
+     * Estimate the cost from a node to the target node
+     * @param {string} key - Heuristic identifier
+     * @param {Node} node - Current node
+     * @param {Node} endNode - Target node
+     * @returns {number} Heuristic value
+     */
+    static calculate(key, node, endNode) {
+        const definition = Heuristics.definitions[key] || Heuristics.definitions[Heuristics.DEFAULT_KEY];
+        return definition.calculate(Math.abs(node.row - endNode.row), Math.abs(node.col - endNode.col));
+    }
+
+    /**
+     * Get the heuristic that fits a movement model best
+     * @param {string} movementModel - Movement model of the grid ('cardinal' or 'diagonal')
+     * @returns {string} Manhattan for 4-way movement, octile for 8-way movement
+     */
+    static getDefaultKey(movementModel = 'cardinal') {
+        return movementModel === 'diagonal' ? 'octile' : Heuristics.DEFAULT_KEY;
+    }
+
+    /**
+     * Check if a heuristic never overestimates the remaining cost under a movement model
+     * Assumes every step costs at least 1, which holds for every weight except negative bonus tiles;
+     * with those the rest of a route can cost less than nothing, so no heuristic (not even zero) is admissible
+     * @param {string} key - Heuristic identifier
+     * @param {string} movementModel - Movement model of the grid ('cardinal' or 'diagonal')
+     * @param {boolean} hasNegativeWeights - Whether the grid has negative bonus tiles
+     * @returns {boolean} True if the heuristic is admissible
+     */
+    static isAdmissible(key, movementModel = 'cardinal', hasNegativeWeights = false) {
+        if (hasNegativeWeights) return false;
+
+        const definition = Heuristics.definitions[key];
+        return Boolean(definition) && definition.admissibleFor.includes(movementModel);
+    }
+
+    /**
+     * Describe a heuristic's admissibility as a badge for the panel's option row
+     * @param {string} key - Heuristic identifier
+     * @param {string} movementModel - Movement model of the grid ('cardinal' or 'diagonal')
+     * @param {boolean} hasNegativeWeights - Whether the grid has negative bonus tiles
+     * @returns {Object} Badge as { text, type, title }
+     */
+    static getAdmissibilityBadge(key, movementModel = 'cardinal', hasNegativeWeights = false) {
+        const movementName = movementModel === 'diagonal' ? '8-way' : '4-way';
+        
+        if (hasNegativeWeights) {
+            return {
+                text: 'Not admissible',
+                type: 'warning',
+                title: 'Negative bonus tiles can make the rest of a route cost less than any estimate, so the search may miss the shortest path'
+            };
+        }
+        
+        if (Heuristics.isAdmissible(key, movementModel)) {
+            return {
+                text: 'Admissible',
+                type: 'success',
+                title: `Never overestimates on ${movementName} movement, so the search still finds the shortest path`
+            };
+        }
+        
+        return {
+            text: 'Not admissible',
+            type: 'warning',
+            title: `Can overestimate on ${movementName} movement, so the search may miss the shortest path`
+        };
+    }
+
+    //=============================================================================
+    // LOOKUP
+    //=============================================================================
+
+    /**
+     * Check if a heuristic exists
+     * @param {string} key - Heuristic identifier
+     * @returns {boolean} True if the heuristic exists
+     */
+    static has(key) {
+        return Object.prototype.hasOwnProperty.call(Heuristics.definitions, key);
+    }
+
+    /**
+     * List all heuristics with their display information
+     * @returns {Object[]} Array of { key, name, description } objects
+     */
+    static list() {
+        return Object.entries(Heuristics.definitions).map(([key, definition]) => ({
+            key,
+            name: definition.name,
+            description: definition.description
+        }));
+    }
+} 
\ No newline at end of file
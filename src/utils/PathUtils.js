@@ -40,7 +40,7 @@ class PathUtils {
     }
 
     /**
-     * Calculate path distance by summing the weights of all nodes in the path
+     * Calculate path distance by summing the cost of every move in the path
      * @param {Node[]} path - Array of nodes in the path
      * @returns {number} Total path distance
      */
@@ -49,12 +49,59 @@ class PathUtils {
         
         let distance = 0;
         for (let i = 1; i < path.length; i++) {
-            distance += path[i].weight;
+            distance += PathUtils.getMoveCost(path[i - 1], path[i]);
         }
         
         return distance;
     }
 
+    /**
+     * Calculate the straight-line length of a path through the centres of its nodes, ignoring weights
+     * @param {Node[]} path - Corners of the path in order (neighboring cells or any-angle vertices)
+     * @returns {number} Total Euclidean length
+     */
+    static calculateEuclideanLength(path) {
+        if (!path || path.length < 2) return 0;
+
+        let length = 0;
+        for (let i = 1; i < path.length; i++) {
+            length += Math.hypot(path[i].row - path[i - 1].row, path[i].col - path[i - 1].col);
+        }
+
+        return length;
+    }
+
+    /**
+     * Get the cost of moving between two neighboring nodes
+     * Entering a node costs its weight, and diagonal moves cost sqrt(2) times as much
+     * @param {Node} fromNode - Node the move starts from
+     * @param {Node} toNode - Node the move ends on
+     * @returns {number} Cost of the move
+     */
+    static getMoveCost(fromNode, toNode) {
+        return toNode.weight * PathUtils.getStepLength(fromNode, toNode);
+    }
+
+    /**
+     * Get the length of a step between two neighboring nodes, ignoring weights
+     * @param {Node} fromNode - Node the step starts from
+     * @param {Node} toNode - Node the step ends on
+     * @returns {number} 1 for a straight step, sqrt(2) for a diagonal one
+     */
+    static getStepLength(fromNode, toNode) {
+        return PathUtils.isDiagonalStep(fromNode, toNode) ? Math.SQRT2 : 1;
+    }
+
+    /**
+     * Check if a step between two neighboring nodes is diagonal
+     * @param {Node} fromNode - Node the step starts from
+     * @param {Node} toNode - Node the step ends on
+     * @returns {boolean} True if the step changes both row and column
+     */
+    static isDiagonalStep(fromNode, toNode) {
+        return fromNode.row !== toNode.row && fromNode.col !== toNode.col;
+    }
+
     //=============================================================================
     // VISUALIZATION UTILITIES
     //=============================================================================
@@ -16,6 +16,16 @@ class GridView {
     static sharedTilesetMap = new Map();
     static sharedObstacleMap = new Map();
     
+    // Path colours for the legs of a waypoint route, reused in turn after the last one
+    static LEG_CLASSES = ['leg-0', 'leg-1', 'leg-2', 'leg-3', 'leg-4'];
+    
+    // Colours of the agents of a multi-agent plan, reused in turn after the last one
+    static AGENT_CLASSES = ['agent-color-0', 'agent-color-1', 'agent-color-2', 'agent-color-3', 'agent-color-4'];
+    
+    // Tints of the cells a search over (cell, layer) states expanded, by the layer: the keys held
+    // (one bit per colour of Grid.KEY_COLORS) or the bombs used; layer 0 keeps the plain visited colour
+    static LAYER_CLASSES = ['layer-1', 'layer-2', 'layer-3', 'layer-4', 'layer-5', 'layer-6', 'layer-7'];
+    
     //=============================================================================
     // INITIALIZATION
     //=============================================================================
@@ -39,9 +49,15 @@ class GridView {
         this.isMovingStart = false;
         this.isMovingEnd = false;
         this.currentTool = 'wall'; // Default tool: wall, start, end, erase
-        this.gridIndex = gridContainerId.includes('dijkstra') ? 0 : 1;
+        this.gridIndex = 0; // Panel position, kept up to date by GameController
         this.animationTimeouts = []; // Store animation timeouts for cancellation
         
+        // Distance analysis state
+        this.analysisMode = 'off'; // 'off', 'eccentricity', 'distance' or 'diameter'
+        this.analysis = null; // DistanceAnalysis of the grid, recomputed when walls or weights change
+        this.hoveredNode = null; // Cell the 'distance' heatmap measures from
+        this.analysisTimeout = null; // Pending heatmap refresh after a grid edit
+        
         // Store a reference to the global gameController
         this.gameController = window.gameController;
         
@@ -283,8 +299,11 @@ class GridView {
             
             if (node.isStart) {
                 this.isMovingStart = true;
+            } else if (this.isClickOnlyTool()) {
+                this.handleNodeClick(row, col);
             } else if (node.isEnd) {
-                this.isMovingEnd = true;
+                // Only the end node is dragged; extra goals are added and removed with the goal tool
+                this.isMovingEnd = node === this.grid.endNode;
             } else {
                 this.handleNodeClick(row, col);
             }
@@ -324,6 +343,11 @@ class GridView {
      * @param {MouseEvent} event - The mouse event
      */
     handleMouseOver(event) {
+        // The distance heatmap follows the cell under the mouse
+        if (!this.isMouseDown && this.analysisMode === 'distance' && event.target.classList.contains('node')) {
+            this.hoverAnalysisCell(parseInt(event.target.dataset.row), parseInt(event.target.dataset.col));
+        }
+        
         if (!this.isMouseDown) return;
         
         if (event.target.classList.contains('node')) {
@@ -334,7 +358,8 @@ class GridView {
                 this.moveStartNode(row, col);
             } else if (this.isMovingEnd) {
                 this.moveEndNode(row, col);
-            } else {
+            } else if (!this.isClickOnlyTool()) {
+                // Goals, waypoints, agents, patrols, keys, doors, danger and arrows toggle on click only, dragging over them would flicker them on and off
                 this.handleNodeClick(row, col);
             }
         }
@@ -364,8 +389,11 @@ class GridView {
             
             if (node.isStart) {
                 this.isMovingStart = true;
+            } else if (this.isClickOnlyTool()) {
+                this.handleNodeClick(row, col);
             } else if (node.isEnd) {
-                this.isMovingEnd = true;
+                // Only the end node is dragged; extra goals are added and removed with the goal tool
+                this.isMovingEnd = node === this.grid.endNode;
             } else {
                 this.handleNodeClick(row, col);
             }
@@ -405,7 +433,8 @@ class GridView {
                 this.moveStartNode(row, col);
             } else if (this.isMovingEnd) {
                 this.moveEndNode(row, col);
-            } else {
+            } else if (!this.isClickOnlyTool()) {
+                // Goals, waypoints, agents, patrols, keys, doors, danger and arrows toggle on click only, dragging over them would flicker them on and off
                 this.handleNodeClick(row, col);
             }
         }
@@ -428,6 +457,14 @@ class GridView {
     // NODE INTERACTION
     //=============================================================================
 
+    /**
+     * Check if the current tool toggles cells on click instead of painting them while dragging
+     * @returns {boolean} True for the goal, waypoint, agent, patrol, key, door, danger and one-way tools
+     */
+    isClickOnlyTool() {
+        return ['goal', 'waypoint', 'agent', 'patrol', 'key', 'door', 'danger', 'oneway'].includes(this.currentTool);
+    }
+
     /**
      * Handle node click
      * @param {number} row - Row of the clicked node
@@ -436,7 +473,12 @@ class GridView {
     handleNodeClick(row, col) {
         const node = this.grid.getNode(row, col);
         
-        if (!node || node.isStart || node.isEnd) {
+        // Goals, waypoints, agents and patrols can only be toggled by their own tools, keys and doors also erased
+        if (!node || node.isStart || (node.isEnd && this.currentTool !== 'goal') ||
+            (node.isWaypoint && this.currentTool !== 'waypoint') || (node.agent && this.currentTool !== 'agent') ||
+            (node.patrol && this.currentTool !== 'patrol') ||
+            (node.key && this.currentTool !== 'key' && this.currentTool !== 'erase') ||
+            (node.door && this.currentTool !== 'door' && this.currentTool !== 'erase')) {
             return;
         }
         
@@ -464,8 +506,9 @@ class GridView {
             
             // Function to confirm weight
             const confirmWeight = () => {
+                // Monsters cost 2-10 to pass, bonus tiles -5 to -1
                 const weight = parseInt(weightInput.value);
-                if (weight >= 2 && weight <= 10) {
+                if ((weight >= 2 && weight <= 10) || (weight >= -5 && weight <= -1)) {
                     gameController.handleNodeAction(this.gridIndex, row, col, 'weighted', weight);
                 }
                 weightModal.style.display = 'none';
@@ -742,8 +785,8 @@ class GridView {
     moveStartNode(row, col) {
         const node = this.grid.getNode(row, col);
         
-        // Don't move to end node
-        if (node.isEnd) return;
+        // Don't move to end node, a waypoint, an agent's cell, a patrol's, a key or a door
+        if (node.isEnd || node.isWaypoint || node.agent || node.patrol || node.key || node.door) return;
         
         // Update all grids via the game controller if it exists
         const gameController = this.gameController || window.gameController;
@@ -763,8 +806,8 @@ class GridView {
     moveEndNode(row, col) {
         const node = this.grid.getNode(row, col);
         
-        // Don't move to start node
-        if (node.isStart) return;
+        // Don't move to start node, onto another goal, a waypoint, an agent's cell, a patrol's, a key or a door
+        if (node.isStart || node.isWaypoint || node.agent || node.patrol || node.key || node.door || (node.isEnd && node !== this.grid.endNode)) return;
         
         // Update all grids via the game controller if it exists
         const gameController = this.gameController || window.gameController;
@@ -816,14 +859,37 @@ class GridView {
                 // Reapply the original tileset image before adding status classes
                 this.applyTileVariation(nodeElement, tileVariation, tilesetIndex);
                 
-                // Handle path
+                // Handle path, coloured by leg on a waypoint route
                 if (node.isPath) {
                     nodeElement.classList.add('path');
+                    if (node.pathLeg !== null) {
+                        nodeElement.classList.add(this.getLegClass(node.pathLeg));
+                    }
                 }
                 
                 // Handle visited status
                 if (node.isVisited && !node.isPath) {
                     nodeElement.classList.add('visited');
+                    
+                    // Bidirectional searches colour the backward frontier differently
+                    if (node.visitedDirection === 'backward') {
+                        nodeElement.classList.add('visited-backward');
+                    }
+                    
+                    // Bellman-Ford shades nodes it relaxed again in a later round
+                    if (node.isRelaxedAgain) {
+                        nodeElement.classList.add('relaxed-again');
+                    }
+                    
+                    // Searches over keys held or bombs used tint nodes by the layer they expanded them in
+                    if (node.visitedLayer) {
+                        nodeElement.classList.add(this.getLayerClass(node.visitedLayer));
+                    }
+                }
+                
+                // Handle the node where a bidirectional search met
+                if (node.isMeeting && (node.isVisited || node.isPath)) {
+                    nodeElement.classList.add('meeting');
                 }
                 
                 // Handle current node in visualization
@@ -831,9 +897,12 @@ class GridView {
                     nodeElement.classList.add('current');
                 }
                 
-                // Handle wall
+                // Handle wall, blown up when a path with bombs goes through it
                 if (node.isWall) {
                     nodeElement.classList.add('wall');
+                    if (node.isPath) {
+                        nodeElement.classList.add('blasted');
+                    }
                     
                     // Add obstacle image overlay using the node's obstacle type or pick one if not set
                     const obstacleNum = node.obstacleType || Math.floor(Math.random() * 2) + 1;
@@ -909,6 +978,69 @@ class GridView {
                     };
                     nodeElement.style.position = 'relative';
                     nodeElement.appendChild(endImg);
+                    
+                    // Number the goals when there are several, matching the Goal stat
+                    const goals = this.grid.getEndNodes();
+                    if (goals.length > 1) {
+                        const goalNumber = document.createElement('div');
+                        goalNumber.className = 'weight-value goal-number';
+                        goalNumber.textContent = goals.indexOf(node) + 1;
+                        nodeElement.appendChild(goalNumber);
+                    }
+                } else if (node.isWaypoint) {
+                    // Waypoints show their place in the visiting order
+                    nodeElement.classList.add('waypoint');
+                    
+                    const waypointNumber = document.createElement('div');
+                    waypointNumber.className = 'waypoint-number';
+                    waypointNumber.textContent = this.grid.waypoints.indexOf(node) + 1;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(waypointNumber);
+                } else if (node.agent) {
+                    // An agent's start and goal show its number in its colour; the start/end pair is agent 1
+                    const agentNumber = this.grid.getAgentNumber(node.agent);
+                    nodeElement.classList.add(node === node.agent.start ? 'agent-start' : 'agent-goal', this.getAgentClass(agentNumber - 1));
+                    
+                    const agentLabel = document.createElement('div');
+                    agentLabel.className = 'agent-number';
+                    agentLabel.textContent = agentNumber;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(agentLabel);
+                } else if (node.patrol) {
+                    // A patrolling monster waits on its first cell; the cell it turns back at is outlined
+                    const monsterNumber = this.grid.patrols.indexOf(node.patrol) + 1;
+                    nodeElement.classList.add(node === node.patrol.start ? 'patrol-start' : 'patrol-end');
+                    nodeElement.style.position = 'relative';
+                    
+                    if (node === node.patrol.start) {
+                        const monsterImg = document.createElement('img');
+                        monsterImg.src = 'src/assets/gifs/monster.gif';
+                        monsterImg.alt = 'Patrolling Monster';
+                        monsterImg.className = 'weighted-overlay patrol-monster';
+                        nodeElement.appendChild(monsterImg);
+                    }
+                    
+                    const patrolLabel = document.createElement('div');
+                    patrolLabel.className = 'weight-value patrol-number';
+                    patrolLabel.textContent = `M${monsterNumber}`;
+                    nodeElement.appendChild(patrolLabel);
+                } else if (node.key || node.door) {
+                    // Keys and doors show an icon in their colour
+                    nodeElement.classList.add(node.key ? 'key' : 'door');
+                    
+                    const icon = document.createElement('i');
+                    icon.className = `fas ${node.key ? 'fa-key' : 'fa-door-closed'} key-icon key-${node.key || node.door}`;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(icon);
+                } else if (node.isWeighted && node.weight < 0) {
+                    // Bonus tiles have no monster, only their (negative) cost
+                    nodeElement.classList.add('weighted', 'bonus');
+                    
+                    const weightValue = document.createElement('div');
+                    weightValue.className = 'weight-value bonus-value';
+                    weightValue.textContent = node.weight;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(weightValue);
                 } else if (node.isWeighted) {
                     nodeElement.classList.add('weighted');
                     
@@ -957,6 +1089,27 @@ class GridView {
                     `;
                     nodeElement.appendChild(weightValue);
                 }
+                
+                // Dangerous tiles show their danger in the top-left corner, apart from whatever they cost
+                if (node.danger > 0 && !node.isWall && !node.isStart) {
+                    nodeElement.classList.add('dangerous');
+                    
+                    const dangerValue = document.createElement('div');
+                    dangerValue.className = 'weight-value danger-value';
+                    dangerValue.textContent = node.danger;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(dangerValue);
+                }
+                
+                // One-way tiles show their arrow beneath whatever else stands on them
+                if (node.oneWay && !node.isWall) {
+                    nodeElement.classList.add('one-way');
+                    
+                    const arrow = document.createElement('i');
+                    arrow.className = `fas fa-arrow-${node.oneWay} one-way-arrow`;
+                    nodeElement.style.position = 'relative';
+                    nodeElement.appendChild(arrow);
+                }
             }
         }
         
@@ -964,6 +1117,11 @@ class GridView {
         if (typeof this.updateNodeCounts === 'function') {
             this.updateNodeCounts();
         }
+        
+        // Keep the heatmap in step with edits to the grid
+        if (this.analysisMode !== 'off') {
+            this.scheduleAnalysisRender();
+        }
     }
 
     /**
@@ -976,6 +1134,11 @@ class GridView {
             this.animationTimeouts = [];
         }
         
+        // Remove any lines drawn over the grid, and the fog
+        this.clearOverlay();
+        this.clearBeliefLayer();
+        this.explorationAgent = null;
+        
         // Reset animation state on all nodes in the grid
         // This ensures no leftover animation classes or states
         for (let row = 0; row < this.grid.rows; row++) {
@@ -1013,9 +1176,13 @@ class GridView {
      * @param {Array} visitedNodesInOrder - Array of nodes visited in order
      * @param {Array} pathNodesInOrder - Array of nodes in the final path
      * @param {number} speed - Delay between animations in ms
+     * @param {Object|null} overlay - Lines to draw over the grid, from Algorithm.getOverlay()
+     * @param {number[]|null} pathLegs - Leg of each path node on a waypoint route, null for a single search
+     * @param {number[]|null} visitedLayers - Layer of each visited node of a search over (cell, layer) states,
+     *     i.e. the keys held or bombs used there; null otherwise
      * @returns {Promise} - Resolves when animation is complete
      */
-    visualize(visitedNodesInOrder, pathNodesInOrder, speed = 20) {
+    visualize(visitedNodesInOrder, pathNodesInOrder, speed = 20, overlay = null, pathLegs = null, visitedLayers = null) {
         // Clear any previous animations
         this.stopAnimation();
         
@@ -1028,19 +1195,38 @@ class GridView {
         }
         
         return new Promise((resolve) => {
+            // Nodes listed more than once were relaxed again in a later round (Bellman-Ford)
+            const animatedNodes = new Set();
+            
             // First animate visited nodes
             for (let i = 0; i <= visitedNodesInOrder.length; i++) {
                 if (i === visitedNodesInOrder.length) {
                     // When visited nodes animation is done, animate the path
                     const timeout = setTimeout(() => {
-                        this.animatePath(pathNodesInOrder, speed, resolve);
+                        if (overlay && overlay.pathVertices.length > 1) {
+                            this.animateOverlayPath(overlay.pathVertices, 'overlay-path', speed * this._getPathAnimationSteps(pathNodesInOrder));
+                        }
+                        if (overlay && overlay.cycleVertices) {
+                            this.animateOverlayPath(overlay.cycleVertices, 'overlay-cycle', speed * overlay.cycleVertices.length * 3);
+                        }
+                        this.animatePath(pathNodesInOrder, speed, resolve, pathLegs);
                     }, speed * i);
                     this.animationTimeouts.push(timeout);
                     return;
                 }
                 
                 const node = visitedNodesInOrder[i];
+                // On a waypoint route a repeat is just a later leg searching the same cell,
+                // and a search over layers comes back to cells in another layer
+                const relaxedAgain = !pathLegs && !visitedLayers && animatedNodes.has(node);
+                const layer = visitedLayers ? visitedLayers[i] : null;
+                animatedNodes.add(node);
                 const timeout = setTimeout(() => {
+                    // Draw the line that led the algorithm to this node
+                    if (overlay && overlay.visitedSegments.has(node)) {
+                        this.drawOverlayLine(overlay.visitedSegments.get(node), node, 'overlay-visited');
+                    }
+                    
                     if (!node.isStart && !node.isEnd) {
                         // Only mark as visited at the time this node is being processed in the animation
                         node.isVisited = true;
@@ -1063,6 +1249,28 @@ class GridView {
                             nodeElement.classList.add('visited');
                             nodeElement.classList.add('animate');
                             
+                            // Bidirectional searches colour the backward frontier differently
+                            if (node.visitedDirection === 'backward') {
+                                nodeElement.classList.add('visited-backward');
+                            }
+                            
+                            // Mark where the two frontiers met
+                            if (node.isMeeting) {
+                                nodeElement.classList.add('meeting');
+                            }
+                            
+                            // Shade nodes whose distance dropped again in a later round
+                            if (relaxedAgain) {
+                                node.isRelaxedAgain = true;
+                                nodeElement.classList.add('relaxed-again');
+                            }
+                            
+                            // Tint the node by the layer the search expanded it in
+                            node.visitedLayer = layer;
+                            if (layer) {
+                                nodeElement.classList.add(this.getLayerClass(layer));
+                            }
+                            
                             // Remove animation class after it completes
                             setTimeout(() => {
                                 nodeElement.classList.remove('animate');
@@ -1090,8 +1298,9 @@ class GridView {
      * @param {Array} pathNodesInOrder - Array of nodes in the final path
      * @param {number} speed - Delay between animations in ms
      * @param {Function} resolve - Promise resolve function
+     * @param {number[]|null} pathLegs - Leg of each path node on a waypoint route, null for a single search
      */
-    animatePath(pathNodesInOrder, speed, resolve) {
+    animatePath(pathNodesInOrder, speed, resolve, pathLegs = null) {
         // Get the path length element to update in real-time
         const pathLengthElement = document.getElementById(`${this.gridContainerId.replace('-grid', '')}-path-length`);
         
@@ -1100,8 +1309,15 @@ class GridView {
             pathLengthElement.textContent = '0';
         }
         
+        // Diagonal steps are longer, so they take sqrt(2) times as long to reveal
+        let elapsedSteps = 0;
+        
         for (let i = 0; i < pathNodesInOrder.length; i++) {
             const node = pathNodesInOrder[i];
+            if (i > 0) {
+                elapsedSteps += PathUtils.getStepLength(pathNodesInOrder[i - 1], node);
+            }
+            
             const timeout = setTimeout(() => {
                 if (!node.isStart && !node.isEnd) {
                     // Mark as path at the time this node is being processed
@@ -1115,7 +1331,7 @@ class GridView {
                         const currentTilesetIndex = nodeElement.dataset.tilesetIndex || 0;
                         
                         // Remove visited class and maintain the base node class
-                        nodeElement.classList.remove('visited');
+                        nodeElement.classList.remove('visited', 'visited-backward', ...GridView.LAYER_CLASSES);
                         
                         // Ensure we keep the original tileset applied
                         this.applyTileVariation(nodeElement, currentVariation, currentTilesetIndex);
@@ -1124,6 +1340,23 @@ class GridView {
                         nodeElement.classList.add('path');
                         nodeElement.classList.add('animate');
                         
+                        // Each leg of a waypoint route gets its own colour
+                        if (pathLegs) {
+                            node.pathLeg = pathLegs[i];
+                            nodeElement.classList.remove(...GridView.LEG_CLASSES);
+                            nodeElement.classList.add(this.getLegClass(pathLegs[i]));
+                        }
+                        
+                        // Keep the meeting marker on the path
+                        if (node.isMeeting) {
+                            nodeElement.classList.add('meeting');
+                        }
+                        
+                        // A path with bombs blows up the rocks it walks through
+                        if (node.isWall) {
+                            nodeElement.classList.add('blasted');
+                        }
+                        
                         // Remove animation class after it completes
                         setTimeout(() => {
                             nodeElement.classList.remove('animate');
@@ -1140,7 +1373,7 @@ class GridView {
                 if (i === pathNodesInOrder.length - 1) {
                     resolve();
                 }
-            }, speed * i);
+            }, speed * elapsedSteps);
             this.animationTimeouts.push(timeout);
         }
         
@@ -1150,6 +1383,712 @@ class GridView {
         }
     }
 
+    /**
+     * Get the class that colours a leg of a waypoint route
+     * @param {number} leg - Index of the leg
+     * @returns {string} One of GridView.LEG_CLASSES
+     */
+    getLegClass(leg) {
+        return GridView.LEG_CLASSES[leg % GridView.LEG_CLASSES.length];
+    }
+
+    /**
+     * Get the class that colours an agent of a multi-agent plan
+     * @param {number} agent - Index of the agent, 0 for the start/end pair
+     * @returns {string} One of GridView.AGENT_CLASSES
+     */
+    getAgentClass(agent) {
+        return GridView.AGENT_CLASSES[agent % GridView.AGENT_CLASSES.length];
+    }
+
+    /**
+     * Get the class that tints a node expanded in a layer of a search over (cell, layer) states
+     * @param {number} layer - Keys held (one bit per colour) or bombs used; not 0, which keeps the plain visited colour
+     * @returns {string} One of GridView.LAYER_CLASSES
+     */
+    getLayerClass(layer) {
+        return GridView.LAYER_CLASSES[(layer - 1) % GridView.LAYER_CLASSES.length];
+    }
+
+    /**
+     * Get how many straight steps revealing a path takes, counting diagonal steps as sqrt(2)
+     * @param {Node[]} pathNodesInOrder - Nodes of the path in order
+     * @returns {number} Total step length of the path
+     * @private
+     */
+    _getPathAnimationSteps(pathNodesInOrder) {
+        let steps = 0;
+        for (let i = 1; i < pathNodesInOrder.length; i++) {
+            steps += PathUtils.getStepLength(pathNodesInOrder[i - 1], pathNodesInOrder[i]);
+        }
+        return steps;
+    }
+
+    //=============================================================================
+    // OVERLAY
+    //=============================================================================
+
+    /**
+     * Get the SVG layer drawn over the grid, creating it if needed
+     * Its coordinates are in cells, so the centre of a node is (col + 0.5, row + 0.5)
+     * @returns {SVGElement|null} The overlay element
+     * @private
+     */
+    _getOverlayElement() {
+        if (!this.gridContainer) return null;
+        
+        let overlay = this.gridContainer.querySelector('.grid-overlay');
+        if (!overlay) {
+            overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            overlay.setAttribute('class', 'grid-overlay');
+            overlay.setAttribute('preserveAspectRatio', 'none');
+            this.gridContainer.appendChild(overlay);
+        }
+        
+        // Follow the current grid size
+        overlay.setAttribute('viewBox', `0 0 ${this.grid.cols} ${this.grid.rows}`);
+        return overlay;
+    }
+
+    /**
+     * Remove every line drawn over the grid
+     */
+    clearOverlay() {
+        const overlay = this.gridContainer && this.gridContainer.querySelector('.grid-overlay');
+        if (overlay) {
+            overlay.innerHTML = '';
+        }
+        
+        // Patrolling monsters are back on their first cells once they no longer walk in the overlay
+        if (this.gridContainer) {
+            this.gridContainer.classList.remove('patrols-moving');
+        }
+    }
+
+    /**
+     * Draw a straight line between the centres of two nodes
+     * @param {Node} fromNode - Node the line starts at
+     * @param {Node} toNode - Node the line ends at
+     * @param {string} className - CSS class of the line
+     */
+    drawOverlayLine(fromNode, toNode, className) {
+        const overlay = this._getOverlayElement();
+        if (!overlay || !fromNode || !toNode) return;
+        
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', fromNode.col + 0.5);
+        line.setAttribute('y1', fromNode.row + 0.5);
+        line.setAttribute('x2', toNode.col + 0.5);
+        line.setAttribute('y2', toNode.row + 0.5);
+        line.setAttribute('class', className);
+        overlay.appendChild(line);
+    }
+
+    /**
+     * Draw a polyline through the centres of several nodes
+     * @param {Node[]} nodes - Corners of the polyline in order
+     * @param {string} className - CSS class of the polyline
+     * @returns {SVGPolylineElement|null} The polyline, or null if there was nothing to draw
+     */
+    drawOverlayPath(nodes, className) {
+        const overlay = this._getOverlayElement();
+        if (!overlay || nodes.length < 2) return null;
+        
+        const polyline = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        polyline.setAttribute('points', nodes.map(node => `${node.col + 0.5},${node.row + 0.5}`).join(' '));
+        polyline.setAttribute('class', className);
+        overlay.appendChild(polyline);
+        return polyline;
+    }
+
+    /**
+     * Draw several paths over the grid in their own colours
+     * Later paths are drawn first and wider, so the cheapest stays on top
+     * @param {Node[][]} paths - Cells of each path, cheapest first
+     */
+    drawRoutes(paths) {
+        for (let i = paths.length - 1; i >= 0; i--) {
+            this.drawOverlayPath(paths[i], `overlay-route route-${i % 5}`);
+        }
+    }
+
+    /**
+     * Highlight the route picked from the Pareto chart, replacing the one picked before
+     * @param {Node[]} nodes - Cells of the route in order
+     */
+    drawParetoRoute(nodes) {
+        const overlay = this.gridContainer && this.gridContainer.querySelector('.grid-overlay');
+        const previous = overlay && overlay.querySelector('.overlay-pareto');
+        if (previous) previous.remove();
+        
+        this.drawOverlayPath(nodes, 'overlay-pareto');
+    }
+
+    /**
+     * Draw a polyline that grows from its first corner to its last, so any-angle segments
+     * are traced at the same pace as the path cells underneath them
+     * @param {Node[]} nodes - Corners of the polyline in order
+     * @param {string} className - CSS class of the polyline
+     * @param {number} duration - How long drawing the whole polyline takes in ms
+     */
+    animateOverlayPath(nodes, className, duration) {
+        const polyline = this.drawOverlayPath(nodes, className);
+        if (!polyline || typeof polyline.animate !== 'function') return;
+        
+        // Measure the line as length 1, then slide a dash of that length into view
+        polyline.setAttribute('pathLength', '1');
+        polyline.style.strokeDasharray = '1';
+        polyline.animate(
+            [{ strokeDashoffset: 1 }, { strokeDashoffset: 0 }],
+            { duration, easing: 'linear', fill: 'forwards' }
+        );
+    }
+
+    /**
+     * Redraw an algorithm's overlay for a given number of visited nodes (step-by-step mode)
+     * @param {Object} overlay - Lines to draw, from Algorithm.getOverlay()
+     * @param {number} visitedCount - How many visited nodes are shown
+     * @param {boolean} showPath - Whether the path polyline is shown
+     * @param {boolean} showCycle - Whether the highlighted cycle, if any, is shown
+     */
+    renderOverlay(overlay, visitedCount, showPath, showCycle = false) {
+        this.clearOverlay();
+        
+        let drawn = 0;
+        for (const [node, fromNode] of overlay.visitedSegments) {
+            if (drawn >= visitedCount) break;
+            this.drawOverlayLine(fromNode, node, 'overlay-visited');
+            drawn++;
+        }
+        
+        if (showPath) {
+            this.drawOverlayPath(overlay.pathVertices, 'overlay-path');
+        }
+        
+        if (showCycle && overlay.cycleVertices) {
+            this.drawOverlayPath(overlay.cycleVertices, 'overlay-cycle');
+        }
+    }
+
+    //=============================================================================
+    // FOG OF WAR
+    //=============================================================================
+
+    /**
+     * Get the layer showing what the agent believes about the grid, creating it if needed
+     * It covers every cell with fog until the agent has seen it, and outlines the rocks it found,
+     * while the true grid stays visible underneath
+     * @returns {SVGElement|null} The belief layer element
+     * @private
+     */
+    _getBeliefLayerElement() {
+        if (!this.gridContainer) return null;
+        
+        let layer = this.gridContainer.querySelector('.belief-layer');
+        if (layer && layer.dataset.size === `${this.grid.rows}x${this.grid.cols}`) {
+            return layer;
+        }
+        if (layer) layer.remove();
+        
+        layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        layer.setAttribute('class', 'belief-layer');
+        layer.setAttribute('preserveAspectRatio', 'none');
+        layer.setAttribute('viewBox', `0 0 ${this.grid.cols} ${this.grid.rows}`);
+        layer.dataset.size = `${this.grid.rows}x${this.grid.cols}`;
+        
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                rect.setAttribute('x', col);
+                rect.setAttribute('y', row);
+                rect.setAttribute('width', 1);
+                rect.setAttribute('height', 1);
+                rect.setAttribute('class', 'belief-cell fog');
+                rect.dataset.position = `${row}-${col}`;
+                layer.appendChild(rect);
+            }
+        }
+        
+        this.gridContainer.appendChild(layer);
+        return layer;
+    }
+
+    /**
+     * Remove the belief layer, showing the whole grid again
+     */
+    clearBeliefLayer() {
+        const layer = this.gridContainer && this.gridContainer.querySelector('.belief-layer');
+        if (layer) {
+            layer.remove();
+        }
+    }
+
+    /**
+     * Lift the fog from cells the agent has seen
+     * @param {Node[]} cells - Cells of the true grid the agent has just seen
+     */
+    revealBeliefCells(cells) {
+        const layer = this._getBeliefLayerElement();
+        if (!layer) return;
+        
+        cells.forEach(cell => {
+            const rect = layer.children[cell.row * this.grid.cols + cell.col];
+            if (rect) {
+                rect.setAttribute('class', cell.isWall ? 'belief-cell known known-wall' : 'belief-cell known');
+            }
+        });
+    }
+
+    /**
+     * Apply one event of a fog-of-war walk to the grid (see FogOfWarExplorer)
+     * @param {Object} event - A 'sense', 'plan' or 'move' event
+     */
+    applyExplorationEvent(event) {
+        switch (event.type) {
+            case 'sense':
+                this.revealBeliefCells(event.cells);
+                break;
+            case 'plan': {
+                // Show what the planner expanded, and swap the old plan for the new one
+                event.visited.forEach(node => {
+                    node.isVisited = true;
+                    this._refreshExplorationNode(node);
+                });
+                const overlay = this._getOverlayElement();
+                if (overlay) {
+                    overlay.querySelectorAll('.overlay-plan').forEach(line => line.remove());
+                }
+                this.drawOverlayPath(event.path, 'overlay-plan');
+                break;
+            }
+            case 'move': {
+                const previousAgent = this.explorationAgent;
+                this.explorationAgent = event.to;
+                event.to.isPath = true;
+                this._refreshExplorationNode(event.from);
+                this._refreshExplorationNode(event.to);
+                if (previousAgent && previousAgent !== event.from) {
+                    this._refreshExplorationNode(previousAgent);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Show the state of a fog-of-war walk after a given number of events (step-by-step mode)
+     * @param {Object[]} timeline - Events recorded by FogOfWarExplorer
+     * @param {number} step - Index of the last event to show
+     */
+    renderExploration(timeline, step) {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                node.isVisited = false;
+                node.isPath = false;
+            }
+        }
+        
+        this.explorationAgent = null;
+        this.clearOverlay();
+        this._getBeliefLayerElement().querySelectorAll('.belief-cell').forEach(rect => {
+            rect.setAttribute('class', 'belief-cell fog');
+        });
+        this.update();
+        
+        for (let i = 0; i <= step && i < timeline.length; i++) {
+            this.applyExplorationEvent(timeline[i]);
+        }
+    }
+
+    /**
+     * Replay a fog-of-war walk: the fog lifts as the agent looks around, each plan is drawn
+     * as a dashed line, and the cells the agent walks turn into the path
+     * @param {Object[]} timeline - Events recorded by FogOfWarExplorer
+     * @param {number} speed - Delay between animations in ms
+     * @returns {Promise} - Resolves when animation is complete
+     */
+    visualizeExploration(timeline, speed = 20) {
+        this.stopAnimation();
+        this._getBeliefLayerElement();
+        
+        // Planning and walking take a few ticks each so the agent can be followed
+        const delays = { sense: 0, plan: speed * 4, move: speed * 3 };
+        
+        return new Promise(resolve => {
+            let elapsed = 0;
+            timeline.forEach(event => {
+                elapsed += delays[event.type];
+                const timeout = setTimeout(() => this.applyExplorationEvent(event), elapsed);
+                this.animationTimeouts.push(timeout);
+            });
+            
+            const timeout = setTimeout(resolve, elapsed + speed);
+            this.animationTimeouts.push(timeout);
+        });
+    }
+
+    /**
+     * Update the classes of one node during a fog-of-war walk
+     * @param {Node} node - Node of the true grid
+     * @private
+     */
+    _refreshExplorationNode(node) {
+        const nodeElement = document.getElementById(`${this.gridContainerId}-node-${node.row}-${node.col}`);
+        if (!nodeElement || node.isStart || node.isEnd) return;
+        
+        nodeElement.classList.toggle('path', node.isPath);
+        nodeElement.classList.toggle('visited', node.isVisited && !node.isPath);
+        nodeElement.classList.toggle('agent', node === this.explorationAgent);
+    }
+
+    //=============================================================================
+    // MULTI-AGENT PLAN
+    //=============================================================================
+
+    /**
+     * Replay a multi-agent plan: each agent's path is drawn in its colour, then all agents
+     * step along their paths together, one time step at a time
+     * @param {Node[][]} paths - Cell of each agent at every time step, from ConflictBasedSearch
+     * @param {number} speed - Delay between animations in ms
+     * @returns {Promise} - Resolves when animation is complete
+     */
+    visualizeAgents(paths, speed = 20) {
+        this.stopAnimation();
+        this.update();
+        this.clearOverlay();
+        
+        const markers = this._drawAgentPlan(paths);
+        const makespan = Math.max(...paths.map(path => path.length - 1));
+        
+        // A time step takes a few ticks so every agent can be followed
+        const stepDelay = speed * 8;
+        
+        return new Promise(resolve => {
+            for (let time = 1; time <= makespan; time++) {
+                const timeout = setTimeout(() => this._placeAgentMarkers(markers, paths, time), stepDelay * time);
+                this.animationTimeouts.push(timeout);
+            }
+            
+            const timeout = setTimeout(resolve, stepDelay * (makespan + 1));
+            this.animationTimeouts.push(timeout);
+        });
+    }
+
+    /**
+     * Redraw a multi-agent plan with every agent where it stands at a time step (step-by-step mode)
+     * @param {Node[][]} paths - Cell of each agent at every time step, from ConflictBasedSearch
+     * @param {number} time - The time step to show
+     */
+    renderAgents(paths, time) {
+        this.update();
+        this.clearOverlay();
+        
+        const markers = this._drawAgentPlan(paths);
+        this._placeAgentMarkers(markers, paths, Math.max(time, 0));
+    }
+
+    /**
+     * Draw every agent's path and a numbered marker for each agent at its start
+     * @param {Node[][]} paths - Cell of each agent at every time step
+     * @returns {SVGGElement[]} The agents' markers
+     * @private
+     */
+    _drawAgentPlan(paths) {
+        const overlay = this._getOverlayElement();
+        if (!overlay) return [];
+        
+        paths.forEach((path, agent) => {
+            this.drawOverlayPath(path, `overlay-agent-path ${this.getAgentClass(agent)}`);
+        });
+        
+        return paths.map((path, agent) => {
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            marker.setAttribute('class', `agent-marker ${this.getAgentClass(agent)}`);
+            
+            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            circle.setAttribute('r', 0.35);
+            marker.appendChild(circle);
+            
+            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('dominant-baseline', 'central');
+            label.textContent = agent + 1;
+            marker.appendChild(label);
+            
+            overlay.appendChild(marker);
+            this._placeAgentMarkers([marker], [path], 0);
+            return marker;
+        });
+    }
+
+    /**
+     * Move the agents' markers to where they stand at a time step; agents wait on their goal after arriving
+     * @param {SVGGElement[]} markers - The agents' markers
+     * @param {Node[][]} paths - Cell of each agent at every time step
+     * @param {number} time - The time step
+     * @private
+     */
+    _placeAgentMarkers(markers, paths, time) {
+        markers.forEach((marker, agent) => {
+            const path = paths[agent];
+            const node = path[Math.min(time, path.length - 1)];
+            marker.style.transform = `translate(${node.col + 0.5}px, ${node.row + 0.5}px)`;
+        });
+    }
+
+    //=============================================================================
+    // MONSTER PATROLS
+    //=============================================================================
+
+    /**
+     * Replay a plan around patrolling monsters: the agent and the monsters move together,
+     * one time step at a time, with the monsters' routes dashed and the agent's path in its colour
+     * @param {Object} plan - Result of PatrolPlanner.run()
+     * @param {number} speed - Delay between animations in ms
+     * @returns {Promise} - Resolves when animation is complete
+     */
+    visualizePatrols(plan, speed = 20) {
+        this.stopAnimation();
+        this.update();
+        this.clearOverlay();
+        
+        const { markers, paths } = this._drawPatrolPlan(plan);
+        const steps = Math.max(...paths.map(path => path.length - 1));
+        
+        // A time step takes a few ticks so the monsters can be followed
+        const stepDelay = speed * 8;
+        
+        return new Promise(resolve => {
+            for (let time = 1; time <= steps; time++) {
+                const timeout = setTimeout(() => this._placeAgentMarkers(markers, paths, time), stepDelay * time);
+                this.animationTimeouts.push(timeout);
+            }
+            
+            const timeout = setTimeout(resolve, stepDelay * (steps + 1));
+            this.animationTimeouts.push(timeout);
+        });
+    }
+
+    /**
+     * Redraw a plan around patrolling monsters as it stands at a time step (step-by-step mode)
+     * @param {Object} plan - Result of PatrolPlanner.run()
+     * @param {number} time - The time step to show
+     */
+    renderPatrols(plan, time) {
+        this.update();
+        this.clearOverlay();
+        
+        const { markers, paths } = this._drawPatrolPlan(plan);
+        this._placeAgentMarkers(markers, paths, Math.max(time, 0));
+    }
+
+    /**
+     * Draw the monsters' routes and the agent's path, with a marker for the agent and each monster
+     * The monsters' images on their first cells are hidden while their markers walk
+     * @param {Object} plan - Result of PatrolPlanner.run()
+     * @returns {Object} { markers, paths } where paths lists the cell of every marker at each time step
+     * @private
+     */
+    _drawPatrolPlan(plan) {
+        const overlay = this._getOverlayElement();
+        if (!overlay) return { markers: [], paths: [] };
+        
+        this.gridContainer.classList.add('patrols-moving');
+        plan.routes.forEach(route => this.drawOverlayPath(route, 'overlay-patrol'));
+        
+        // The agent is drawn like the first agent of a multi-agent plan
+        const markers = plan.pathFound ? this._drawAgentPlan([plan.path]) : [];
+        const paths = plan.pathFound ? [plan.path] : [];
+        
+        plan.monsterPaths.forEach(path => {
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            marker.setAttribute('class', 'agent-marker monster-marker');
+            
+            const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('href', 'src/assets/gifs/monster.gif');
+            image.setAttribute('x', -0.4);
+            image.setAttribute('y', -0.4);
+            image.setAttribute('width', 0.8);
+            image.setAttribute('height', 0.8);
+            marker.appendChild(image);
+            
+            overlay.appendChild(marker);
+            markers.push(marker);
+            paths.push(path);
+        });
+        
+        this._placeAgentMarkers(markers, paths, 0);
+        return { markers, paths };
+    }
+
+    //=============================================================================
+    // DISTANCE ANALYSIS
+    //=============================================================================
+
+    /**
+     * Show a distance heatmap over the grid, or hide it
+     * @param {string} mode - 'off', 'eccentricity', 'distance' (from the hovered cell) or 'diameter'
+     * @returns {string|null} Summary of the analysis, or null when turned off
+     */
+    setAnalysisMode(mode) {
+        this.analysisMode = mode;
+        this.hoveredNode = null;
+        clearTimeout(this.analysisTimeout);
+        
+        if (mode === 'off') {
+            this.clearAnalysisLayer();
+            return null;
+        }
+        
+        return this.renderAnalysis();
+    }
+
+    /**
+     * Redraw the heatmap shortly, so a stroke of wall edits only triggers one new analysis
+     */
+    scheduleAnalysisRender() {
+        clearTimeout(this.analysisTimeout);
+        this.analysisTimeout = setTimeout(() => this.renderAnalysis(), 150);
+    }
+
+    /**
+     * Draw the heatmap of the current analysis mode, analysing the grid again if it changed
+     * @returns {string} Summary of the analysis
+     */
+    renderAnalysis() {
+        if (this.analysisMode === 'off') return null;
+        
+        if (!this.analysis || this.analysis.signature !== DistanceAnalysis.getSignature(this.grid)) {
+            this.analysis = new DistanceAnalysis(this.grid);
+        }
+        const analysis = this.analysis;
+        
+        const overlay = this._getOverlayElement();
+        if (overlay) {
+            overlay.querySelectorAll('.overlay-diameter').forEach(line => line.remove());
+        }
+        
+        if (analysis.hasNegativeCycle) {
+            this.clearAnalysisLayer();
+            return 'Distances are undefined: bonus tiles form a negative cycle.';
+        }
+        
+        const format = value => Number(value.toFixed(2));
+        
+        if (this.analysisMode === 'eccentricity') {
+            const eccentricities = analysis.getEccentricities();
+            this._drawHeatmap(eccentricities, [], value => `Farthest reachable cell: ${format(value)}`);
+            
+            const values = [...eccentricities.values()];
+            if (values.length === 0) return 'No open cells to analyse.';
+            return `Eccentricity: from ${format(Math.min(...values))} (most central) to ${format(Math.max(...values))} (hardest to reach).`;
+        }
+        
+        if (this.analysisMode === 'diameter') {
+            const diameter = analysis.getDiameter();
+            if (!diameter) {
+                this._drawHeatmap(new Map(), [], () => '');
+                return 'No two open cells are connected.';
+            }
+            
+            this._drawHeatmap(analysis.getDistancesFrom(diameter.from), [diameter.from, diameter.to],
+                value => `Distance from the diameter's first end: ${format(value)}`);
+            this.drawOverlayPath(analysis.getPath(diameter.from, diameter.to), 'overlay-diameter');
+            return `Diameter ${format(diameter.distance)}: from (${diameter.from.row}, ${diameter.from.col}) to (${diameter.to.row}, ${diameter.to.col}).`;
+        }
+        
+        // 'distance': measure from the hovered cell, or from the start until the mouse moves
+        const source = this.hoveredNode && !this.hoveredNode.isWall ? this.hoveredNode : this.grid.startNode;
+        if (!source || source.isWall) {
+            this.clearAnalysisLayer();
+            return 'Hover over an open cell to see its distance to every other cell.';
+        }
+        
+        this._drawHeatmap(analysis.getDistancesFrom(source), [source],
+            value => `Distance from (${source.row}, ${source.col}): ${format(value)}`);
+        return 'Hover over a cell to see its distance to every other cell.';
+    }
+
+    /**
+     * Measure the distance heatmap from another cell
+     * @param {number} row - Row of the hovered cell
+     * @param {number} col - Column of the hovered cell
+     */
+    hoverAnalysisCell(row, col) {
+        const node = this.grid.getNode(row, col);
+        if (!node || node === this.hoveredNode || node.isWall) return;
+        
+        this.hoveredNode = node;
+        this.renderAnalysis();
+    }
+
+    /**
+     * Remove the heatmap and the distances shown in the cells' tooltips
+     */
+    clearAnalysisLayer() {
+        if (!this.gridContainer) return;
+        
+        const layer = this.gridContainer.querySelector('.analysis-layer');
+        if (layer) {
+            layer.remove();
+        }
+        
+        const overlay = this._getOverlayElement();
+        if (overlay) {
+            overlay.querySelectorAll('.overlay-diameter').forEach(line => line.remove());
+        }
+        
+        this.gridContainer.querySelectorAll('.node[title]').forEach(element => element.removeAttribute('title'));
+    }
+
+    /**
+     * Colour every open cell from green (small value) to red (large value)
+     * @param {Map<Node, number>} values - Value of each open cell, Infinity for unreachable cells
+     * @param {Node[]} markedNodes - Cells to outline, e.g. the diameter's ends
+     * @param {Function} describe - Turns a cell's value into its tooltip
+     * @private
+     */
+    _drawHeatmap(values, markedNodes, describe) {
+        this.clearAnalysisLayer();
+        
+        const layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        layer.setAttribute('class', 'analysis-layer');
+        layer.setAttribute('preserveAspectRatio', 'none');
+        layer.setAttribute('viewBox', `0 0 ${this.grid.cols} ${this.grid.rows}`);
+        
+        const finiteValues = [...values.values()].filter(value => value !== Infinity);
+        const min = finiteValues.length > 0 ? Math.min(...finiteValues) : 0;
+        const max = finiteValues.length > 0 ? Math.max(...finiteValues) : 0;
+        
+        values.forEach((value, node) => {
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.setAttribute('x', node.col);
+            rect.setAttribute('y', node.row);
+            rect.setAttribute('width', 1);
+            rect.setAttribute('height', 1);
+            
+            const nodeElement = document.getElementById(`${this.gridContainerId}-node-${node.row}-${node.col}`);
+            if (value === Infinity) {
+                rect.setAttribute('class', 'analysis-cell unreachable');
+                if (nodeElement) nodeElement.title = 'Unreachable';
+            } else {
+                // Green for the smallest value, through yellow, to red for the largest
+                const ratio = max > min ? (value - min) / (max - min) : 0;
+                rect.setAttribute('class', 'analysis-cell');
+                rect.style.fill = `hsl(${Math.round(120 * (1 - ratio))}, 80%, 50%)`;
+                if (nodeElement) nodeElement.title = describe(value);
+            }
+            
+            if (markedNodes.includes(node)) {
+                rect.classList.add('marked');
+            }
+            layer.appendChild(rect);
+        });
+        
+        this.gridContainer.appendChild(layer);
+    }
+
     //=============================================================================
     // UI HELPERS
     //=============================================================================
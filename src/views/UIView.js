@@ -46,33 +46,108 @@ class UIView {
         
         // Visualization speed control - pair desktop and mobile
         this.setupPairedControls('visualization-speed', 'visualization-speed-mobile', (speed) => {
-            this.controllers.dijkstra.setSpeed(speed);
-            this.controllers.astar.setSpeed(speed);
+            this.getVisualizationControllers().forEach(controller => controller.setSpeed(speed));
+        });
+        
+        // Movement model control - pair desktop and mobile
+        this.setupPairedControls('movement-model', 'movement-model-mobile', (value, control) => {
+            const movementModel = value === 'cardinal' ? 'cardinal' : 'diagonal';
+            const allowCornerCutting = value === 'diagonal-corner-cutting';
+            
+            if (!this.controllers.game.setMovementModel(movementModel, allowCornerCutting)) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            // Heuristic choices and their admissibility depend on the movement model
+            this.getVisualizationControllers().forEach(controller => this.renderAlgorithmOptions(controller));
+            
+            this.showToast(`Movement set to ${control.options[control.selectedIndex].text}`, 'info');
+        });
+        
+        // Fog-of-war control - pair desktop and mobile
+        this.setupPairedControls('sensor-radius', 'sensor-radius-mobile', (value, control) => {
+            const sensorRadius = value === 'full' ? null : parseInt(value);
+            
+            if (!this.controllers.game.setSensorRadius(sensorRadius)) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            this.showToast(`Vision set to ${control.options[control.selectedIndex].text}`, 'info');
+        });
+        
+        // Waypoint order control - pair desktop and mobile
+        this.setupPairedControls('waypoint-order', 'waypoint-order-mobile', (waypointOrder, control) => {
+            if (!this.controllers.game.setWaypointOrder(waypointOrder)) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            this.showToast(`Waypoints visited ${control.options[control.selectedIndex].text.toLowerCase()}`, 'info');
+        });
+        
+        // Route count control - pair desktop and mobile
+        this.setupPairedControls('route-count', 'route-count-mobile', (value, control) => {
+            if (!this.controllers.game.setRouteCount(parseInt(value))) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            this.showToast(`Routes set to ${control.options[control.selectedIndex].text.toLowerCase()}`, 'info');
+        });
+        
+        // Bomb count control - pair desktop and mobile
+        this.setupPairedControls('bomb-count', 'bomb-count-mobile', (value, control) => {
+            if (!this.controllers.game.setBombCount(parseInt(value))) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            this.showToast(`Bombs set to ${control.options[control.selectedIndex].text.toLowerCase()}`, 'info');
+        });
+        
+        // Stamina budget control - pair desktop and mobile
+        this.setupPairedControls('stamina-budget', 'stamina-budget-mobile', (value, control) => {
+            const staminaBudget = value === 'unlimited' ? null : parseInt(value);
+            
+            if (!this.controllers.game.setStaminaBudget(staminaBudget)) {
+                this.syncMovementControls();
+                return;
+            }
+            
+            this.showToast(`Stamina set to ${control.options[control.selectedIndex].text.toLowerCase()}`, 'info');
+        });
+        
+        // Distance heatmap control - pair desktop and mobile
+        this.setupPairedControls('analysis-mode', 'analysis-mode-mobile', (mode, control) => {
+            const summary = this.controllers.game.setAnalysisMode(mode);
+            if (summary === false) return;
+            
+            this.showToast(summary || `Heatmap ${control.options[control.selectedIndex].text.toLowerCase()}`, 'info');
         });
         
         // Visualization mode control - pair desktop and mobile
         this.setupPairedControls('visualization-mode', 'visualization-mode-mobile', (selectedMode) => {
-            const previousMode = this.controllers.dijkstra.mode;
+            const controllers = this.getVisualizationControllers();
+            if (controllers.length === 0) return;
             
-            // First, check if both algorithms have completed visualizations
-            const bothAlgorithmsCompleted = this.checkIfBothAlgorithmsCompleted();
+            const previousMode = controllers[0].mode;
             
-            // Apply mode changes to both controllers
-            this.controllers.dijkstra.setMode(selectedMode);
-            this.controllers.astar.setMode(selectedMode);
+            // Apply mode changes to every panel's controller
+            controllers.forEach(controller => controller.setMode(selectedMode));
             
-            // Ensure visualizations are properly reset for both algorithms regardless
+            // Ensure visualizations are properly reset for all algorithms regardless
             // of which mode we're switching to
             if (previousMode !== selectedMode) {
-                // Reset visualizations in both controllers
-                this.controllers.dijkstra.resetPathVisualization();
-                this.controllers.astar.resetPathVisualization();
+                // Reset visualizations in every controller
+                controllers.forEach(controller => controller.resetPathVisualization());
 
                 // Enable all controls
                 this.setGridInteractionsDisabled(false);
                 
                 // Explicitly ensure mode selectors are enabled
-                this.controllers.dijkstra.enableModeSelectors();
+                controllers[0].enableModeSelectors();
             }
             
             // Show toast notification for mode change
@@ -86,9 +161,20 @@ class UIView {
             }
         });
         
+        // Algorithm selectors - one dropdown per comparison panel
+        this.setupAlgorithmSelectors();
+        
         // Tool buttons - desktop
         this.setupToolButton('start-node-btn', 'start');
         this.setupToolButton('end-node-btn', 'end');
+        this.setupToolButton('goal-btn', 'goal');
+        this.setupToolButton('waypoint-btn', 'waypoint');
+        this.setupToolButton('agent-btn', 'agent');
+        this.setupToolButton('patrol-btn', 'patrol');
+        this.setupToolButton('key-btn', 'key');
+        this.setupToolButton('door-btn', 'door');
+        this.setupToolButton('danger-btn', 'danger');
+        this.setupToolButton('oneway-btn', 'oneway');
         this.setupToolButton('wall-btn', 'wall');
         this.setupToolButton('weighted-node-btn', 'weighted');
         this.setupToolButton('erase-btn', 'erase');
@@ -96,6 +182,14 @@ class UIView {
         // Tool buttons - mobile
         this.setupToolButton('start-node-btn-mobile', 'start');
         this.setupToolButton('end-node-btn-mobile', 'end');
+        this.setupToolButton('goal-btn-mobile', 'goal');
+        this.setupToolButton('waypoint-btn-mobile', 'waypoint');
+        this.setupToolButton('agent-btn-mobile', 'agent');
+        this.setupToolButton('patrol-btn-mobile', 'patrol');
+        this.setupToolButton('key-btn-mobile', 'key');
+        this.setupToolButton('door-btn-mobile', 'door');
+        this.setupToolButton('danger-btn-mobile', 'danger');
+        this.setupToolButton('oneway-btn-mobile', 'oneway');
         this.setupToolButton('wall-btn-mobile', 'wall');
         this.setupToolButton('weighted-node-btn-mobile', 'weighted');
         this.setupToolButton('erase-btn-mobile', 'erase');
@@ -343,11 +437,7 @@ class UIView {
         const startButton = document.getElementById('start-btn');
         if (startButton) {
             startButton.addEventListener('click', () => {
-                // Run both algorithms in parallel using Promise.all
-                Promise.all([
-                    this.controllers.dijkstra.startVisualization(),
-                    this.controllers.astar.startVisualization()
-                ]);
+                this.startAllVisualizations();
             });
         }
         
@@ -355,11 +445,7 @@ class UIView {
         const startMobileButton = document.getElementById('start-btn-mobile');
         if (startMobileButton) {
             startMobileButton.addEventListener('click', () => {
-                // Run both algorithms in parallel using Promise.all
-                Promise.all([
-                    this.controllers.dijkstra.startVisualization(),
-                    this.controllers.astar.startVisualization()
-                ]);
+                this.startAllVisualizations();
             });
         }
         
@@ -367,16 +453,14 @@ class UIView {
         const nextStepButton = document.getElementById('next-step-btn');
         if (nextStepButton) {
             nextStepButton.addEventListener('click', () => {
-                this.controllers.dijkstra.nextStep();
-                this.controllers.astar.nextStep();
+                this.getVisualizationControllers().forEach(controller => controller.nextStep());
             });
         }
         
         const prevStepButton = document.getElementById('prev-step-btn');
         if (prevStepButton) {
             prevStepButton.addEventListener('click', () => {
-                this.controllers.dijkstra.prevStep();
-                this.controllers.astar.prevStep();
+                this.getVisualizationControllers().forEach(controller => controller.prevStep());
             });
         }
         
@@ -384,16 +468,14 @@ class UIView {
         const nextStepMobileButton = document.getElementById('next-step-btn-mobile');
         if (nextStepMobileButton) {
             nextStepMobileButton.addEventListener('click', () => {
-                this.controllers.dijkstra.nextStep();
-                this.controllers.astar.nextStep();
+                this.getVisualizationControllers().forEach(controller => controller.nextStep());
             });
         }
         
         const prevStepMobileButton = document.getElementById('prev-step-btn-mobile');
         if (prevStepMobileButton) {
             prevStepMobileButton.addEventListener('click', () => {
-                this.controllers.dijkstra.prevStep();
-                this.controllers.astar.prevStep();
+                this.getVisualizationControllers().forEach(controller => controller.prevStep());
             });
         }
     }
@@ -417,6 +499,293 @@ class UIView {
         }
     }
 
+    //=============================================================================
+    // ALGORITHM SELECTION
+    //=============================================================================
+
+    /**
+     * Set up the algorithm dropdown of every comparison panel
+     */
+    setupAlgorithmSelectors() {
+        this.getVisualizationControllers().forEach(controller => this.setupAlgorithmSelect(controller));
+    }
+
+    /**
+     * Populate a panel's algorithm dropdown from the registry and wire it to its controller
+     * @param {VisualizationController} controller - The controller of the panel
+     */
+    setupAlgorithmSelect(controller) {
+        if (!controller || !controller.elementIds.algorithmSelectId) return;
+        
+        const select = document.getElementById(controller.elementIds.algorithmSelectId);
+        if (!select) return;
+        
+        // Fill the dropdown with every registered algorithm
+        select.innerHTML = '';
+        AlgorithmRegistry.list().forEach(({ key, name, description }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            option.title = description;
+            select.appendChild(option);
+        });
+        
+        // Show the algorithm the panel currently runs
+        const currentKey = controller.getAlgorithmKey();
+        if (currentKey) {
+            select.value = currentKey;
+        }
+        this.updateAlgorithmSelectTitle(select);
+        this.renderAlgorithmOptions(controller);
+        
+        select.addEventListener('change', () => {
+            if (controller.setAlgorithm(select.value)) {
+                this.updateAlgorithmSelectTitle(select);
+                this.renderAlgorithmOptions(controller);
+                this.showToast(`${AlgorithmRegistry.get(select.value).getName()} selected`, 'info');
+            } else {
+                // Switching failed (e.g. while visualizing), restore the previous selection
+                select.value = controller.getAlgorithmKey();
+            }
+        });
+    }
+
+    /**
+     * Show the description of the selected algorithm as the dropdown's tooltip
+     * @param {HTMLSelectElement} select - The algorithm dropdown
+     */
+    updateAlgorithmSelectTitle(select) {
+        const AlgorithmClass = AlgorithmRegistry.get(select.value);
+        select.title = AlgorithmClass ? AlgorithmClass.getDescription() : '';
+    }
+
+    //=============================================================================
+    // ALGORITHM OPTIONS
+    //=============================================================================
+
+    /**
+     * Build the option controls of a panel's current algorithm (e.g. the A* heuristic selector)
+     * @param {VisualizationController} controller - The controller of the panel
+     */
+    renderAlgorithmOptions(controller) {
+        if (!controller || !controller.elementIds.optionsId) return;
+        
+        const container = document.getElementById(controller.elementIds.optionsId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const definitions = controller.algorithm.constructor.getOptionDefinitions();
+        definitions.forEach(definition => {
+            const label = document.createElement('label');
+            label.className = 'algorithm-option';
+            label.textContent = `${definition.label}: `;
+            label.appendChild(this.createAlgorithmOptionControl(controller, definition));
+            
+            // Sliders show their current value next to them
+            if (definition.type === 'range') {
+                const value = document.createElement('span');
+                value.className = 'algorithm-option-value';
+                value.textContent = controller.algorithm.getOption(definition.key);
+                label.appendChild(value);
+            }
+            container.appendChild(label);
+        });
+        
+        const badges = document.createElement('span');
+        badges.className = 'algorithm-option-badges';
+        container.appendChild(badges);
+        this.updateAlgorithmOptionBadges(controller);
+        
+        // Hide the row entirely for algorithms without options
+        container.style.display = definitions.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Create the input for a single algorithm option
+     * @param {VisualizationController} controller - The controller of the panel
+     * @param {Object} definition - Option definition from getOptionDefinitions()
+     * @returns {HTMLElement} The control element
+     */
+    createAlgorithmOptionControl(controller, definition) {
+        if (definition.type === 'range') {
+            return this.createAlgorithmOptionSlider(controller, definition);
+        }
+        
+        const select = document.createElement('select');
+        select.className = 'algorithm-option-control';
+        
+        definition.choices.forEach(({ value, label, title }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = title || '';
+            select.appendChild(option);
+        });
+        select.value = controller.algorithm.getOption(definition.key);
+        
+        select.addEventListener('change', () => {
+            if (controller.setAlgorithmOption(definition.key, select.value)) {
+                this.updateAlgorithmOptionBadges(controller);
+            } else {
+                // Changing failed (e.g. while visualizing), restore the previous value
+                select.value = controller.algorithm.getOption(definition.key);
+            }
+        });
+        
+        return select;
+    }
+
+    /**
+     * Create the slider for a numeric algorithm option (e.g. the weighted A* epsilon)
+     * @param {VisualizationController} controller - The controller of the panel
+     * @param {Object} definition - Option definition with min, max and step
+     * @returns {HTMLInputElement} The slider element
+     */
+    createAlgorithmOptionSlider(controller, definition) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'algorithm-option-control algorithm-option-range';
+        slider.min = definition.min;
+        slider.max = definition.max;
+        slider.step = definition.step;
+        slider.value = controller.algorithm.getOption(definition.key);
+        slider.title = definition.title || '';
+        
+        const showValue = value => {
+            const valueElement = slider.parentElement && slider.parentElement.querySelector('.algorithm-option-value');
+            if (valueElement) valueElement.textContent = value;
+        };
+        
+        // Preview the value while dragging, apply it once released
+        slider.addEventListener('input', () => showValue(slider.value));
+        slider.addEventListener('change', () => {
+            if (controller.setAlgorithmOption(definition.key, slider.value)) {
+                this.updateAlgorithmOptionBadges(controller);
+            } else {
+                slider.value = controller.algorithm.getOption(definition.key);
+            }
+            showValue(controller.algorithm.getOption(definition.key));
+        });
+        
+        return slider;
+    }
+
+    /**
+     * Refresh the badges describing a panel's current option values
+     * @param {VisualizationController} controller - The controller of the panel
+     */
+    updateAlgorithmOptionBadges(controller) {
+        const container = document.getElementById(controller.elementIds.optionsId);
+        const badgesElement = container && container.querySelector('.algorithm-option-badges');
+        if (!badgesElement) return;
+        
+        badgesElement.innerHTML = '';
+        controller.algorithm.getOptionBadges().forEach(({ text, type, title }) => {
+            const badge = document.createElement('span');
+            badge.className = `option-badge ${type}`;
+            badge.textContent = text;
+            badge.title = title || '';
+            badgesElement.appendChild(badge);
+        });
+    }
+
+    //=============================================================================
+    // PARETO CHART
+    //=============================================================================
+
+    /**
+     * Plot a panel's routes trading cost against danger, one clickable point per route
+     * Cost runs along the bottom and danger up the side, so the front falls from the top left
+     * (cheap but dangerous) to the bottom right (safe but costly)
+     * @param {VisualizationController} controller - The controller of the panel
+     */
+    renderParetoChart(controller) {
+        if (!controller || !controller.elementIds.paretoId) return;
+
+        const container = document.getElementById(controller.elementIds.paretoId);
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const pareto = controller.pareto;
+        if (!pareto || pareto.unsupportedReason || pareto.routes.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = '';
+
+        // Plot area inside the margins that hold the axis labels
+        const width = 220, height = 120;
+        const left = 30, right = 10, top = 10, bottom = 24;
+        const routes = pareto.routes;
+        const costs = routes.map(route => route.cost);
+        const dangers = routes.map(route => route.danger);
+        const scale = (value, min, max, from, to) => max === min ? (from + to) / 2 : from + (value - min) / (max - min) * (to - from);
+        const x = cost => scale(cost, Math.min(...costs), Math.max(...costs), left, width - right);
+        const y = danger => scale(danger, Math.min(...dangers), Math.max(...dangers), height - bottom, top);
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const create = (tag, attributes, text) => {
+            const element = document.createElementNS(svgNS, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            if (text !== undefined) element.textContent = text;
+            return element;
+        };
+
+        const svg = create('svg', { viewBox: `0 0 ${width} ${height}`, class: 'pareto-plot', role: 'img', 'aria-label': 'Routes by cost and danger' });
+        svg.appendChild(create('line', { x1: left, y1: height - bottom, x2: width - right, y2: height - bottom, class: 'pareto-axis' }));
+        svg.appendChild(create('line', { x1: left, y1: top, x2: left, y2: height - bottom, class: 'pareto-axis' }));
+
+        // The cheapest and the safest route's values at the ends of each axis
+        const format = value => String(Number(value.toFixed(2)));
+        svg.appendChild(create('text', { x: x(costs[0]), y: height - bottom + 11, class: 'pareto-tick', 'text-anchor': 'middle' }, format(costs[0])));
+        svg.appendChild(create('text', { x: left - 4, y: y(dangers[0]) + 3, class: 'pareto-tick', 'text-anchor': 'end' }, dangers[0]));
+        if (routes.length > 1) {
+            svg.appendChild(create('text', { x: x(costs[costs.length - 1]), y: height - bottom + 11, class: 'pareto-tick', 'text-anchor': 'middle' }, format(costs[costs.length - 1])));
+            svg.appendChild(create('text', { x: left - 4, y: y(dangers[dangers.length - 1]) + 3, class: 'pareto-tick', 'text-anchor': 'end' }, dangers[dangers.length - 1]));
+        }
+        svg.appendChild(create('text', { x: (left + width - right) / 2, y: height - 2, class: 'pareto-label', 'text-anchor': 'middle' }, 'Cost'));
+        svg.appendChild(create('text', { x: 10, y: (top + height - bottom) / 2, class: 'pareto-label', 'text-anchor': 'middle',
+            transform: `rotate(-90 10 ${(top + height - bottom) / 2})` }, 'Danger'));
+
+        // Step from each route to the next: no route lies below and to the left of the front
+        const steps = routes.flatMap((route, i) => i === 0
+            ? [`${x(route.cost)},${y(route.danger)}`]
+            : [`${x(route.cost)},${y(routes[i - 1].danger)}`, `${x(route.cost)},${y(route.danger)}`]);
+        svg.appendChild(create('polyline', { points: steps.join(' '), class: 'pareto-front' }));
+
+        routes.forEach((route, i) => {
+            const selected = controller.selectedParetoRoute === i;
+            const point = create('circle', {
+                cx: x(route.cost),
+                cy: y(route.danger),
+                r: selected ? 6 : 4.5,
+                class: `pareto-point${selected ? ' selected' : ''}`,
+                tabindex: 0,
+                role: 'button'
+            });
+            point.appendChild(create('title', {}, `Route ${i + 1}: cost ${format(route.cost)}, danger ${route.danger}`));
+
+            point.addEventListener('click', () => controller.selectParetoRoute(i));
+            point.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    controller.selectParetoRoute(i);
+                }
+            });
+            svg.appendChild(point);
+        });
+        container.appendChild(svg);
+
+        const caption = document.createElement('p');
+        caption.className = 'pareto-caption';
+        const picked = routes[controller.selectedParetoRoute];
+        caption.textContent = picked
+            ? `Route ${controller.selectedParetoRoute + 1} of ${routes.length}: cost ${format(picked.cost)}, danger ${picked.danger}`
+            : `${routes.length} route${routes.length === 1 ? '' : 's'}: click a point to see it`;
+        container.appendChild(caption);
+    }
+
     //=============================================================================
     // TOOL MANAGEMENT
     //=============================================================================
@@ -451,6 +820,14 @@ class UIView {
         const desktopIds = {
             'start': 'start-node-btn',
             'end': 'end-node-btn',
+            'goal': 'goal-btn',
+            'waypoint': 'waypoint-btn',
+            'agent': 'agent-btn',
+            'patrol': 'patrol-btn',
+            'key': 'key-btn',
+            'door': 'door-btn',
+            'danger': 'danger-btn',
+            'oneway': 'oneway-btn',
             'wall': 'wall-btn',
             'weighted': 'weighted-node-btn',
             'erase': 'erase-btn'
@@ -459,6 +836,14 @@ class UIView {
         const mobileIds = {
             'start': 'start-node-btn-mobile',
             'end': 'end-node-btn-mobile',
+            'goal': 'goal-btn-mobile',
+            'waypoint': 'waypoint-btn-mobile',
+            'agent': 'agent-btn-mobile',
+            'patrol': 'patrol-btn-mobile',
+            'key': 'key-btn-mobile',
+            'door': 'door-btn-mobile',
+            'danger': 'danger-btn-mobile',
+            'oneway': 'oneway-btn-mobile',
             'wall': 'wall-btn-mobile',
             'weighted': 'weighted-node-btn-mobile',
             'erase': 'erase-btn-mobile'
@@ -579,9 +964,7 @@ class UIView {
             }
             
             // Enable speed controls in auto mode - but only if not currently visualizing
-            const isVisualizingActive = 
-                (window.dijkstraController && window.dijkstraController.isVisualizing) || 
-                (window.astarController && window.astarController.isVisualizing);
+            const isVisualizingActive = this.getVisualizationControllers().some(controller => controller.isVisualizing);
                 
             if (!isVisualizingActive) {
                 if (speedSelect) speedSelect.disabled = false;
@@ -622,6 +1005,16 @@ class UIView {
         const mazeTypeSelect = document.getElementById('maze-type-select');
         const mazeTypeSelectMobile = document.getElementById('maze-type-select-mobile');
         
+        // Movement model and vision selectors
+        const movementSelect = document.getElementById('movement-model');
+        const movementMobileSelect = document.getElementById('movement-model-mobile');
+        const sensorSelect = document.getElementById('sensor-radius');
+        const sensorMobileSelect = document.getElementById('sensor-radius-mobile');
+        
+        // Per-panel algorithm selectors and panel management buttons
+        const algorithmSelects = document.querySelectorAll('.algorithm-select, .algorithm-option-control');
+        const panelButtons = document.querySelectorAll('.panel-remove-btn, .add-panel-btn');
+        
         // Disable all tool buttons
         toolButtons.forEach(button => {
             button.disabled = disabled;
@@ -649,6 +1042,22 @@ class UIView {
         if (mazeTypeSelect) mazeTypeSelect.disabled = disabled;
         if (mazeTypeSelectMobile) mazeTypeSelectMobile.disabled = disabled;
         
+        // Disable movement model and vision selectors
+        if (movementSelect) movementSelect.disabled = disabled;
+        if (movementMobileSelect) movementMobileSelect.disabled = disabled;
+        if (sensorSelect) sensorSelect.disabled = disabled;
+        if (sensorMobileSelect) sensorMobileSelect.disabled = disabled;
+        
+        // Don't allow switching algorithms or their options mid-run
+        algorithmSelects.forEach(select => {
+            select.disabled = disabled;
+        });
+        
+        // Don't allow adding or removing panels mid-run either
+        panelButtons.forEach(button => {
+            button.disabled = disabled;
+        });
+        
         // Make sure Clear Grid button remains enabled at all times
         const clearGridBtn = document.getElementById('clear-grid-btn');
         const clearGridMobileBtn = document.getElementById('clear-grid-btn-mobile');
@@ -766,6 +1175,9 @@ class UIView {
      */
     loadGrid(name) {
         if (this.controllers.game.loadGrid(name)) {
+            // Saved grids bring their own movement model and vision
+            this.syncMovementControls();
+            this.getVisualizationControllers().forEach(controller => this.renderAlgorithmOptions(controller));
             this.showToast(`Grid "${name}" loaded successfully`, 'success');
             this.hideLoadGridModal();
         } else {
@@ -807,27 +1219,22 @@ class UIView {
      * Handle clear grid action
      */
     handleClearGrid() {
-        // Force stop any ongoing visualizations using window global references
-        if (window.dijkstraController) {
-            window.dijkstraController.reset();
-            window.dijkstraController.resetUI();
-            
-            // Reset step controls if in step-by-step mode
-            const nextStepBtn = document.getElementById('next-step-btn');
-            const prevStepBtn = document.getElementById('prev-step-btn');
-            const nextStepMobileBtn = document.getElementById('next-step-btn-mobile');
-            const prevStepMobileBtn = document.getElementById('prev-step-btn-mobile');
-            
-            if (nextStepBtn) nextStepBtn.disabled = true;
-            if (prevStepBtn) prevStepBtn.disabled = true;
-            if (nextStepMobileBtn) nextStepMobileBtn.disabled = true;
-            if (prevStepMobileBtn) prevStepMobileBtn.disabled = true;
-        }
+        // Force stop any ongoing visualizations in every panel
+        this.getVisualizationControllers().forEach(controller => {
+            controller.reset();
+            controller.resetUI();
+        });
         
-        if (window.astarController) {
-            window.astarController.reset();
-            window.astarController.resetUI();
-        }
+        // Reset step controls if in step-by-step mode
+        const nextStepBtn = document.getElementById('next-step-btn');
+        const prevStepBtn = document.getElementById('prev-step-btn');
+        const nextStepMobileBtn = document.getElementById('next-step-btn-mobile');
+        const prevStepMobileBtn = document.getElementById('prev-step-btn-mobile');
+        
+        if (nextStepBtn) nextStepBtn.disabled = true;
+        if (prevStepBtn) prevStepBtn.disabled = true;
+        if (nextStepMobileBtn) nextStepMobileBtn.disabled = true;
+        if (prevStepMobileBtn) prevStepMobileBtn.disabled = true;
         
         // Then clear the grid using the game controller
         this.controllers.game.clearGrid();
@@ -879,23 +1286,37 @@ class UIView {
     }
 
     /**
-     * Check if both algorithms have completed visualizations
-     * @returns {boolean} - True if both algorithms have completed, false otherwise
+     * Get the visualization controllers of all comparison panels
+     * @returns {VisualizationController[]} Controllers in panel order
+     */
+    getVisualizationControllers() {
+        return (this.controllers.game.visualizationControllers || []).filter(Boolean);
+    }
+
+    /**
+     * Run the algorithms of all panels in parallel
+     * @returns {Promise} Resolves once every panel has finished its visualization
+     */
+    startAllVisualizations() {
+        return Promise.all(
+            this.getVisualizationControllers().map(controller => controller.startVisualization())
+        );
+    }
+
+    /**
+     * Check if all algorithms have completed visualizations
+     * @returns {boolean} - True if all algorithms have completed, false otherwise
      */
-    checkIfBothAlgorithmsCompleted() {
-        // Check if the controllers exist
-        if (!this.controllers.dijkstra || !this.controllers.astar) {
+    checkIfAllAlgorithmsCompleted() {
+        const controllers = this.getVisualizationControllers();
+        if (controllers.length === 0) {
             return false;
         }
         
-        // Check if both algorithms have reached their maximum step
-        const dijkstraFinished = this.controllers.dijkstra.currentStep >= this.controllers.dijkstra.maxStep && 
-                                 this.controllers.dijkstra.maxStep >= 0;
-        const astarFinished = this.controllers.astar.currentStep >= this.controllers.astar.maxStep && 
-                              this.controllers.astar.maxStep >= 0;
-        
-        // Return true only if both have finished
-        return dijkstraFinished && astarFinished;
+        // Check if every algorithm has reached its maximum step
+        return controllers.every(controller => 
+            controller.currentStep >= controller.maxStep && controller.maxStep >= 0
+        );
     }
 
     /**
@@ -1105,6 +1526,51 @@ class UIView {
         document.addEventListener('keydown', handleKeydown);
     }
 
+    /**
+     * Show the grids' current movement model and vision in the desktop and mobile selectors
+     */
+    syncMovementControls() {
+        const grid = this.controllers.game.grids[0];
+        if (!grid) return;
+        
+        let value = grid.movementModel;
+        if (value === 'diagonal' && grid.allowCornerCutting) {
+            value = 'diagonal-corner-cutting';
+        }
+        
+        ['movement-model', 'movement-model-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = value;
+        });
+        
+        const sensorValue = grid.sensorRadius === null ? 'full' : String(grid.sensorRadius);
+        ['sensor-radius', 'sensor-radius-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = sensorValue;
+        });
+        
+        ['waypoint-order', 'waypoint-order-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = grid.waypointOrder;
+        });
+        
+        ['route-count', 'route-count-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = String(grid.routeCount);
+        });
+        
+        ['bomb-count', 'bomb-count-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = String(grid.bombCount);
+        });
+        
+        const staminaValue = grid.staminaBudget === null ? 'unlimited' : String(grid.staminaBudget);
+        ['stamina-budget', 'stamina-budget-mobile'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = staminaValue;
+        });
+    }
+
     /**
      * Helper method to set up paired desktop and mobile controls
      * @param {string} desktopId - ID of the desktop control element
@@ -0,0 +1,44 @@
+/**
+ * AlgorithmRegistry: every algorithm registers itself and panels create them by key
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, DijkstraAlgorithm } = loadModels();
+
+describe('AlgorithmRegistry', () => {
+    it('lists every algorithm with a name and description', () => {
+        const algorithms = AlgorithmRegistry.list();
+
+        assert.ok(algorithms.length > 0);
+        algorithms.forEach(({ key, name, description }) => {
+            assert.ok(AlgorithmRegistry.has(key), key);
+            assert.ok(name && description, key);
+        });
+    });
+
+    it('creates an algorithm by key and finds its key again', () => {
+        const grid = parseGrid(['S.E']);
+        const algorithm = AlgorithmRegistry.create('dijkstra', grid);
+
+        assert.ok(algorithm instanceof DijkstraAlgorithm);
+        assert.strictEqual(algorithm.grid, grid);
+        assert.strictEqual(AlgorithmRegistry.getKey(algorithm), 'dijkstra');
+    });
+
+    it('returns null for unknown keys', (t) => {
+        t.mock.method(console, 'error', () => {});
+
+        assert.strictEqual(AlgorithmRegistry.create('no-such-algorithm', parseGrid(['S.E'])), null);
+        assert.strictEqual(AlgorithmRegistry.get('no-such-algorithm'), null);
+        assert.strictEqual(AlgorithmRegistry.getKey(null), null);
+    });
+
+    it('refuses to register something that is not an Algorithm', (t) => {
+        t.mock.method(console, 'error', () => {});
+
+        AlgorithmRegistry.register('not-an-algorithm', class {});
+        assert.strictEqual(AlgorithmRegistry.has('not-an-algorithm'), false);
+    });
+});
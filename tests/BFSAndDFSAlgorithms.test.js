@@ -0,0 +1,60 @@
+/**
+ * BFS and DFS: unweighted searches that count steps and ignore monster weights
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+describe('BFSAlgorithm', () => {
+    it('finds the path with the fewest steps, even through a monster', () => {
+        const grid = parseGrid([
+            'S9E',
+            '...'
+        ]);
+        const result = AlgorithmRegistry.create('bfs', grid).run(false);
+
+        assert.ok(result.pathFound);
+        assert.strictEqual(describePath(result.path), '0,0 0,1 0,2');
+    });
+
+    it('warns that it ignores monster weights and diagonal costs', () => {
+        const grid = parseGrid(['S9E'], { movementModel: 'diagonal' });
+        const warnings = AlgorithmRegistry.create('bfs', grid).getWarnings();
+
+        assert.strictEqual(warnings.length, 2);
+        assert.strictEqual(AlgorithmRegistry.create('bfs', parseGrid(['S.E'])).getWarnings().length, 0);
+    });
+
+    it('reports no path when the goal is walled off', () => {
+        assert.strictEqual(AlgorithmRegistry.create('bfs', parseGrid(['S#E'])).run(false).pathFound, false);
+    });
+});
+
+describe('DFSAlgorithm', () => {
+    it('finds a path of neighbouring cells to the goal', () => {
+        const grid = parseGrid([
+            'S..#',
+            '.#..',
+            '...E'
+        ]);
+        const { path, pathFound } = AlgorithmRegistry.create('dfs', grid).run(false);
+
+        assert.ok(pathFound);
+        assert.strictEqual(path[0], grid.startNode);
+        assert.strictEqual(path[path.length - 1], grid.endNode);
+        for (let i = 1; i < path.length; i++) {
+            assert.ok(grid.getNeighbors(path[i - 1]).includes(path[i]), describePath(path));
+        }
+    });
+
+    it('always reminds that its path is not the shortest, and warns about weights', () => {
+        assert.strictEqual(AlgorithmRegistry.create('dfs', parseGrid(['S.E'])).getWarnings().length, 1);
+        assert.strictEqual(AlgorithmRegistry.create('dfs', parseGrid(['S9E'])).getWarnings().length, 2);
+    });
+
+    it('reports no path when the goal is walled off', () => {
+        assert.strictEqual(AlgorithmRegistry.create('dfs', parseGrid(['S#E'])).run(false).pathFound, false);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Bellman-Ford: cheapest paths over negative bonus tiles, and negative cycles when there is none
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, Heuristics } = loadModels();
+
+describe('BellmanFordAlgorithm', () => {
+    it('takes the detour over a bonus tile when it is cheaper', () => {
+        const grid = parseGrid([
+            'S9E',
+            '.-.'
+        ]);
+        const bellmanFord = AlgorithmRegistry.create('bellman-ford', grid);
+        const { path, pathFound } = bellmanFord.run(false);
+
+        assert.ok(pathFound);
+        assert.strictEqual(describePath(path), '0,0 1,0 1,1 1,2 0,2');
+        assert.strictEqual(bellmanFord.getPathCost(path), 2);
+        assert.strictEqual(bellmanFord.getWarnings().length, 0);
+    });
+
+    it('finds the same cost as Dijkstra without bonus tiles', () => {
+        const grid = parseGrid([
+            'S..#....',
+            '.#.#.##.',
+            '.#.3.#..',
+            '.##.5#.#',
+            '...9...E'
+        ], { movementModel: 'diagonal' });
+        const bellmanFord = AlgorithmRegistry.create('bellman-ford', grid);
+        const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+
+        assert.ok(Math.abs(bellmanFord.getPathCost(bellmanFord.run(false).path) - dijkstra.getPathCost(dijkstra.run(false).path)) < 1e-9);
+    });
+
+    it('reports a negative cycle between neighbouring bonus tiles', () => {
+        const bellmanFord = AlgorithmRegistry.create('bellman-ford', parseGrid(['S--E']));
+        const result = bellmanFord.run(false);
+
+        assert.strictEqual(result.pathFound, false);
+        assert.strictEqual(bellmanFord.getCycleCost(), -2);
+        assert.match(bellmanFord.getNoPathReason(), /^Negative cycle found/);
+        assert.strictEqual(bellmanFord.getWarnings().length, 1);
+        assert.strictEqual(bellmanFord.getOverlay().cycleVertices.length, 3);
+    });
+});
+
+describe('Searches that assume no bonus tiles', () => {
+    it('call every heuristic inadmissible', () => {
+        Heuristics.list().forEach(({ key }) => {
+            assert.strictEqual(Heuristics.isAdmissible(key, 'cardinal', true), false, key);
+            assert.strictEqual(Heuristics.getAdmissibilityBadge(key, 'cardinal', true).type, 'warning', key);
+        });
+    });
+
+    it('warn that their path may not be the cheapest', () => {
+        const grid = parseGrid(['S-.E']);
+
+        ['dijkstra', 'astar', 'bidirectional-dijkstra', 'bidirectional-astar'].forEach(key => {
+            assert.strictEqual(AlgorithmRegistry.create(key, grid).getWarnings().length, 1, key);
+        });
+        assert.strictEqual(AlgorithmRegistry.create('greedy', grid).getWarnings().length, 2);
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Bidirectional Dijkstra and A*: two frontiers that meet in the middle
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+const MAZE = [
+    'S..#....',
+    '.#.#.##.',
+    '.#.3.#..',
+    '.##.5#.#',
+    '...9...E'
+];
+
+describe('Bidirectional search', () => {
+    ['bidirectional-dijkstra', 'bidirectional-astar'].forEach(key => {
+        it(`${key} finds the cheapest path`, () => {
+            ['cardinal', 'diagonal'].forEach(movementModel => {
+                const grid = parseGrid(MAZE, { movementModel });
+                const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+                const cheapest = dijkstra.getPathCost(dijkstra.run(false).path);
+
+                const search = AlgorithmRegistry.create(key, grid);
+                const { path, pathFound } = search.run(false);
+
+                assert.ok(pathFound, movementModel);
+                assert.strictEqual(path[0], grid.startNode);
+                assert.strictEqual(path[path.length - 1], grid.endNode);
+                assert.ok(Math.abs(search.getPathCost(path) - cheapest) < 1e-9, movementModel);
+            });
+        });
+
+        it(`${key} reports no path when the frontiers can't meet`, () => {
+            assert.strictEqual(AlgorithmRegistry.create(key, parseGrid(['S.#.E'])).run(false).pathFound, false);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * Bombs: searches over (cell, bombs used) states that may blow up a few rocks
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, BombStateGrid } = loadModels();
+
+/**
+ * Search a grid's (cell, bombs used) states with Dijkstra
+ * @param {Grid} grid - The grid
+ * @param {number} bombCount - How many rocks the path may blow up
+ * @returns {Object} { states, result, cost }
+ */
+function search(grid, bombCount) {
+    const states = new BombStateGrid(grid, bombCount);
+    const algorithm = AlgorithmRegistry.create('dijkstra', states);
+    const result = algorithm.run(true);
+    return { states, result, cost: result.pathFound ? algorithm.getPathCost(result.path) : null };
+}
+
+// Going round the wall takes 8 steps, blowing up the rock next to the start costs BLAST_COST + 1
+const ROWS = [
+    'S#E',
+    '.#.',
+    '.#.',
+    '...'
+];
+
+describe('BombStateGrid', () => {
+    it('blows up a rock when that beats the detour', () => {
+        const grid = parseGrid(ROWS);
+        const { states, result, cost } = search(grid, 1);
+
+        assert.strictEqual(describePath(result.path), '0,0 0,1 0,2');
+        assert.strictEqual(cost, BombStateGrid.BLAST_COST + 1);
+        assert.deepStrictEqual([...states.getBlastedRocks(result.path)], [grid.nodes[0][1]]);
+        assert.match(states.getSummary(result.visited, result.path), /blows up 1 rock, at \(0, 1\)/);
+    });
+
+    it('walks round without bombs', () => {
+        const { states, result, cost } = search(parseGrid(ROWS), 0);
+
+        assert.strictEqual(cost, 8);
+        assert.strictEqual(states.getBlastedRocks(result.path).length, 0);
+    });
+
+    it('uses no more bombs than it carries', () => {
+        const grid = parseGrid(['S##E']);
+
+        assert.strictEqual(search(grid, 1).result.pathFound, false);
+        assert.strictEqual(search(grid, 2).cost, 2 * BombStateGrid.BLAST_COST + 1);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Multi-agent planning: conflict-based search keeps the agents from colliding
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { ConflictBasedSearch } = loadModels();
+
+/**
+ * Check that no two agents share a cell or swap cells at any time step
+ * @param {Node[][]} paths - Each agent's cell at every time step, staying on its goal once there
+ */
+function assertNoCollisions(paths) {
+    const cellAt = (path, time) => path[Math.min(time, path.length - 1)];
+    const makespan = Math.max(...paths.map(path => path.length - 1));
+
+    for (let time = 0; time <= makespan; time++) {
+        for (let a = 0; a < paths.length; a++) {
+            for (let b = a + 1; b < paths.length; b++) {
+                assert.notStrictEqual(cellAt(paths[a], time), cellAt(paths[b], time), `agents ${a + 1} and ${b + 1} meet at time ${time}`);
+                const swap = cellAt(paths[a], time) === cellAt(paths[b], time + 1) && cellAt(paths[a], time + 1) === cellAt(paths[b], time);
+                assert.ok(time === makespan || !swap, `agents ${a + 1} and ${b + 1} swap at time ${time}`);
+            }
+        }
+    }
+}
+
+describe('ConflictBasedSearch', () => {
+    it('lets agents pass each other in a corridor by stepping into a bay', () => {
+        const grid = parseGrid([
+            'S...E',
+            '#.#.#'
+        ]);
+        grid.addAgentCell(0, 3);
+        grid.addAgentCell(0, 1);
+        const plan = new ConflictBasedSearch(grid).run();
+
+        assert.ok(plan.pathFound);
+        assert.ok(plan.conflicts > 0);
+        assertNoCollisions(plan.paths);
+
+        plan.paths.forEach((path, agent) => {
+            const { start, goal } = grid.getAgents()[agent];
+            assert.strictEqual(path[0], start);
+            assert.strictEqual(path[path.length - 1], goal);
+            for (let time = 1; time < path.length; time++) {
+                assert.ok(path[time] === path[time - 1] || grid.getNeighbors(path[time - 1]).includes(path[time]));
+            }
+        });
+
+        // Alone, the agents would need 4 and 2 steps; one of them has to give way
+        assert.ok(plan.cost > 6);
+        assert.strictEqual(plan.cost, plan.costs.reduce((total, cost) => total + cost, 0));
+    });
+
+    it('plans agents that never meet straight to their goals', () => {
+        const grid = parseGrid([
+            'S..E',
+            '....'
+        ]);
+        grid.addAgentCell(1, 0);
+        grid.addAgentCell(1, 3);
+        const plan = new ConflictBasedSearch(grid).run();
+
+        assert.ok(plan.pathFound);
+        assert.strictEqual(plan.conflicts, 0);
+        assert.strictEqual(plan.cost, 6);
+    });
+
+    it('names the agent that can never reach its goal', () => {
+        const grid = parseGrid([
+            'S..E',
+            '##..',
+            '..#.'
+        ]);
+        grid.addAgentCell(2, 0);
+        grid.addAgentCell(2, 3);
+        const plan = new ConflictBasedSearch(grid).run();
+
+        assert.strictEqual(plan.pathFound, false);
+        assert.strictEqual(plan.noPathReason, "Agent 2 can't reach its goal.");
+    });
+
+    it('refuses grids with bonus tiles', () => {
+        const grid = parseGrid(['S-E', '...']);
+        grid.addAgentCell(1, 0);
+        grid.addAgentCell(1, 2);
+
+        assert.match(new ConflictBasedSearch(grid).run().unsupportedReason, /^Multi-agent planning: /);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * D* Lite: repairs its previous search after walls, weights and doors change
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, Grid } = loadModels();
+
+/**
+ * Cost of the cheapest path Dijkstra finds, Infinity if there is none
+ * @param {Grid} grid - The grid to search
+ * @returns {number} The path cost
+ */
+function cheapestCost(grid) {
+    const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+    const result = dijkstra.run(false);
+    return result.pathFound ? dijkstra.getPathCost(result.path) : Infinity;
+}
+
+describe('DStarLiteAlgorithm', () => {
+    it('repairs its search after a wall is placed instead of starting over', () => {
+        const grid = parseGrid([
+            'S.....',
+            '......',
+            '.....E'
+        ]);
+        const dstar = AlgorithmRegistry.create('dstar-lite', grid);
+
+        dstar.run(false);
+        assert.strictEqual(dstar.lastRun.incremental, false);
+
+        grid.setWall(2, 4, true);
+        grid.setWall(1, 5, true);
+        grid.setWall(0, 5, true);
+        const result = dstar.run(false);
+
+        assert.strictEqual(dstar.lastRun.incremental, true);
+        assert.strictEqual(dstar.lastRun.changedCells, 3);
+        assert.strictEqual(result.pathFound, false);
+
+        grid.setWall(1, 5, false);
+        const reopened = dstar.run(false);
+        assert.ok(reopened.pathFound);
+        assert.strictEqual(dstar.getPathCost(reopened.path), cheapestCost(grid));
+    });
+
+    it('follows weight changes to the new cheapest path', () => {
+        const grid = parseGrid([
+            'S...E',
+            '.....'
+        ]);
+        const dstar = AlgorithmRegistry.create('dstar-lite', grid);
+        dstar.run(false);
+
+        grid.nodes[0][2].isWeighted = true;
+        grid.nodes[0][2].weight = 9;
+        const result = dstar.run(false);
+
+        assert.ok(dstar.lastRun.incremental);
+        assert.strictEqual(dstar.getPathCost(result.path), cheapestCost(grid));
+        assert.ok(!result.path.includes(grid.nodes[0][2]));
+    });
+
+    it('treats a door placed between runs as closed', () => {
+        const grid = parseGrid([
+            'S.#',
+            '..E'
+        ]);
+        const dstar = AlgorithmRegistry.create('dstar-lite', grid);
+        assert.ok(dstar.run(false).pathFound);
+
+        grid.setDoor(1, 1, Grid.KEY_COLORS[0]);
+        grid.setDoor(0, 1, Grid.KEY_COLORS[0]);
+        const result = dstar.run(false);
+
+        assert.ok(dstar.lastRun.incremental);
+        assert.strictEqual(result.pathFound, false);
+        assert.strictEqual(result.path.length, 0);
+    });
+
+    it('refuses grids with bonus tiles', () => {
+        assert.ok(AlgorithmRegistry.create('dstar-lite', parseGrid(['S-E'])).getUnsupportedReason());
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * 8-way movement: diagonal steps cost sqrt(2) and may not cut wall corners unless allowed
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+/**
+ * Cost of the cheapest path Dijkstra finds
+ * @param {Grid} grid - The grid to search
+ * @returns {number} The path cost
+ */
+function cheapestCost(grid) {
+    const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+    return dijkstra.getPathCost(dijkstra.run(false).path);
+}
+
+describe('Diagonal movement', () => {
+    it('offers all eight neighbours on 8-way grids and four on 4-way ones', () => {
+        const rows = ['...', '.S.', '..E'];
+
+        assert.strictEqual(parseGrid(rows).getNeighbors(parseGrid(rows).startNode).length, 4);
+        const grid = parseGrid(rows, { movementModel: 'diagonal' });
+        assert.strictEqual(grid.getNeighbors(grid.startNode).length, 8);
+    });
+
+    it('charges sqrt(2) times the weight for a diagonal step', () => {
+        assert.strictEqual(cheapestCost(parseGrid(['S..', '...', '..E'], { movementModel: 'diagonal' })), 2 * Math.SQRT2);
+        assert.strictEqual(cheapestCost(parseGrid(['S..', '.3.', '..E'], { movementModel: 'diagonal' })), 2 + Math.SQRT2);
+    });
+
+    it('only cuts past a wall corner when corner cutting is on', () => {
+        const rows = ['S#', '.E'];
+
+        const blocked = parseGrid(rows, { movementModel: 'diagonal' });
+        const path = AlgorithmRegistry.create('dijkstra', blocked).run(false).path;
+        assert.strictEqual(describePath(path), '0,0 1,0 1,1');
+
+        const cutting = parseGrid(rows, { movementModel: 'diagonal', allowCornerCutting: true });
+        assert.strictEqual(cheapestCost(cutting), Math.SQRT2);
+    });
+
+    it('never squeezes between two walls touching at a corner, even with corner cutting', () => {
+        const rows = ['S#', '#E'];
+
+        [false, true].forEach(allowCornerCutting => {
+            const grid = parseGrid(rows, { movementModel: 'diagonal', allowCornerCutting });
+            assert.strictEqual(AlgorithmRegistry.create('dijkstra', grid).run(false).pathFound, false);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * DistanceAnalysis: the distance between every pair of open cells, eccentricities and the diameter
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { DistanceAnalysis } = loadModels();
+
+describe('DistanceAnalysis', () => {
+    it('measures each direction separately, as moves cost the entered cell', () => {
+        const grid = parseGrid([
+            '.5.',
+            '...'
+        ]);
+        const analysis = new DistanceAnalysis(grid);
+        const [topLeft, monster] = grid.nodes[0];
+
+        assert.strictEqual(analysis.method, 'dijkstra');
+        assert.strictEqual(analysis.getDistancesFrom(topLeft).get(monster), 5);
+        assert.strictEqual(analysis.getDistancesFrom(monster).get(topLeft), 1);
+        assert.strictEqual(describePath(analysis.getPath(topLeft, grid.nodes[0][2])), '0,0 1,0 1,1 1,2 0,2');
+    });
+
+    it('agrees with Floyd-Warshall', () => {
+        const grid = parseGrid([
+            '..#....',
+            '.#.5.#.',
+            '...#9..',
+            '#.....#'
+        ], { movementModel: 'diagonal' });
+        const analysis = new DistanceAnalysis(grid);
+        const fromDijkstra = analysis.distances.map(row => [...row]);
+
+        analysis.runFloydWarshall();
+        analysis.distances.forEach((row, from) => row.forEach((distance, to) => {
+            assert.ok(distance === fromDijkstra[from][to] || Math.abs(distance - fromDijkstra[from][to]) < 1e-9, `${from} → ${to}`);
+        }));
+    });
+
+    it('finds the cells farthest apart and leaves unreachable ones out', () => {
+        const analysis = new DistanceAnalysis(parseGrid(['...#.']));
+        const diameter = analysis.getDiameter();
+
+        assert.strictEqual(diameter.distance, 2);
+        assert.strictEqual(Math.abs(diameter.from.col - diameter.to.col), 2);
+        assert.strictEqual(analysis.getDistancesFrom(analysis.cells[0]).get(analysis.cells[3]), Infinity);
+        assert.strictEqual(analysis.getEccentricities().get(analysis.cells[3]), 0);
+    });
+
+    it('switches to Floyd-Warshall for bonus tiles and spots negative cycles', () => {
+        const grid = parseGrid(['.-.']);
+        const analysis = new DistanceAnalysis(grid);
+
+        assert.strictEqual(analysis.method, 'floyd-warshall');
+        assert.strictEqual(analysis.getDistancesFrom(grid.nodes[0][0]).get(grid.nodes[0][2]), 0);
+        assert.strictEqual(analysis.hasNegativeCycle, false);
+
+        assert.strictEqual(new DistanceAnalysis(parseGrid(['.--.'])).hasNegativeCycle, true);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Fog of war: the agent plans on what it has seen and replans when the map surprises it
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, FogOfWarExplorer, Grid } = loadModels();
+
+/**
+ * Walk a grid with a short-sighted agent
+ * @param {Grid} grid - The true grid
+ * @param {number} radius - The sensor radius
+ * @param {string} key - The planner's algorithm key
+ * @returns {Object} The explorer's run
+ */
+function explore(grid, radius, key = 'astar') {
+    return new FogOfWarExplorer(grid, radius, belief => AlgorithmRegistry.create(key, belief)).run();
+}
+
+/**
+ * Check that every step of a walk moves to an open neighbouring cell
+ * @param {Grid} grid - The true grid
+ * @param {Node[]} trail - The walked cells
+ */
+function assertWalkable(grid, trail) {
+    for (let i = 1; i < trail.length; i++) {
+        assert.ok(grid.getNeighbors(trail[i - 1]).includes(trail[i]), describePath(trail));
+    }
+}
+
+describe('FogOfWarExplorer', () => {
+    it('replans around a rock it only sees on the way', () => {
+        // Every shortest way through the unknown crosses the rocks in the middle column
+        const grid = parseGrid([
+            'S.#..',
+            '..#..',
+            '..#.E',
+            '.....'
+        ]);
+        const result = explore(grid, 1);
+
+        assert.ok(result.pathFound);
+        assert.ok(result.replans >= 1);
+        assert.strictEqual(result.trail[result.trail.length - 1], grid.endNode);
+        assertWalkable(grid, result.trail);
+    });
+
+    it('walks the same way as the planner when it sees the whole map', () => {
+        const grid = parseGrid([
+            'S.#..',
+            '..#..',
+            '....E'
+        ]);
+        const result = explore(grid, 10, 'dijkstra');
+        const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+
+        assert.strictEqual(result.replans, 0);
+        assert.strictEqual(result.trail.length, dijkstra.run(false).path.length);
+    });
+
+    it('stops when the goal turns out to be walled off', () => {
+        const result = explore(parseGrid(['S..#E']), 1);
+
+        assert.strictEqual(result.pathFound, false);
+        assert.strictEqual(result.gaveUp, false);
+    });
+
+    it("doesn't walk through a door it holds no key for", () => {
+        const grid = parseGrid([
+            'S...E',
+            '.###.',
+            '.....'
+        ]);
+        grid.setDoor(0, 2, Grid.KEY_COLORS[0]);
+        const result = explore(grid, 1);
+
+        assert.ok(result.pathFound);
+        assert.ok(!result.trail.includes(grid.nodes[0][2]));
+        assertWalkable(grid, result.trail);
+    });
+
+    it('passes the planner\'s refusal on', () => {
+        const result = explore(parseGrid(['S3.E']), 1, 'jps');
+
+        assert.ok(result.unsupportedReason);
+        assert.strictEqual(result.pathFound, false);
+    });
+});
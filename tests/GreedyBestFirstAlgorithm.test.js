@@ -0,0 +1,42 @@
+/**
+ * Greedy best-first search: follows the heuristic alone
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+describe('GreedyBestFirstAlgorithm', () => {
+    it('heads straight for the goal, ignoring what the way there costs', () => {
+        const grid = parseGrid([
+            'S9E',
+            '...'
+        ]);
+        const greedy = AlgorithmRegistry.create('greedy', grid);
+        const result = greedy.run(false);
+
+        assert.ok(result.pathFound);
+        assert.strictEqual(describePath(result.path), '0,0 0,1 0,2');
+        assert.strictEqual(greedy.getPathCost(result.path), 10);
+
+        const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+        assert.strictEqual(dijkstra.getPathCost(dijkstra.run(false).path), 4);
+    });
+
+    it('finds its way around walls', () => {
+        const grid = parseGrid([
+            'S.#.E',
+            '..#..',
+            '.....'
+        ]);
+        const { path, pathFound } = AlgorithmRegistry.create('greedy', grid).run(false);
+
+        assert.ok(pathFound);
+        assert.strictEqual(path[path.length - 1], grid.endNode);
+    });
+
+    it('warns that its path is not guaranteed to be the shortest', () => {
+        assert.strictEqual(AlgorithmRegistry.create('greedy', parseGrid(['S.E'])).getWarnings().length, 1);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Heuristics: the A* estimates and which movement models they never overestimate on
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { Heuristics, AlgorithmRegistry, Node } = loadModels();
+
+// A weighted maze where the estimates differ, with its cheapest cost on 4-way and 8-way moves
+const MAZE = [
+    'S..#....',
+    '.#.#.##.',
+    '.#.3.#..',
+    '.##.5#.#',
+    '...9...E'
+];
+
+describe('Heuristics', () => {
+    it('estimates from the row and column differences', () => {
+        const node = new Node(0, 0);
+        const end = new Node(3, 4);
+
+        assert.strictEqual(Heuristics.calculate('manhattan', node, end), 7);
+        assert.strictEqual(Heuristics.calculate('euclidean', node, end), 5);
+        assert.strictEqual(Heuristics.calculate('octile', node, end), 4 + 3 * (Math.SQRT2 - 1));
+        assert.strictEqual(Heuristics.calculate('chebyshev', node, end), 4);
+        assert.strictEqual(Heuristics.calculate('zero', node, end), 0);
+    });
+
+    it('knows which heuristics are admissible on each movement model', () => {
+        assert.ok(Heuristics.isAdmissible('manhattan', 'cardinal'));
+        assert.ok(!Heuristics.isAdmissible('manhattan', 'diagonal'));
+        assert.ok(Heuristics.isAdmissible('octile', 'diagonal'));
+        assert.ok(!Heuristics.isAdmissible('no-such-heuristic', 'cardinal'));
+
+        assert.strictEqual(Heuristics.getAdmissibilityBadge('manhattan', 'diagonal').type, 'warning');
+        assert.strictEqual(Heuristics.getAdmissibilityBadge('octile', 'diagonal').type, 'success');
+    });
+
+    it('defaults to the exact estimate on an empty grid of each movement model', () => {
+        assert.strictEqual(Heuristics.getDefaultKey('cardinal'), 'manhattan');
+        assert.strictEqual(Heuristics.getDefaultKey('diagonal'), 'octile');
+    });
+
+    it('lets A* find the cheapest path with every admissible heuristic', () => {
+        ['cardinal', 'diagonal'].forEach(movementModel => {
+            const grid = parseGrid(MAZE, { movementModel });
+            const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+            const cheapest = dijkstra.getPathCost(dijkstra.run(false).path);
+
+            Heuristics.list()
+                .filter(({ key }) => Heuristics.isAdmissible(key, movementModel))
+                .forEach(({ key }) => {
+                    const astar = AlgorithmRegistry.create('astar', grid);
+                    assert.ok(astar.setOption('heuristic', key));
+                    assert.ok(Math.abs(astar.getPathCost(astar.run(false).path) - cheapest) < 1e-9, `${key} on ${movementModel}`);
+                });
+        });
+    });
+
+    it('rejects unknown heuristics as an A* option', (t) => {
+        t.mock.method(console, 'error', () => {});
+
+        const astar = AlgorithmRegistry.create('astar', parseGrid(['S.E']));
+        assert.strictEqual(astar.setOption('heuristic', 'no-such-heuristic'), false);
+        assert.strictEqual(astar.getOption('heuristic'), Heuristics.DEFAULT_KEY);
+    });
+});
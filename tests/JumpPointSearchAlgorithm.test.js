@@ -0,0 +1,52 @@
+/**
+ * Jump Point Search: A* on uniform 8-way grids that jumps over symmetric paths
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+const MAZE = [
+    'S..#......',
+    '.#.#.####.',
+    '.#...#....',
+    '.####.#.#.',
+    '......#.#E'
+];
+
+describe('JumpPointSearchAlgorithm', () => {
+    [false, true].forEach(allowCornerCutting => {
+        it(`finds the cheapest path ${allowCornerCutting ? 'with' : 'without'} corner cutting`, () => {
+            const grid = parseGrid(MAZE, { movementModel: 'diagonal', allowCornerCutting });
+            const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+            const cheapest = dijkstra.getPathCost(dijkstra.run(false).path);
+
+            const jps = AlgorithmRegistry.create('jps', grid);
+            const { path, pathFound } = jps.run(false);
+
+            assert.ok(pathFound);
+            assert.ok(Math.abs(jps.getPathCost(path) - cheapest) < 1e-9);
+            for (let i = 1; i < path.length; i++) {
+                assert.ok(grid.getNeighbors(path[i - 1]).includes(path[i]), 'the jumps are expanded into single steps');
+            }
+        });
+    });
+
+    it('expands fewer cells than Dijkstra on an open grid', () => {
+        const rows = Array.from({ length: 15 }, () => '.'.repeat(15));
+        rows[0] = 'S' + rows[0].slice(1);
+        rows[14] = rows[14].slice(0, 14) + 'E';
+        const grid = parseGrid(rows, { movementModel: 'diagonal' });
+
+        const jpsVisited = AlgorithmRegistry.create('jps', grid).run(true).visited.length;
+        const dijkstraVisited = AlgorithmRegistry.create('dijkstra', grid).run(true).visited.length;
+        assert.ok(jpsVisited < dijkstraVisited);
+    });
+
+    it('refuses 4-way and weighted grids', () => {
+        assert.ok(AlgorithmRegistry.create('jps', parseGrid(['S.E'])).getUnsupportedReason());
+        assert.ok(AlgorithmRegistry.create('jps', parseGrid(['S3E'], { movementModel: 'diagonal' })).getUnsupportedReason());
+        assert.strictEqual(AlgorithmRegistry.create('jps', parseGrid(['S.E'], { movementModel: 'diagonal' })).getUnsupportedReason(), null);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Alternative routes: the k cheapest loopless paths with Yen's algorithm
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { KShortestPaths, PathUtils } = loadModels();
+
+/**
+ * Cost of every loopless path from the start to the end node, found by trying them all
+ * @param {Grid} grid - A small grid
+ * @returns {number[]} The costs, cheapest first
+ */
+function allPathCosts(grid) {
+    const costs = [];
+    const onPath = new Set([grid.startNode]);
+    const walk = (node, cost) => {
+        if (node === grid.endNode) {
+            costs.push(cost);
+            return;
+        }
+        grid.getNeighbors(node).filter(next => !onPath.has(next)).forEach(next => {
+            onPath.add(next);
+            walk(next, cost + grid.getMoveCost(node, next));
+            onPath.delete(next);
+        });
+    };
+    walk(grid.startNode, 0);
+    return costs.sort((a, b) => a - b);
+}
+
+describe('KShortestPaths', () => {
+    it('finds the same costs as trying every loopless path', () => {
+        const grid = parseGrid([
+            'S.3.',
+            '.#..',
+            '..5E'
+        ]);
+        const { paths } = new KShortestPaths(grid, 8);
+
+        assert.deepStrictEqual([...paths].map(path => path.cost), allPathCosts(grid).slice(0, 8));
+    });
+
+    it('finds distinct loopless paths from the start to the goal', () => {
+        const grid = parseGrid([
+            'S..',
+            '...',
+            '..E'
+        ], { movementModel: 'diagonal' });
+        const { paths } = new KShortestPaths(grid, 6);
+
+        assert.strictEqual(paths.length, 6);
+        assert.strictEqual(new Set(paths.map(path => describePath(path.nodes))).size, 6);
+        paths.forEach(({ nodes, cost }) => {
+            assert.strictEqual(nodes[0], grid.startNode);
+            assert.strictEqual(nodes[nodes.length - 1], grid.endNode);
+            assert.strictEqual(new Set(nodes).size, nodes.length);
+            assert.ok(Math.abs(PathUtils.calculatePathDistance(nodes) - cost) < 1e-9);
+        });
+    });
+
+    it('stops when there are no more paths', () => {
+        const { paths } = new KShortestPaths(parseGrid(['S.E']), 3);
+
+        assert.strictEqual(paths.length, 1);
+        assert.strictEqual(new KShortestPaths(parseGrid(['S#E']), 3).paths.length, 0);
+    });
+
+    it('refuses grids with bonus tiles', () => {
+        const routes = new KShortestPaths(parseGrid(['S-E']), 3);
+
+        assert.match(routes.unsupportedReason, /^Alternative routes: /);
+        assert.strictEqual(routes.paths.length, 0);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Keys and doors: searches over (cell, keys held) states
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, Grid, KeyStateGrid } = loadModels();
+
+const [RED, BLUE] = Grid.KEY_COLORS;
+
+/**
+ * Search a grid's (cell, keys held) states
+ * @param {Grid} grid - The grid
+ * @param {string} key - The algorithm key
+ * @returns {Object} { states, result, algorithm }
+ */
+function search(grid, key = 'dijkstra') {
+    const states = new KeyStateGrid(grid);
+    const algorithm = AlgorithmRegistry.create(key, states);
+    return { states, algorithm, result: algorithm.run(true) };
+}
+
+describe('KeyStateGrid', () => {
+    it('fetches the key before going through its door', () => {
+        const grid = parseGrid([
+            '..#..',
+            'S....',
+            '..#.E'
+        ]);
+        grid.setKey(0, 0, RED);
+        grid.setDoor(1, 2, RED);
+        const { states, algorithm, result } = search(grid);
+
+        assert.ok(result.pathFound);
+        const cells = result.path.map(state => state.cell);
+        assert.ok(cells.indexOf(grid.nodes[0][0]) < cells.indexOf(grid.nodes[1][2]), describePath(cells));
+        assert.strictEqual(algorithm.getPathCost(result.path), 7);
+        assert.match(states.getSummary(result.visited, result.path), /red/);
+    });
+
+    it('finds no path when the key is behind its own door', () => {
+        const grid = parseGrid([
+            'S.#.E',
+            '..#..'
+        ]);
+        grid.setDoor(0, 2, RED);
+        grid.setDoor(1, 2, BLUE);
+        grid.setKey(1, 4, RED);
+
+        assert.strictEqual(search(grid).result.pathFound, false);
+    });
+
+    it('gives every supported algorithm a path through the doors', () => {
+        const grid = parseGrid([
+            '..#..',
+            'S....',
+            '..#.E'
+        ]);
+        grid.setKey(0, 0, RED);
+        grid.setDoor(1, 2, RED);
+
+        KeyStateGrid.SUPPORTED_ALGORITHMS.forEach(key => {
+            const { result } = search(grid, key);
+            assert.ok(result.pathFound, key);
+            assert.strictEqual(result.path[result.path.length - 1].cell, grid.endNode, key);
+        });
+    });
+
+    it("doesn't slip diagonally between two locked doors, even with corner cutting", () => {
+        const grid = parseGrid([
+            'S.',
+            '.E'
+        ], { movementModel: 'diagonal', allowCornerCutting: true });
+        grid.setDoor(0, 1, RED);
+        grid.setDoor(1, 0, RED);
+
+        assert.strictEqual(grid.canMoveBetween(grid.startNode, grid.endNode), false);
+        assert.strictEqual(search(grid).result.pathFound, false);
+
+        // Holding the key opens both sides of the step
+        const holdingKey = { row: 0, col: 0, keys: grid.getKeyBit(RED) };
+        assert.strictEqual(grid.canMoveBetween(holdingKey, grid.endNode), true);
+    });
+
+    it('treats one locked door beside a diagonal step like a rock', () => {
+        const rows = ['S.', '.E'];
+        const cornerCutting = parseGrid(rows, { movementModel: 'diagonal', allowCornerCutting: true });
+        const strict = parseGrid(rows, { movementModel: 'diagonal' });
+        cornerCutting.setDoor(0, 1, RED);
+        strict.setDoor(0, 1, RED);
+
+        assert.strictEqual(cornerCutting.canMoveBetween(cornerCutting.startNode, cornerCutting.endNode), true);
+        assert.strictEqual(strict.canMoveBetween(strict.startNode, strict.endNode), false);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Several goal tiles: every search stops at the goal it reaches first, the nearest one for optimal searches
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+// The extra goal is three steps from the start, the end node four
+const ROWS = [
+    'E...S..G',
+    '........'
+];
+
+describe('Multiple goals', () => {
+    AlgorithmRegistry.list()
+        .filter(({ key }) => key !== 'dfs')
+        .forEach(({ key }) => {
+            it(`${key} heads for the nearest goal`, () => {
+                const grid = parseGrid(ROWS, { movementModel: key === 'jps' ? 'diagonal' : 'cardinal' });
+                const algorithm = AlgorithmRegistry.create(key, grid);
+                const { path, pathFound } = algorithm.run(false);
+
+                assert.ok(pathFound);
+                assert.strictEqual(path[path.length - 1], grid.nodes[0][7]);
+                assert.strictEqual(algorithm.getPathCost(path), 3);
+            });
+        });
+
+    it('falls back to a farther goal when the nearest is walled off', () => {
+        const grid = parseGrid([
+            'E...S.#G',
+            '......#.'
+        ]);
+        const { path } = AlgorithmRegistry.create('astar', grid).run(false);
+
+        assert.strictEqual(path[path.length - 1], grid.endNode);
+    });
+
+    it('lists every goal, the end node first', () => {
+        const grid = parseGrid(ROWS);
+
+        assert.deepStrictEqual([...grid.getEndNodes()].map(goal => goal.col), [0, 7]);
+    });
+});
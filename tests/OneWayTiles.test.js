@@ -0,0 +1,104 @@
+/**
+ * One-way tiles: moves may only enter and leave them along their arrow
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, DistanceAnalysis } = loadModels();
+
+/**
+ * Cost of the cheapest path an algorithm finds, Infinity if there is none
+ * @param {Grid} grid - The grid to search
+ * @param {string} key - The algorithm key
+ * @returns {number} The path cost
+ */
+function pathCost(grid, key = 'dijkstra') {
+    const algorithm = AlgorithmRegistry.create(key, grid);
+    const result = algorithm.run(false);
+    return result.pathFound ? algorithm.getPathCost(result.path) : Infinity;
+}
+
+describe('One-way tiles', () => {
+    it('only let the path cross along the arrow', () => {
+        const rows = [
+            'S...E',
+            '.....'
+        ];
+        const along = parseGrid(rows);
+        const against = parseGrid(rows);
+        along.setOneWay(0, 2, 'right');
+        against.setOneWay(0, 2, 'left');
+
+        assert.strictEqual(pathCost(along), 4);
+        assert.strictEqual(pathCost(against), 6);
+    });
+
+    it('make distances depend on the direction', () => {
+        const grid = parseGrid(['...']);
+        grid.setOneWay(0, 1, 'right');
+        const analysis = new DistanceAnalysis(grid);
+        const [left, , right] = grid.nodes[0];
+
+        assert.strictEqual(analysis.getDistancesFrom(left).get(right), 2);
+        assert.strictEqual(analysis.getDistancesFrom(right).get(left), Infinity);
+    });
+
+    it('let diagonal moves that go half along the arrow through', () => {
+        const grid = parseGrid([
+            '...',
+            '...'
+        ], { movementModel: 'diagonal' });
+        grid.setOneWay(0, 1, 'right');
+        const tile = grid.nodes[0][1];
+
+        assert.ok(grid.getNeighbors(grid.nodes[1][0]).includes(tile));
+        assert.ok(grid.getNeighbors(tile).includes(grid.nodes[1][2]));
+        assert.ok(!grid.getNeighbors(grid.nodes[1][2]).includes(tile));
+    });
+
+    it('are a dead end when they point off the grid', () => {
+        const grid = parseGrid(['S.E']);
+        grid.setOneWay(0, 1, 'up');
+
+        assert.strictEqual(pathCost(grid), Infinity);
+    });
+
+    it('give every algorithm that accepts them the same cheapest cost', () => {
+        // The arrows leave one way through: along the bottom, through (1, 3) and over the top
+        const grid = parseGrid([
+            'S..#...',
+            '.#...#.',
+            '...#..E'
+        ]);
+        grid.setOneWay(0, 1, 'down');
+        grid.setOneWay(1, 3, 'right');
+        grid.setOneWay(2, 5, 'left');
+
+        ['dijkstra', 'astar', 'bidirectional-dijkstra', 'bidirectional-astar', 'dstar-lite', 'bellman-ford'].forEach(key => {
+            assert.strictEqual(pathCost(grid, key), 12, key);
+        });
+    });
+
+    it('are refused by Jump Point Search', () => {
+        const grid = parseGrid(['S.E'], { movementModel: 'diagonal' });
+        grid.setOneWay(0, 1, 'right');
+
+        assert.ok(AlgorithmRegistry.create('jps', grid).getUnsupportedReason());
+    });
+
+    it('are picked up by D* Lite when placed between runs', () => {
+        const grid = parseGrid([
+            'S...E',
+            '.....'
+        ]);
+        const dstar = AlgorithmRegistry.create('dstar-lite', grid);
+        dstar.run(false);
+
+        grid.setOneWay(0, 2, 'left');
+        const result = dstar.run(false);
+
+        assert.ok(dstar.lastRun.incremental);
+        assert.strictEqual(dstar.getPathCost(result.path), 6);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * Danger: the Pareto front of routes trading cost against danger
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { ParetoRoutes } = loadModels();
+
+describe('ParetoRoutes', () => {
+    it('offers the cheap dangerous route and the dear safe one', () => {
+        const grid = parseGrid([
+            'S.E',
+            '...'
+        ]);
+        grid.setDanger(0, 1, 5);
+        const { routes } = new ParetoRoutes(grid);
+
+        assert.deepStrictEqual([...routes].map(({ cost, danger }) => [cost, danger]), [[2, 5], [4, 0]]);
+        assert.strictEqual(describePath(routes[0].nodes), '0,0 0,1 0,2');
+        assert.strictEqual(describePath(routes[1].nodes), '0,0 1,0 1,1 1,2 0,2');
+    });
+
+    it('leaves out routes that another beats on both counts', () => {
+        const grid = parseGrid([
+            'S.E',
+            '...',
+            '...'
+        ]);
+        grid.setDanger(0, 1, 5);
+        grid.setDanger(1, 1, 3);
+        grid.setDanger(1, 2, 3);
+        const { routes } = new ParetoRoutes(grid);
+
+        // Straight along the middle row costs 4 with danger 6, beaten by the top row on both counts
+
+        routes.forEach((route, i) => routes.forEach((other, j) => {
+            const beaten = other.cost <= route.cost && other.danger <= route.danger && (other.cost < route.cost || other.danger < route.danger);
+            assert.ok(i === j || !beaten, `${route.cost}/${route.danger} is beaten by ${other.cost}/${other.danger}`);
+        }));
+        assert.deepStrictEqual([...routes].map(({ cost, danger }) => [cost, danger]), [[2, 5], [6, 3]]);
+    });
+
+    it('summarises a single route that is both cheapest and safest', () => {
+        const paretoRoutes = new ParetoRoutes(parseGrid(['S.E']));
+
+        assert.strictEqual(paretoRoutes.getSummary(), 'Danger: one route is both the cheapest and the safest, cost 2 with danger 0.');
+    });
+
+    it('refuses grids with bonus tiles', () => {
+        assert.match(new ParetoRoutes(parseGrid(['S-E'])).unsupportedReason, /^Routes trading cost against danger: /);
+    });
+});
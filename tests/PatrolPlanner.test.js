@@ -0,0 +1,86 @@
+/**
+ * Monster patrols: space-time A* that waits for monsters to pass
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { PatrolPlanner } = loadModels();
+
+/**
+ * Add a monster patrolling between two cells
+ * @param {Grid} grid - The grid
+ * @param {number[]} start - [row, col] the patrol starts at
+ * @param {number[]} end - [row, col] the patrol turns back at
+ */
+function addPatrol(grid, start, end) {
+    grid.addPatrolCell(...start);
+    grid.addPatrolCell(...end);
+}
+
+describe('PatrolPlanner', () => {
+    it('waits for a monster to clear the way', () => {
+        const grid = parseGrid([
+            'S...E',
+            '##.##',
+            '##.##'
+        ]);
+        addPatrol(grid, [2, 2], [0, 2]);
+        const plan = new PatrolPlanner(grid).run();
+
+        // The monster stands on (0, 2) at time 2, when the agent would get there without waiting
+        assert.ok(plan.pathFound);
+        assert.strictEqual(plan.waits, 1);
+        assert.strictEqual(plan.cost, 5);
+
+        const monster = plan.monsterPaths[0];
+        plan.path.forEach((cell, time) => {
+            assert.notStrictEqual(cell, monster[time], `meets the monster at time ${time}`);
+            if (time > 0) {
+                assert.ok(!(cell === monster[time - 1] && plan.path[time - 1] === monster[time]), `swaps with the monster at time ${time}`);
+            }
+        });
+    });
+
+    it('walks its monsters back and forth along their route', () => {
+        const grid = parseGrid(['S....E']);
+        addPatrol(grid, [0, 1], [0, 3]);
+        const planner = new PatrolPlanner(grid);
+
+        assert.deepStrictEqual([0, 1, 2, 3, 4].map(time => planner.cells[planner.getMonsterCell(0, time)].col), [1, 2, 3, 2, 1]);
+    });
+
+    it('keeps a monster off one-way tiles it would walk back against', () => {
+        const grid = parseGrid([
+            'S.....E',
+            '.......',
+            '.......'
+        ]);
+        grid.setOneWay(1, 2, 'right');
+        addPatrol(grid, [1, 0], [1, 4]);
+        const [route] = new PatrolPlanner(grid).run().routes;
+
+        assert.ok(!route.includes(grid.nodes[1][2]), describePath(route));
+        assert.strictEqual(route.length, 7);
+        for (let i = 1; i < route.length; i++) {
+            assert.ok(grid.getNeighbors(route[i - 1]).includes(route[i]), describePath(route));
+            assert.ok(grid.getNeighbors(route[i]).includes(route[i - 1]), describePath(route));
+        }
+    });
+
+    it('says when the monsters block the only way for good', () => {
+        const grid = parseGrid(['S..E']);
+        addPatrol(grid, [0, 1], [0, 2]);
+        const plan = new PatrolPlanner(grid).run();
+
+        assert.strictEqual(plan.pathFound, false);
+        assert.match(plan.noPathReason, /^No way past the monsters/);
+    });
+
+    it('refuses grids with bonus tiles', () => {
+        const grid = parseGrid(['S-..E']);
+        addPatrol(grid, [0, 2], [0, 3]);
+
+        assert.match(new PatrolPlanner(grid).run().unsupportedReason, /^Planning around monster patrols: /);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Stamina: searches over (cell, stamina drained) states that keep within a budget
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, StaminaStateGrid } = loadModels();
+
+/**
+ * Search a grid's (cell, stamina drained) states with Dijkstra
+ * @param {Grid} grid - The grid
+ * @param {number} budget - How much stamina the path may drain
+ * @returns {Object} { states, result, cost }
+ */
+function search(grid, budget) {
+    const states = new StaminaStateGrid(grid, budget);
+    const algorithm = AlgorithmRegistry.create('dijkstra', states);
+    const result = algorithm.run(true);
+    return { states, result, cost: result.pathFound ? algorithm.getPathCost(result.path) : null };
+}
+
+// Past the monster costs 4 and drains 3; round the wall costs 8 and drains nothing
+const ROWS = [
+    'S3E',
+    '.#.',
+    '.#.',
+    '...'
+];
+
+describe('StaminaStateGrid', () => {
+    it('crosses the monster when the budget allows', () => {
+        const { states, result, cost } = search(parseGrid(ROWS), 3);
+
+        assert.strictEqual(cost, 4);
+        assert.match(states.getSummary(result.visited, result.path), /The path drains 3 of 3 stamina\.$/);
+    });
+
+    it('takes the dearer way round when the budget is too small', () => {
+        const { result, cost } = search(parseGrid(ROWS), 2);
+
+        assert.strictEqual(cost, 8);
+        assert.strictEqual(result.path[result.path.length - 1].staminaUsed, 0);
+    });
+
+    it('names the monsters that drain too much when no route fits the budget', () => {
+        const { states, result } = search(parseGrid(['S3.5E']), 7);
+
+        assert.strictEqual(result.pathFound, false);
+        assert.strictEqual(states.getNoPathReason(), 'Every route drains at least 8 stamina, more than the budget of 7; the least draining one still crosses (0, 1) drains 3, (0, 3) drains 5.');
+    });
+
+    it('blames the layout, not the budget, when no route exists at all', () => {
+        const { states } = search(parseGrid(['S#3E']), 10);
+
+        assert.match(states.getNoPathReason(), /^No route reaches a goal at all/);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Theta*: any-angle paths that cut straight across open ground
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+describe('ThetaStarAlgorithm', () => {
+    it('goes in a straight line across open ground', () => {
+        const grid = parseGrid([
+            'S....',
+            '.....',
+            '....E'
+        ], { movementModel: 'diagonal' });
+        const theta = AlgorithmRegistry.create('theta-star', grid);
+        const { path, pathFound } = theta.run(false);
+
+        assert.ok(pathFound);
+        assert.strictEqual(describePath(theta.getOverlay().pathVertices), '0,0 2,4');
+        assert.ok(Math.abs(theta.getPathCost(path) - Math.hypot(2, 4)) < 1e-9);
+
+        // Shorter than the best 8-way path, 2 diagonal and 2 straight steps
+        assert.ok(theta.getPathCost(path) < 2 * Math.SQRT2 + 2);
+    });
+
+    it('bends at the corner of a wall it has no line of sight past', () => {
+        const grid = parseGrid([
+            'S.#..',
+            '..#..',
+            '....E'
+        ], { movementModel: 'diagonal' });
+        const theta = AlgorithmRegistry.create('theta-star', grid);
+        const { pathFound } = theta.run(false);
+        const vertices = theta.getOverlay().pathVertices;
+
+        assert.ok(pathFound);
+        assert.ok(vertices.length > 2);
+        for (let i = 1; i < vertices.length; i++) {
+            assert.ok(grid.hasLineOfSight(vertices[i - 1], vertices[i]), describePath(vertices));
+        }
+    });
+
+    it('lists every cell the segments cross as the path', () => {
+        const grid = parseGrid(['S...E'], { movementModel: 'diagonal' });
+        const { path } = AlgorithmRegistry.create('theta-star', grid).run(false);
+
+        assert.strictEqual(describePath(path), '0,0 0,1 0,2 0,3 0,4');
+    });
+});
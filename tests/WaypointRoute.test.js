@@ -0,0 +1,64 @@
+/**
+ * Ordered waypoints: one search per leg, chained from the start through every waypoint to a goal
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid, describePath } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, WaypointRoute } = loadModels();
+
+/**
+ * Route through the grid's waypoints with one planner
+ * @param {Grid} grid - The grid
+ * @param {string} key - The planner's algorithm key
+ * @param {Node[]} waypoints - The waypoints in visiting order
+ * @returns {Object} The route
+ */
+function route(grid, key = 'dijkstra', waypoints = grid.waypoints) {
+    return new WaypointRoute(grid, legGrid => AlgorithmRegistry.create(key, legGrid), waypoints).run();
+}
+
+describe('WaypointRoute', () => {
+    it('visits the waypoints in the order placed, one leg each', () => {
+        const grid = parseGrid([
+            'S...E',
+            'W...W'
+        ]);
+        const result = route(grid);
+
+        assert.ok(result.pathFound);
+        assert.deepStrictEqual([...result.legs].map(leg => leg.cost), [1, 4, 1]);
+        assert.strictEqual(describePath(result.path), '0,0 1,0 1,1 1,2 1,3 1,4 0,4');
+        assert.deepStrictEqual([...result.pathLegs], [0, 0, 1, 1, 1, 1, 2]);
+    });
+
+    it('follows another order when asked', () => {
+        const grid = parseGrid([
+            'S...E',
+            'W...W'
+        ]);
+        const result = route(grid, 'dijkstra', [...grid.waypoints].reverse());
+
+        assert.deepStrictEqual([...result.legs].map(leg => leg.cost), [5, 4, 5]);
+    });
+
+    it('names the first leg without a path', () => {
+        const grid = parseGrid([
+            'S.#W',
+            '..#.',
+            'E.#.'
+        ]);
+        const result = route(grid);
+
+        assert.strictEqual(result.pathFound, false);
+        assert.strictEqual(result.legs.length, 1);
+        assert.match(result.noPathReason, /^Leg 1 /);
+    });
+
+    it('passes on a planner that refuses the grid', () => {
+        const result = route(parseGrid(['S.W.E']), 'jps');
+
+        assert.ok(result.unsupportedReason);
+        assert.strictEqual(result.pathFound, false);
+    });
+});
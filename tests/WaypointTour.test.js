@@ -0,0 +1,95 @@
+/**
+ * Waypoint tours: the cheapest order to visit every waypoint in, exactly or with 2-opt
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry, WaypointRoute, WaypointTour } = loadModels();
+
+const ROWS = [
+    'S..#..W.',
+    '.W.#.3..',
+    '...9..#.',
+    '.#W....E',
+    '..3..#.W'
+];
+
+/**
+ * List every ordering of some items
+ * @param {Array} items - The items
+ * @returns {Array[]} All permutations
+ */
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    return items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+}
+
+/**
+ * Cost of visiting waypoints in one order, searched leg by leg
+ * @param {Grid} grid - The grid
+ * @param {Node[]} order - Waypoints in visiting order
+ * @returns {number} The route's cost, Infinity if a leg is blocked
+ */
+function routeCost(grid, order) {
+    const route = new WaypointRoute(grid, legGrid => AlgorithmRegistry.create('bellman-ford', legGrid), order).run();
+    return route.pathFound ? route.legs.reduce((cost, leg) => cost + leg.cost, 0) : Infinity;
+}
+
+describe('WaypointTour', () => {
+    it('finds the cheapest of all orders exactly', () => {
+        const grid = parseGrid(ROWS);
+        const tour = new WaypointTour(grid);
+        const cheapest = Math.min(...permutations(grid.waypoints).map(order => routeCost(grid, order)));
+
+        assert.strictEqual(tour.method, 'exact');
+        assert.ok(Math.abs(tour.cost - cheapest) < 1e-9);
+        assert.ok(Math.abs(routeCost(grid, tour.order) - cheapest) < 1e-9);
+    });
+
+    it('searches once from the start and once from each waypoint', () => {
+        const tour = new WaypointTour(parseGrid(ROWS));
+
+        assert.strictEqual(tour.searchCount, 5);
+        assert.match(tour.getSummary(), /\(exact; 5 searches from the stops\)\.$/);
+    });
+
+    it('prices bonus tiles with Bellman-Ford', () => {
+        const grid = parseGrid([
+            'S9W9E',
+            '.-.-.'
+        ]);
+        const tour = new WaypointTour(grid);
+
+        assert.strictEqual(tour.cost, routeCost(grid, grid.waypoints));
+        assert.strictEqual(tour.cost, 4);
+    });
+
+    it('improves a nearest-neighbour tour with 2-opt beyond the exact limit', () => {
+        const rows = Array.from({ length: 6 }, () => '.'.repeat(12));
+        const grid = parseGrid(rows);
+        grid.setStartNode(0, 0);
+        grid.setEndNode(5, 11);
+        for (let i = 0; i <= WaypointTour.EXACT_LIMIT; i++) {
+            grid.addWaypoint((i * 7) % 6, i + 1);
+        }
+        const tour = new WaypointTour(grid);
+
+        assert.strictEqual(tour.method, '2-opt');
+        assert.strictEqual(new Set(tour.order).size, grid.waypoints.length);
+        assert.ok(tour.cost <= tour.calculateIndexCost(tour.buildNearestNeighbourOrder()));
+        assert.strictEqual(tour.cost, routeCost(grid, tour.order));
+    });
+
+    it('keeps the order placed when a waypoint is walled off', () => {
+        const grid = parseGrid([
+            'S.W#W',
+            '...#.',
+            '..E##'
+        ]);
+        const tour = new WaypointTour(grid);
+
+        assert.strictEqual(tour.cost, Infinity);
+        assert.deepStrictEqual(tour.order, grid.waypoints);
+    });
+});
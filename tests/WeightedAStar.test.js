@@ -0,0 +1,49 @@
+/**
+ * Weighted A*: the epsilon option inflates the heuristic, bounding how far from optimal the path may be
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadModels, parseGrid } = require('./helpers/loadModels');
+
+const { AlgorithmRegistry } = loadModels();
+
+const MAZE = [
+    'S..#....',
+    '.#.#.##.',
+    '.#.3.#..',
+    '.##.5#.#',
+    '...9...E'
+];
+
+describe('Weighted A*', () => {
+    it('keeps the path within epsilon times the cheapest one', () => {
+        const grid = parseGrid(MAZE);
+        const dijkstra = AlgorithmRegistry.create('dijkstra', grid);
+        const cheapest = dijkstra.getPathCost(dijkstra.run(false).path);
+
+        [1, 1.5, 2, 5].forEach(epsilon => {
+            const astar = AlgorithmRegistry.create('astar', grid);
+            astar.setOption('epsilon', epsilon);
+            const result = astar.run(false);
+
+            assert.ok(result.pathFound);
+            assert.ok(astar.getPathCost(result.path) <= epsilon * cheapest + 1e-9, `epsilon ${epsilon}`);
+        });
+    });
+
+    it('clamps epsilon to the slider range', () => {
+        const astar = AlgorithmRegistry.create('astar', parseGrid(['S.E']));
+
+        astar.setOption('epsilon', 9);
+        assert.strictEqual(astar.getOption('epsilon'), 5);
+        astar.setOption('epsilon', 0);
+        assert.strictEqual(astar.getOption('epsilon'), 1);
+    });
+
+    it('shows the optimality bound as a badge', () => {
+        const astar = AlgorithmRegistry.create('astar', parseGrid(['S.E']));
+        astar.setOption('epsilon', 2);
+
+        assert.ok(astar.getOptionBadges().some(badge => badge.text === 'Within 2× optimal'));
+    });
+});
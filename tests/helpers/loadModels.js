@@ -0,0 +1,82 @@
+/**
+ * Test helpers: load the app's classes into Node and build grids from text
+ *
+ * The app is a set of plain browser scripts that declare global classes, loaded by index.html in
+ * order. The tests run the same scripts, in the same order, in one vm context, leaving out the
+ * views, controllers and browser-only utilities. Arrays the app builds belong to the context, so
+ * spread them into a plain array before comparing them with assert.deepStrictEqual.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const BROWSER_ONLY = /src\/(views|controllers)\/|src\/index\.js$|ToastNotification|ModularTutorial|PlatformDetector/;
+
+let models = null;
+
+/**
+ * Load every model, algorithm and utility class once
+ * @returns {Object} The classes by name, e.g. { Grid, AlgorithmRegistry }
+ */
+function loadModels() {
+    if (models) return models;
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(script => !BROWSER_ONLY.test(script));
+
+    const source = scripts.map(script => fs.readFileSync(path.join(ROOT, script), 'utf8')).join('\n;\n');
+    const names = [...source.matchAll(/^class (\w+)/gm)].map(match => match[1]);
+
+    // Class declarations stay local to the script, so hand them out through the context
+    const context = vm.createContext({ console, window: {} });
+    vm.runInContext(`${source}\n;${names.map(name => `this.${name} = ${name};`).join('\n')}`, context);
+
+    models = Object.fromEntries(names.map(name => [name, context[name]]));
+    return models;
+}
+
+/**
+ * Build a grid from rows of text, one character per cell
+ * 'S' start, 'E' end, 'G' extra goal, 'W' waypoint, '#' rock, '.' open ground,
+ * '2' to '9' a monster of that weight and '-' a bonus tile of weight -1
+ * @param {string[]} rows - The rows, all the same length
+ * @param {Object} options - { movementModel, allowCornerCutting }
+ * @returns {Grid} The grid
+ */
+function parseGrid(rows, { movementModel = 'cardinal', allowCornerCutting = false } = {}) {
+    const { Grid } = loadModels();
+    const grid = new Grid(rows.length, rows[0].length);
+    grid.setMovementModel(movementModel, allowCornerCutting);
+
+    const goals = [];
+    rows.forEach((line, row) => [...line].forEach((char, col) => {
+        const node = grid.nodes[row][col];
+        if (char === 'S') grid.setStartNode(row, col);
+        else if (char === 'E') grid.setEndNode(row, col);
+        else if (char === 'G') goals.push([row, col]);
+        else if (char === 'W') grid.addWaypoint(row, col);
+        else if (char === '#') grid.setWall(row, col, true);
+        else if (char === '-' || /[2-9]/.test(char)) {
+            node.isWeighted = true;
+            node.weight = char === '-' ? -1 : Number(char);
+        }
+    }));
+
+    // Extra goals go in once the end node is placed
+    goals.forEach(([row, col]) => grid.addGoalNode(row, col));
+    return grid;
+}
+
+/**
+ * Describe a path as 'row,col' cells, for readable assertions
+ * @param {Node[]} path - The path
+ * @returns {string} e.g. '0,0 0,1 1,1'
+ */
+function describePath(path) {
+    return path.map(node => `${node.row},${node.col}`).join(' ');
+}
+
+module.exports = { loadModels, parseGrid, describePath };